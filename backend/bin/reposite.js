@@ -0,0 +1,6 @@
+#!/usr/bin/env node
+// Load environment variables before any service reads its configuration
+import 'dotenv/config';
+import { run } from '../src/cli/index.js';
+
+process.exitCode = await run(process.argv.slice(2));
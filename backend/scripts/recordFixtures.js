@@ -0,0 +1,33 @@
+// Record the GitHub API responses of repository analyses as replay fixtures:
+//   npm run fixtures:record -- https://github.com/owner/repo [...]
+// Tokens come from .env as usual and are never written. Fixtures go to
+// GITHUB_FIXTURES_DIR (default test/fixtures/github); replay them with
+// GITHUB_TRANSPORT=replay.
+import 'dotenv/config';
+import providerRegistry from '../src/services/providers/index.js';
+import { normalizeRepositoryUrl } from '../src/services/analysisService.js';
+
+process.env.GITHUB_TRANSPORT = 'record';
+
+const urls = process.argv.slice(2);
+if (urls.length === 0) {
+  console.error('Usage: npm run fixtures:record -- <repository URL> [...]');
+  process.exit(2);
+}
+
+for (const url of urls) {
+  try {
+    const normalizedUrl = normalizeRepositoryUrl(url);
+    const provider = providerRegistry.forUrl(normalizedUrl);
+    if (!provider.transport) {
+      throw new Error(`${provider.label} responses can't be recorded; only GitHub hosts support fixtures`);
+    }
+
+    await provider.analyzeRepository(normalizedUrl);
+    console.log(`📼 Recorded ${normalizedUrl}`);
+  } catch (error) {
+    // Error responses are recorded too, so a failed analysis still leaves fixtures
+    console.error(`Failed to record ${url}:`, error.message);
+    process.exitCode = 1;
+  }
+}
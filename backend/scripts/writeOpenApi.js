@@ -0,0 +1,9 @@
+// Write the OpenAPI document to openapi.json, which the frontend generates its
+// API types from. Run after changing src/schemas/openapi.js.
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { openApiDocument } from '../src/schemas/openapi.js';
+
+const target = fileURLToPath(new URL('../openapi.json', import.meta.url));
+fs.writeFileSync(target, `${JSON.stringify(openApiDocument, null, 2)}\n`);
+console.log(`📝 Wrote ${target}`);
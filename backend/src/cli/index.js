@@ -0,0 +1,322 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { parseArgs } from 'util';
+
+// Exit codes, so pipelines can tell why a run failed
+export const EXIT_CODES = {
+  ok: 0,
+  failed: 1,
+  usage: 2,
+  invalidUrl: 3,
+  notFound: 4,
+  rateLimited: 5,
+  forbidden: 6
+};
+
+// Analysis error statuses (see AnalysisService.describeError) and their exit codes
+const STATUS_EXIT_CODES = {
+  400: EXIT_CODES.invalidUrl,
+  403: EXIT_CODES.forbidden,
+  404: EXIT_CODES.notFound,
+  503: EXIT_CODES.rateLimited
+};
+
+export const USAGE = `Usage: reposite <command> [options]
+
+Commands:
+  analyze <url>     Analyze a repository and print a summary
+  build <url>       Write the repository's portfolio site to a directory
+  user <login>      Write a portfolio page of a GitHub user's or organization's repositories
+
+Options:
+  --json                    Print the analysis (analyze) or portfolio (user) as JSON
+  --theme <name>            Site theme (build, user; default: classic)
+  --out <dir>               Output directory (build, user; default: ./site)
+  --site-url <url>          Where the site will be published, for canonical links and the sitemap (build)
+  --include-growth          Add the growth section from recorded history (build)
+  --score-profile <name>    Score the analysis with another profile (analyze)
+  --limit <n>               Repositories in the portfolio (user; default: 6)
+  --include-forks           Include forks (user)
+  --include-archived        Include archived repositories (user)
+  --refresh                 Analyze again instead of using the cache
+  --token <token>           GitHub token (default: GITHUB_API_TOKEN or GITHUB_API_TOKENS)
+  --cache <file>            Cache file (default: CACHE_FILE or .cache/analysis-cache.json)
+  --verbose                 Log service messages to stderr
+  -h, --help                Show this help
+
+Exit codes: 0 success, 1 failure, 2 usage error, 3 invalid URL,
+4 repository or user not found, 5 rate limited, 6 access forbidden`;
+
+const OPTIONS = {
+  json: { type: 'boolean', default: false },
+  theme: { type: 'string' },
+  out: { type: 'string', default: 'site' },
+  'site-url': { type: 'string' },
+  'include-growth': { type: 'boolean', default: false },
+  'score-profile': { type: 'string' },
+  limit: { type: 'string', default: '6' },
+  'include-forks': { type: 'boolean', default: false },
+  'include-archived': { type: 'boolean', default: false },
+  refresh: { type: 'boolean', default: false },
+  token: { type: 'string' },
+  cache: { type: 'string' },
+  verbose: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+const COMMANDS = ['analyze', 'build', 'user'];
+
+// Error with the exit code the CLI should end with
+class CliError extends Error {
+  constructor(message, exitCode = EXIT_CODES.failed) {
+    super(message);
+    this.name = 'CliError';
+    this.exitCode = exitCode;
+  }
+}
+
+// Command, its argument and options from the command line; throws CliError on misuse
+export function parseCommand(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true });
+  } catch (error) {
+    throw new CliError(error.message, EXIT_CODES.usage);
+  }
+
+  const { values, positionals } = parsed;
+  const [command, argument, ...extra] = positionals;
+  if (values.help) return { command: 'help', options: values };
+
+  if (!COMMANDS.includes(command)) {
+    throw new CliError(command ? `Unknown command: ${command}` : 'Missing command', EXIT_CODES.usage);
+  }
+  if (!argument) {
+    throw new CliError(`Missing ${command === 'user' ? 'login' : 'repository URL'}`, EXIT_CODES.usage);
+  }
+  if (extra.length > 0) {
+    throw new CliError(`Unexpected argument: ${extra[0]}`, EXIT_CODES.usage);
+  }
+
+  const limit = Number(values.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 20) {
+    throw new CliError('--limit must be a whole number from 1 to 20', EXIT_CODES.usage);
+  }
+  if (values['site-url'] && !/^https?:\/\/\S+$/.test(values['site-url'])) {
+    throw new CliError('--site-url must be an http or https URL', EXIT_CODES.usage);
+  }
+
+  return { command, argument, options: { ...values, limit } };
+}
+
+// Settings services read when they are first imported or used. The CLI always
+// caches on disk, so later runs and the server reuse its analyses.
+function configureEnvironment(options) {
+  process.env.CACHE_STORE = 'file';
+  if (options.cache) process.env.CACHE_FILE = options.cache;
+  if (options.token) {
+    process.env.GITHUB_API_TOKEN = options.token;
+    delete process.env.GITHUB_API_TOKENS;
+  }
+}
+
+const CONSOLE_METHODS = ['log', 'info', 'warn', 'error'];
+
+// Services log through console; while a command runs their logs go to stderr
+// with --verbose and are hidden otherwise, keeping stdout for the command's
+// output. Failures are reported by run(). Returns a function that puts the
+// console back.
+function redirectServiceLogs(options) {
+  const originals = CONSOLE_METHODS.map(method => console[method]);
+  const log = options.verbose ? console.error.bind(console) : () => {};
+  CONSOLE_METHODS.forEach(method => { console[method] = log; });
+
+  return () => {
+    CONSOLE_METHODS.forEach((method, index) => { console[method] = originals[index]; });
+  };
+}
+
+// Services are imported after configureEnvironment, since the caches are created on import
+async function loadServices() {
+  const [analysis, portfolio, site, templates, history, scorer] = await Promise.all([
+    import('../services/analysisService.js'),
+    import('../services/portfolioService.js'),
+    import('../services/siteGenerator.js'),
+    import('../services/templateRegistry.js'),
+    import('../services/historyService.js'),
+    import('../services/projectScorer.js')
+  ]);
+
+  return {
+    analysisService: analysis.default,
+    normalizeRepositoryUrl: analysis.normalizeRepositoryUrl,
+    REPOSITORY_URL_PATTERN: analysis.REPOSITORY_URL_PATTERN,
+    portfolioService: portfolio.default,
+    LOGIN_PATTERN: portfolio.LOGIN_PATTERN,
+    siteGenerator: site.default,
+    templateRegistry: templates.default,
+    DEFAULT_THEME: templates.DEFAULT_THEME,
+    historyService: history.default,
+    projectScorer: scorer.default
+  };
+}
+
+const print = (text) => process.stdout.write(`${text}\n`);
+
+// Write generated files under `outDir`, refusing paths that would leave it
+async function writeFiles(outDir, files) {
+  const root = path.resolve(outDir);
+  for (const file of files) {
+    const target = path.resolve(root, file.path);
+    if (!target.startsWith(`${root}${path.sep}`)) {
+      throw new CliError(`Refusing to write outside ${outDir}: ${file.path}`);
+    }
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, file.content);
+  }
+  return root;
+}
+
+async function loadTheme(services, name = services.DEFAULT_THEME) {
+  const theme = await services.templateRegistry.get(name);
+  if (!theme) {
+    const installed = (await services.templateRegistry.list()).map(template => template.name);
+    throw new CliError(`No template named "${name}" is installed (available: ${installed.join(', ')})`, EXIT_CODES.usage);
+  }
+  return theme;
+}
+
+async function analyzeRepository(services, url, options) {
+  if (!services.REPOSITORY_URL_PATTERN.test(url)) {
+    throw new CliError(`Not a repository URL: ${url}`, EXIT_CODES.invalidUrl);
+  }
+  if (options['score-profile'] && !services.projectScorer.hasProfile(options['score-profile'])) {
+    throw new CliError(`Unknown score profile: ${options['score-profile']}`, EXIT_CODES.usage);
+  }
+
+  return services.analysisService.analyze(url, {
+    forceRefresh: options.refresh,
+    scoreProfile: options['score-profile']
+  });
+}
+
+// Human-readable summary of an analysis
+function summarize(result) {
+  const { repository, analysis, languages, techStack } = result.data;
+  const lines = [
+    repository.fullName,
+    `${analysis.category} · score ${analysis.score}/100 · ${analysis.complexity} complexity · ${analysis.deployability} deployability`
+  ];
+
+  if (repository.description) lines.push(repository.description);
+
+  const languageStats = (languages?.stats || []).map(language => `${language.name} ${language.percentage}%`);
+  if (languageStats.length > 0) lines.push(`Languages: ${languageStats.join(', ')}`);
+
+  const technologies = Object.values(techStack || {}).flat();
+  if (technologies.length > 0) lines.push(`Tech stack: ${technologies.join(', ')}`);
+
+  lines.push(result.cached
+    ? `Cached analysis from ${new Date(Date.now() - result.cacheAge).toISOString()}${result.stale ? ' (stale)' : ''}`
+    : `Analyzed in ${result.analysisTime} ms`);
+  return lines.join('\n');
+}
+
+const commands = {
+  // reposite analyze <url> [--json]
+  async analyze(services, url, options) {
+    const result = await analyzeRepository(services, url, options);
+    print(options.json ? JSON.stringify(result, null, 2) : summarize(result));
+  },
+
+  // reposite build <url> --theme <name> --out <dir>
+  async build(services, url, options) {
+    const theme = await loadTheme(services, options.theme);
+    const { data } = await analyzeRepository(services, url, options);
+
+    const missing = services.templateRegistry.missingRequirements(theme, data);
+    if (missing.length > 0) {
+      throw new CliError(`The ${theme.label} theme needs analysis data this repository does not have: ${missing.join(', ')}`);
+    }
+
+    // Private repositories have no recorded history
+    const history = data.repository.isPrivate
+      ? null
+      : services.historyService.growth(services.normalizeRepositoryUrl(url));
+    const files = services.siteGenerator.generateFiles({ ...data, history }, {
+      theme: options['include-growth'] ? services.templateRegistry.withGrowthSection(theme) : theme,
+      siteUrl: options['site-url'] ? services.siteGenerator.normalizeSiteUrl(options['site-url']) : null
+    });
+
+    const root = await writeFiles(options.out, files);
+    print(`Wrote ${files.length} files for ${data.repository.fullName} to ${root}`);
+  },
+
+  // reposite user <login> [--json]
+  async user(services, login, options) {
+    if (!services.LOGIN_PATTERN.test(login)) {
+      throw new CliError(`Not a valid GitHub username: ${login}`, EXIT_CODES.usage);
+    }
+    const theme = options.json ? null : await loadTheme(services, options.theme);
+
+    const portfolio = await services.portfolioService.buildPortfolio(login, {
+      includeForks: options['include-forks'],
+      includeArchived: options['include-archived'],
+      limit: options.limit
+    });
+
+    if (options.json) {
+      print(JSON.stringify(portfolio, null, 2));
+      return;
+    }
+
+    const html = services.siteGenerator.renderPortfolioPage(portfolio, { theme });
+    const root = await writeFiles(options.out, [{ path: 'index.html', content: html }]);
+    print(`Wrote the portfolio of ${portfolio.profile.login} (${portfolio.projects.length} projects) to ${root}`);
+  }
+};
+
+// Message and exit code for a failed command
+function describeFailure(error, services) {
+  if (error instanceof CliError) return { message: error.message, exitCode: error.exitCode };
+
+  if (error.message === 'User not found') {
+    return { message: 'No GitHub user or organization exists with that login', exitCode: EXIT_CODES.notFound };
+  }
+
+  const { status, body } = services.analysisService.describeError(error);
+  const resetTime = body.resetTime ? ` (resets at ${new Date(body.resetTime).toISOString()})` : '';
+  return {
+    message: `${body.error}: ${body.message}${resetTime}`,
+    exitCode: STATUS_EXIT_CODES[status] ?? EXIT_CODES.failed
+  };
+}
+
+// Run the CLI with process.argv.slice(2); resolves to the exit code
+export async function run(argv) {
+  let services = null;
+  let restoreConsole = () => {};
+  try {
+    const { command, argument, options } = parseCommand(argv);
+    if (command === 'help') {
+      print(USAGE);
+      return EXIT_CODES.ok;
+    }
+
+    configureEnvironment(options);
+    restoreConsole = redirectServiceLogs(options);
+    services = await loadServices();
+    await commands[command](services, argument, options);
+    return EXIT_CODES.ok;
+  } catch (error) {
+    const { message, exitCode } = services
+      ? describeFailure(error, services)
+      : { message: error.message, exitCode: error.exitCode ?? EXIT_CODES.failed };
+
+    process.stderr.write(`reposite: ${message}\n`);
+    if (exitCode === EXIT_CODES.usage) process.stderr.write('Run "reposite --help" for usage.\n');
+    return exitCode;
+  } finally {
+    restoreConsole();
+  }
+}
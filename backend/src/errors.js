@@ -0,0 +1,15 @@
+// Raised when a repository host's rate limits leave no way to make the request
+export class RateLimitError extends Error {
+  constructor(message, { resetAt = null } = {}) {
+    super(message);
+    this.name = 'RateLimitError';
+    this.status = 503;
+    this.resetAt = resetAt;
+  }
+
+  // Seconds until the limit resets, for the Retry-After header
+  get retryAfter() {
+    if (!this.resetAt) return null;
+    return Math.max(Math.ceil((this.resetAt.getTime() - Date.now()) / 1000), 1);
+  }
+}
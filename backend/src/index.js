@@ -1,15 +1,21 @@
+// Load environment variables before any service reads its configuration
+import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
 import morgan from 'morgan';
-import dotenv from 'dotenv';
 import { RateLimiterMemory } from 'rate-limiter-flexible';
 
-import repositoryRoutes from './routes/repository.js';
-import cacheRoutes from './routes/cache.js';
-
-// Load environment variables
-dotenv.config();
+import apiRoutes, { legacyApi } from './routes/api.js';
+import hostedSiteRoutes from './routes/sites.js';
+import templateRegistry from './services/templateRegistry.js';
+import cacheService from './services/cacheService.js';
+import GitHubService from './services/githubService.js';
+import providerRegistry from './services/providers/index.js';
+import oauthService from './services/oauthService.js';
+import { createSessionMiddleware, viewerContext } from './utils/session.js';
+import { createResponseValidator } from './utils/responseValidation.js';
+import { openApiDocument } from './schemas/openapi.js';
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -37,6 +43,10 @@ app.use(morgan('combined'));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
+// Sessions of signed-in users; their token is used for their own requests
+app.use(createSessionMiddleware());
+app.use(viewerContext);
+
 // Rate limiting middleware
 app.use(async (req, res, next) => {
   try {
@@ -59,9 +69,19 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Check /api/v1 responses against the OpenAPI document while developing;
+// the legacy /api shapes are not documented
+if (process.env.NODE_ENV !== 'production') {
+  app.use('/api/v1', createResponseValidator(openApiDocument, { prefixes: ['/api/v1'] }));
+}
+
 // API routes
-app.use('/api/repository', repositoryRoutes);
-app.use('/api/cache', cacheRoutes);
+app.use('/api/v1', apiRoutes);
+// Unversioned paths from before /api/v1, kept for existing clients and embeds
+app.use('/api', legacyApi, apiRoutes);
+
+// Hosted portfolio sites at /sites/:owner/:repo/ and /p/:slug/
+app.use(hostedSiteRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -104,16 +124,20 @@ const connectDB = async () => {
 
 // Start server
 const startServer = async () => {
-  // Using in-memory cache instead of MongoDB
-  console.log('🔧 Database features using in-memory cache');
+  const { store, validEntries } = cacheService.getCacheStats();
+  console.log(`🔧 Analysis cache: ${store} store (${validEntries} valid entries)`);
+
+  // Load built-in and custom site templates
+  await templateRegistry.load();
   
   app.listen(PORT, () => {
     console.log(`🚀 Server running on port ${PORT}`);
     console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
     console.log(`📡 CORS origin: ${process.env.CORS_ORIGIN || 'http://localhost:3000'}`);
     
-    const hasToken = process.env.GITHUB_API_TOKEN && process.env.GITHUB_API_TOKEN.trim();
-    console.log(`🔑 GitHub API: ${hasToken ? 'Configured' : 'Not configured'}`);
+    const { tokenPool } = GitHubService;
+    const hasToken = tokenPool.authenticated;
+    console.log(`🔑 GitHub API: ${hasToken ? `Configured (${tokenPool.size} token${tokenPool.size > 1 ? 's' : ''})` : 'Not configured'}`);
     
     if (!hasToken) {
       console.log('⚠️  WARNING: No GitHub API token configured!');
@@ -121,10 +145,28 @@ const startServer = async () => {
       console.log('   See SETUP.md for instructions to get a token');
     }
     
+    console.log(`🔐 GitHub sign-in: ${oauthService.enabled ? 'Enabled' : 'Not configured'}`);
+
+    const hosts = providerRegistry.list().flatMap(provider => provider.hosts.slice(0, 1));
+    console.log(`🌐 Repository hosts: ${hosts.join(', ')}`);
+
     console.log(`\n📋 Available endpoints:`);
     console.log(`   GET  http://localhost:${PORT}/health`);
-    console.log(`   POST http://localhost:${PORT}/api/repository/analyze`);
-    console.log(`   GET  http://localhost:${PORT}/api/cache/stats`);
+    console.log(`   GET  http://localhost:${PORT}/api/v1/openapi.json`);
+    console.log(`   POST http://localhost:${PORT}/api/v1/repository/analyze`);
+    console.log(`   POST http://localhost:${PORT}/api/v1/repository/analyze/stream`);
+    console.log(`   POST http://localhost:${PORT}/api/v1/repository/analyze/batch`);
+    console.log(`   GET  http://localhost:${PORT}/api/v1/jobs/:id`);
+    console.log(`   GET  http://localhost:${PORT}/api/v1/repository/export/:owner/:repo`);
+    console.log(`   POST http://localhost:${PORT}/api/v1/site/generate`);
+    console.log(`   PUT  http://localhost:${PORT}/api/v1/site/hosted`);
+    console.log(`   GET  http://localhost:${PORT}/sites/:owner/:repo/`);
+    console.log(`   GET  http://localhost:${PORT}/api/v1/user/:login/portfolio`);
+    console.log(`   GET  http://localhost:${PORT}/api/v1/badge/:owner/:repo.svg`);
+    console.log(`   GET  http://localhost:${PORT}/api/v1/card/:owner/:repo.svg`);
+    console.log(`   GET  http://localhost:${PORT}/api/v1/github/rate-limit`);
+    console.log(`   GET  http://localhost:${PORT}/api/v1/auth/session`);
+    console.log(`   GET  http://localhost:${PORT}/api/v1/cache/stats`);
     console.log(`\n✅ Backend ready! Open http://localhost:3000 for frontend\n`);
   });
 };
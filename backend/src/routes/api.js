@@ -0,0 +1,47 @@
+import express from 'express';
+import repositoryRoutes from './repository.js';
+import cacheRoutes from './cache.js';
+import siteRoutes from './site.js';
+import userRoutes from './user.js';
+import githubRoutes from './github.js';
+import authRoutes from './auth.js';
+import jobRoutes from './jobs.js';
+import embedRoutes from './embed.js';
+import { openApiDocument } from '../schemas/openapi.js';
+
+// Every API endpoint, mounted by index.js at /api/v1 (and at /api for older
+// clients). Paths here are the ones documented in schemas/openapi.js.
+export const mounts = [
+  ['/repository', repositoryRoutes],
+  ['/cache', cacheRoutes],
+  ['/site', siteRoutes],
+  ['/user', userRoutes],
+  ['/github', githubRoutes],
+  ['/auth', authRoutes],
+  ['/jobs', jobRoutes],
+  // SVG badges and cards at /badge/... and /card/...
+  ['', embedRoutes]
+];
+
+// Marks requests to the unversioned /api mount as deprecated. Routes answer
+// them in the response shapes from before /api/v1 (see res.locals.legacyApi).
+export function legacyApi(req, res, next) {
+  if (!req.path.startsWith('/v1/')) {
+    res.locals.legacyApi = true;
+    res.set({
+      Deprecation: 'true',
+      Link: `</api/v1${req.url}>; rel="successor-version"`
+    });
+  }
+  next();
+}
+
+const router = express.Router();
+mounts.forEach(([path, routes]) => router.use(path || '/', routes));
+
+// GET /api/v1/openapi.json
+router.get('/openapi.json', (req, res) => {
+  res.json(openApiDocument);
+});
+
+export default router;
@@ -0,0 +1,111 @@
+import express from 'express';
+import oauthService from '../services/oauthService.js';
+import analysisService from '../services/analysisService.js';
+import jobQueue from '../services/jobQueue.js';
+import { SESSION_COOKIE } from '../utils/session.js';
+
+const router = express.Router();
+
+// Where the browser lands after signing in or out
+const frontendUrl = () => process.env.FRONTEND_URL || process.env.CORS_ORIGIN || 'http://localhost:3000';
+
+// Public part of the signed-in viewer; the token never leaves the server
+function describeViewer(viewer) {
+  return {
+    login: viewer.login,
+    name: viewer.name,
+    avatar: viewer.avatar,
+    provider: viewer.provider,
+    scopes: viewer.scopes
+  };
+}
+
+// GET /api/auth/session
+router.get('/session', (req, res) => {
+  const { viewer } = req.session;
+  res.json({
+    enabled: oauthService.enabled,
+    authenticated: Boolean(viewer),
+    user: viewer ? describeViewer(viewer) : null
+  });
+});
+
+// GET /api/auth/github/login
+router.get('/github/login', (req, res) => {
+  if (!oauthService.enabled) {
+    return res.status(501).json({
+      error: 'Sign-in not configured',
+      message: 'Set GITHUB_OAUTH_CLIENT_ID and GITHUB_OAUTH_CLIENT_SECRET to enable GitHub sign-in'
+    });
+  }
+
+  const state = oauthService.createState();
+  req.session.oauthState = state;
+  req.session.save((error) => {
+    if (error) {
+      console.error('Session save error:', error);
+      return res.status(500).json({ error: 'Failed to start sign-in' });
+    }
+    res.redirect(oauthService.authorizeUrl(state));
+  });
+});
+
+// GET /api/auth/github/callback
+router.get('/github/callback', async (req, res) => {
+  const { code, state, error } = req.query;
+  const expectedState = req.session.oauthState;
+  delete req.session.oauthState;
+
+  if (error || !code || !state || state !== expectedState) {
+    console.warn('⚠️  GitHub sign-in rejected:', error || 'missing code or state mismatch');
+    return res.redirect(`${frontendUrl()}/?authError=${encodeURIComponent(error || 'invalid_state')}`);
+  }
+
+  try {
+    const { token, scopes } = await oauthService.exchangeCode(code);
+    const user = await oauthService.getUser(token);
+
+    // New session id on sign-in, so a pre-login session id can't be reused
+    req.session.regenerate((regenerateError) => {
+      if (regenerateError) {
+        console.error('Session regenerate error:', regenerateError);
+        return res.redirect(`${frontendUrl()}/?authError=session`);
+      }
+
+      req.session.viewer = {
+        id: `github:${user.id}`,
+        login: user.login,
+        name: user.name,
+        avatar: user.avatar_url,
+        provider: 'github',
+        token,
+        scopes
+      };
+      console.log(`🔐 Signed in: ${user.login}`);
+      req.session.save(() => res.redirect(frontendUrl()));
+    });
+  } catch (exchangeError) {
+    console.error('❌ GitHub sign-in error:', exchangeError.message);
+    res.redirect(`${frontendUrl()}/?authError=exchange_failed`);
+  }
+});
+
+// POST /api/auth/logout
+router.post('/logout', (req, res) => {
+  const { viewer } = req.session;
+  if (viewer) {
+    analysisService.forgetViewer(viewer.id);
+    jobQueue.forgetViewer(viewer.id);
+  }
+
+  req.session.destroy((error) => {
+    if (error) {
+      console.error('Session destroy error:', error);
+      return res.status(500).json({ error: 'Failed to sign out' });
+    }
+    res.clearCookie(SESSION_COOKIE);
+    res.json({ authenticated: false });
+  });
+});
+
+export default router;
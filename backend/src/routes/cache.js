@@ -9,12 +9,15 @@ router.get('/stats', async (req, res) => {
     const stats = cacheService.getCacheStats();
     const topAccessed = cacheService.getTopAccessed(5);
 
+    const hitRate = stats.totalEntries > 0
+      ? ((stats.totalAccesses / stats.totalEntries) * 100).toFixed(2)
+      : 0;
+
     res.json({
       cache: {
         ...stats,
-        hitRate: stats.totalEntries > 0 
-          ? ((stats.totalAccesses / stats.totalEntries) * 100).toFixed(2) 
-          : 0
+        // The legacy /api reported the rate as a string
+        hitRate: res.locals.legacyApi ? hitRate : Number(hitRate)
       },
       topAccessed
     });
@@ -79,9 +82,14 @@ router.get('/search', async (req, res) => {
 
     const result = cacheService.searchRepositories(q, searchPage, searchLimit);
 
+    // The legacy /api listed `results`, each with its `url`
+    const listing = res.locals.legacyApi
+      ? { results: result.results.map(summary => ({ ...summary, url: summary.repositoryUrl })) }
+      : { repositories: result.results };
+
     res.json({
       query: q,
-      results: result.results,
+      ...listing,
       pagination: {
         page: result.page,
         limit: result.limit,
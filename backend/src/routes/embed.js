@@ -0,0 +1,82 @@
+import express from 'express';
+import Joi from 'joi';
+import cacheService from '../services/cacheService.js';
+import badgeRenderer, { BADGE_METRICS, BADGE_THEMES, BADGE_LOCALES } from '../services/badgeRenderer.js';
+import { normalizeRepositoryUrl } from '../services/analysisService.js';
+
+const router = express.Router();
+
+// Analyzed repositories change at most once per cache TTL; placeholders should
+// turn into the real thing soon after an analysis
+const ANALYZED_CACHE_CONTROL = 'public, max-age=3600, stale-while-revalidate=86400';
+const PLACEHOLDER_CACHE_CONTROL = 'public, max-age=300';
+
+const embedQuerySchema = Joi.object({
+  host: Joi.string().hostname().lowercase().default('github.com'),
+  theme: Joi.string().valid(...BADGE_THEMES).default('light'),
+  locale: Joi.string().valid(...BADGE_LOCALES).default('en'),
+  metric: Joi.string().valid(...BADGE_METRICS).default('score')
+});
+
+// Validate the query and find the repository's public analysis, or send an
+// error response. Only the shared cache is read: embeds are fetched anonymously
+// and cached by proxies, so a signed-in viewer's private analyses never show.
+function loadEmbed(req, res) {
+  const { error, value } = embedQuerySchema.validate(req.query);
+  if (error) {
+    res.status(400).json({
+      error: 'Validation Error',
+      details: error.details.map(detail => detail.message)
+    });
+    return null;
+  }
+
+  const { owner, repo } = req.params;
+  const entry = cacheService.findValidCache(normalizeRepositoryUrl(`https://${value.host}/${owner}/${repo}`));
+  return { ...value, fullName: `${owner}/${repo}`, entry };
+}
+
+function sendSvg(res, svg, entry) {
+  res.set({
+    'Content-Type': 'image/svg+xml; charset=utf-8',
+    'Cache-Control': entry ? ANALYZED_CACHE_CONTROL : PLACEHOLDER_CACHE_CONTROL,
+    // Embedded from READMEs and other sites
+    'Cross-Origin-Resource-Policy': 'cross-origin'
+  });
+  if (entry) res.set('Last-Modified', entry.updatedAt.toUTCString());
+  res.send(svg);
+}
+
+// GET /api/badge/:owner/:repo.svg?metric=score|category|complexity&theme=light|dark&locale=en|ja&host=github.com
+router.get('/badge/:owner/:repo.svg', (req, res) => {
+  try {
+    const embed = loadEmbed(req, res);
+    if (!embed) return;
+
+    const { entry, metric, theme, locale } = embed;
+    sendSvg(res, badgeRenderer.metricBadge(entry?.data, { metric, theme, locale }), entry);
+  } catch (error) {
+    console.error('Badge error:', error);
+    res.status(500).json({
+      error: 'Failed to render badge'
+    });
+  }
+});
+
+// GET /api/card/:owner/:repo.svg?theme=light|dark&locale=en|ja&host=github.com
+router.get('/card/:owner/:repo.svg', (req, res) => {
+  try {
+    const embed = loadEmbed(req, res);
+    if (!embed) return;
+
+    const { entry, fullName, theme, locale } = embed;
+    sendSvg(res, badgeRenderer.renderCard(entry?.data, { fullName, theme, locale }), entry);
+  } catch (error) {
+    console.error('Card error:', error);
+    res.status(500).json({
+      error: 'Failed to render card'
+    });
+  }
+});
+
+export default router;
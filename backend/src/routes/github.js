@@ -0,0 +1,19 @@
+import express from 'express';
+import GitHubService from '../services/githubService.js';
+
+const router = express.Router();
+
+// GET /api/github/rate-limit
+router.get('/rate-limit', async (req, res) => {
+  try {
+    const status = await GitHubService.getRateLimit({ refresh: req.query.refresh === 'true' });
+    res.json(status);
+  } catch (error) {
+    console.error('Rate limit error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve GitHub rate limit'
+    });
+  }
+});
+
+export default router;
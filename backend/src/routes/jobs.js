@@ -0,0 +1,35 @@
+import express from 'express';
+import jobQueue from '../services/jobQueue.js';
+import { getViewer } from '../utils/requestContext.js';
+
+const router = express.Router();
+
+// Send 404 unless the job exists and belongs to the caller
+function findJob(req, res) {
+  const job = jobQueue.get(req.params.id, getViewer());
+  if (!job) {
+    res.status(404).json({
+      error: 'Job not found',
+      message: 'No batch job exists with that ID, or it has expired'
+    });
+  }
+  return job;
+}
+
+// GET /api/jobs/:id
+router.get('/:id', (req, res) => {
+  const job = findJob(req, res);
+  if (!job) return;
+
+  res.json(jobQueue.describe(job, { includeData: req.query.includeData === 'true' }));
+});
+
+// DELETE /api/jobs/:id
+router.delete('/:id', (req, res) => {
+  const job = findJob(req, res);
+  if (!job) return;
+
+  res.json(jobQueue.describe(jobQueue.cancel(job)));
+});
+
+export default router;
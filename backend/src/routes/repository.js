@@ -1,17 +1,49 @@
 import express from 'express';
 import Joi from 'joi';
-import GitHubService from '../services/githubService.js';
 import cacheService from '../services/cacheService.js';
+import analysisService, { normalizeRepositoryUrl, REPOSITORY_URL_PATTERN } from '../services/analysisService.js';
+import jobQueue from '../services/jobQueue.js';
+import historyService from '../services/historyService.js';
+import projectScorer from '../services/projectScorer.js';
+import exportService, { EXPORT_FORMATS } from '../services/exportService.js';
+import { analysisExportSchema } from '../schemas/analysisExport.js';
+import { getViewer } from '../utils/requestContext.js';
 
 const router = express.Router();
 
+// Name of a configured score profile
+const scoreProfileField = Joi.string()
+  .custom((value, helpers) => (projectScorer.hasProfile(value) ? value : helpers.error('any.invalid')))
+  .messages({ 'any.invalid': 'Unknown score profile' });
+
 // Validation schema
 const analyzeSchema = Joi.object({
-  url: Joi.string().uri().required().messages({
-    'string.uri': 'Please provide a valid URL',
+  url: Joi.string().pattern(REPOSITORY_URL_PATTERN).required().messages({
+    'string.pattern.base': 'Please provide a valid repository URL',
     'any.required': 'Repository URL is required'
   }),
-  forceRefresh: Joi.boolean().default(false)
+  forceRefresh: Joi.boolean().default(false),
+  scoreProfile: scoreProfileField
+});
+
+// Most URLs accepted in one batch job
+const MAX_BATCH_SIZE = 100;
+
+const batchSchema = Joi.object({
+  urls: Joi.array()
+    .items(Joi.string().pattern(REPOSITORY_URL_PATTERN).messages({
+      'string.pattern.base': 'Please provide valid repository URLs'
+    }))
+    .min(1)
+    .max(MAX_BATCH_SIZE)
+    .required()
+    .messages({
+      'array.min': 'Provide at least one repository URL',
+      'array.max': `A batch can contain at most ${MAX_BATCH_SIZE} repository URLs`,
+      'any.required': 'Repository URLs are required'
+    }),
+  forceRefresh: Joi.boolean().default(false),
+  scoreProfile: scoreProfileField
 });
 
 // POST /api/repository/analyze
@@ -26,75 +58,211 @@ router.post('/analyze', async (req, res) => {
       });
     }
 
-    const { url, forceRefresh } = value;
-
-    // Normalize URL
-    const normalizedUrl = url.trim().toLowerCase()
-      .replace(/\.git$/, '')
-      .replace(/\/$/, '');
-
-    console.log(`📥 Repository analysis request: ${normalizedUrl}`);
-
-    // Check cache first (unless force refresh)
-    if (!forceRefresh) {
-      const cachedData = cacheService.findValidCache(normalizedUrl);
-      if (cachedData) {
-        console.log(`⚡ Cache hit for: ${normalizedUrl}`);
-        cacheService.recordAccess(normalizedUrl);
-        
-        return res.json({
-          data: cachedData.data,
-          cached: true,
-          cacheAge: Date.now() - cachedData.createdAt.getTime(),
-          accessCount: cachedData.accessCount
-        });
-      }
+    const { url, forceRefresh, scoreProfile } = value;
+    console.log(`📥 Repository analysis request: ${normalizeRepositoryUrl(url)}`);
+
+    const result = await analysisService.analyze(url, { forceRefresh, scoreProfile });
+    res.json(result);
+
+  } catch (error) {
+    console.error('❌ Repository analysis error:', error);
+
+    const { status, body, headers } = analysisService.describeError(error);
+    res.set(headers || {}).status(status).json(body);
+  }
+});
+
+// POST /api/repository/analyze/stream
+// Streams NDJSON progress events while the analysis runs, then the result
+router.post('/analyze/stream', async (req, res) => {
+  const { error, value } = analyzeSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+
+  const { url, forceRefresh, scoreProfile } = value;
+  console.log(`📥 Streaming repository analysis request: ${normalizeRepositoryUrl(url)}`);
+
+  res.status(200);
+  res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+
+  const send = (event) => {
+    if (!res.writableEnded) {
+      res.write(`${JSON.stringify(event)}\n`);
     }
+  };
 
-    // Analyze repository
-    console.log(`🔍 Analyzing repository: ${normalizedUrl}`);
-    const analysisData = await GitHubService.analyzeRepository(normalizedUrl);
+  try {
+    const result = await analysisService.analyze(url, {
+      forceRefresh,
+      scoreProfile,
+      onProgress: (progress) => send({ event: 'step', ...progress })
+    });
 
-    // Cache the results
-    const cachedEntry = cacheService.upsertCache(normalizedUrl, analysisData);
-    console.log(`💾 Cached analysis for: ${normalizedUrl}`);
+    send({ event: 'result', ...result });
+  } catch (error) {
+    console.error('❌ Streaming repository analysis error:', error);
 
-    res.json({
-      data: analysisData,
-      cached: false,
-      analysisTime: Date.now() - req.startTime || 0
+    const { status, body } = analysisService.describeError(error);
+    send({ event: 'error', status, ...body });
+  }
+
+  res.end();
+});
+
+// POST /api/repository/analyze/batch
+// Queues the URLs as a job and returns immediately; poll GET /api/jobs/:id
+router.post('/analyze/batch', (req, res) => {
+  const { error, value } = batchSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+
+  // Equivalent URLs are analyzed once
+  const urls = [...new Set(value.urls.map(normalizeRepositoryUrl))];
+  const job = jobQueue.create(urls, {
+    forceRefresh: value.forceRefresh,
+    scoreProfile: value.scoreProfile,
+    viewer: getViewer()
+  });
+
+  res.status(202)
+    .location(`/api/jobs/${job.id}`)
+    .json({
+      jobId: job.id,
+      status: job.status,
+      total: job.items.length,
+      statusUrl: `/api/jobs/${job.id}`
+    });
+});
+
+const historyQuerySchema = Joi.object({
+  host: Joi.string().hostname().lowercase().default('github.com'),
+  from: Joi.string(),
+  to: Joi.string()
+});
+
+// Validate the history query, or send an error response.
+// Returns the repository URL and its snapshots.
+function loadHistory(req, res) {
+  const { error, value } = historyQuerySchema.validate(req.query);
+  if (error) {
+    res.status(400).json({
+      error: 'Validation Error',
+      details: error.details.map(detail => detail.message)
+    });
+    return null;
+  }
+
+  const { owner, repo } = req.params;
+  const repositoryUrl = normalizeRepositoryUrl(`https://${value.host}/${owner}/${repo}`);
+  const snapshots = historyService.getSnapshots(repositoryUrl);
+  if (snapshots.length === 0) {
+    res.status(404).json({
+      error: 'History not found',
+      message: 'This repository has no recorded analyses yet'
     });
+    return null;
+  }
 
+  return { ...value, repositoryUrl, snapshots };
+}
+
+// GET /api/repository/history/:owner/:repo?host=github.com
+router.get('/history/:owner/:repo', (req, res) => {
+  try {
+    const history = loadHistory(req, res);
+    if (!history) return;
+
+    const { repositoryUrl, snapshots } = history;
+    res.json({
+      repositoryUrl,
+      total: snapshots.length,
+      snapshots
+    });
   } catch (error) {
-    console.error('❌ Repository analysis error:', error);
-    
-    // Handle specific GitHub errors
-    if (error.message.includes('not found')) {
+    console.error('History error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch history'
+    });
+  }
+});
+
+// GET /api/repository/history/:owner/:repo/diff?from=<id|date>&to=<id|date>
+// Defaults to the oldest and the latest snapshot
+router.get('/history/:owner/:repo/diff', (req, res) => {
+  try {
+    const history = loadHistory(req, res);
+    if (!history) return;
+
+    const { snapshots, from = snapshots[0].id, to = snapshots[snapshots.length - 1].id } = history;
+    const fromSnapshot = historyService.findSnapshot(snapshots, from);
+    const toSnapshot = historyService.findSnapshot(snapshots, to);
+    if (!fromSnapshot || !toSnapshot) {
       return res.status(404).json({
-        error: 'Repository not found',
-        message: 'The specified repository does not exist or is not public'
+        error: 'Snapshot not found',
+        message: `No snapshot matches ${!fromSnapshot ? `from=${from}` : `to=${to}`}`
       });
     }
-    
-    if (error.message.includes('access forbidden')) {
-      return res.status(403).json({
-        error: 'Access forbidden',
-        message: 'Unable to access this repository. It may be private or restricted'
+
+    res.json(historyService.diff(fromSnapshot, toSnapshot));
+  } catch (error) {
+    console.error('History diff error:', error);
+    res.status(500).json({
+      error: 'Failed to compare snapshots'
+    });
+  }
+});
+
+const exportQuerySchema = Joi.object({
+  host: Joi.string().hostname().lowercase().default('github.com'),
+  format: Joi.string().valid(...EXPORT_FORMATS).default('json'),
+  scoreProfile: scoreProfileField
+});
+
+// GET /api/repository/export/schema
+// JSON Schema of the format=json export
+router.get('/export/schema', (req, res) => {
+  res.type('application/schema+json').send(JSON.stringify(analysisExportSchema, null, 2));
+});
+
+// GET /api/repository/export/:owner/:repo?format=json|markdown|json-resume|resume-html&host=github.com&scoreProfile=
+router.get('/export/:owner/:repo', (req, res) => {
+  try {
+    const { error, value } = exportQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details.map(detail => detail.message)
       });
     }
-    
-    if (error.message.includes('Invalid GitHub URL')) {
-      return res.status(400).json({
-        error: 'Invalid URL',
-        message: 'Please provide a valid GitHub repository URL'
+
+    const { owner, repo } = req.params;
+    const cachedData = analysisService.findCached(`https://${value.host}/${owner}/${repo}`)?.entry;
+    if (!cachedData) {
+      return res.status(404).json({
+        error: 'Analysis not found',
+        message: 'Analyze the repository before exporting it'
       });
     }
 
+    const data = projectScorer.rescore(cachedData.data, value.scoreProfile || projectScorer.defaultProfile);
+    const schemaUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}/export/schema`;
+    const { type, body } = exportService.export(data, value.format, { schemaUrl });
+    res.type(type).send(body);
+  } catch (error) {
+    console.error('Export error:', error);
     res.status(500).json({
-      error: 'Analysis failed',
-      message: process.env.NODE_ENV === 'production' 
-        ? 'Unable to analyze repository at this time' 
-        : error.message
+      error: 'Failed to export analysis'
     });
   }
 });
@@ -103,7 +271,7 @@ router.post('/analyze', async (req, res) => {
 router.get('/status/:owner/:repo', async (req, res) => {
   try {
     const { owner, repo } = req.params;
-    const repositoryUrl = `https://github.com/${owner}/${repo}`;
+    const repositoryUrl = normalizeRepositoryUrl(`https://github.com/${owner}/${repo}`);
     
     const cachedData = cacheService.findValidCache(repositoryUrl);
     
@@ -129,6 +297,21 @@ router.get('/status/:owner/:repo', async (req, res) => {
   }
 });
 
+// GET /api/repository/score-profiles
+router.get('/score-profiles', (req, res) => {
+  try {
+    res.json({
+      profiles: projectScorer.listProfiles(),
+      defaultProfile: projectScorer.defaultProfile
+    });
+  } catch (error) {
+    console.error('Score profile list error:', error);
+    res.status(500).json({
+      error: 'Failed to list score profiles'
+    });
+  }
+});
+
 // GET /api/repository/recent
 router.get('/recent', async (req, res) => {
   try {
@@ -138,7 +321,10 @@ router.get('/recent', async (req, res) => {
     const result = cacheService.getRecentRepositories(page, limit);
 
     res.json({
-      repositories: result.results,
+      // The legacy /api named the analysis time `createdAt`
+      repositories: res.locals.legacyApi
+        ? result.results.map(summary => ({ ...summary, createdAt: summary.analyzedAt }))
+        : result.results,
       pagination: {
         page: result.page,
         limit: result.limit,
@@ -158,9 +344,9 @@ router.get('/recent', async (req, res) => {
 router.delete('/cache/:owner/:repo', async (req, res) => {
   try {
     const { owner, repo } = req.params;
-    const repositoryUrl = `https://github.com/${owner}/${repo}`;
+    const repositoryUrl = normalizeRepositoryUrl(`https://github.com/${owner}/${repo}`);
     
-    const result = await RepositoryCache.findOneAndDelete({ repositoryUrl });
+    const result = cacheService.delete(repositoryUrl);
     
     if (result) {
       res.json({
@@ -183,10 +369,4 @@ router.delete('/cache/:owner/:repo', async (req, res) => {
   }
 });
 
-// Middleware to track request timing
-router.use((req, res, next) => {
-  req.startTime = Date.now();
-  next();
-});
-
 export default router;
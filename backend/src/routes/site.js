@@ -0,0 +1,304 @@
+import express from 'express';
+import Joi from 'joi';
+import siteGenerator from '../services/siteGenerator.js';
+import templateRegistry, { DEFAULT_THEME } from '../services/templateRegistry.js';
+import analysisService, { normalizeRepositoryUrl, REPOSITORY_URL_PATTERN } from '../services/analysisService.js';
+import historyService from '../services/historyService.js';
+import hostedSiteService, { SLUG_PATTERN } from '../services/hostedSiteService.js';
+import oauthService from '../services/oauthService.js';
+import providerRegistry from '../services/providers/index.js';
+import { publicBaseUrl } from './sites.js';
+
+const router = express.Router();
+
+// Validation schemas
+const repositoryUrl = Joi.string().pattern(REPOSITORY_URL_PATTERN).required().messages({
+  'string.pattern.base': 'Please provide a valid repository URL',
+  'any.required': 'Repository URL is required'
+});
+
+const siteSchema = Joi.object({
+  url: repositoryUrl,
+  theme: Joi.string().default(DEFAULT_THEME),
+  includeGrowth: Joi.boolean().default(false),
+  // Where the site will be published, for canonical links, social previews and the sitemap
+  siteUrl: Joi.string().uri({ scheme: ['http', 'https'] }).messages({
+    'string.uriCustomScheme': 'Site URL must be an http or https URL'
+  })
+});
+
+const hostedSiteSchema = Joi.object({
+  url: repositoryUrl,
+  theme: Joi.string().default(DEFAULT_THEME),
+  includeGrowth: Joi.boolean().default(false),
+  // Custom address at /p/<slug>/, served next to /sites/<owner>/<repo>/
+  slug: Joi.string().lowercase().pattern(SLUG_PATTERN).empty('').allow(null).default(null).messages({
+    'string.pattern.base': 'Slug must be up to 50 lowercase letters, digits and inner hyphens'
+  }),
+  // Repository details shown instead of the analyzed ones
+  overrides: Joi.object({
+    name: Joi.string().trim().max(100).empty(''),
+    description: Joi.string().trim().max(500).empty(''),
+    homepage: Joi.string().uri({ scheme: ['http', 'https'] }).empty('').messages({
+      'string.uriCustomScheme': 'Homepage must be an http or https URL'
+    })
+  }).default({})
+});
+
+const hostedSiteQuerySchema = Joi.object({
+  url: repositoryUrl
+});
+
+// Validate the request and load its cached analysis and theme, or send an error response
+async function loadSiteRequest(req, res, schema = siteSchema) {
+  const { error, value } = schema.validate(req.body);
+  if (error) {
+    res.status(400).json({
+      error: 'Validation Error',
+      details: error.details.map(detail => detail.message)
+    });
+    return null;
+  }
+
+  const theme = await templateRegistry.get(value.theme);
+  if (!theme) {
+    res.status(400).json({
+      error: 'Unknown theme',
+      message: `No template named "${value.theme}" is installed`
+    });
+    return null;
+  }
+
+  const cachedData = analysisService.findCached(value.url)?.entry;
+  if (!cachedData) {
+    res.status(404).json({
+      error: 'Analysis not found',
+      message: 'Analyze the repository before generating its site'
+    });
+    return null;
+  }
+
+  const missing = templateRegistry.missingRequirements(theme, cachedData.data);
+  if (missing.length > 0) {
+    res.status(422).json({
+      error: 'Theme not applicable',
+      message: `The ${theme.label} theme needs analysis data this repository does not have: ${missing.join(', ')}`,
+      missing
+    });
+    return null;
+  }
+
+  // Private repositories have no recorded history
+  const history = cachedData.data.repository.isPrivate
+    ? null
+    : historyService.growth(normalizeRepositoryUrl(value.url));
+
+  return {
+    data: { ...cachedData.data, history },
+    theme: value.includeGrowth ? templateRegistry.withGrowthSection(theme) : theme,
+    siteUrl: value.siteUrl ? siteGenerator.normalizeSiteUrl(value.siteUrl) : null,
+    options: value
+  };
+}
+
+// Validate the query and find the published site it names, or send an error response
+function loadHostedSite(req, res) {
+  const { error, value } = hostedSiteQuerySchema.validate(req.query);
+  if (error) {
+    res.status(400).json({
+      error: 'Validation Error',
+      details: error.details.map(detail => detail.message)
+    });
+    return null;
+  }
+
+  const site = hostedSiteService.get(normalizeRepositoryUrl(value.url));
+  if (!site) {
+    res.status(404).json({
+      error: 'Site not published',
+      message: 'This repository has no hosted site'
+    });
+    return null;
+  }
+  return site;
+}
+
+// Only signed-in people who can push to a repository publish or unpublish
+// its site, so hosting needs GitHub sign-in. Sends an error response and
+// resolves to false otherwise.
+async function authorizePublisher(req, res, repositoryUrl) {
+  if (!oauthService.enabled) {
+    res.status(501).json({
+      error: 'Hosting not configured',
+      message: 'Hosted sites need GitHub sign-in; set GITHUB_OAUTH_CLIENT_ID and GITHUB_OAUTH_CLIENT_SECRET'
+    });
+    return false;
+  }
+
+  const { viewer } = req.session;
+  if (!viewer) {
+    res.status(401).json({
+      error: 'Sign-in required',
+      message: 'Sign in with GitHub to publish sites'
+    });
+    return false;
+  }
+
+  const provider = providerRegistry.forUrl(repositoryUrl);
+  const { owner, repo } = provider.parseUrl(repositoryUrl);
+  let permissions;
+  try {
+    permissions = await provider.getPermissions(owner, repo);
+  } catch (error) {
+    console.error('Hosted site permission error:', error);
+    const { status, body, headers } = analysisService.describeError(error);
+    res.set(headers || {}).status(status).json(body);
+    return false;
+  }
+  if (!permissions?.push && !permissions?.admin) {
+    res.status(403).json({
+      error: 'Access forbidden',
+      message: 'Only people who can push to the repository can publish its site'
+    });
+    return false;
+  }
+  return true;
+}
+
+// GET /api/site/themes
+router.get('/themes', async (req, res) => {
+  try {
+    res.json({
+      themes: await templateRegistry.list(),
+      defaultTheme: DEFAULT_THEME
+    });
+  } catch (error) {
+    console.error('Theme list error:', error);
+    res.status(500).json({
+      error: 'Failed to list themes'
+    });
+  }
+});
+
+// POST /api/site/generate
+router.post('/generate', async (req, res) => {
+  try {
+    const request = await loadSiteRequest(req, res);
+    if (!request) return;
+
+    const { data, theme, siteUrl } = request;
+    console.log(`🏗️  Generating ${theme.name} site for: ${data.repository.fullName}`);
+    const bundle = await siteGenerator.generateBundle(data, { theme, siteUrl });
+    const filename = `${data.repository.name}-site.zip`.replace(/[^\w.-]/g, '_');
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Content-Length': bundle.length
+    });
+    res.send(bundle);
+  } catch (error) {
+    console.error('Site generation error:', error);
+    res.status(500).json({
+      error: 'Failed to generate site'
+    });
+  }
+});
+
+// POST /api/site/preview
+router.post('/preview', async (req, res) => {
+  try {
+    const request = await loadSiteRequest(req, res);
+    if (!request) return;
+
+    const html = siteGenerator.renderPreview(request.data, { theme: request.theme, siteUrl: request.siteUrl });
+    res.type('html').send(html);
+  } catch (error) {
+    console.error('Site preview error:', error);
+    res.status(500).json({
+      error: 'Failed to render site preview'
+    });
+  }
+});
+
+// GET /api/site/hosted?url=...
+router.get('/hosted', (req, res) => {
+  try {
+    const site = loadHostedSite(req, res);
+    if (!site) return;
+
+    res.json(hostedSiteService.describe(site, publicBaseUrl(req)));
+  } catch (error) {
+    console.error('Hosted site error:', error);
+    res.status(500).json({
+      error: 'Failed to load hosted site'
+    });
+  }
+});
+
+// PUT /api/site/hosted
+// Publish the site of an analyzed public repository at a stable URL, or update its settings
+router.put('/hosted', async (req, res) => {
+  try {
+    const request = await loadSiteRequest(req, res, hostedSiteSchema);
+    if (!request) return;
+
+    const { data, options } = request;
+    const repositoryUrl = normalizeRepositoryUrl(options.url);
+    if (!hostedSiteService.repositoryPath(repositoryUrl)) {
+      return res.status(400).json({
+        error: 'Unsupported host',
+        message: 'Only github.com repositories can be hosted, since publishing needs GitHub sign-in'
+      });
+    }
+    if (!(await authorizePublisher(req, res, repositoryUrl))) return;
+
+    if (data.repository.isPrivate) {
+      return res.status(403).json({
+        error: 'Private repository',
+        message: 'Only sites of public repositories can be hosted'
+      });
+    }
+
+    const taken = options.slug && hostedSiteService.findBySlug(options.slug);
+    if (taken && taken.repositoryUrl !== repositoryUrl) {
+      return res.status(409).json({
+        error: 'Slug taken',
+        message: `/p/${options.slug}/ already belongs to another site`
+      });
+    }
+
+    const published = Boolean(hostedSiteService.get(repositoryUrl));
+    const site = hostedSiteService.publish(repositoryUrl, data, options);
+    console.log(`🌐 ${published ? 'Updated' : 'Published'} hosted site of ${site.fullName}`);
+    res.status(published ? 200 : 201).json(hostedSiteService.describe(site, publicBaseUrl(req)));
+  } catch (error) {
+    console.error('Hosted site publish error:', error);
+    res.status(500).json({
+      error: 'Failed to publish site'
+    });
+  }
+});
+
+// DELETE /api/site/hosted?url=...
+router.delete('/hosted', async (req, res) => {
+  try {
+    const site = loadHostedSite(req, res);
+    if (!site) return;
+    if (!(await authorizePublisher(req, res, site.repositoryUrl))) return;
+
+    hostedSiteService.unpublish(site.repositoryUrl);
+    console.log(`🗑️  Unpublished hosted site of ${site.fullName}`);
+    res.json({
+      message: 'Site unpublished',
+      site: hostedSiteService.describe(site, publicBaseUrl(req))
+    });
+  } catch (error) {
+    console.error('Hosted site unpublish error:', error);
+    res.status(500).json({
+      error: 'Failed to unpublish site'
+    });
+  }
+});
+
+export default router;
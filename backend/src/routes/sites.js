@@ -0,0 +1,67 @@
+import express from 'express';
+import path from 'path';
+import hostedSiteService, { HOSTED_FILES } from '../services/hostedSiteService.js';
+import analysisService, { normalizeRepositoryUrl } from '../services/analysisService.js';
+
+// Hosted sites live outside /api, at /sites/:owner/:repo/ and /p/:slug/.
+// Strict routing tells the directory URLs apart from the ones without a slash.
+const router = express.Router({ strict: true });
+
+// Pages follow their analysis, which changes at most once per cache TTL;
+// revalidating is a cheap 304, so browsers and proxies check back often
+const HOSTED_CACHE_CONTROL = 'public, max-age=300, stale-while-revalidate=86400';
+
+// README images come from the repository host; the language bars use inline styles
+const HOSTED_CONTENT_SECURITY_POLICY = "default-src 'none'; style-src 'self' 'unsafe-inline'; img-src 'self' https: data:; base-uri 'none'; form-action 'none'";
+
+// Public origin of hosted sites: PUBLIC_URL, or the origin this request came to
+export const publicBaseUrl = (req) => process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+
+// Send a file of a published site, rendered from its latest analysis
+async function sendHostedFile(req, res, site) {
+  const file = req.params.file || 'index.html';
+  if (!site || !HOSTED_FILES.includes(file)) {
+    return res.status(404).type('text').send('No site is published at this address');
+  }
+
+  try {
+    const rendered = await hostedSiteService.renderFile(site, file, { baseUrl: publicBaseUrl(req) });
+    if (!rendered) {
+      return res.status(404).type('text').send(`${site.fullName} is no longer public`);
+    }
+
+    res.set({
+      'Cache-Control': HOSTED_CACHE_CONTROL,
+      'Content-Security-Policy': HOSTED_CONTENT_SECURITY_POLICY,
+      // Social previews and favicons are fetched by other sites
+      'Cross-Origin-Resource-Policy': 'cross-origin',
+      ETag: rendered.etag,
+      'Last-Modified': rendered.lastModified.toUTCString()
+    });
+    // Answers 304 when the visitor's copy is still current
+    res.type(path.extname(file)).send(rendered.content);
+  } catch (error) {
+    console.error('Hosted site error:', error);
+    const { status, body, headers } = analysisService.describeError(error);
+    res.set(headers || {}).status(status).type('text').send(body.message);
+  }
+}
+
+// GET /sites/:owner/:repo and /p/:slug
+// Redirect to the directory, so the page's relative links resolve inside it
+router.get(['/sites/:owner/:repo', '/p/:slug'], (req, res) => {
+  res.redirect(301, `${req.path}/${req.url.slice(req.path.length)}`);
+});
+
+// GET /sites/:owner/:repo/ and its files, for github.com repositories
+router.get(['/sites/:owner/:repo/', '/sites/:owner/:repo/:file'], (req, res) => {
+  const { owner, repo } = req.params;
+  sendHostedFile(req, res, hostedSiteService.get(normalizeRepositoryUrl(`https://github.com/${owner}/${repo}`)));
+});
+
+// GET /p/:slug/ and its files
+router.get(['/p/:slug/', '/p/:slug/:file'], (req, res) => {
+  sendHostedFile(req, res, hostedSiteService.findBySlug(req.params.slug.toLowerCase()));
+});
+
+export default router;
@@ -0,0 +1,90 @@
+import express from 'express';
+import Joi from 'joi';
+import portfolioService, { LOGIN_PATTERN } from '../services/portfolioService.js';
+import siteGenerator from '../services/siteGenerator.js';
+import analysisService from '../services/analysisService.js';
+import templateRegistry, { DEFAULT_THEME } from '../services/templateRegistry.js';
+
+const router = express.Router();
+
+// Validation schemas
+const loginSchema = Joi.string()
+  .pattern(LOGIN_PATTERN)
+  .required()
+  .messages({ 'string.pattern.base': 'Please provide a valid GitHub username' });
+
+const portfolioSchema = Joi.object({
+  includeForks: Joi.boolean().default(false),
+  includeArchived: Joi.boolean().default(false),
+  limit: Joi.number().integer().min(1).max(20).default(6),
+  theme: Joi.string().default(DEFAULT_THEME)
+});
+
+// Validate login and query, or send an error response
+function validatePortfolioRequest(req, res) {
+  const login = loginSchema.validate(req.params.login);
+  const query = portfolioSchema.validate(req.query);
+  const error = login.error || query.error;
+
+  if (error) {
+    res.status(400).json({
+      error: 'Validation Error',
+      details: error.details.map(detail => detail.message)
+    });
+    return null;
+  }
+
+  return { login: login.value, ...query.value };
+}
+
+// Send an error response for a failed portfolio build
+function sendPortfolioError(res, error) {
+  console.error('❌ Portfolio error:', error);
+
+  if (error.message === 'User not found') {
+    return res.status(404).json({
+      error: 'User not found',
+      message: 'No GitHub user or organization exists with that login'
+    });
+  }
+
+  const { status, body, headers } = analysisService.describeError(error);
+  res.set(headers || {}).status(status).json(body);
+}
+
+// GET /api/user/:login/portfolio
+router.get('/:login/portfolio', async (req, res) => {
+  try {
+    const request = validatePortfolioRequest(req, res);
+    if (!request) return;
+
+    const { login, theme, ...options } = request;
+    res.json(await portfolioService.buildPortfolio(login, options));
+  } catch (error) {
+    sendPortfolioError(res, error);
+  }
+});
+
+// GET /api/user/:login/site
+router.get('/:login/site', async (req, res) => {
+  try {
+    const request = validatePortfolioRequest(req, res);
+    if (!request) return;
+
+    const { login, theme: themeName, ...options } = request;
+    const theme = await templateRegistry.get(themeName);
+    if (!theme) {
+      return res.status(400).json({
+        error: 'Unknown theme',
+        message: `No template named "${themeName}" is installed`
+      });
+    }
+
+    const portfolio = await portfolioService.buildPortfolio(login, options);
+    res.type('html').send(siteGenerator.renderPortfolioPage(portfolio, { theme }));
+  } catch (error) {
+    sendPortfolioError(res, error);
+  }
+});
+
+export default router;
@@ -0,0 +1,148 @@
+// JSON Schema of the analysis export (format=json). Bump the major version for
+// changes that can break consumers (removed or retyped fields) and the minor
+// version for added fields; every document states the version it follows.
+export const EXPORT_SCHEMA_VERSION = '1.0.0';
+
+const stringList = (description) => ({ type: 'array', items: { type: 'string' }, description });
+const nullable = (type, description) => ({ type: [type, 'null'], description });
+
+const techStackSchema = {
+  type: 'object',
+  description: 'Detected technologies by category',
+  properties: {
+    frontend: stringList('UI frameworks and libraries'),
+    backend: stringList('Server frameworks and runtimes'),
+    database: stringList('Databases and ORMs'),
+    tools: stringList('Build, test and deployment tools'),
+    frameworks: stringList('Other frameworks')
+  },
+  additionalProperties: stringList('Technologies of another category')
+};
+
+const factorSchema = {
+  type: 'object',
+  required: ['id', 'label', 'points', 'maxPoints', 'reason'],
+  properties: {
+    id: { type: 'string', description: 'Factor identifier, e.g. "stars" or "tests"' },
+    label: { type: 'string', description: 'Human-readable factor name' },
+    points: { type: 'number', description: 'Points earned, rounded to one decimal' },
+    maxPoints: { type: 'number', description: 'Points the factor is worth in the profile' },
+    reason: { type: 'string', description: 'Why the factor earned its points' }
+  }
+};
+
+export const analysisExportSchema = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  title: 'RepoSite analysis export',
+  description: `Analysis of a repository as shown on RepoSite, schema version ${EXPORT_SCHEMA_VERSION}. Dates are ISO 8601 strings.`,
+  type: 'object',
+  required: ['schemaVersion', 'generatedAt', 'repository', 'analysis', 'languages', 'techStack', 'packages', 'features', 'activity'],
+  properties: {
+    $schema: { type: 'string', description: 'URL of this schema' },
+    schemaVersion: { const: EXPORT_SCHEMA_VERSION, description: 'Version of this schema the document follows' },
+    generatedAt: { type: 'string', format: 'date-time', description: 'When the repository was analyzed' },
+    repository: {
+      type: 'object',
+      required: ['name', 'fullName', 'url', 'host'],
+      properties: {
+        name: { type: 'string', description: 'Repository name' },
+        fullName: { type: 'string', description: 'Owner and name, e.g. "octocat/hello-world"' },
+        description: nullable('string', 'Description set on the host'),
+        url: { type: 'string', format: 'uri', description: 'Web URL of the repository' },
+        homepage: nullable('string', 'Homepage or live demo link'),
+        host: { type: 'string', description: 'Host name, e.g. "github.com"' },
+        owner: {
+          type: 'object',
+          properties: {
+            login: { type: 'string', description: 'User or organization name' },
+            type: { enum: ['User', 'Organization'], description: 'Kind of owner' }
+          }
+        },
+        language: nullable('string', 'Primary language'),
+        license: nullable('string', 'License name'),
+        topics: stringList('Topics set on the host'),
+        stars: { type: 'integer', minimum: 0 },
+        forks: { type: 'integer', minimum: 0 },
+        watchers: { type: 'integer', minimum: 0 },
+        isPrivate: { type: 'boolean', description: 'Whether the repository is private' },
+        createdAt: nullable('string', 'When the repository was created'),
+        updatedAt: nullable('string', 'When the repository was last updated')
+      }
+    },
+    analysis: {
+      type: 'object',
+      required: ['category', 'score', 'complexity', 'deployability'],
+      properties: {
+        category: { type: 'string', description: 'Kind of project, e.g. "Full-Stack Application"' },
+        score: { type: 'integer', minimum: 0, maximum: 100, description: 'Project score under the scoring profile' },
+        scoreProfile: nullable('string', 'Scoring profile the score was computed with'),
+        complexity: { enum: ['Simple', 'Moderate', 'Complex'] },
+        deployability: { enum: ['Low', 'Medium', 'High'] },
+        scoreFactors: { type: 'array', items: factorSchema, description: 'Points behind the score, one entry per factor' }
+      }
+    },
+    languages: {
+      type: 'array',
+      description: 'Languages by share of code, largest first',
+      items: {
+        type: 'object',
+        required: ['name', 'percentage'],
+        properties: {
+          name: { type: 'string' },
+          percentage: { type: 'number', minimum: 0, maximum: 100 }
+        }
+      }
+    },
+    techStack: techStackSchema,
+    packages: {
+      type: 'array',
+      description: 'Packages of a monorepo; empty for single-package repositories',
+      items: {
+        type: 'object',
+        required: ['path'],
+        properties: {
+          path: { type: 'string', description: 'Package directory' },
+          name: nullable('string', 'Package name from its manifest'),
+          technologies: stringList('Technologies detected in the package')
+        }
+      }
+    },
+    features: stringList('Features listed in the README'),
+    activity: {
+      type: ['object', 'null'],
+      description: 'Contribution history; null when the host did not report it',
+      properties: {
+        commitCount: { type: 'integer', minimum: 0 },
+        contributorCount: { type: 'integer', minimum: 0 },
+        releaseCount: { type: 'integer', minimum: 0 },
+        lastReleaseAt: nullable('string', 'When the latest stable release was published'),
+        topContributors: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              login: nullable('string', 'Account name, if the host links one'),
+              name: nullable('string', 'Display name'),
+              commits: { type: 'integer', minimum: 0 },
+              url: nullable('string', 'Profile URL')
+            }
+          }
+        },
+        releases: {
+          type: 'array',
+          description: 'Recent releases, newest first',
+          items: {
+            type: 'object',
+            properties: {
+              tag: { type: 'string' },
+              name: { type: 'string' },
+              publishedAt: nullable('string', 'Publication date'),
+              url: nullable('string', 'Release page'),
+              prerelease: { type: 'boolean' }
+            }
+          }
+        }
+      }
+    }
+  }
+};
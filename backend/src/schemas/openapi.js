@@ -0,0 +1,1173 @@
+import { analysisExportSchema } from './analysisExport.js';
+import { EXPORT_FORMATS } from '../services/exportService.js';
+import { BADGE_METRICS, BADGE_THEMES, BADGE_LOCALES } from '../services/badgeRenderer.js';
+
+// OpenAPI 3.1 description of the /api/v1 endpoints. It is served at
+// /api/v1/openapi.json, checked against responses in development (see
+// utils/responseValidation.js) and written to openapi.json by `npm run openapi`
+// for the frontend's generated types. Document route changes here.
+export const API_VERSION = '1.0.0';
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const nullable = (schema) => ({ anyOf: [schema, { type: 'null' }] });
+const string = (description) => ({ type: 'string', ...(description && { description }) });
+const stringList = (description) => ({ type: 'array', items: { type: 'string' }, ...(description && { description }) });
+const dateTime = (description) => ({ type: 'string', format: 'date-time', ...(description && { description }) });
+const count = (description) => ({ type: 'integer', minimum: 0, ...(description && { description }) });
+
+const json = (description, schema) => ({ description, content: { 'application/json': { schema } } });
+const body = (schema) => ({ required: true, content: { 'application/json': { schema } } });
+const errorResponse = (description) => json(description, ref('Error'));
+
+const validationError = errorResponse('Invalid request');
+const rateLimited = errorResponse('The host rate limit is exhausted; see `Retry-After`');
+
+const pathParameter = (name, description) => ({ name, in: 'path', required: true, schema: { type: 'string' }, description });
+const queryParameter = (name, schema, description) => ({ name, in: 'query', schema, description });
+
+const ownerRepoParameters = [
+  pathParameter('owner', 'Repository owner'),
+  pathParameter('repo', 'Repository name'),
+  queryParameter('host', { type: 'string', default: 'github.com' }, 'Repository host')
+];
+const paginationParameters = [
+  queryParameter('page', { type: 'integer', minimum: 1, default: 1 }),
+  queryParameter('limit', { type: 'integer', minimum: 1, maximum: 50, default: 10 })
+];
+const portfolioParameters = [
+  pathParameter('login', 'GitHub user or organization'),
+  queryParameter('includeForks', { type: 'boolean', default: false }),
+  queryParameter('includeArchived', { type: 'boolean', default: false }),
+  queryParameter('limit', { type: 'integer', minimum: 1, maximum: 20, default: 6 }, 'Most repositories analyzed'),
+  queryParameter('theme', { type: 'string' }, 'Site theme')
+];
+const hostedSiteParameters = [
+  { ...queryParameter('url', { type: 'string' }, 'Repository URL'), required: true }
+];
+
+const { $schema, ...exportDocumentSchema } = analysisExportSchema;
+
+const schemas = {
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: string('Short error title'),
+      message: string('What went wrong and what to do about it'),
+      details: { anyOf: [stringList(), { type: 'string' }], description: 'Validation messages' },
+      resetTime: string('When a rate limit resets'),
+      missing: stringList('Analysis fields a theme needs'),
+      path: string('Requested path of an unknown route')
+    }
+  },
+  Pagination: {
+    type: 'object',
+    required: ['page', 'limit', 'total', 'pages'],
+    properties: { page: count(), limit: count(), total: count(), pages: count() }
+  },
+  TechStack: {
+    type: 'object',
+    description: 'Technologies by category: frontend, backend, database, tools and frameworks',
+    additionalProperties: stringList()
+  },
+  Owner: {
+    type: 'object',
+    required: ['login'],
+    properties: {
+      login: string(),
+      avatar: nullable(string()),
+      type: string('"User" or "Organization"')
+    }
+  },
+  Repository: {
+    type: 'object',
+    required: ['id', 'name', 'fullName', 'owner', 'url', 'topics', 'stars', 'forks', 'watchers'],
+    properties: {
+      id: { type: ['integer', 'string'] },
+      name: string(),
+      fullName: string('Owner and name, e.g. "octocat/hello-world"'),
+      owner: ref('Owner'),
+      description: nullable(string()),
+      url: string('Web URL'),
+      cloneUrl: nullable(string()),
+      homepage: nullable(string()),
+      defaultBranch: nullable(string()),
+      topics: stringList(),
+      language: nullable(string('Primary language')),
+      size: { type: 'number', description: 'Size in KB' },
+      stars: count(),
+      forks: count(),
+      watchers: count(),
+      openIssues: count(),
+      createdAt: nullable(string()),
+      updatedAt: nullable(string()),
+      pushedAt: nullable(string()),
+      license: nullable(string()),
+      isPrivate: { type: 'boolean' },
+      isFork: { type: 'boolean' },
+      archived: { type: 'boolean' },
+      provider: string('Host kind: github, gitlab, bitbucket or gitea'),
+      host: string('Host name, e.g. "github.com"')
+    }
+  },
+  Readme: {
+    type: 'object',
+    required: ['content', 'html'],
+    properties: {
+      content: string('Markdown source'),
+      html: string('Sanitized HTML'),
+      filename: string(),
+      path: string('Path in the repository'),
+      parsed: {
+        type: 'object',
+        description: 'Structured README: title, tagline, badges, features, installation, usage, media and sections'
+      }
+    }
+  },
+  Languages: {
+    type: 'object',
+    required: ['stats', 'primary'],
+    properties: {
+      raw: { type: 'object', additionalProperties: { type: 'number' }, description: 'Bytes per language' },
+      stats: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['name', 'percentage'],
+          properties: {
+            name: string(),
+            percentage: string('Share of code with one decimal, e.g. "61.5"'),
+            bytes: { type: 'number' }
+          }
+        }
+      },
+      primary: string('Largest language, or "Unknown"')
+    }
+  },
+  Workspace: {
+    type: 'object',
+    required: ['isMonorepo', 'tools', 'packages'],
+    properties: {
+      isMonorepo: { type: 'boolean' },
+      tools: stringList('Workspace tools, e.g. "pnpm workspaces"'),
+      packages: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['path', 'name', 'manifests', 'techStack'],
+          properties: {
+            path: string(),
+            name: nullable(string()),
+            manifests: stringList(),
+            techStack: ref('TechStack')
+          }
+        }
+      }
+    }
+  },
+  Practices: {
+    type: 'object',
+    properties: {
+      tests: { type: 'boolean' },
+      ci: stringList('CI services configured'),
+      licenseFile: nullable(string()),
+      docs: { type: 'boolean' },
+      contributing: { type: 'boolean' },
+      changelog: { type: 'boolean' }
+    }
+  },
+  Contributor: {
+    type: 'object',
+    required: ['login', 'name', 'avatar', 'commits', 'url'],
+    properties: {
+      login: nullable(string()),
+      name: nullable(string()),
+      avatar: nullable(string()),
+      commits: count(),
+      url: nullable(string())
+    }
+  },
+  Release: {
+    type: 'object',
+    required: ['tag', 'name', 'publishedAt', 'url', 'notes', 'prerelease'],
+    properties: {
+      tag: string(),
+      name: string(),
+      publishedAt: nullable(string()),
+      url: nullable(string()),
+      notes: string('Release notes, shortened'),
+      prerelease: { type: 'boolean' }
+    }
+  },
+  Analytics: {
+    type: 'object',
+    description: 'Empty when the host did not report analytics; analyses cached before activity analytics only carry the counts',
+    properties: {
+      commitCount: count(),
+      contributorCount: count(),
+      releaseCount: count(),
+      commitActivity: {
+        type: 'object',
+        required: ['status', 'weeks'],
+        properties: {
+          status: { enum: ['ready', 'computing', 'unavailable'] },
+          weeks: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['week', 'commits'],
+              properties: { week: string('Start of the week'), commits: count() }
+            }
+          }
+        }
+      },
+      topContributors: { type: 'array', items: ref('Contributor') },
+      releases: { type: 'array', items: ref('Release') },
+      lastReleaseAt: nullable(string())
+    }
+  },
+  BreakdownFactor: {
+    type: 'object',
+    required: ['id', 'label', 'points', 'maxPoints', 'reason'],
+    properties: {
+      id: string(),
+      label: string(),
+      points: { type: 'number' },
+      maxPoints: { type: 'number' },
+      reason: string()
+    }
+  },
+  ScoreBreakdown: {
+    type: 'object',
+    required: ['profile', 'label', 'score', 'points', 'maxPoints', 'factors'],
+    properties: {
+      profile: string(),
+      label: string(),
+      score: count(),
+      points: { type: 'number' },
+      maxPoints: { type: 'number' },
+      factors: { type: 'array', items: ref('BreakdownFactor') }
+    }
+  },
+  LevelBreakdown: {
+    type: 'object',
+    required: ['level', 'points', 'factors'],
+    properties: {
+      level: string(),
+      points: { type: 'number' },
+      maxPoints: { type: 'number' },
+      thresholds: { type: 'object', additionalProperties: { type: 'number' } },
+      factors: { type: 'array', items: ref('BreakdownFactor') }
+    }
+  },
+  Analysis: {
+    type: 'object',
+    required: ['category', 'complexity', 'deployability', 'score'],
+    properties: {
+      category: string('Kind of project, e.g. "Full-Stack Application"'),
+      complexity: string('Simple, Moderate or Complex'),
+      deployability: string('Low, Medium or High'),
+      score: count('0-100 project score'),
+      scoreProfile: string('Absent from analyses cached before scores were explained'),
+      breakdown: {
+        type: 'object',
+        required: ['score'],
+        properties: {
+          score: ref('ScoreBreakdown'),
+          complexity: ref('LevelBreakdown'),
+          deployability: ref('LevelBreakdown')
+        }
+      }
+    }
+  },
+  AnalysisData: {
+    type: 'object',
+    required: ['repository', 'readme', 'languages', 'techStack', 'workspace', 'features', 'analysis', 'generatedAt'],
+    properties: {
+      repository: ref('Repository'),
+      readme: nullable(ref('Readme')),
+      languages: ref('Languages'),
+      techStack: ref('TechStack'),
+      workspace: nullable(ref('Workspace')),
+      practices: nullable(ref('Practices')),
+      analytics: ref('Analytics'),
+      features: stringList('Features listed in the README'),
+      analysis: ref('Analysis'),
+      generatedAt: dateTime()
+    }
+  },
+  AnalysisResponse: {
+    type: 'object',
+    required: ['data', 'cached'],
+    properties: {
+      data: ref('AnalysisData'),
+      cached: { type: 'boolean' },
+      stale: { type: 'boolean', description: 'Served from an expired entry while it refreshes' },
+      coalesced: { type: 'boolean', description: 'Joined an analysis already in progress' },
+      cacheAge: { type: 'number', description: 'Milliseconds since the cached analysis' },
+      analysisTime: { type: 'number', description: 'Milliseconds the analysis took' },
+      accessCount: count()
+    }
+  },
+  AnalysisStep: {
+    type: 'object',
+    required: ['step', 'status'],
+    properties: {
+      step: { enum: ['getRepository', 'getReadme', 'getLanguages', 'detectTechStack', 'getAnalytics'] },
+      status: { enum: ['started', 'completed', 'failed'] },
+      empty: { type: 'boolean', description: 'The step completed without data, e.g. no README' },
+      error: string()
+    }
+  },
+  AnalysisStreamEvent: {
+    description: 'One line of the NDJSON analysis stream',
+    oneOf: [
+      { allOf: [{ type: 'object', required: ['event'], properties: { event: { const: 'step' } } }, ref('AnalysisStep')] },
+      { allOf: [{ type: 'object', required: ['event'], properties: { event: { const: 'result' } } }, ref('AnalysisResponse')] },
+      {
+        allOf: [
+          { type: 'object', required: ['event', 'status'], properties: { event: { const: 'error' }, status: { type: 'integer' } } },
+          ref('Error')
+        ]
+      }
+    ]
+  },
+  BatchRequest: {
+    type: 'object',
+    required: ['urls'],
+    properties: {
+      urls: { type: 'array', items: string(), minItems: 1, maxItems: 100 },
+      forceRefresh: { type: 'boolean', default: false },
+      scoreProfile: string()
+    }
+  },
+  BatchAccepted: {
+    type: 'object',
+    required: ['jobId', 'status', 'total', 'statusUrl'],
+    properties: { jobId: string(), status: string(), total: count(), statusUrl: string() }
+  },
+  Job: {
+    type: 'object',
+    required: ['id', 'status', 'createdAt', 'progress', 'items'],
+    properties: {
+      id: string(),
+      status: { enum: ['queued', 'running', 'completed', 'cancelled'] },
+      createdAt: dateTime(),
+      updatedAt: dateTime(),
+      finishedAt: nullable(dateTime()),
+      pausedUntil: nullable(dateTime('Workers wait for the rate limit until then')),
+      progress: {
+        type: 'object',
+        required: ['total'],
+        properties: {
+          total: count(),
+          queued: count(),
+          running: count(),
+          completed: count(),
+          failed: count(),
+          cancelled: count()
+        }
+      },
+      items: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['url', 'status'],
+          properties: {
+            url: string(),
+            status: { enum: ['queued', 'running', 'completed', 'failed', 'cancelled'] },
+            attempts: count(),
+            startedAt: nullable(dateTime()),
+            finishedAt: nullable(dateTime()),
+            result: nullable({
+              type: 'object',
+              properties: {
+                fullName: string(),
+                cached: { type: 'boolean' },
+                analysisTime: { type: 'number' },
+                score: count(),
+                category: string(),
+                data: ref('AnalysisData')
+              }
+            }),
+            error: nullable({ allOf: [ref('Error')], properties: { status: { type: 'integer' } } })
+          }
+        }
+      }
+    }
+  },
+  RepositorySummary: {
+    type: 'object',
+    required: ['repositoryUrl', 'fullName', 'name', 'stars', 'topics', 'analyzedAt', 'accessCount'],
+    properties: {
+      repositoryUrl: string(),
+      fullName: string(),
+      name: string(),
+      description: nullable(string()),
+      language: nullable(string()),
+      stars: count(),
+      topics: stringList(),
+      analyzedAt: dateTime(),
+      accessCount: count()
+    }
+  },
+  RepositoryList: {
+    type: 'object',
+    required: ['repositories', 'pagination'],
+    properties: {
+      query: string('Search query, for searches'),
+      repositories: { type: 'array', items: ref('RepositorySummary') },
+      pagination: ref('Pagination')
+    }
+  },
+  MetricChange: {
+    type: 'object',
+    required: ['from', 'to', 'change', 'percentChange'],
+    properties: {
+      from: { type: 'number' },
+      to: { type: 'number' },
+      change: { type: 'number' },
+      percentChange: nullable({ type: 'number' })
+    }
+  },
+  ListChange: {
+    type: 'object',
+    required: ['added', 'removed'],
+    properties: { added: stringList(), removed: stringList() }
+  },
+  HistorySnapshot: {
+    type: 'object',
+    required: ['id', 'takenAt', 'stars', 'forks', 'watchers', 'openIssues', 'score'],
+    properties: {
+      id: string(),
+      takenAt: dateTime(),
+      stars: count(),
+      forks: count(),
+      watchers: count(),
+      openIssues: count(),
+      score: count(),
+      category: nullable(string()),
+      complexity: nullable(string()),
+      languages: {
+        type: 'array',
+        items: { type: 'object', required: ['name', 'percentage'], properties: { name: string(), percentage: { type: 'number' } } }
+      },
+      techStack: ref('TechStack'),
+      features: stringList(),
+      analytics: {
+        type: 'object',
+        properties: { commitCount: count(), contributorCount: count(), releaseCount: count() }
+      }
+    }
+  },
+  HistoryDiff: {
+    type: 'object',
+    required: ['from', 'to', 'stars', 'forks', 'watchers', 'openIssues', 'score', 'languages', 'techStack', 'features', 'category'],
+    properties: {
+      from: { type: 'object', required: ['id', 'takenAt'], properties: { id: string(), takenAt: dateTime() } },
+      to: { type: 'object', required: ['id', 'takenAt'], properties: { id: string(), takenAt: dateTime() } },
+      stars: ref('MetricChange'),
+      forks: ref('MetricChange'),
+      watchers: ref('MetricChange'),
+      openIssues: ref('MetricChange'),
+      score: ref('MetricChange'),
+      languages: {
+        type: 'object',
+        required: ['added', 'removed', 'changed'],
+        properties: {
+          added: stringList(),
+          removed: stringList(),
+          changed: {
+            type: 'array',
+            description: 'Languages whose share moved by at least a point',
+            items: {
+              type: 'object',
+              required: ['name', 'from', 'to', 'change'],
+              properties: { name: string(), from: { type: 'number' }, to: { type: 'number' }, change: { type: 'number' } }
+            }
+          }
+        }
+      },
+      techStack: {
+        type: 'object',
+        required: ['added', 'removed'],
+        properties: {
+          added: { type: 'array', items: { type: 'object', properties: { category: string(), technology: string() } } },
+          removed: { type: 'array', items: { type: 'object', properties: { category: string(), technology: string() } } }
+        }
+      },
+      features: ref('ListChange'),
+      category: nullable({ type: 'object', properties: { from: nullable(string()), to: nullable(string()) } })
+    }
+  },
+  History: {
+    type: 'object',
+    required: ['repositoryUrl', 'total', 'snapshots'],
+    properties: {
+      repositoryUrl: string(),
+      total: count(),
+      snapshots: { type: 'array', items: ref('HistorySnapshot') }
+    }
+  },
+  CacheStatus: {
+    type: 'object',
+    required: ['cached', 'lastAnalyzed'],
+    properties: {
+      cached: { type: 'boolean' },
+      lastAnalyzed: nullable(dateTime()),
+      expiresAt: dateTime(),
+      accessCount: count(),
+      isExpired: { type: 'boolean' }
+    }
+  },
+  ScoreProfile: {
+    type: 'object',
+    required: ['name', 'label', 'description', 'weights'],
+    properties: {
+      name: string(),
+      label: string(),
+      description: string(),
+      weights: { type: 'object', additionalProperties: { type: 'number' }, description: 'Points per factor' }
+    }
+  },
+  CacheStats: {
+    type: 'object',
+    required: ['cache', 'topAccessed'],
+    properties: {
+      cache: {
+        type: 'object',
+        required: ['store', 'totalEntries', 'validEntries', 'hitRate'],
+        properties: {
+          store: string(),
+          totalEntries: count(),
+          validEntries: count(),
+          expiredEntries: count(),
+          staleEntries: count(),
+          totalAccesses: count(),
+          avgAccessCount: { type: 'number' },
+          oldestEntry: nullable(dateTime()),
+          newestEntry: nullable(dateTime()),
+          totalBytes: count(),
+          evictions: count(),
+          hitRate: { type: 'number', description: 'Accesses per entry, as a percentage' },
+          limits: { type: 'object', additionalProperties: { type: 'number' } }
+        }
+      },
+      topAccessed: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            fullName: string(),
+            accessCount: count(),
+            stars: count(),
+            language: nullable(string()),
+            lastAccessed: dateTime()
+          }
+        }
+      }
+    }
+  },
+  CacheCleared: {
+    type: 'object',
+    required: ['message', 'deletedEntries'],
+    properties: { message: string(), deletedEntries: count(), cleanupTime: dateTime(), clearTime: dateTime() }
+  },
+  Theme: {
+    type: 'object',
+    required: ['name', 'label', 'description', 'sections', 'requires', 'isDefault'],
+    properties: {
+      name: string(),
+      label: string(),
+      description: string(),
+      sections: stringList('Sections rendered, in order'),
+      requires: stringList('Analysis fields (dot paths) the theme needs'),
+      isDefault: { type: 'boolean' }
+    }
+  },
+  SiteRequest: {
+    type: 'object',
+    required: ['url'],
+    properties: {
+      url: string('Repository URL'),
+      theme: string(),
+      includeGrowth: { type: 'boolean', default: false },
+      siteUrl: string('Where the site will be published')
+    }
+  },
+  HostedSiteRequest: {
+    type: 'object',
+    required: ['url'],
+    properties: {
+      url: string('Repository URL'),
+      theme: string(),
+      includeGrowth: { type: 'boolean', default: false },
+      slug: nullable(string('Custom address at /p/{slug}/')),
+      overrides: ref('HostedSiteOverrides')
+    }
+  },
+  HostedSiteOverrides: {
+    type: 'object',
+    description: 'Repository details shown instead of the analyzed ones',
+    properties: {
+      name: string(),
+      description: string(),
+      homepage: string()
+    }
+  },
+  HostedSite: {
+    type: 'object',
+    required: ['repositoryUrl', 'fullName', 'theme', 'includeGrowth', 'slug', 'overrides', 'url', 'urls', 'createdAt', 'updatedAt'],
+    properties: {
+      repositoryUrl: string('Normalized repository URL'),
+      fullName: string(),
+      theme: string(),
+      includeGrowth: { type: 'boolean' },
+      slug: nullable(string()),
+      overrides: ref('HostedSiteOverrides'),
+      url: string('Address to share: the slug page when there is one'),
+      urls: stringList('Every address the site is served at'),
+      createdAt: dateTime('When the site was first published'),
+      updatedAt: dateTime('When its settings last changed')
+    }
+  },
+  Portfolio: {
+    type: 'object',
+    required: ['profile', 'totals', 'languages', 'techStack', 'projects', 'failed', 'options', 'generatedAt'],
+    properties: {
+      profile: {
+        type: 'object',
+        required: ['login'],
+        properties: {
+          login: string(),
+          name: nullable(string()),
+          type: string(),
+          bio: nullable(string()),
+          avatar: string(),
+          url: string(),
+          blog: nullable(string()),
+          company: nullable(string()),
+          location: nullable(string()),
+          followers: count(),
+          publicRepos: count()
+        }
+      },
+      totals: {
+        type: 'object',
+        properties: { repositories: count(), analyzed: count(), stars: count(), forks: count() }
+      },
+      languages: ref('Languages'),
+      techStack: ref('TechStack'),
+      projects: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['name', 'fullName', 'url', 'score', 'category'],
+          properties: {
+            name: string(),
+            fullName: string(),
+            description: nullable(string()),
+            url: string(),
+            homepage: nullable(string()),
+            language: nullable(string()),
+            topics: stringList(),
+            stars: count(),
+            forks: count(),
+            updatedAt: nullable(string()),
+            score: count(),
+            category: string(),
+            complexity: string(),
+            techStack: ref('TechStack')
+          }
+        }
+      },
+      failed: {
+        type: 'array',
+        items: { type: 'object', properties: { fullName: string(), error: string() } }
+      },
+      options: {
+        type: 'object',
+        properties: { includeForks: { type: 'boolean' }, includeArchived: { type: 'boolean' }, limit: count() }
+      },
+      generatedAt: dateTime()
+    }
+  },
+  RateLimitStatus: {
+    type: 'object',
+    required: ['authenticated', 'resources', 'tokens'],
+    properties: {
+      authenticated: { type: 'boolean' },
+      resources: {
+        type: 'object',
+        description: 'GitHub rate limits by resource, e.g. core and search',
+        additionalProperties: {
+          type: 'object',
+          required: ['limit', 'remaining', 'reset'],
+          properties: {
+            limit: count(),
+            remaining: count(),
+            used: count(),
+            reset: dateTime(),
+            observedAt: dateTime()
+          }
+        }
+      },
+      tokens: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            token: string('Position in the configured list ("token #1"), or "anonymous"'),
+            remaining: nullable(count()),
+            reset: nullable(dateTime()),
+            exhausted: { type: 'boolean' }
+          }
+        }
+      },
+      conditionalRequests: { type: 'object', description: 'ETag cache hits and misses' }
+    }
+  },
+  AuthSession: {
+    type: 'object',
+    required: ['enabled', 'authenticated', 'user'],
+    properties: {
+      enabled: { type: 'boolean', description: 'Whether GitHub sign-in is configured' },
+      authenticated: { type: 'boolean' },
+      user: nullable({
+        type: 'object',
+        required: ['login'],
+        properties: {
+          login: string(),
+          name: nullable(string()),
+          avatar: string(),
+          provider: string(),
+          scopes: stringList()
+        }
+      })
+    }
+  },
+  AnalysisExport: exportDocumentSchema
+};
+
+const paths = {
+  '/repository/analyze': {
+    post: {
+      tags: ['Repository'],
+      summary: 'Analyze a repository, or return its cached analysis',
+      requestBody: body({
+        type: 'object',
+        required: ['url'],
+        properties: {
+          url: string('GitHub, GitLab, Bitbucket or Gitea repository URL'),
+          forceRefresh: { type: 'boolean', default: false },
+          scoreProfile: string('Score profile; defaults to SCORE_PROFILE')
+        }
+      }),
+      responses: {
+        200: json('The analysis', ref('AnalysisResponse')),
+        400: validationError,
+        403: errorResponse('The repository is not accessible'),
+        404: errorResponse('The repository does not exist or is not visible'),
+        500: errorResponse('The analysis failed'),
+        503: rateLimited
+      }
+    }
+  },
+  '/repository/analyze/stream': {
+    post: {
+      tags: ['Repository'],
+      summary: 'Analyze a repository, streaming progress as NDJSON',
+      requestBody: { $ref: '#/paths/~1repository~1analyze/post/requestBody' },
+      responses: {
+        200: {
+          description: 'One AnalysisStreamEvent per line: step events, then a result or an error',
+          content: { 'application/x-ndjson': { schema: ref('AnalysisStreamEvent') } }
+        },
+        400: validationError
+      }
+    }
+  },
+  '/repository/analyze/batch': {
+    post: {
+      tags: ['Repository'],
+      summary: 'Queue up to 100 repositories for analysis',
+      requestBody: body(ref('BatchRequest')),
+      responses: {
+        202: json('The job was queued; poll its statusUrl', ref('BatchAccepted')),
+        400: validationError
+      }
+    }
+  },
+  '/repository/history/{owner}/{repo}': {
+    get: {
+      tags: ['History'],
+      summary: 'Recorded analysis snapshots of a public repository',
+      parameters: ownerRepoParameters,
+      responses: {
+        200: json('Snapshots, oldest first', ref('History')),
+        400: validationError,
+        404: errorResponse('No snapshots recorded')
+      }
+    }
+  },
+  '/repository/history/{owner}/{repo}/diff': {
+    get: {
+      tags: ['History'],
+      summary: 'Changes between two snapshots',
+      parameters: [
+        ...ownerRepoParameters,
+        queryParameter('from', { type: 'string' }, 'Snapshot id or date; defaults to the oldest'),
+        queryParameter('to', { type: 'string' }, 'Snapshot id or date; defaults to the latest')
+      ],
+      responses: {
+        200: json('The changes', ref('HistoryDiff')),
+        400: validationError,
+        404: errorResponse('No snapshots recorded, or none matches')
+      }
+    }
+  },
+  '/repository/export/schema': {
+    get: {
+      tags: ['Export'],
+      summary: 'JSON Schema of the json export format',
+      responses: {
+        200: { description: 'The JSON Schema', content: { 'application/schema+json': { schema: { type: 'object' } } } }
+      }
+    }
+  },
+  '/repository/export/{owner}/{repo}': {
+    get: {
+      tags: ['Export'],
+      summary: 'Export a cached analysis',
+      parameters: [
+        ...ownerRepoParameters,
+        queryParameter('format', { enum: EXPORT_FORMATS, default: 'json' }),
+        queryParameter('scoreProfile', { type: 'string' })
+      ],
+      responses: {
+        200: {
+          description: 'The analysis in the requested format',
+          content: {
+            'application/json': { schema: { anyOf: [ref('AnalysisExport'), { type: 'object', description: 'JSON Resume project' }] } },
+            'text/markdown': { schema: { type: 'string' } },
+            'text/html': { schema: { type: 'string' } }
+          }
+        },
+        400: validationError,
+        404: errorResponse('The repository has not been analyzed')
+      }
+    }
+  },
+  '/repository/status/{owner}/{repo}': {
+    get: {
+      tags: ['Repository'],
+      summary: 'Cache status of a GitHub repository',
+      parameters: ownerRepoParameters.slice(0, 2),
+      responses: { 200: json('Cache status', ref('CacheStatus')) }
+    }
+  },
+  '/repository/score-profiles': {
+    get: {
+      tags: ['Repository'],
+      summary: 'Available score profiles',
+      responses: {
+        200: json('Score profiles', {
+          type: 'object',
+          required: ['profiles', 'defaultProfile'],
+          properties: { profiles: { type: 'array', items: ref('ScoreProfile') }, defaultProfile: string() }
+        })
+      }
+    }
+  },
+  '/repository/recent': {
+    get: {
+      tags: ['Repository'],
+      summary: 'Recently analyzed public repositories',
+      parameters: paginationParameters,
+      responses: { 200: json('Repositories, newest first', ref('RepositoryList')) }
+    }
+  },
+  '/repository/cache/{owner}/{repo}': {
+    delete: {
+      tags: ['Cache'],
+      summary: 'Remove the cached analysis of a GitHub repository',
+      parameters: ownerRepoParameters.slice(0, 2),
+      responses: {
+        200: json('The entry was removed', {
+          type: 'object',
+          required: ['message', 'clearedEntry'],
+          properties: {
+            message: string(),
+            clearedEntry: { type: 'object', properties: { fullName: string(), lastAnalyzed: dateTime() } }
+          }
+        }),
+        404: errorResponse('No cached analysis')
+      }
+    }
+  },
+  '/cache/stats': {
+    get: {
+      tags: ['Cache'],
+      summary: 'Cache statistics and the most accessed repositories',
+      responses: { 200: json('Statistics', ref('CacheStats')) }
+    }
+  },
+  '/cache/search': {
+    get: {
+      tags: ['Cache'],
+      summary: 'Search cached repositories by name, description, language or topic',
+      parameters: [queryParameter('q', { type: 'string' }, 'Search text'), ...paginationParameters],
+      responses: {
+        200: json('Matching repositories, most accessed first', ref('RepositoryList')),
+        400: validationError
+      }
+    }
+  },
+  '/cache/cleanup': {
+    delete: {
+      tags: ['Cache'],
+      summary: 'Remove expired entries',
+      responses: { 200: json('Entries removed', ref('CacheCleared')) }
+    }
+  },
+  '/cache/clear': {
+    delete: {
+      tags: ['Cache'],
+      summary: 'Remove every entry',
+      responses: { 200: json('Entries removed', ref('CacheCleared')) }
+    }
+  },
+  '/jobs/{id}': {
+    get: {
+      tags: ['Jobs'],
+      summary: 'Status of a batch job',
+      parameters: [
+        pathParameter('id', 'Job id'),
+        queryParameter('includeData', { type: 'boolean', default: false }, 'Include each full analysis')
+      ],
+      responses: {
+        200: json('The job', ref('Job')),
+        404: errorResponse('No such job, or it expired')
+      }
+    },
+    delete: {
+      tags: ['Jobs'],
+      summary: 'Cancel the queued items of a batch job',
+      parameters: [pathParameter('id', 'Job id')],
+      responses: {
+        200: json('The cancelled job', ref('Job')),
+        404: errorResponse('No such job, or it expired')
+      }
+    }
+  },
+  '/site/themes': {
+    get: {
+      tags: ['Site'],
+      summary: 'Installed site themes',
+      responses: {
+        200: json('Themes', {
+          type: 'object',
+          required: ['themes', 'defaultTheme'],
+          properties: { themes: { type: 'array', items: ref('Theme') }, defaultTheme: string() }
+        })
+      }
+    }
+  },
+  '/site/generate': {
+    post: {
+      tags: ['Site'],
+      summary: 'Download the static site of an analyzed repository',
+      requestBody: body(ref('SiteRequest')),
+      responses: {
+        200: { description: 'Zip bundle of the site', content: { 'application/zip': { schema: { type: 'string', format: 'binary' } } } },
+        400: validationError,
+        404: errorResponse('The repository has not been analyzed'),
+        422: errorResponse('The theme needs analysis data the repository lacks')
+      }
+    }
+  },
+  '/site/preview': {
+    post: {
+      tags: ['Site'],
+      summary: 'Render the site as one HTML page',
+      requestBody: body(ref('SiteRequest')),
+      responses: {
+        200: { description: 'The page', content: { 'text/html': { schema: { type: 'string' } } } },
+        400: validationError,
+        404: errorResponse('The repository has not been analyzed'),
+        422: errorResponse('The theme needs analysis data the repository lacks')
+      }
+    }
+  },
+  '/site/hosted': {
+    get: {
+      tags: ['Site'],
+      summary: 'Settings and addresses of a hosted site',
+      parameters: hostedSiteParameters,
+      responses: {
+        200: json('The site', ref('HostedSite')),
+        400: validationError,
+        404: errorResponse('The repository has no hosted site')
+      }
+    },
+    put: {
+      tags: ['Site'],
+      summary: 'Host the site of an analyzed public github.com repository at /sites/{owner}/{repo}/ and /p/{slug}/',
+      description: 'Pages are rendered from the latest analysis, so they follow the repository. Needs GitHub sign-in: only signed-in people who can push to the repository can publish it.',
+      requestBody: body(ref('HostedSiteRequest')),
+      responses: {
+        200: json('The site settings were updated', ref('HostedSite')),
+        201: json('The site was published', ref('HostedSite')),
+        400: errorResponse('Invalid request, or the repository is not on github.com'),
+        401: errorResponse('Sign-in is required to publish'),
+        403: errorResponse('The repository is private, or the viewer cannot push to it'),
+        404: errorResponse('The repository has not been analyzed, or the viewer cannot see it'),
+        409: errorResponse('The slug belongs to another site'),
+        422: errorResponse('The theme needs analysis data the repository lacks'),
+        501: errorResponse('GitHub sign-in, which hosting needs, is not configured'),
+        503: rateLimited
+      }
+    },
+    delete: {
+      tags: ['Site'],
+      summary: 'Stop hosting the site of a repository',
+      parameters: hostedSiteParameters,
+      responses: {
+        200: json('The site was unpublished', {
+          type: 'object',
+          required: ['message', 'site'],
+          properties: { message: string(), site: ref('HostedSite') }
+        }),
+        400: validationError,
+        401: errorResponse('Sign-in is required to unpublish'),
+        403: errorResponse('The viewer cannot push to the repository'),
+        404: errorResponse('The repository has no hosted site'),
+        501: errorResponse('GitHub sign-in, which hosting needs, is not configured'),
+        503: rateLimited
+      }
+    }
+  },
+  '/user/{login}/portfolio': {
+    get: {
+      tags: ['Portfolio'],
+      summary: 'Analyze the top repositories of a GitHub user or organization',
+      parameters: portfolioParameters,
+      responses: {
+        200: json('The portfolio', ref('Portfolio')),
+        400: validationError,
+        404: errorResponse('No such user'),
+        503: rateLimited
+      }
+    }
+  },
+  '/user/{login}/site': {
+    get: {
+      tags: ['Portfolio'],
+      summary: 'Render the portfolio as one HTML page',
+      parameters: portfolioParameters,
+      responses: {
+        200: { description: 'The page', content: { 'text/html': { schema: { type: 'string' } } } },
+        400: validationError,
+        404: errorResponse('No such user'),
+        503: rateLimited
+      }
+    }
+  },
+  '/badge/{owner}/{repo}.svg': {
+    get: {
+      tags: ['Embeds'],
+      summary: 'Shields-style badge of a public analysis',
+      parameters: [
+        ...ownerRepoParameters,
+        queryParameter('metric', { enum: BADGE_METRICS, default: 'score' }),
+        queryParameter('theme', { enum: BADGE_THEMES, default: 'light' }),
+        queryParameter('locale', { enum: BADGE_LOCALES, default: 'en' })
+      ],
+      responses: {
+        200: { description: 'The badge, or a placeholder', content: { 'image/svg+xml': { schema: { type: 'string' } } } },
+        400: validationError
+      }
+    }
+  },
+  '/card/{owner}/{repo}.svg': {
+    get: {
+      tags: ['Embeds'],
+      summary: 'Summary card of a public analysis',
+      parameters: [
+        ...ownerRepoParameters,
+        queryParameter('theme', { enum: BADGE_THEMES, default: 'light' }),
+        queryParameter('locale', { enum: BADGE_LOCALES, default: 'en' })
+      ],
+      responses: {
+        200: { description: 'The card, or a placeholder', content: { 'image/svg+xml': { schema: { type: 'string' } } } },
+        400: validationError
+      }
+    }
+  },
+  '/github/rate-limit': {
+    get: {
+      tags: ['GitHub'],
+      summary: 'GitHub rate limits of the configured tokens',
+      parameters: [queryParameter('refresh', { type: 'boolean', default: false }, 'Ask GitHub instead of using observed limits')],
+      responses: { 200: json('Rate limits', ref('RateLimitStatus')) }
+    }
+  },
+  '/auth/session': {
+    get: {
+      tags: ['Auth'],
+      summary: 'The signed-in viewer, if any',
+      responses: { 200: json('The session', ref('AuthSession')) }
+    }
+  },
+  '/auth/github/login': {
+    get: {
+      tags: ['Auth'],
+      summary: 'Start GitHub sign-in',
+      responses: {
+        302: { description: 'Redirect to GitHub' },
+        501: errorResponse('Sign-in is not configured')
+      }
+    }
+  },
+  '/auth/github/callback': {
+    get: {
+      tags: ['Auth'],
+      summary: 'GitHub OAuth callback',
+      responses: { 302: { description: 'Redirect to the frontend' } }
+    }
+  },
+  '/auth/logout': {
+    post: {
+      tags: ['Auth'],
+      summary: 'Sign out',
+      responses: {
+        200: json('Signed out', {
+          type: 'object',
+          required: ['authenticated'],
+          properties: { authenticated: { const: false } }
+        })
+      }
+    }
+  },
+  '/openapi.json': {
+    get: {
+      tags: ['Meta'],
+      summary: 'This document',
+      responses: { 200: json('OpenAPI document', { type: 'object' }) }
+    }
+  }
+};
+
+export const openApiDocument = {
+  openapi: '3.1.0',
+  info: {
+    title: 'RepoSite API',
+    version: API_VERSION,
+    description: 'Repository analysis, static site generation and embeds. The same endpoints are served without the /v1 prefix for older clients; those responses carry a Deprecation header.'
+  },
+  servers: [{ url: '/api/v1' }],
+  tags: ['Repository', 'History', 'Export', 'Cache', 'Jobs', 'Site', 'Portfolio', 'Embeds', 'GitHub', 'Auth', 'Meta']
+    .map(name => ({ name })),
+  paths,
+  components: { schemas }
+};
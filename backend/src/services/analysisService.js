@@ -0,0 +1,220 @@
+import providerRegistry from './providers/index.js';
+import cacheService, { CacheService } from './cacheService.js';
+import historyService from './historyService.js';
+import projectScorer from './projectScorer.js';
+import { MemoryStore } from './cacheStores/index.js';
+import { RateLimitError } from '../errors.js';
+import { getViewer } from '../utils/requestContext.js';
+
+// HTTPS repository URLs and SSH clone URLs (git@host:owner/repo)
+export const REPOSITORY_URL_PATTERN = /^\s*(https?:\/\/|git@)\S+\s*$/;
+
+// Normalize repository URL so equivalent URLs share one cache entry,
+// including an SSH clone URL and its HTTPS form
+export function normalizeRepositoryUrl(url) {
+  return url.trim().toLowerCase()
+    .replace(/^git@([^:/]+):/, 'https://$1/')
+    .replace(/\.git$/, '')
+    .replace(/\/$/, '');
+}
+
+class AnalysisService {
+  constructor() {
+    // Private repositories are cached per viewer, in memory only, and never
+    // in the shared cache behind /api/repository/recent and /api/cache/search
+    this.privateCache = new CacheService({ store: new MemoryStore() });
+
+    // Analyses in progress, so concurrent requests for one repository share a run
+    this.inFlight = new Map();
+  }
+
+  privateKey(viewer, normalizedUrl) {
+    return `${viewer.id}:${normalizedUrl}`;
+  }
+
+  // Cached analysis visible to the current viewer: shared entries, then their
+  // own private ones. Returns the entry with the cache and key it lives under.
+  findCached(url) {
+    const normalizedUrl = normalizeRepositoryUrl(url);
+    const shared = cacheService.findValidCache(normalizedUrl);
+    if (shared) return { entry: shared, cache: cacheService, key: normalizedUrl };
+
+    const viewer = getViewer();
+    if (!viewer) return null;
+
+    const key = this.privateKey(viewer, normalizedUrl);
+    const entry = this.privateCache.findValidCache(key);
+    return entry ? { entry, cache: this.privateCache, key } : null;
+  }
+
+  // Drop a viewer's private analyses, e.g. when they sign out
+  forgetViewer(viewerId) {
+    Array.from(this.privateCache.cache.keys())
+      .filter(key => key.startsWith(`${viewerId}:`))
+      .forEach(key => this.privateCache.delete(key));
+  }
+
+  // Return a cached analysis when available, otherwise analyze and cache
+  async analyze(url, { forceRefresh = false, onProgress, scoreProfile } = {}) {
+    const normalizedUrl = normalizeRepositoryUrl(url);
+
+    // Check cache first (unless force refresh)
+    if (!forceRefresh) {
+      const cached = this.findCached(normalizedUrl);
+      if (cached) {
+        const { entry: cachedData, cache, key } = cached;
+        cache.recordAccess(key);
+
+        if (cachedData.stale) {
+          // Serve the expired analysis now; the next request gets the refreshed one
+          console.log(`♻️  Serving stale analysis for ${normalizedUrl} while it refreshes`);
+          this.runShared(normalizedUrl).catch(error => {
+            console.warn(`Background refresh failed for ${normalizedUrl}:`, error.message);
+          });
+        } else {
+          console.log(`⚡ Cache hit for: ${normalizedUrl}`);
+        }
+
+        return this.withScoreProfile({
+          data: cachedData.data,
+          cached: true,
+          stale: Boolean(cachedData.stale),
+          cacheAge: Date.now() - cachedData.createdAt.getTime(),
+          accessCount: cachedData.accessCount
+        }, scoreProfile);
+      }
+    }
+
+    return this.withScoreProfile(await this.runShared(normalizedUrl, onProgress), scoreProfile);
+  }
+
+  // Analyses are stored scored under the default profile; others are derived per request
+  withScoreProfile(result, scoreProfile = projectScorer.defaultProfile) {
+    return { ...result, data: projectScorer.rescore(result.data, scoreProfile) };
+  }
+
+  // Join the in-flight analysis of this repository, or start one. Signed-in
+  // viewers only share runs with themselves, since theirs may be private.
+  // Joiners get the progress events sent so far replayed, then live ones.
+  runShared(normalizedUrl, onProgress) {
+    const viewer = getViewer();
+    const key = viewer ? this.privateKey(viewer, normalizedUrl) : normalizedUrl;
+
+    let flight = this.inFlight.get(key);
+    const joined = Boolean(flight);
+    if (!flight) {
+      const events = [];
+      const listeners = new Set();
+      const broadcast = (event) => {
+        events.push(event);
+        listeners.forEach(listener => listener(event));
+      };
+
+      flight = { events, listeners };
+      flight.promise = this.runAnalysis(normalizedUrl, broadcast)
+        .finally(() => this.inFlight.delete(key));
+      this.inFlight.set(key, flight);
+    } else {
+      console.log(`🔗 Joining in-flight analysis of: ${normalizedUrl}`);
+    }
+
+    if (onProgress) {
+      flight.events.forEach(onProgress);
+      flight.listeners.add(onProgress);
+    }
+
+    return flight.promise
+      .then(result => (joined ? { ...result, coalesced: true } : result))
+      .finally(() => flight.listeners.delete(onProgress));
+  }
+
+  // Analyze a repository and cache the result where the viewer's privacy allows
+  async runAnalysis(normalizedUrl, onProgress) {
+    console.log(`🔍 Analyzing repository: ${normalizedUrl}`);
+    const startTime = Date.now();
+    const provider = providerRegistry.forUrl(normalizedUrl);
+    const analysisData = await provider.analyzeRepository(normalizedUrl, { onProgress });
+
+    // Cache the results
+    const viewer = getViewer();
+    if (!analysisData.repository.isPrivate) {
+      cacheService.upsertCache(normalizedUrl, analysisData);
+      historyService.record(normalizedUrl, analysisData);
+      console.log(`💾 Cached analysis for: ${normalizedUrl}`);
+    } else if (viewer) {
+      this.privateCache.upsertCache(this.privateKey(viewer, normalizedUrl), analysisData);
+      console.log(`🔒 Cached private analysis for ${viewer.login}: ${normalizedUrl}`);
+    }
+
+    return {
+      data: analysisData,
+      cached: false,
+      analysisTime: Date.now() - startTime
+    };
+  }
+
+  // Map an analysis error to an HTTP status, response body and optional headers
+  describeError(error) {
+    if (error instanceof RateLimitError) {
+      return {
+        status: 503,
+        headers: error.retryAfter ? { 'Retry-After': String(error.retryAfter) } : {},
+        body: {
+          error: 'Rate limit exceeded',
+          message: `${error.message}. Please try again after the reset time`,
+          resetTime: error.resetAt
+        }
+      };
+    }
+
+    if (error.message.includes('not found')) {
+      return {
+        status: 404,
+        body: {
+          error: 'Repository not found',
+          // Hosts answer 404 for private repositories the caller can't see
+          message: getViewer()
+            ? 'The specified repository does not exist or your account cannot access it'
+            : 'The specified repository does not exist or is not public'
+        }
+      };
+    }
+
+    if (error.message.includes('access forbidden')) {
+      return {
+        status: 403,
+        body: {
+          error: 'Access forbidden',
+          message: getViewer()
+            ? 'Unable to access this repository. Your account may not have access to it'
+            : 'Unable to access this repository. It may be private or restricted; sign in with GitHub to analyze private repositories'
+        }
+      };
+    }
+
+    if (error.message.includes('Invalid repository URL')) {
+      return {
+        status: 400,
+        body: {
+          error: 'Invalid URL',
+          message: 'Please provide a valid GitHub, GitLab, Bitbucket or Gitea repository URL'
+        }
+      };
+    }
+
+    return {
+      status: 500,
+      body: {
+        error: 'Analysis failed',
+        message: process.env.NODE_ENV === 'production'
+          ? 'Unable to analyze repository at this time'
+          : error.message
+      }
+    };
+  }
+}
+
+// Create singleton instance
+const analysisService = new AnalysisService();
+
+export default analysisService;
@@ -0,0 +1,303 @@
+import { escapeHtml } from '../utils/html.js';
+
+const FONT_FAMILY = 'Verdana,Geneva,DejaVu Sans,sans-serif';
+
+// Colors of common languages in language bars, as on GitHub
+const LANGUAGE_COLORS = {
+  JavaScript: '#f1e05a',
+  TypeScript: '#3178c6',
+  Python: '#3572a5',
+  Java: '#b07219',
+  Go: '#00add8',
+  Rust: '#dea584',
+  Ruby: '#701516',
+  PHP: '#4f5d95',
+  'C#': '#178600',
+  'C++': '#f34b7d',
+  C: '#555555',
+  Swift: '#f05138',
+  Kotlin: '#a97bff',
+  Dart: '#00b4ab',
+  HTML: '#e34c26',
+  CSS: '#563d7c',
+  SCSS: '#c6538c',
+  Vue: '#41b883',
+  Svelte: '#ff3e00',
+  Shell: '#89e051',
+  Dockerfile: '#384d54'
+};
+const FALLBACK_COLORS = ['#8b5cf6', '#ec4899', '#14b8a6', '#f97316', '#64748b'];
+
+const THEMES = {
+  light: {
+    background: '#ffffff',
+    border: '#e4e2e2',
+    title: '#2f80ed',
+    text: '#434d58',
+    muted: '#6a737d',
+    track: '#e1e4e8',
+    badgeLabel: '#555555'
+  },
+  dark: {
+    background: '#0d1117',
+    border: '#30363d',
+    title: '#58a6ff',
+    text: '#c9d1d9',
+    muted: '#8b949e',
+    track: '#21262d',
+    badgeLabel: '#30363d'
+  }
+};
+
+const LABELS = {
+  en: {
+    score: 'RepoSite score',
+    category: 'RepoSite',
+    complexity: 'complexity',
+    notAnalyzed: 'not analyzed',
+    notAnalyzedCard: 'Not analyzed on RepoSite yet',
+    noDescription: 'No description provided',
+    stars: 'stars',
+    forks: 'forks',
+    scoreShort: 'score'
+  },
+  ja: {
+    score: 'RepoSiteスコア',
+    category: 'RepoSite',
+    complexity: '複雑度',
+    notAnalyzed: '未分析',
+    notAnalyzedCard: 'RepoSiteでまだ分析されていません',
+    noDescription: '説明はありません',
+    stars: 'スター',
+    forks: 'フォーク',
+    scoreShort: 'スコア'
+  }
+};
+
+export const BADGE_METRICS = ['score', 'category', 'complexity'];
+export const BADGE_THEMES = Object.keys(THEMES);
+export const BADGE_LOCALES = Object.keys(LABELS);
+
+// Approximate rendered width of text, since SVG can't size boxes to their text
+function textWidth(text, fontSize) {
+  return Array.from(text).reduce((width, char) => {
+    if (char.codePointAt(0) > 0x2e80) return width + fontSize;
+    if (/[iljtfI.,:;|!' ]/.test(char)) return width + fontSize * 0.35;
+    if (/[mwMW]/.test(char)) return width + fontSize * 0.9;
+    return width + fontSize * 0.62;
+  }, 0);
+}
+
+// Cut text to a width, ending with an ellipsis when shortened
+function truncate(text, maxWidth, fontSize) {
+  if (textWidth(text, fontSize) <= maxWidth) return text;
+  const chars = Array.from(text);
+  while (chars.length > 0 && textWidth(`${chars.join('')}…`, fontSize) > maxWidth) chars.pop();
+  return `${chars.join('').trimEnd()}…`;
+}
+
+// Greedy word wrap into at most `maxLines` lines, with an ellipsis when cut short
+function wrap(text, maxWidth, fontSize, maxLines) {
+  const words = text.split(/\s+/).filter(Boolean);
+  const lines = [];
+  let line = '';
+  let overflowed = false;
+
+  for (const word of words) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (!line || textWidth(candidate, fontSize) <= maxWidth) {
+      line = candidate;
+      continue;
+    }
+    lines.push(line);
+    if (lines.length === maxLines) {
+      overflowed = true;
+      break;
+    }
+    line = word;
+  }
+  if (!overflowed && line) lines.push(line);
+
+  return lines.map((current, index) => (overflowed && index === lines.length - 1
+    ? truncate(`${current}…`, maxWidth, fontSize)
+    : truncate(current, maxWidth, fontSize)));
+}
+
+function scoreColor(score) {
+  if (score >= 80) return '#4c1';
+  if (score >= 60) return '#97ca00';
+  if (score >= 40) return '#dfb317';
+  if (score >= 20) return '#fe7d37';
+  return '#e05d44';
+}
+
+// Shields-style badges, summary cards and social previews of analyzed repositories, as SVG.
+// Everything rendered is escaped; the analyses come from the public cache.
+class BadgeRenderer {
+  // Two-part flat badge
+  renderBadge({ label, value, color, theme = 'light' }) {
+    const colors = THEMES[theme];
+    const labelWidth = Math.round(textWidth(label, 11) + 12);
+    const valueWidth = Math.round(textWidth(value, 11) + 12);
+    const width = labelWidth + valueWidth;
+    const title = escapeHtml(`${label}: ${value}`);
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="20" role="img" aria-label="${title}">
+  <title>${title}</title>
+  <linearGradient id="s" x2="0" y2="100%">
+    <stop offset="0" stop-color="#bbb" stop-opacity=".1"/>
+    <stop offset="1" stop-opacity=".1"/>
+  </linearGradient>
+  <clipPath id="r"><rect width="${width}" height="20" rx="3" fill="#fff"/></clipPath>
+  <g clip-path="url(#r)">
+    <rect width="${labelWidth}" height="20" fill="${colors.badgeLabel}"/>
+    <rect x="${labelWidth}" width="${valueWidth}" height="20" fill="${color}"/>
+    <rect width="${width}" height="20" fill="url(#s)"/>
+  </g>
+  <g fill="#fff" text-anchor="middle" font-family="${FONT_FAMILY}" font-size="11">
+    <text x="${labelWidth / 2}" y="14">${escapeHtml(label)}</text>
+    <text x="${labelWidth + valueWidth / 2}" y="14">${escapeHtml(value)}</text>
+  </g>
+</svg>
+`;
+  }
+
+  // Badge for one metric of an analysis, or a placeholder without one
+  metricBadge(data, { metric = 'score', theme = 'light', locale = 'en' } = {}) {
+    const labels = LABELS[locale];
+    if (!data) {
+      return this.renderBadge({ label: labels[metric], value: labels.notAnalyzed, color: '#9f9f9f', theme });
+    }
+
+    const { analysis } = data;
+    const value = metric === 'score' ? String(analysis.score) : analysis[metric];
+    const color = metric === 'score' ? scoreColor(analysis.score) : '#007ec6';
+    return this.renderBadge({ label: labels[metric], value, color, theme });
+  }
+
+  // Card with the name, description, language bar, stars and forks.
+  // `fullName` names the placeholder card when there is no analysis.
+  renderCard(data, { fullName, theme = 'light', locale = 'en' } = {}) {
+    const colors = THEMES[theme];
+    const labels = LABELS[locale];
+    const width = 450;
+    const height = 170;
+    const inner = width - 50;
+
+    const title = truncate(data?.repository.fullName || fullName, inner, 16);
+    const description = data
+      ? wrap(data.repository.description || labels.noDescription, inner, 12, 2)
+      : [labels.notAnalyzedCard];
+
+    const languages = (data?.languages?.stats || []).slice(0, 5);
+    let offset = 0;
+    const segments = languages.map((language, index) => {
+      const segmentWidth = (Number(language.percentage) / 100) * inner;
+      const color = LANGUAGE_COLORS[language.name] || FALLBACK_COLORS[index % FALLBACK_COLORS.length];
+      const segment = `<rect x="${offset.toFixed(1)}" width="${segmentWidth.toFixed(1)}" height="8" fill="${color}"/>`;
+      offset += segmentWidth;
+      return segment;
+    });
+    let legendX = 0;
+    const legend = languages.slice(0, 3).map((language, index) => {
+      const text = `${language.name} ${Number(language.percentage)}%`;
+      const color = LANGUAGE_COLORS[language.name] || FALLBACK_COLORS[index % FALLBACK_COLORS.length];
+      const item = `<g transform="translate(${legendX.toFixed(1)}, 0)"><circle cx="5" cy="-4" r="5" fill="${color}"/><text x="14" y="0">${escapeHtml(text)}</text></g>`;
+      legendX += textWidth(text, 11) + 30;
+      return item;
+    });
+
+    const formatNumber = (value) => (value || 0).toLocaleString(locale);
+    const stats = data
+      ? `<text x="0" y="0">★ ${formatNumber(data.repository.stars)} ${labels.stars}</text>
+    <text x="130" y="0">⑂ ${formatNumber(data.repository.forks)} ${labels.forks}</text>
+    <text x="${inner}" y="0" text-anchor="end">${labels.scoreShort} ${data.analysis.score}</text>`
+      : '';
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHtml(title)}">
+  <title>${escapeHtml(title)}</title>
+  <rect x="0.5" y="0.5" width="${width - 1}" height="${height - 1}" rx="6" fill="${colors.background}" stroke="${colors.border}"/>
+  <g transform="translate(25, 35)" font-family="${FONT_FAMILY}">
+    <text x="0" y="0" font-size="16" font-weight="bold" fill="${colors.title}">${escapeHtml(title)}</text>
+    ${description.map((line, index) => `<text x="0" y="${26 + index * 17}" font-size="12" fill="${colors.text}">${escapeHtml(line)}</text>`).join('\n    ')}
+  </g>
+  <g transform="translate(25, 90)">
+    <clipPath id="bar"><rect width="${inner}" height="8" rx="4"/></clipPath>
+    <g clip-path="url(#bar)">
+      <rect width="${inner}" height="8" fill="${colors.track}"/>
+      ${segments.join('')}
+    </g>
+  </g>
+  <g transform="translate(25, 122)" font-family="${FONT_FAMILY}" font-size="11" fill="${colors.muted}">
+    ${legend.join('')}
+  </g>
+  <g transform="translate(25, 150)" font-family="${FONT_FAMILY}" font-size="12" fill="${colors.text}">
+    ${stats}
+  </g>
+</svg>
+`;
+  }
+
+  // 1200x630 Open Graph image of a site: name, description, languages and stats.
+  // Rasterized to PNG by the site generator, so it uses fonts found on the server.
+  renderSocialPreview(data) {
+    const width = 1200;
+    const height = 630;
+    const inner = width - 160;
+    const { repository } = data;
+
+    const title = truncate(repository.fullName, inner, 64);
+    const description = wrap(repository.description || LABELS.en.noDescription, inner, 32, 3);
+
+    const languages = (data.languages?.stats || []).slice(0, 5);
+    let offset = 0;
+    const segments = languages.map((language, index) => {
+      const segmentWidth = (Number(language.percentage) / 100) * inner;
+      const color = LANGUAGE_COLORS[language.name] || FALLBACK_COLORS[index % FALLBACK_COLORS.length];
+      const segment = `<rect x="${offset.toFixed(1)}" width="${segmentWidth.toFixed(1)}" height="16" fill="${color}"/>`;
+      offset += segmentWidth;
+      return segment;
+    });
+    const legend = languages.slice(0, 3)
+      .map(language => `${language.name} ${Number(language.percentage)}%`)
+      .join('  ·  ');
+
+    const stats = [
+      `${(repository.stars || 0).toLocaleString('en')} stars`,
+      `${(repository.forks || 0).toLocaleString('en')} forks`,
+      `score ${data.analysis.score}`
+    ].join('  ·  ');
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+  <defs>
+    <linearGradient id="g" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0%" stop-color="#667eea"/>
+      <stop offset="100%" stop-color="#764ba2"/>
+    </linearGradient>
+    <clipPath id="bar"><rect width="${inner}" height="16" rx="8"/></clipPath>
+  </defs>
+  <rect width="${width}" height="${height}" fill="url(#g)"/>
+  <g transform="translate(80, 150)" font-family="${FONT_FAMILY}" fill="#ffffff">
+    <text x="0" y="0" font-size="64" font-weight="bold">${escapeHtml(title)}</text>
+    ${description.map((line, index) => `<text x="0" y="${80 + index * 46}" font-size="32" fill-opacity="0.9">${escapeHtml(line)}</text>`).join('\n    ')}
+  </g>
+  <g transform="translate(80, 430)">
+    <g clip-path="url(#bar)">
+      <rect width="${inner}" height="16" fill="#ffffff" fill-opacity="0.25"/>
+      ${segments.join('')}
+    </g>
+  </g>
+  <g font-family="${FONT_FAMILY}" fill="#ffffff">
+    <text x="80" y="490" font-size="26" fill-opacity="0.85">${escapeHtml(legend)}</text>
+    <text x="80" y="560" font-size="30" font-weight="bold">${escapeHtml(stats)}</text>
+    <text x="${width - 80}" y="560" font-size="26" text-anchor="end" fill-opacity="0.85">RepoSite</text>
+  </g>
+</svg>
+`;
+  }
+}
+
+// Create singleton instance
+const badgeRenderer = new BadgeRenderer();
+
+export default badgeRenderer;
@@ -1,20 +1,41 @@
-// In-memory cache service to replace MongoDB
-class CacheService {
-  constructor() {
-    this.cache = new Map();
+import { createCacheStore } from './cacheStores/index.js';
+import { envNumber } from '../utils/env.js';
+
+// Analysis cache with TTL expiry and LRU eviction on top of a pluggable store.
+// Expired entries stay servable as stale for `staleMs` (CACHE_STALE_HOURS, 0 to
+// disable), so callers can answer immediately and refresh in the background.
+export class CacheService {
+  constructor({
+    store = createCacheStore(),
+    ttlMs = envNumber('CACHE_TTL_HOURS', 24) * 60 * 60 * 1000,
+    staleMs = envNumber('CACHE_STALE_HOURS', 24, { allowZero: true }) * 60 * 60 * 1000,
+    maxEntries = envNumber('CACHE_MAX_ENTRIES', 500),
+    maxBytes = envNumber('CACHE_MAX_BYTES', 100 * 1024 * 1024)
+  } = {}) {
+    this.cache = store;
+    this.ttlMs = ttlMs;
+    this.staleMs = staleMs;
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
     this.stats = {
       totalAccesses: 0,
-      totalEntries: 0
+      totalEntries: this.cache.size,
+      evictions: 0
     };
   }
 
-  // Find valid cache entry
+  // Find valid cache entry. An expired entry still inside the stale window is
+  // returned as a copy flagged `stale: true`.
   findValidCache(repositoryUrl) {
     const entry = this.cache.get(repositoryUrl);
     if (!entry) return null;
     
     // Check if expired
     if (entry.expiresAt < new Date()) {
+      if (this.isServableStale(entry)) {
+        return { ...entry, stale: true };
+      }
+
       this.cache.delete(repositoryUrl);
       this.stats.totalEntries = this.cache.size;
       return null;
@@ -23,10 +44,15 @@ class CacheService {
     return entry;
   }
 
+  // Expired, but still inside the stale-while-revalidate window
+  isServableStale(entry) {
+    return entry.expiresAt.getTime() + this.staleMs > Date.now();
+  }
+
   // Update or create cache entry
   upsertCache(repositoryUrl, data) {
     const now = new Date();
-    const expiresAt = new Date(now.getTime() + 24 * 60 * 60 * 1000); // 24 hours
+    const expiresAt = new Date(now.getTime() + this.ttlMs);
     
     const existingEntry = this.cache.get(repositoryUrl);
     const accessCount = existingEntry ? existingEntry.accessCount + 1 : 1;
@@ -40,22 +66,53 @@ class CacheService {
       updatedAt: now,
       expiresAt,
       accessCount,
-      lastAccessed: now
+      lastAccessed: now,
+      size: Buffer.byteLength(JSON.stringify(data))
     };
     
     this.cache.set(repositoryUrl, entry);
+    this.evictLeastRecentlyUsed(repositoryUrl);
     this.stats.totalEntries = this.cache.size;
     this.stats.totalAccesses++;
     
     return entry;
   }
 
+  // Evict least recently used entries until within entry and byte limits
+  evictLeastRecentlyUsed(keepUrl) {
+    const entries = Array.from(this.cache.values())
+      .sort((a, b) => a.lastAccessed.getTime() - b.lastAccessed.getTime());
+    let count = entries.length;
+    let bytes = entries.reduce((sum, entry) => sum + (entry.size || 0), 0);
+
+    for (const entry of entries) {
+      if (count <= this.maxEntries && bytes <= this.maxBytes) break;
+      if (entry.repositoryUrl === keepUrl) continue;
+
+      this.cache.delete(entry.repositoryUrl);
+      this.stats.evictions++;
+      count--;
+      bytes -= entry.size || 0;
+    }
+  }
+
+  // Remove a single entry
+  delete(repositoryUrl) {
+    const entry = this.cache.get(repositoryUrl);
+    if (!entry) return null;
+
+    this.cache.delete(repositoryUrl);
+    this.stats.totalEntries = this.cache.size;
+    return entry;
+  }
+
   // Record access to existing entry
   recordAccess(repositoryUrl) {
     const entry = this.cache.get(repositoryUrl);
     if (entry) {
       entry.accessCount++;
       entry.lastAccessed = new Date();
+      this.cache.set(repositoryUrl, entry);
       this.stats.totalAccesses++;
     }
     return entry;
@@ -66,6 +123,7 @@ class CacheService {
     const entries = Array.from(this.cache.values());
     const validEntries = entries.filter(entry => entry.expiresAt > new Date());
     const expiredEntries = entries.length - validEntries.length;
+    const staleEntries = entries.filter(entry => entry.expiresAt <= new Date() && this.isServableStale(entry)).length;
     
     const avgAccessCount = entries.length > 0 
       ? entries.reduce((sum, entry) => sum + entry.accessCount, 0) / entries.length 
@@ -80,13 +138,23 @@ class CacheService {
       : null;
 
     return {
+      store: this.cache.name,
       totalEntries: entries.length,
       validEntries: validEntries.length,
       expiredEntries,
+      staleEntries,
       totalAccesses: this.stats.totalAccesses,
       avgAccessCount,
       oldestEntry: oldestEntry ? new Date(oldestEntry) : null,
-      newestEntry: newestEntry ? new Date(newestEntry) : null
+      newestEntry: newestEntry ? new Date(newestEntry) : null,
+      totalBytes: entries.reduce((sum, entry) => sum + (entry.size || 0), 0),
+      evictions: this.stats.evictions,
+      limits: {
+        ttlHours: this.ttlMs / (60 * 60 * 1000),
+        staleHours: this.staleMs / (60 * 60 * 1000),
+        maxEntries: this.maxEntries,
+        maxBytes: this.maxBytes
+      }
     };
   }
 
@@ -106,6 +174,22 @@ class CacheService {
       }));
   }
 
+  // Listing of a cached repository, shared by search and recent results
+  summarize(entry) {
+    const repository = entry.data?.repository;
+    return {
+      repositoryUrl: entry.repositoryUrl,
+      fullName: entry.fullName,
+      name: repository?.name || entry.fullName,
+      description: repository?.description || null,
+      language: repository?.language || null,
+      stars: repository?.stars || 0,
+      topics: repository?.topics || [],
+      analyzedAt: entry.createdAt,
+      accessCount: entry.accessCount
+    };
+  }
+
   // Search repositories in cache
   searchRepositories(query, page = 1, limit = 10) {
     const entries = Array.from(this.cache.values());
@@ -138,16 +222,7 @@ class CacheService {
     const results = filtered.slice(skip, skip + limit);
     
     return {
-      results: results.map(entry => ({
-        url: entry.repositoryUrl,
-        name: entry.data?.repository?.name || entry.fullName,
-        description: entry.data?.repository?.description,
-        language: entry.data?.repository?.language,
-        stars: entry.data?.repository?.stars || 0,
-        topics: entry.data?.repository?.topics || [],
-        analyzedAt: entry.createdAt,
-        accessCount: entry.accessCount
-      })),
+      results: results.map(entry => this.summarize(entry)),
       total: filtered.length,
       page,
       limit,
@@ -167,16 +242,7 @@ class CacheService {
     const results = validEntries.slice(skip, skip + limit);
     
     return {
-      results: results.map(entry => ({
-        repositoryUrl: entry.repositoryUrl,
-        fullName: entry.fullName,
-        name: entry.data?.repository?.name,
-        description: entry.data?.repository?.description,
-        language: entry.data?.repository?.language,
-        stars: entry.data?.repository?.stars || 0,
-        createdAt: entry.createdAt,
-        accessCount: entry.accessCount
-      })),
+      results: results.map(entry => this.summarize(entry)),
       total: validEntries.length,
       page,
       limit,
@@ -189,8 +255,9 @@ class CacheService {
     const now = new Date();
     let deletedCount = 0;
     
-    for (const [key, entry] of this.cache.entries()) {
-      if (entry.expiresAt < now) {
+    for (const [key, entry] of Array.from(this.cache.entries())) {
+      // Stale entries are kept while they can still be served
+      if (entry.expiresAt < now && !this.isServableStale(entry)) {
         this.cache.delete(key);
         deletedCount++;
       }
@@ -0,0 +1,174 @@
+import fs from 'fs';
+import path from 'path';
+import MemoryStore from './memoryStore.js';
+
+const DATE_FIELDS = ['createdAt', 'updatedAt', 'expiresAt', 'lastAccessed'];
+
+// Restore Date fields after JSON parsing
+function reviveEntry(entry) {
+  DATE_FIELDS.forEach(field => {
+    if (entry[field]) entry[field] = new Date(entry[field]);
+  });
+  return entry;
+}
+
+// Time an entry was last changed, for settling conflicting writes
+const changedAt = (entry, fallback = 0) => entry?.updatedAt?.getTime?.() ?? fallback;
+
+// JSON-file-backed store: keeps entries in memory, writes changes to disk shortly
+// after they happen and reloads when another process has updated the file.
+// Processes sharing the file merge their changes into it: writes re-read the
+// file first, and when both sides changed a key the newer updatedAt wins.
+class FileStore extends MemoryStore {
+  constructor({ filePath, writeDelayMs = 1000 }) {
+    super();
+    this.name = 'file';
+    this.filePath = path.resolve(filePath);
+    this.writeDelayMs = writeDelayMs;
+    this.writeTimer = null;
+    this.syncedMtimeMs = 0;
+    // Keys changed here since the last write, with the time of the change
+    this.pending = new Map();
+    this.clearedAt = null;
+
+    this.load();
+    process.on('exit', () => {
+      if (this.writeTimer) this.flush();
+    });
+  }
+
+  // Entries stored in the file, or null when there is no readable file
+  readFile() {
+    try {
+      const { mtimeMs } = fs.statSync(this.filePath);
+      const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      const entries = new Map(Object.entries(parsed.entries || {}).map(([key, entry]) => [key, reviveEntry(entry)]));
+      return { entries, mtimeMs };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️  Failed to load cache file ${this.filePath}:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  // Replace in-memory entries with the file's contents, keeping changes not
+  // yet written unless the file has a newer version of the entry
+  load() {
+    const file = this.readFile();
+    if (!file) return;
+
+    const local = this.map;
+    this.map = file.entries;
+    if (this.clearedAt) {
+      this.map.forEach((entry, key) => {
+        if (changedAt(entry) <= this.clearedAt) this.map.delete(key);
+      });
+    }
+    this.pending.forEach((at, key) => {
+      const entry = local.get(key);
+      if (this.map.has(key) && changedAt(this.map.get(key)) > changedAt(entry, at)) {
+        this.pending.delete(key);
+      } else if (entry) {
+        this.map.set(key, entry);
+      } else {
+        this.map.delete(key);
+      }
+    });
+    this.syncedMtimeMs = file.mtimeMs;
+  }
+
+  // Reload if another process wrote the file since we last synced
+  refresh() {
+    try {
+      if (fs.statSync(this.filePath).mtimeMs > this.syncedMtimeMs) {
+        this.load();
+      }
+    } catch {
+      // No file yet
+    }
+  }
+
+  // Merge our changes into the file's current entries and write the result
+  // to a temporary file that replaces the cache file atomically
+  flush() {
+    if (this.writeTimer) {
+      clearTimeout(this.writeTimer);
+      this.writeTimer = null;
+    }
+
+    try {
+      this.load();
+      const tempPath = `${this.filePath}.${process.pid}.tmp`;
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(tempPath, JSON.stringify({ version: 1, entries: Object.fromEntries(this.map) }));
+      fs.renameSync(tempPath, this.filePath);
+      this.syncedMtimeMs = fs.statSync(this.filePath).mtimeMs;
+      this.pending.clear();
+      this.clearedAt = null;
+    } catch (error) {
+      console.error(`Failed to write cache file ${this.filePath}:`, error.message);
+    }
+  }
+
+  scheduleWrite() {
+    if (this.writeTimer) return;
+    this.writeTimer = setTimeout(() => this.flush(), this.writeDelayMs);
+    this.writeTimer.unref();
+  }
+
+  get(key) {
+    this.refresh();
+    return super.get(key);
+  }
+
+  has(key) {
+    this.refresh();
+    return super.has(key);
+  }
+
+  keys() {
+    this.refresh();
+    return super.keys();
+  }
+
+  values() {
+    this.refresh();
+    return super.values();
+  }
+
+  entries() {
+    this.refresh();
+    return super.entries();
+  }
+
+  get size() {
+    this.refresh();
+    return super.size;
+  }
+
+  set(key, entry) {
+    super.set(key, entry);
+    this.pending.set(key, Date.now());
+    this.scheduleWrite();
+    return this;
+  }
+
+  delete(key) {
+    const deleted = super.delete(key);
+    if (deleted) {
+      this.pending.set(key, Date.now());
+      this.scheduleWrite();
+    }
+    return deleted;
+  }
+
+  clear() {
+    super.clear();
+    this.pending.clear();
+    this.clearedAt = Date.now();
+    this.scheduleWrite();
+  }
+}
+
+export default FileStore;
@@ -0,0 +1,19 @@
+import MemoryStore from './memoryStore.js';
+import FileStore from './fileStore.js';
+
+// Create the cache store selected by CACHE_STORE (memory or file)
+export function createCacheStore(
+  type = process.env.CACHE_STORE || 'memory',
+  { filePath = process.env.CACHE_FILE || '.cache/analysis-cache.json' } = {}
+) {
+  switch (type) {
+    case 'memory':
+      return new MemoryStore();
+    case 'file':
+      return new FileStore({ filePath });
+    default:
+      throw new Error(`Unknown cache store: ${type}`);
+  }
+}
+
+export { MemoryStore, FileStore };
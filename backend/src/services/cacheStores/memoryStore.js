@@ -0,0 +1,47 @@
+// Map-backed cache store. Every store exposes this interface:
+// get, set, delete, has, clear, keys, values, entries and size.
+class MemoryStore {
+  constructor() {
+    this.name = 'memory';
+    this.map = new Map();
+  }
+
+  get(key) {
+    return this.map.get(key);
+  }
+
+  set(key, entry) {
+    this.map.set(key, entry);
+    return this;
+  }
+
+  delete(key) {
+    return this.map.delete(key);
+  }
+
+  has(key) {
+    return this.map.has(key);
+  }
+
+  clear() {
+    this.map.clear();
+  }
+
+  keys() {
+    return this.map.keys();
+  }
+
+  values() {
+    return this.map.values();
+  }
+
+  entries() {
+    return this.map.entries();
+  }
+
+  get size() {
+    return this.map.size;
+  }
+}
+
+export default MemoryStore;
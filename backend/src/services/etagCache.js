@@ -0,0 +1,54 @@
+import crypto from 'crypto';
+
+// Remembers validators (ETag / Last-Modified) and bodies of GitHub GET responses
+// so repeat requests can be sent conditionally and 304s answered from memory
+class EtagCache {
+  constructor({ maxEntries = 1000 } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    this.stats = { hits: 0, misses: 0 };
+  }
+
+  // Responses vary by credentials, so the key includes a fingerprint of the auth header
+  key(url, authorization) {
+    const identity = authorization
+      ? crypto.createHash('sha256').update(authorization).digest('hex').slice(0, 16)
+      : 'anonymous';
+    return `${identity} ${url}`;
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      // Refresh recency
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+    }
+    return entry;
+  }
+
+  set(key, { etag, lastModified, data, link }) {
+    if (!etag && !lastModified) return;
+
+    this.entries.delete(key);
+    this.entries.set(key, { etag, lastModified, data, link });
+
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  recordHit() {
+    this.stats.hits++;
+  }
+
+  recordMiss() {
+    this.stats.misses++;
+  }
+
+  getStats() {
+    return { entries: this.entries.size, ...this.stats };
+  }
+}
+
+export default EtagCache;
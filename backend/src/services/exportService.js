@@ -0,0 +1,227 @@
+import { escapeHtml, escapeUrl, safeUrl } from '../utils/html.js';
+import { EXPORT_SCHEMA_VERSION } from '../schemas/analysisExport.js';
+
+export const EXPORT_FORMATS = ['json', 'markdown', 'json-resume', 'resume-html'];
+
+// Features shown per project, as in the analysis view
+const MAX_FEATURES = 5;
+
+// Backslash-escape characters that Markdown would otherwise format
+const escapeMarkdown = (text) => String(text).replace(/([\\`*_{}[\]()<>#+!|~])/g, '\\$1');
+
+// Link destination for Markdown, or '' when the scheme is unsafe. Characters
+// that would end the destination are percent-encoded.
+const markdownUrl = (url) => safeUrl(url).replace(/[\s()<>]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+
+const formatDate = (value) => (value ? new Date(value).toISOString().slice(0, 10) : null);
+
+const formatMonth = (value) => new Date(value).toLocaleDateString('en', { year: 'numeric', month: 'short', timeZone: 'UTC' });
+
+// Analyses in other formats: a documented JSON document, a Markdown project
+// page, a JSON Resume project and a printable résumé entry. All of them are
+// built from the export document, so they carry the same data.
+class ExportService {
+  // The analysis as a document of the versioned export schema
+  toDocument(data, { schemaUrl = null } = {}) {
+    const { repository, analysis, analytics } = data;
+    const hasActivity = Boolean(analytics && Object.keys(analytics).length > 0);
+
+    return {
+      ...(schemaUrl && { $schema: schemaUrl }),
+      schemaVersion: EXPORT_SCHEMA_VERSION,
+      generatedAt: data.generatedAt,
+      repository: {
+        name: repository.name,
+        fullName: repository.fullName,
+        description: repository.description || null,
+        url: repository.url,
+        homepage: repository.homepage || null,
+        host: repository.host || new URL(repository.url).host,
+        owner: { login: repository.owner?.login, type: repository.owner?.type },
+        language: repository.language || null,
+        license: repository.license || null,
+        topics: repository.topics || [],
+        stars: repository.stars || 0,
+        forks: repository.forks || 0,
+        watchers: repository.watchers || 0,
+        isPrivate: Boolean(repository.isPrivate),
+        createdAt: repository.createdAt || null,
+        updatedAt: repository.updatedAt || null
+      },
+      analysis: {
+        category: analysis.category,
+        score: analysis.score,
+        scoreProfile: analysis.scoreProfile || null,
+        complexity: analysis.complexity,
+        deployability: analysis.deployability,
+        scoreFactors: analysis.breakdown?.score.factors || []
+      },
+      languages: (data.languages?.stats || []).map(language => ({
+        name: language.name,
+        percentage: Number(language.percentage)
+      })),
+      techStack: data.techStack || {},
+      packages: data.workspace?.isMonorepo
+        ? data.workspace.packages.map(pkg => ({
+          path: pkg.path,
+          name: pkg.name,
+          technologies: Object.values(pkg.techStack).flat()
+        }))
+        : [],
+      features: data.features || [],
+      activity: hasActivity
+        ? {
+          commitCount: analytics.commitCount || 0,
+          contributorCount: analytics.contributorCount || 0,
+          releaseCount: analytics.releaseCount || 0,
+          lastReleaseAt: analytics.lastReleaseAt || null,
+          topContributors: (analytics.topContributors || []).map(({ login, name, commits, url }) => ({ login, name, commits, url })),
+          releases: (analytics.releases || []).map(({ tag, name, publishedAt, url, prerelease }) => ({ tag, name, publishedAt, url, prerelease }))
+        }
+        : null
+    };
+  }
+
+  // Languages, technologies and topics, without repeats
+  keywords(document) {
+    const keywords = [
+      ...document.languages.map(language => language.name),
+      ...Object.values(document.techStack).flat(),
+      ...document.repository.topics
+    ];
+    const seen = new Set();
+    return keywords.filter(keyword => {
+      const key = keyword.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  // Résumé bullet points: README features, then the project's reach
+  highlights(document) {
+    const { repository, activity } = document;
+    const highlights = document.features.slice(0, MAX_FEATURES);
+    const reach = [
+      repository.stars > 0 && `${repository.stars.toLocaleString('en')} stars`,
+      repository.forks > 0 && `${repository.forks.toLocaleString('en')} forks`,
+      activity?.contributorCount > 1 && `${activity.contributorCount} contributors`,
+      activity?.releaseCount > 0 && `${activity.releaseCount} releases`
+    ].filter(Boolean);
+    if (reach.length > 0) highlights.push(reach.join(', '));
+    return highlights;
+  }
+
+  // Project section for a GitHub profile README
+  toMarkdown(document) {
+    const { repository, analysis } = document;
+    const url = markdownUrl(repository.url);
+    const lines = [url ? `### [${escapeMarkdown(repository.fullName)}](${url})` : `### ${escapeMarkdown(repository.fullName)}`, ''];
+
+    if (repository.description) lines.push(escapeMarkdown(repository.description), '');
+
+    const stats = [
+      repository.language && `**${escapeMarkdown(repository.language)}**`,
+      `★ ${repository.stars.toLocaleString('en')}`,
+      `⑂ ${repository.forks.toLocaleString('en')}`,
+      repository.license && escapeMarkdown(repository.license)
+    ].filter(Boolean);
+    lines.push(stats.join(' · '), '');
+
+    lines.push(`${escapeMarkdown(analysis.category)} · score ${analysis.score}/100 · ${analysis.complexity} complexity · ${analysis.deployability} deployability`, '');
+
+    const technologies = Object.values(document.techStack).flat();
+    if (technologies.length > 0) {
+      lines.push(`**Tech stack:** ${technologies.map(tech => `\`${tech}\``).join(' ')}`, '');
+    }
+
+    const features = document.features.slice(0, MAX_FEATURES);
+    if (features.length > 0) {
+      lines.push(...features.map(feature => `- ${escapeMarkdown(feature)}`), '');
+    }
+
+    if (repository.topics.length > 0) {
+      lines.push(`**Topics:** ${repository.topics.map(topic => `\`${topic}\``).join(' ')}`, '');
+    }
+    const homepage = markdownUrl(repository.homepage);
+    if (homepage) lines.push(`[Live demo](${homepage})`, '');
+
+    return `${lines.join('\n').trimEnd()}\n`;
+  }
+
+  // Entry for the projects[] list of a JSON Resume (https://jsonresume.org/schema)
+  toJsonResume(document) {
+    const { repository, analysis } = document;
+    const entry = {
+      name: repository.name,
+      description: repository.description || `${analysis.category} built with ${repository.language || 'various technologies'}`,
+      highlights: this.highlights(document),
+      keywords: this.keywords(document),
+      startDate: formatDate(repository.createdAt),
+      url: safeUrl(repository.homepage) || safeUrl(repository.url) || undefined,
+      entity: repository.owner.type === 'Organization' ? repository.owner.login : undefined,
+      type: analysis.category
+    };
+
+    return Object.fromEntries(Object.entries(entry).filter(([, value]) => value !== undefined && value !== null));
+  }
+
+  // Résumé entry as an HTML fragment with its own print stylesheet
+  toResumeHtml(document) {
+    const { repository, analysis } = document;
+    const started = repository.createdAt ? `${formatMonth(repository.createdAt)} – present` : '';
+    // Links with unsafe schemes are dropped, leaving the name
+    const link = safeUrl(repository.homepage) || safeUrl(repository.url);
+    const highlights = this.highlights(document);
+    const keywords = this.keywords(document);
+
+    return `<style>
+  .reposite-resume-entry { font: 11pt/1.4 Georgia, "Times New Roman", serif; color: #111; max-width: 44em; margin: 0 0 1.2em; }
+  .reposite-resume-entry header { display: flex; justify-content: space-between; align-items: baseline; gap: 1em; }
+  .reposite-resume-entry h3 { font-size: 12pt; margin: 0; }
+  .reposite-resume-entry .dates { font-size: 10pt; color: #444; white-space: nowrap; }
+  .reposite-resume-entry .meta { font-size: 10pt; color: #444; margin: 0.1em 0 0.4em; }
+  .reposite-resume-entry p { margin: 0 0 0.4em; }
+  .reposite-resume-entry ul { margin: 0 0 0.4em; padding-left: 1.2em; }
+  .reposite-resume-entry .keywords { font-size: 10pt; }
+  .reposite-resume-entry a { color: inherit; }
+  @media print {
+    .reposite-resume-entry { break-inside: avoid; page-break-inside: avoid; }
+    .reposite-resume-entry a { text-decoration: none; }
+    .reposite-resume-entry .url::after { content: " (" attr(href) ")"; font-size: 9pt; }
+  }
+</style>
+<article class="reposite-resume-entry">
+  <header>
+    <h3>${link ? `<a class="url" href="${escapeUrl(link)}">${escapeHtml(repository.name)}</a>` : escapeHtml(repository.name)}</h3>
+    ${started ? `<span class="dates">${escapeHtml(started)}</span>` : ''}
+  </header>
+  <p class="meta">${escapeHtml(analysis.category)} · ${escapeHtml(repository.fullName)}</p>
+  ${repository.description ? `<p>${escapeHtml(repository.description)}</p>` : ''}
+  ${highlights.length > 0 ? `<ul>\n    ${highlights.map(item => `<li>${escapeHtml(item)}</li>`).join('\n    ')}\n  </ul>` : ''}
+  ${keywords.length > 0 ? `<p class="keywords"><strong>Technologies:</strong> ${escapeHtml(keywords.join(', '))}</p>` : ''}
+</article>
+`;
+  }
+
+  // Render an analysis in one of EXPORT_FORMATS, with the content type to send
+  export(data, format, { schemaUrl = null } = {}) {
+    const document = this.toDocument(data, { schemaUrl });
+
+    switch (format) {
+      case 'markdown':
+        return { type: 'text/markdown; charset=utf-8', body: this.toMarkdown(document) };
+      case 'json-resume':
+        return { type: 'application/json; charset=utf-8', body: JSON.stringify(this.toJsonResume(document), null, 2) };
+      case 'resume-html':
+        return { type: 'text/html; charset=utf-8', body: this.toResumeHtml(document) };
+      default:
+        return { type: 'application/json; charset=utf-8', body: JSON.stringify(document, null, 2) };
+    }
+  }
+}
+
+// Create singleton instance
+const exportService = new ExportService();
+
+export default exportService;
@@ -0,0 +1,164 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import axios, { AxiosError, AxiosHeaders } from 'axios';
+
+export const TRANSPORT_MODES = ['live', 'record', 'replay'];
+
+const DEFAULT_FIXTURES_DIR = fileURLToPath(new URL('../../test/fixtures/github', import.meta.url));
+
+// Response headers worth keeping: pagination, rate limits and retry hints.
+// Request headers (and so tokens) are never written.
+const RECORDED_HEADERS = [
+  'content-type',
+  'link',
+  'retry-after',
+  'x-ratelimit-limit',
+  'x-ratelimit-remaining',
+  'x-ratelimit-reset',
+  'x-ratelimit-resource',
+  'x-ratelimit-used'
+];
+
+const parseBody = (data) => {
+  if (typeof data !== 'string') return data ?? '';
+  try {
+    return JSON.parse(data);
+  } catch {
+    return data;
+  }
+};
+
+// Axios adapter for a GitHub API client, selected by GITHUB_TRANSPORT:
+//   live    requests go to the API (default)
+//   record  requests go to the API and responses are saved as fixtures
+//   replay  responses are served from fixtures, without network access
+// Fixtures live in GITHUB_FIXTURES_DIR (default test/fixtures/github), one JSON
+// file per repository or user under the API host, keyed by "METHOD /path?query".
+class FixtureTransport {
+  // `mode` and `dir` override the environment, e.g. in tests
+  constructor({ mode = null, dir = null } = {}) {
+    this.configured = { mode, dir };
+    this.mode = null;
+    this.dir = null;
+    this.cassettes = new Map();
+    this.send = axios.getAdapter(axios.defaults.adapter);
+  }
+
+  // Read GITHUB_TRANSPORT and GITHUB_FIXTURES_DIR lazily, after dotenv has run
+  load() {
+    if (this.mode) return this.mode;
+
+    const mode = this.configured.mode || process.env.GITHUB_TRANSPORT || 'live';
+    if (!TRANSPORT_MODES.includes(mode)) {
+      throw new Error(`Unknown GitHub transport: ${mode}`);
+    }
+    const dir = this.configured.dir || process.env.GITHUB_FIXTURES_DIR;
+    this.mode = mode;
+    this.dir = dir ? path.resolve(dir) : DEFAULT_FIXTURES_DIR;
+    if (mode !== 'live') console.log(`📼 GitHub transport: ${mode} (${this.dir})`);
+    return mode;
+  }
+
+  // Fixture file and key of a request, e.g. api.github.com/repos/octo/tool.json
+  // and "GET /repos/octo/tool/contributors?anon=true&per_page=1"
+  locate(config) {
+    const url = new URL(axios.getUri(config));
+    const basePath = new URL(config.baseURL).pathname.replace(/\/$/, '');
+    const pathname = url.pathname.slice(basePath.length) || '/';
+    url.searchParams.sort();
+
+    const segments = pathname.split('/').filter(Boolean);
+    const scope = segments[0] === 'repos' && segments.length >= 3
+      ? segments.slice(0, 3)
+      : segments[0] === 'users' && segments.length >= 2
+        ? segments.slice(0, 2)
+        : ['api'];
+
+    return {
+      file: path.join(this.dir, url.host, `${scope.join('/')}.json`),
+      key: `${(config.method || 'get').toUpperCase()} ${pathname}${url.search}`
+    };
+  }
+
+  cassette(file) {
+    if (!this.cassettes.has(file)) {
+      let entries = {};
+      try {
+        entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+      this.cassettes.set(file, entries);
+    }
+    return this.cassettes.get(file);
+  }
+
+  // Axios adapter entry point
+  async request(config) {
+    const mode = this.load();
+    if (mode === 'replay') return this.replay(config);
+    if (mode === 'record') return this.record(config);
+    return this.send(config);
+  }
+
+  // Answer from a fixture, settling the status like Axios' own adapters do
+  async replay(config) {
+    const { file, key } = this.locate(config);
+    const fixture = this.cassette(file)[key];
+    if (!fixture) {
+      throw new AxiosError(`No recorded response for ${key} in ${path.relative(this.dir, file)}`, 'ERR_FIXTURE_MISSING', config);
+    }
+
+    const response = {
+      data: fixture.data,
+      status: fixture.status,
+      statusText: '',
+      headers: AxiosHeaders.from(fixture.headers || {}),
+      config,
+      request: null
+    };
+    if (!config.validateStatus || config.validateStatus(response.status)) return response;
+
+    throw new AxiosError(
+      `Request failed with status code ${response.status}`,
+      response.status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+      config,
+      null,
+      response
+    );
+  }
+
+  // Send the request and save its response, errors included. Requests go out
+  // unconditional, since a recorded 304 has no body to replay.
+  async record(config) {
+    config.headers.delete('If-None-Match');
+    config.headers.delete('If-Modified-Since');
+    try {
+      const response = await this.send(config);
+      this.save(config, response);
+      return response;
+    } catch (error) {
+      if (error.response) this.save(config, error.response);
+      throw error;
+    }
+  }
+
+  save(config, response) {
+    const { file, key } = this.locate(config);
+    const headers = AxiosHeaders.from(response.headers).toJSON();
+    const entries = this.cassette(file);
+
+    entries[key] = {
+      status: response.status,
+      headers: Object.fromEntries(RECORDED_HEADERS.filter(name => headers[name] !== undefined).map(name => [name, headers[name]])),
+      data: parseBody(response.data)
+    };
+
+    const sorted = Object.fromEntries(Object.keys(entries).sort().map(name => [name, entries[name]]));
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, `${JSON.stringify(sorted, null, 2)}\n`);
+  }
+}
+
+export default FixtureTransport;
@@ -1,58 +1,230 @@
 import axios from 'axios';
-import { marked } from 'marked';
-import * as cheerio from 'cheerio';
+import EtagCache from './etagCache.js';
+import TokenPool from './tokenPool.js';
+import FixtureTransport from './fixtureTransport.js';
+import RepositoryProvider, { TOP_CONTRIBUTORS, RELEASE_TIMELINE_LENGTH } from './providers/repositoryProvider.js';
+import { RateLimitError } from '../errors.js';
+import { encodeRepositoryPath } from '../utils/repositoryPath.js';
+import { getViewerToken } from '../utils/requestContext.js';
 
-class GitHubService {
-  constructor() {
-    this.baseURL = 'https://api.github.com';
+// Secondary rate limit backoff: retries, first delay and longest delay worth waiting for
+const MAX_RATE_LIMIT_RETRIES = 3;
+const BASE_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 60 * 1000;
+
+// Waits between polls of a statistics endpoint that is still computing
+const STATS_RETRY_DELAYS_MS = [1000, 2000];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// GitHub and GitHub Enterprise Server provider. The default export serves
+// github.com; Enterprise instances are created with their own web and API URLs.
+export class GitHubService extends RepositoryProvider {
+  constructor({
+    name = 'github',
+    label = 'GitHub',
+    webUrl = 'https://github.com',
+    apiUrl = 'https://api.github.com',
+    tokens = null,
+    fixtures = {}
+  } = {}) {
+    super({ name, label, webUrl });
+    if (this.host === 'github.com') this.hosts.push('www.github.com');
+
+    this.baseURL = apiUrl;
+    // Live requests, or recorded fixtures (GITHUB_TRANSPORT=record|replay)
+    this.transport = new FixtureTransport(fixtures);
     this.client = axios.create({
       baseURL: this.baseURL,
-      timeout: 10000
+      timeout: 10000,
+      adapter: (config) => this.transport.request(config),
+      // 304 Not Modified is answered from the ETag cache
+      validateStatus: (status) => (status >= 200 && status < 300) || status === 304
     });
+    this.etagCache = new EtagCache();
+    this.tokenPool = new TokenPool(tokens, { label });
+    this.rateLimits = {};
     
     // Set up request interceptor to add auth header dynamically
     this.client.interceptors.request.use((config) => {
-      const token = process.env.GITHUB_API_TOKEN;
+      // A signed-in viewer's own token takes precedence over the shared pool,
+      // so they can reach their private repositories
+      const viewerToken = config.usePool ? null : getViewerToken(this.name);
+      config.viewerToken = Boolean(viewerToken);
+
+      // Throws RateLimitError when every token is exhausted
+      const token = viewerToken || this.tokenPool.acquire();
+      config.poolToken = viewerToken ? undefined : token;
       config.headers = {
         'Accept': 'application/vnd.github.v3+json',
         'User-Agent': 'RepoSite-Portfolio-Generator',
-        ...(token && { 'Authorization': `token ${token}` }),
         ...config.headers
       };
+      if (token) {
+        config.headers.Authorization = `token ${token}`;
+      } else {
+        delete config.headers.Authorization;
+      }
       
       // Log token status only on first request
-      if (!this._tokenLogged) {
-        console.log('🔑 GitHub API token:', token ? 'Loaded successfully' : 'Not found');
+      if (!this._tokenLogged && !viewerToken) {
+        console.log(`🔑 ${this.label} API tokens:`, token ? `${this.tokenPool.size} loaded` : 'Not found');
         this._tokenLogged = true;
       }
+
+      // Send cached validators so unchanged resources come back as free 304s
+      if ((config.method || 'get') === 'get') {
+        const cacheKey = this.etagCache.key(this.client.getUri(config), config.headers.Authorization);
+        const cached = this.etagCache.get(cacheKey);
+        if (cached?.etag) config.headers['If-None-Match'] = cached.etag;
+        if (cached?.lastModified) config.headers['If-Modified-Since'] = cached.lastModified;
+        config.etagCache = { key: cacheKey, cached };
+      }
       
       return config;
     });
+
+    this.client.interceptors.response.use(
+      (response) => {
+        this.recordRateLimit(response.config, response.headers);
+        this.tokenPool.update(response.config.poolToken, response.headers);
+        return this.applyConditionalCache(response);
+      },
+      (error) => {
+        if (error.response) {
+          this.recordRateLimit(error.config, error.response.headers);
+          this.tokenPool.update(error.config?.poolToken, error.response.headers);
+        }
+        return this.handleRateLimit(error);
+      }
+    );
   }
 
-  // Parse GitHub URL to extract owner and repo
-  parseGitHubUrl(url) {
-    const patterns = [
-      /^https?:\/\/github\.com\/([^\/]+)\/([^\/]+?)(?:\.git)?(?:\/.*)?$/,
-      /^git@github\.com:([^\/]+)\/([^\/]+?)(?:\.git)?$/
-    ];
-    
-    for (const pattern of patterns) {
-      const match = url.match(pattern);
-      if (match) {
-        return { owner: match[1], repo: match[2] };
+  // Retry rate-limited requests: rotate tokens on primary limits, back off on secondary ones.
+  // Genuine permission errors are passed through untouched.
+  async handleRateLimit(error) {
+    const { config, response } = error;
+    if (!config || !response || ![403, 429].includes(response.status)) throw error;
+
+    const { headers } = response;
+    const retryAfter = parseInt(headers['retry-after']);
+    const primary = headers['x-ratelimit-remaining'] === '0';
+    const secondary = !primary && (
+      response.status === 429 ||
+      !Number.isNaN(retryAfter) ||
+      /secondary rate limit|abuse/i.test(response.data?.message || '')
+    );
+    if (!primary && !secondary) throw error;
+
+    config.rateLimitRetries = (config.rateLimitRetries || 0) + 1;
+
+    if (primary) {
+      const resetAt = new Date(parseInt(headers['x-ratelimit-reset']) * 1000);
+
+      // A viewer's own quota can't be topped up from the pool
+      if (config.viewerToken) {
+        throw new RateLimitError(`${this.label} API rate limit exhausted for your account`, { resetAt });
+      }
+
+      this.tokenPool.markExhausted(config.poolToken, resetAt);
+      console.warn(`⏳ ${this.label} rate limit exhausted for a token until ${resetAt.toISOString()}`);
+
+      // The request interceptor picks the next token, or throws RateLimitError if none is left
+      if (config.rateLimitRetries <= this.tokenPool.size) {
+        return this.client.request(config);
       }
+      throw new RateLimitError(`${this.label} API rate limit exhausted for all tokens`, { resetAt });
     }
-    
-    throw new Error('Invalid GitHub URL format');
+
+    const delay = Number.isNaN(retryAfter)
+      ? BASE_BACKOFF_MS * 2 ** (config.rateLimitRetries - 1)
+      : retryAfter * 1000;
+
+    if (config.rateLimitRetries > MAX_RATE_LIMIT_RETRIES || delay > MAX_BACKOFF_MS) {
+      throw new RateLimitError(`${this.label} secondary rate limit exceeded`, {
+        resetAt: new Date(Date.now() + delay)
+      });
+    }
+
+    console.warn(`⏳ ${this.label} secondary rate limit hit, retrying in ${delay}ms`);
+    await sleep(delay);
+    return this.client.request(config);
+  }
+
+  // Serve 304 responses from the ETag cache and remember validators of fresh ones
+  applyConditionalCache(response) {
+    if (!response.config.etagCache) return response;
+    const { key: cacheKey, cached } = response.config.etagCache;
+
+    if (response.status === 304) {
+      this.etagCache.recordHit();
+      response.status = 200;
+      response.data = cached?.data;
+      response.notModified = true;
+      if (cached?.link && !response.headers.link) response.headers.link = cached.link;
+      return response;
+    }
+
+    this.etagCache.recordMiss();
+    // 202 "computing" answers carry no data worth revalidating
+    if (response.status !== 200) return response;
+    this.etagCache.set(cacheKey, {
+      etag: response.headers.etag,
+      lastModified: response.headers['last-modified'],
+      data: response.data,
+      link: response.headers.link
+    });
+    return response;
+  }
+
+  // Track X-RateLimit-* headers per resource (core, search, graphql, ...) of the shared pool
+  recordRateLimit(config, headers = {}) {
+    if (config?.viewerToken || headers['x-ratelimit-limit'] === undefined) return;
+
+    const resource = headers['x-ratelimit-resource'] || 'core';
+    this.rateLimits[resource] = {
+      limit: parseInt(headers['x-ratelimit-limit']),
+      remaining: parseInt(headers['x-ratelimit-remaining']),
+      used: parseInt(headers['x-ratelimit-used']) || 0,
+      reset: new Date(parseInt(headers['x-ratelimit-reset']) * 1000),
+      observedAt: new Date()
+    };
+  }
+
+  // Current rate limit status; queries /rate_limit (which is free) when nothing was observed yet
+  async getRateLimit({ refresh = false } = {}) {
+    if (refresh || !this.rateLimits.core) {
+      try {
+        const response = await this.client.get('/rate_limit', { usePool: true });
+        Object.entries(response.data.resources || {}).forEach(([resource, status]) => {
+          this.rateLimits[resource] = {
+            limit: status.limit,
+            remaining: status.remaining,
+            used: status.used,
+            reset: new Date(status.reset * 1000),
+            observedAt: new Date()
+          };
+        });
+      } catch (error) {
+        console.warn(`Failed to fetch ${this.label} rate limit:`, error.message);
+      }
+    }
+
+    return {
+      authenticated: this.tokenPool.authenticated,
+      resources: this.rateLimits,
+      tokens: this.tokenPool.status(),
+      conditionalRequests: this.etagCache.getStats()
+    };
   }
 
   // Get repository information
   async getRepository(owner, repo) {
     try {
       const response = await this.client.get(`/repos/${owner}/${repo}`);
-      return response.data;
+      return this.normalizeRepository(response.data);
     } catch (error) {
+      if (error instanceof RateLimitError) throw error;
       if (error.response?.status === 404) {
         throw new Error('Repository not found');
       }
@@ -63,17 +235,106 @@ class GitHubService {
     }
   }
 
+  // The signed-in viewer's permissions on a repository ({ admin, push, pull, ... }).
+  // GitHub only includes them in authenticated responses.
+  async getPermissions(owner, repo) {
+    try {
+      const response = await this.client.get(`/repos/${owner}/${repo}`);
+      return response.data.permissions || null;
+    } catch (error) {
+      if (error instanceof RateLimitError) throw error;
+      if (error.response?.status === 404) {
+        throw new Error('Repository not found');
+      }
+      throw new Error(`Failed to fetch repository permissions: ${error.message}`);
+    }
+  }
+
+  // Map a GitHub repository payload to the provider-neutral repository shape
+  normalizeRepository(repoData) {
+    return {
+      id: repoData.id,
+      name: repoData.name,
+      fullName: repoData.full_name,
+      owner: {
+        login: repoData.owner.login,
+        avatar: repoData.owner.avatar_url,
+        type: repoData.owner.type
+      },
+      description: repoData.description,
+      url: repoData.html_url,
+      cloneUrl: repoData.clone_url,
+      homepage: repoData.homepage,
+      defaultBranch: repoData.default_branch,
+      topics: repoData.topics || [],
+      language: repoData.language,
+      size: repoData.size,
+      stars: repoData.stargazers_count,
+      forks: repoData.forks_count,
+      watchers: repoData.watchers_count,
+      openIssues: repoData.open_issues_count,
+      createdAt: repoData.created_at,
+      updatedAt: repoData.updated_at,
+      pushedAt: repoData.pushed_at,
+      license: repoData.license?.name || null,
+      isPrivate: repoData.private,
+      isFork: repoData.fork,
+      archived: repoData.archived
+    };
+  }
+
+  // Get a user or organization profile
+  async getUser(login) {
+    try {
+      const response = await this.client.get(`/users/${login}`);
+      return response.data;
+    } catch (error) {
+      if (error instanceof RateLimitError) throw error;
+      if (error.response?.status === 404) {
+        throw new Error('User not found');
+      }
+      if (error.response?.status === 403) {
+        throw new Error('User access forbidden');
+      }
+      throw new Error(`Failed to fetch user: ${error.message}`);
+    }
+  }
+
+  // List a user's or organization's public repositories (up to maxPages * 100)
+  async listRepositories(login, { maxPages = 5 } = {}) {
+    const repositories = [];
+
+    try {
+      for (let page = 1; page <= maxPages; page++) {
+        const response = await this.client.get(`/users/${login}/repos`, {
+          params: { per_page: 100, page, sort: 'pushed' }
+        });
+        repositories.push(...response.data);
+
+        if (response.data.length < 100 || !response.headers.link?.includes('rel="next"')) break;
+      }
+    } catch (error) {
+      if (error instanceof RateLimitError) throw error;
+      if (error.response?.status === 404) {
+        throw new Error('User not found');
+      }
+      if (error.response?.status === 403) {
+        throw new Error('User access forbidden');
+      }
+      throw new Error(`Failed to list repositories: ${error.message}`);
+    }
+
+    return repositories;
+  }
+
   // Get repository README
   async getReadme(owner, repo) {
     try {
       const response = await this.client.get(`/repos/${owner}/${repo}/readme`);
       const content = Buffer.from(response.data.content, 'base64').toString('utf8');
-      return {
-        content,
-        html: marked(content),
-        filename: response.data.name
-      };
+      return this.renderReadme(content, { filename: response.data.name, path: response.data.path });
     } catch (error) {
+      if (error instanceof RateLimitError) throw error;
       if (error.response?.status === 404) {
         return null; // No README found
       }
@@ -85,23 +346,10 @@ class GitHubService {
   async getLanguages(owner, repo) {
     try {
       const response = await this.client.get(`/repos/${owner}/${repo}/languages`);
-      const languages = response.data;
-      
-      const total = Object.values(languages).reduce((sum, bytes) => sum + bytes, 0);
-      const languageStats = Object.entries(languages).map(([name, bytes]) => ({
-        name,
-        bytes,
-        percentage: ((bytes / total) * 100).toFixed(1)
-      })).sort((a, b) => b.bytes - a.bytes);
-      
-      return {
-        raw: languages,
-        stats: languageStats,
-        primary: languageStats[0]?.name || 'Unknown'
-      };
+      return this.summarizeLanguages(response.data);
     } catch (error) {
-      console.warn(`Failed to fetch languages for ${owner}/${repo}:`, error.message);
-      return { raw: {}, stats: [], primary: 'Unknown' };
+      if (error instanceof RateLimitError) throw error;
+      throw new Error(`Failed to fetch languages: ${error.message}`);
     }
   }
 
@@ -111,329 +359,120 @@ class GitHubService {
       const response = await this.client.get(`/repos/${owner}/${repo}/contents/${path}`);
       return response.data;
     } catch (error) {
+      if (error instanceof RateLimitError) throw error;
       console.warn(`Failed to fetch contents at ${path}:`, error.message);
       return [];
     }
   }
 
-  // Detect tech stack from repository
-  async detectTechStack(owner, repo) {
-    const techStack = {
-      frontend: [],
-      backend: [],
-      database: [],
-      tools: [],
-      frameworks: []
-    };
-
+  // Get raw file content as a Buffer (null when missing or too large)
+  async getFileContent(owner, repo, path) {
     try {
-      // Get root directory contents
-      const contents = await this.getContents(owner, repo);
-      const files = contents.filter(item => item.type === 'file').map(item => item.name);
-      
-      // Package managers and config files
-      const packageFiles = {
-        'package.json': 'Node.js',
-        'requirements.txt': 'Python',
-        'Pipfile': 'Python',
-        'Gemfile': 'Ruby',
-        'pom.xml': 'Java',
-        'build.gradle': 'Java',
-        'Cargo.toml': 'Rust',
-        'go.mod': 'Go',
-        'composer.json': 'PHP',
-        'pubspec.yaml': 'Dart/Flutter'
-      };
-
-      // Framework detection files
-      const frameworkFiles = {
-        'angular.json': 'Angular',
-        'nuxt.config.js': 'Nuxt.js',
-        'next.config.js': 'Next.js',
-        'gatsby-config.js': 'Gatsby',
-        'vue.config.js': 'Vue.js',
-        'svelte.config.js': 'Svelte',
-        'astro.config.mjs': 'Astro'
-      };
-
-      // Tool detection
-      const toolFiles = {
-        'Dockerfile': 'Docker',
-        'docker-compose.yml': 'Docker Compose',
-        'webpack.config.js': 'Webpack',
-        'vite.config.js': 'Vite',
-        'tailwind.config.js': 'Tailwind CSS',
-        'postcss.config.js': 'PostCSS',
-        '.eslintrc': 'ESLint',
-        'tsconfig.json': 'TypeScript'
-      };
+      const response = await this.client.get(`/repos/${owner}/${repo}/contents/${path}`);
+      if (!response.data.content) return null;
+      return Buffer.from(response.data.content, 'base64');
+    } catch (error) {
+      if (error instanceof RateLimitError) throw error;
+      console.warn(`Failed to fetch file ${path}:`, error.message);
+      return null;
+    }
+  }
 
-      // Check for files
-      files.forEach(file => {
-        if (packageFiles[file]) {
-          techStack.backend.push(packageFiles[file]);
-        }
-        if (frameworkFiles[file]) {
-          techStack.frameworks.push(frameworkFiles[file]);
-        }
-        if (toolFiles[file]) {
-          techStack.tools.push(toolFiles[file]);
-        }
+  // Get the full recursive file tree of the default branch in one request
+  async getTree(owner, repo) {
+    try {
+      const response = await this.client.get(`/repos/${owner}/${repo}/git/trees/HEAD`, {
+        params: { recursive: 1 }
       });
-
-      // Analyze package.json if present
-      if (files.includes('package.json')) {
-        try {
-          const packageJson = await this.getContents(owner, repo, 'package.json');
-          const content = Buffer.from(packageJson.content, 'base64').toString('utf8');
-          const pkg = JSON.parse(content);
-          
-          const deps = { ...pkg.dependencies, ...pkg.devDependencies };
-          
-          // Frontend frameworks
-          if (deps.react) techStack.frontend.push('React');
-          if (deps.vue) techStack.frontend.push('Vue.js');
-          if (deps['@angular/core']) techStack.frontend.push('Angular');
-          if (deps.svelte) techStack.frontend.push('Svelte');
-          
-          // Backend frameworks
-          if (deps.express) techStack.backend.push('Express.js');
-          if (deps.fastify) techStack.backend.push('Fastify');
-          if (deps.koa) techStack.backend.push('Koa.js');
-          if (deps.nestjs) techStack.backend.push('NestJS');
-          
-          // Databases
-          if (deps.mongoose) techStack.database.push('MongoDB');
-          if (deps.mysql2) techStack.database.push('MySQL');
-          if (deps.pg) techStack.database.push('PostgreSQL');
-          if (deps.sqlite3) techStack.database.push('SQLite');
-          if (deps.redis) techStack.database.push('Redis');
-          
-        } catch (error) {
-          console.warn('Failed to parse package.json:', error.message);
-        }
+      if (response.data.truncated) {
+        console.warn(`Tree for ${owner}/${repo} is truncated; detection uses the partial listing`);
       }
-
-      // Remove duplicates
-      Object.keys(techStack).forEach(key => {
-        techStack[key] = [...new Set(techStack[key])];
-      });
-
-      return techStack;
+      return response.data.tree;
     } catch (error) {
-      console.warn(`Failed to detect tech stack for ${owner}/${repo}:`, error.message);
-      return techStack;
+      if (error instanceof RateLimitError) throw error;
+      console.warn(`Failed to fetch tree for ${owner}/${repo}:`, error.message);
+      return null;
     }
   }
 
-  // Extract features from README
-  extractFeatures(readmeContent) {
-    if (!readmeContent) return [];
-    
-    const features = [];
-    const lines = readmeContent.split('\n');
-    
-    let inFeatureSection = false;
-    const featureIndicators = ['features', 'functionality', 'capabilities', 'what it does'];
-    
-    lines.forEach(line => {
-      const lowerLine = line.toLowerCase();
-      
-      // Check if we're entering a features section
-      if (featureIndicators.some(indicator => 
-        lowerLine.includes(indicator) && (lowerLine.includes('#') || lowerLine.includes('**'))
-      )) {
-        inFeatureSection = true;
-        return;
-      }
-      
-      // Check if we're leaving the features section
-      if (inFeatureSection && line.startsWith('#') && !featureIndicators.some(indicator => 
-        lowerLine.includes(indicator)
-      )) {
-        inFeatureSection = false;
-        return;
+  // Weekly commit totals for the last year. GitHub computes repository
+  // statistics on demand and answers 202 until they are ready.
+  async getCommitActivity(owner, repo) {
+    for (let attempt = 0; attempt <= STATS_RETRY_DELAYS_MS.length; attempt++) {
+      const response = await this.client.get(`/repos/${owner}/${repo}/stats/commit_activity`);
+
+      if (response.status !== 202) {
+        const weeks = Array.isArray(response.data) ? response.data : [];
+        return {
+          status: 'ready',
+          weeks: weeks.map(week => ({
+            week: new Date(week.week * 1000).toISOString().slice(0, 10),
+            commits: week.total
+          }))
+        };
       }
-      
-      // Extract feature if we're in the section
-      if (inFeatureSection) {
-        const bulletMatch = line.match(/^[\s]*[-*+]\s+(.+)/);
-        const numberMatch = line.match(/^[\s]*\d+\.\s+(.+)/);
-        
-        if (bulletMatch) {
-          features.push(bulletMatch[1].trim());
-        } else if (numberMatch) {
-          features.push(numberMatch[1].trim());
-        }
+
+      if (attempt < STATS_RETRY_DELAYS_MS.length) {
+        await sleep(STATS_RETRY_DELAYS_MS[attempt]);
       }
-    });
-    
-    return features.slice(0, 10); // Limit to 10 features
+    }
+
+    return { status: 'computing', weeks: [] };
   }
 
   // Get repository analytics
   async getAnalytics(owner, repo) {
-    try {
-      const [commits, contributors, releases] = await Promise.allSettled([
-        this.client.get(`/repos/${owner}/${repo}/commits?per_page=1`),
-        this.client.get(`/repos/${owner}/${repo}/contributors`),
-        this.client.get(`/repos/${owner}/${repo}/releases`)
-      ]);
-
-      return {
-        commitCount: commits.status === 'fulfilled' ? 
-          parseInt(commits.value.headers.link?.match(/page=(\d+)>; rel="last"/)?.[1]) || 1 : 0,
-        contributorCount: contributors.status === 'fulfilled' ? contributors.value.data.length : 0,
-        releaseCount: releases.status === 'fulfilled' ? releases.value.data.length : 0
-      };
-    } catch (error) {
-      console.warn(`Failed to get analytics for ${owner}/${repo}:`, error.message);
-      return { commitCount: 0, contributorCount: 0, releaseCount: 0 };
-    }
-  }
+    const [commits, contributorTotal, contributors, releaseTotal, releases, activity] = await Promise.allSettled([
+      this.client.get(`/repos/${owner}/${repo}/commits`, { params: { per_page: 1 } }),
+      // With one contributor per page, the last page number is the contributor count
+      this.client.get(`/repos/${owner}/${repo}/contributors`, { params: { per_page: 1, anon: true } }),
+      this.client.get(`/repos/${owner}/${repo}/contributors`, { params: { per_page: TOP_CONTRIBUTORS } }),
+      this.client.get(`/repos/${owner}/${repo}/releases`, { params: { per_page: 1 } }),
+      this.client.get(`/repos/${owner}/${repo}/releases`, { params: { per_page: RELEASE_TIMELINE_LENGTH } }),
+      this.getCommitActivity(owner, repo)
+    ]);
 
-  // Main analysis method
-  async analyzeRepository(url) {
-    const { owner, repo } = this.parseGitHubUrl(url);
-    
-    console.log(`🔍 Analyzing repository: ${owner}/${repo}`);
-    
-    try {
-      // Fetch all repository data in parallel
-      const [repository, readme, languages, techStack, analytics] = await Promise.allSettled([
-        this.getRepository(owner, repo),
-        this.getReadme(owner, repo),
-        this.getLanguages(owner, repo),
-        this.detectTechStack(owner, repo),
-        this.getAnalytics(owner, repo)
-      ]);
-
-      if (repository.status === 'rejected') {
-        throw repository.reason;
-      }
-
-      const repoData = repository.value;
-      const readmeData = readme.status === 'fulfilled' ? readme.value : null;
-      const languageData = languages.status === 'fulfilled' ? languages.value : { stats: [], primary: 'Unknown' };
-      const techStackData = techStack.status === 'fulfilled' ? techStack.value : {};
-      const analyticsData = analytics.status === 'fulfilled' ? analytics.value : {};
-
-      const result = {
-        repository: {
-          id: repoData.id,
-          name: repoData.name,
-          fullName: repoData.full_name,
-          owner: {
-            login: repoData.owner.login,
-            avatar: repoData.owner.avatar_url,
-            type: repoData.owner.type
-          },
-          description: repoData.description,
-          url: repoData.html_url,
-          cloneUrl: repoData.clone_url,
-          homepage: repoData.homepage,
-          topics: repoData.topics || [],
-          language: repoData.language,
-          size: repoData.size,
-          stars: repoData.stargazers_count,
-          forks: repoData.forks_count,
-          watchers: repoData.watchers_count,
-          openIssues: repoData.open_issues_count,
-          createdAt: repoData.created_at,
-          updatedAt: repoData.updated_at,
-          pushedAt: repoData.pushed_at,
-          license: repoData.license?.name || null,
-          isPrivate: repoData.private,
-          isFork: repoData.fork,
-          archived: repoData.archived
-        },
-        readme: readmeData,
-        languages: languageData,
-        techStack: techStackData,
-        analytics: analyticsData,
-        features: readmeData ? this.extractFeatures(readmeData.content) : [],
-        analysis: {
-          complexity: this.calculateComplexity(languageData, techStackData),
-          category: this.categorizeProject(repoData, techStackData),
-          deployability: this.assessDeployability(techStackData),
-          score: this.calculateProjectScore(repoData, analyticsData)
-        },
-        generatedAt: new Date().toISOString()
-      };
+    const results = [commits, contributorTotal, contributors, releaseTotal, releases, activity];
+    this.throwIfFailed(results);
 
-      console.log(`✅ Analysis completed for ${owner}/${repo}`);
-      return result;
+    // Total from the last page of a one-per-page listing
+    const count = (result) => result.status === 'fulfilled'
+      ? parseInt(result.value.headers.link?.match(/[?&]page=(\d+)>; rel="last"/)?.[1]) || result.value.data.length
+      : 0;
+    const list = (result) => result.status === 'fulfilled' && Array.isArray(result.value.data) ? result.value.data : [];
 
-    } catch (error) {
-      console.error(`❌ Analysis failed for ${owner}/${repo}:`, error.message);
-      throw error;
-    }
+    return this.withReleases({
+      ...this.emptyAnalytics(),
+      commitCount: count(commits),
+      contributorCount: count(contributorTotal),
+      releaseCount: count(releaseTotal),
+      commitActivity: activity.status === 'fulfilled' ? activity.value : { status: 'unavailable', weeks: [] },
+      topContributors: list(contributors).map(contributor => ({
+        login: contributor.login,
+        name: null,
+        avatar: contributor.avatar_url,
+        commits: contributor.contributions,
+        url: contributor.html_url
+      }))
+    }, list(releases)
+      .filter(release => !release.draft)
+      .map(release => this.toRelease({
+        tag: release.tag_name,
+        name: release.name,
+        publishedAt: release.published_at || release.created_at,
+        url: release.html_url,
+        notes: release.body,
+        prerelease: release.prerelease
+      })));
   }
 
-  // Helper methods for analysis
-  calculateComplexity(languages, techStack) {
-    let score = 0;
-    score += languages.stats.length * 10;
-    score += Object.values(techStack).flat().length * 5;
-    
-    if (score < 30) return 'Simple';
-    if (score < 60) return 'Moderate';
-    return 'Complex';
-  }
-
-  categorizeProject(repo, techStack) {
-    const frontend = techStack.frontend || [];
-    const backend = techStack.backend || [];
-    const tools = techStack.tools || [];
-    
-    if (frontend.length > 0 && backend.length > 0) return 'Full-Stack Application';
-    if (frontend.length > 0) return 'Frontend Application';
-    if (backend.length > 0) return 'Backend Service';
-    if (tools.includes('Docker')) return 'DevOps/Infrastructure';
-    if (repo.language === 'Python') return 'Python Project';
-    if (repo.language === 'JavaScript') return 'JavaScript Project';
-    
-    return 'General Project';
-  }
-
-  assessDeployability(techStack) {
-    const deployableFrameworks = ['React', 'Vue.js', 'Angular', 'Next.js', 'Nuxt.js', 'Gatsby'];
-    const hasDeployableFramework = deployableFrameworks.some(framework => 
-      techStack.frontend?.includes(framework) || techStack.frameworks?.includes(framework)
-    );
-    
-    if (hasDeployableFramework || techStack.tools?.includes('Docker')) {
-      return 'High';
-    }
-    
-    if (techStack.backend?.length > 0) {
-      return 'Medium';
+  // Raw file URL for a path in a repository
+  rawFileUrl(owner, repo, branch, repoPath) {
+    const ref = branch || 'HEAD';
+    if (this.host === 'github.com') {
+      return `https://raw.githubusercontent.com/${owner}/${repo}/${ref}/${encodeRepositoryPath(repoPath)}`;
     }
-    
-    return 'Low';
-  }
-
-  calculateProjectScore(repo, analytics) {
-    let score = 0;
-    
-    // Stars weight (max 40 points)
-    score += Math.min(repo.stargazers_count / 10, 40);
-    
-    // Forks weight (max 20 points)
-    score += Math.min(repo.forks_count / 5, 20);
-    
-    // Recent activity (max 20 points)
-    const daysSinceUpdate = (new Date() - new Date(repo.updated_at)) / (1000 * 60 * 60 * 24);
-    score += Math.max(20 - daysSinceUpdate / 7, 0);
-    
-    // Contributors (max 10 points)
-    score += Math.min(analytics.contributorCount * 2, 10);
-    
-    // Documentation (max 10 points)
-    if (repo.description) score += 5;
-    if (repo.homepage) score += 5;
-    
-    return Math.round(Math.min(score, 100));
+    return `${this.webUrl}/${owner}/${repo}/raw/${ref}/${encodeRepositoryPath(repoPath)}`;
   }
 }
 
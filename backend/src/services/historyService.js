@@ -0,0 +1,160 @@
+import { createCacheStore } from './cacheStores/index.js';
+import { envNumber } from '../utils/env.js';
+
+// Analyses this close to the latest snapshot replace it instead of adding one
+const SNAPSHOT_INTERVAL_MS = 60 * 60 * 1000;
+
+// Language share changes below this many percentage points are noise
+const LANGUAGE_CHANGE_THRESHOLD = 0.5;
+
+const METRICS = ['stars', 'forks', 'watchers', 'openIssues', 'score'];
+
+// Difference between two numbers, with the relative change when it's meaningful
+function compareNumbers(from, to) {
+  return {
+    from,
+    to,
+    change: to - from,
+    percentChange: from > 0 ? Number((((to - from) / from) * 100).toFixed(1)) : null
+  };
+}
+
+// Items of `to` missing from `from`, and the other way round
+function compareLists(from = [], to = []) {
+  return {
+    added: to.filter(item => !from.includes(item)),
+    removed: from.filter(item => !to.includes(item))
+  };
+}
+
+// Analysis snapshots kept over time per repository, in the store selected by
+// HISTORY_STORE (defaults to CACHE_STORE) and HISTORY_FILE. Snapshots hold the
+// figures worth comparing, not whole analyses. Only public repositories are
+// recorded, like the shared cache.
+class HistoryService {
+  constructor({
+    store = createCacheStore(process.env.HISTORY_STORE || process.env.CACHE_STORE || 'memory', {
+      filePath: process.env.HISTORY_FILE || '.cache/analysis-history.json'
+    }),
+    maxSnapshots = envNumber('HISTORY_MAX_SNAPSHOTS', 100)
+  } = {}) {
+    this.store = store;
+    this.maxSnapshots = maxSnapshots;
+  }
+
+  // Comparable figures of an analysis
+  createSnapshot(data, takenAt = new Date()) {
+    return {
+      id: takenAt.toISOString(),
+      takenAt: takenAt.toISOString(),
+      stars: data.repository.stars || 0,
+      forks: data.repository.forks || 0,
+      watchers: data.repository.watchers || 0,
+      openIssues: data.repository.openIssues || 0,
+      score: data.analysis?.score || 0,
+      category: data.analysis?.category || null,
+      complexity: data.analysis?.complexity || null,
+      languages: (data.languages?.stats || []).map(language => ({
+        name: language.name,
+        percentage: Number(language.percentage)
+      })),
+      techStack: data.techStack || {},
+      features: data.features || [],
+      analytics: {
+        commitCount: data.analytics?.commitCount || 0,
+        contributorCount: data.analytics?.contributorCount || 0,
+        releaseCount: data.analytics?.releaseCount || 0
+      }
+    };
+  }
+
+  // Record a snapshot of a fresh analysis
+  record(repositoryUrl, data) {
+    const entry = this.store.get(repositoryUrl) || {
+      repositoryUrl,
+      fullName: data.repository.fullName,
+      snapshots: []
+    };
+    const snapshot = this.createSnapshot(data);
+    const latest = entry.snapshots[entry.snapshots.length - 1];
+
+    if (latest && Date.parse(snapshot.takenAt) - Date.parse(latest.takenAt) < SNAPSHOT_INTERVAL_MS) {
+      entry.snapshots[entry.snapshots.length - 1] = snapshot;
+    } else {
+      entry.snapshots.push(snapshot);
+    }
+
+    entry.fullName = data.repository.fullName;
+    entry.snapshots = entry.snapshots.slice(-this.maxSnapshots);
+    // Stores persist on set, so write the entry back even when it was mutated
+    this.store.set(repositoryUrl, entry);
+    return snapshot;
+  }
+
+  getSnapshots(repositoryUrl) {
+    return this.store.get(repositoryUrl)?.snapshots || [];
+  }
+
+  // Snapshot by ID, or the latest one taken at or before a date
+  findSnapshot(snapshots, ref) {
+    const exact = snapshots.find(snapshot => snapshot.id === ref);
+    if (exact) return exact;
+
+    const time = Date.parse(ref);
+    if (Number.isNaN(time)) return null;
+    return snapshots.filter(snapshot => Date.parse(snapshot.takenAt) <= time).pop() || null;
+  }
+
+  // Changes between two snapshots
+  diff(from, to) {
+    const metrics = Object.fromEntries(METRICS.map(metric => [metric, compareNumbers(from[metric], to[metric])]));
+
+    const fromLanguages = Object.fromEntries(from.languages.map(language => [language.name, language.percentage]));
+    const toLanguages = Object.fromEntries(to.languages.map(language => [language.name, language.percentage]));
+    const languageNames = compareLists(Object.keys(fromLanguages), Object.keys(toLanguages));
+    const changedLanguages = Object.keys(toLanguages)
+      .filter(name => name in fromLanguages)
+      .map(name => ({
+        name,
+        from: fromLanguages[name],
+        to: toLanguages[name],
+        change: Number((toLanguages[name] - fromLanguages[name]).toFixed(1))
+      }))
+      .filter(language => Math.abs(language.change) >= LANGUAGE_CHANGE_THRESHOLD);
+
+    const categories = [...new Set([...Object.keys(from.techStack), ...Object.keys(to.techStack)])];
+    const techStack = { added: [], removed: [] };
+    categories.forEach(category => {
+      const { added, removed } = compareLists(from.techStack[category], to.techStack[category]);
+      added.forEach(technology => techStack.added.push({ category, technology }));
+      removed.forEach(technology => techStack.removed.push({ category, technology }));
+    });
+
+    return {
+      from: { id: from.id, takenAt: from.takenAt },
+      to: { id: to.id, takenAt: to.takenAt },
+      ...metrics,
+      languages: { ...languageNames, changed: changedLanguages },
+      techStack,
+      features: compareLists(from.features, to.features),
+      category: from.category !== to.category ? { from: from.category, to: to.category } : null
+    };
+  }
+
+  // Changes over the whole history plus the metric series, for growth displays.
+  // Null until there are two snapshots to compare.
+  growth(repositoryUrl) {
+    const snapshots = this.getSnapshots(repositoryUrl);
+    if (snapshots.length < 2) return null;
+
+    return {
+      diff: this.diff(snapshots[0], snapshots[snapshots.length - 1]),
+      series: snapshots.map(({ takenAt, stars, forks, score }) => ({ takenAt, stars, forks, score }))
+    };
+  }
+}
+
+// Create singleton instance
+const historyService = new HistoryService();
+
+export default historyService;
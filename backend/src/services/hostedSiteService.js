@@ -0,0 +1,224 @@
+import crypto from 'crypto';
+import { createCacheStore } from './cacheStores/index.js';
+import cacheService from './cacheService.js';
+import analysisService from './analysisService.js';
+import historyService from './historyService.js';
+import siteGenerator from './siteGenerator.js';
+import templateRegistry, { DEFAULT_THEME } from './templateRegistry.js';
+import { runWithContext } from '../utils/requestContext.js';
+
+// Custom page addresses: lowercase letters, digits and inner hyphens
+export const SLUG_PATTERN = /^[a-z0-9](?:[a-z0-9-]{0,48}[a-z0-9])?$/;
+
+// Repository fields a publisher can replace on their page
+export const OVERRIDE_FIELDS = ['name', 'description', 'homepage'];
+
+// When an analysis was made, for picking the newest one
+const generatedAt = (analysis) => Date.parse(analysis?.generatedAt) || 0;
+
+// Files of a hosted site, served next to each other so relative links resolve
+export const HOSTED_FILES = ['index.html', 'styles.css', 'favicon.svg', 'social-preview.png'];
+
+// Rendered sites kept in memory, least recently rendered dropped first
+const MAX_RENDERED_SITES = 50;
+
+// Least time between background refreshes of one site's analysis
+const REFRESH_INTERVAL_MS = 15 * 60 * 1000;
+
+// Portfolio pages served by the backend at stable URLs: /sites/<owner>/<repo>/
+// for github.com repositories and /p/<slug>/ for custom slugs. Publishing
+// stores the page's settings (theme, growth section, overrides) and the
+// analysis it shows in the store selected by SITES_STORE (defaults to
+// CACHE_STORE) and SITES_FILE; newer public analyses replace it as they come.
+export class HostedSiteService {
+  constructor({
+    store = createCacheStore(process.env.SITES_STORE || process.env.CACHE_STORE || 'memory', {
+      filePath: process.env.SITES_FILE || '.cache/hosted-sites.json'
+    })
+  } = {}) {
+    this.store = store;
+    this.rendered = new Map();
+    // Time of each site's last background refresh
+    this.refreshedAt = new Map();
+  }
+
+  // Published site of a repository URL, which must be normalized
+  get(repositoryUrl) {
+    return this.store.get(repositoryUrl) || null;
+  }
+
+  findBySlug(slug) {
+    return Array.from(this.store.values()).find(site => site.slug === slug) || null;
+  }
+
+  // Path of a github.com repository's page, or null for other hosts
+  repositoryPath(repositoryUrl) {
+    const { host, pathname } = new URL(repositoryUrl);
+    return host === 'github.com' ? `/sites${pathname}/` : null;
+  }
+
+  // Path a site is linked at: its slug when it has one
+  canonicalPath(site) {
+    return site.slug ? `/p/${site.slug}/` : this.repositoryPath(site.repositoryUrl);
+  }
+
+  // Publish or update the site of an analyzed public repository
+  publish(repositoryUrl, data, { theme, includeGrowth = false, slug = null, overrides = {} }) {
+    const existing = this.get(repositoryUrl);
+    const now = new Date();
+    const site = {
+      repositoryUrl,
+      fullName: data.repository.fullName,
+      theme,
+      includeGrowth,
+      slug,
+      overrides: Object.fromEntries(OVERRIDE_FIELDS.filter(field => overrides[field]).map(field => [field, overrides[field]])),
+      analysis: data,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now
+    };
+
+    this.store.set(repositoryUrl, site);
+    this.rendered.delete(repositoryUrl);
+    return site;
+  }
+
+  unpublish(repositoryUrl) {
+    this.rendered.delete(repositoryUrl);
+    this.refreshedAt.delete(repositoryUrl);
+    return this.store.delete(repositoryUrl);
+  }
+
+  // Settings and absolute URLs of a site, for API responses
+  describe(site, baseUrl) {
+    const paths = [this.repositoryPath(site.repositoryUrl), site.slug && `/p/${site.slug}/`].filter(Boolean);
+    return {
+      repositoryUrl: site.repositoryUrl,
+      fullName: site.fullName,
+      theme: site.theme,
+      includeGrowth: site.includeGrowth,
+      slug: site.slug,
+      overrides: site.overrides,
+      url: new URL(this.canonicalPath(site), baseUrl).href,
+      urls: paths.map(path => new URL(path, baseUrl).href),
+      createdAt: site.createdAt.toISOString(),
+      updatedAt: site.updatedAt.toISOString()
+    };
+  }
+
+  // Latest public analysis of a site's repository: the one stored with the
+  // site, or a newer one from the cache. Page views never wait for an
+  // analysis; once the cached one has expired, a background refresh runs at
+  // most every REFRESH_INTERVAL_MS per site, anonymously, so a signed-in
+  // visitor's token and private analyses never reach a public page.
+  latestAnalysis(site) {
+    const entry = cacheService.findValidCache(site.repositoryUrl);
+    if (entry && !entry.data.repository.isPrivate && generatedAt(entry.data) > generatedAt(site.analysis)) {
+      site = this.replaceAnalysis(site, entry.data);
+    }
+    if (!entry || entry.stale) this.refresh(site);
+    return site.analysis;
+  }
+
+  // Keep a newer analysis with the site, leaving its settings as they are
+  replaceAnalysis(site, analysis) {
+    const updated = { ...site, analysis };
+    this.store.set(site.repositoryUrl, updated);
+    return updated;
+  }
+
+  refresh(site) {
+    const last = this.refreshedAt.get(site.repositoryUrl) || 0;
+    if (Date.now() - last < REFRESH_INTERVAL_MS) return;
+    this.refreshedAt.set(site.repositoryUrl, Date.now());
+
+    runWithContext({}, () => analysisService.runShared(site.repositoryUrl)).catch(error => {
+      // Pages of repositories that are gone or have turned private stop being served
+      if (analysisService.describeError(error).status === 404 && this.get(site.repositoryUrl)) {
+        this.replaceAnalysis(this.get(site.repositoryUrl), null);
+        this.rendered.delete(site.repositoryUrl);
+      }
+      console.warn(`Background refresh of hosted site ${site.fullName} failed:`, error.message);
+    });
+  }
+
+  // Render one file of a site, or return null when its repository is no
+  // longer publicly analyzable. Renders are reused until the analysis, the
+  // site's settings or its address change.
+  async renderFile(site, file, { baseUrl }) {
+    const analysis = this.latestAnalysis(site);
+    if (!analysis) return null;
+
+    const siteUrl = new URL(this.canonicalPath(site), baseUrl).href;
+    const analyzedAt = new Date(generatedAt(analysis));
+    const version = crypto.createHash('sha1')
+      .update([analyzedAt.toISOString(), site.updatedAt.toISOString(), siteUrl].join('\n'))
+      .digest('hex')
+      .slice(0, 16);
+
+    let rendered = this.rendered.get(site.repositoryUrl);
+    if (rendered?.version !== version) {
+      rendered = { version, page: this.preparePage(site, analysis), files: new Map() };
+    }
+    // Re-insert to keep the map in render order
+    this.rendered.delete(site.repositoryUrl);
+    this.rendered.set(site.repositoryUrl, rendered);
+    if (this.rendered.size > MAX_RENDERED_SITES) {
+      this.rendered.delete(this.rendered.keys().next().value);
+    }
+
+    if (!rendered.files.has(file)) {
+      const content = rendered.page.then(page => this.render(file, { ...page, siteUrl }));
+      // Failed renders are retried on the next request
+      content.catch(() => {
+        if (this.rendered.get(site.repositoryUrl) === rendered) this.rendered.delete(site.repositoryUrl);
+      });
+      rendered.files.set(file, content);
+    }
+
+    const updatedAt = Math.max(analyzedAt.getTime(), site.updatedAt.getTime());
+    return {
+      content: await rendered.files.get(file),
+      etag: `"${version}"`,
+      lastModified: new Date(updatedAt)
+    };
+  }
+
+  // Analysis with the site's overrides and history, and the theme to render it with
+  async preparePage(site, analysis) {
+    const history = site.includeGrowth ? historyService.growth(site.repositoryUrl) : null;
+    const data = {
+      ...analysis,
+      history,
+      repository: { ...analysis.repository, ...site.overrides }
+    };
+
+    // Themes can be uninstalled, and analyses can change, after publishing
+    let theme = await templateRegistry.get(site.theme);
+    if (!theme || templateRegistry.missingRequirements(theme, data).length > 0) {
+      theme = await templateRegistry.get(DEFAULT_THEME);
+    }
+
+    return { data, theme: site.includeGrowth ? templateRegistry.withGrowthSection(theme) : theme };
+  }
+
+  async render(file, { data, theme, siteUrl }) {
+    switch (file) {
+      case 'index.html':
+        return siteGenerator.renderPage(data, { theme, readmeHtml: siteGenerator.renderReadmeHtml(data), siteUrl });
+      case 'styles.css':
+        return siteGenerator.renderStyles(theme);
+      case 'favicon.svg':
+        return siteGenerator.renderFavicon(data);
+      case 'social-preview.png':
+        return siteGenerator.renderSocialPreview(data);
+      default:
+        throw new Error(`Unknown hosted site file: ${file}`);
+    }
+  }
+}
+
+// Create singleton instance
+const hostedSiteService = new HostedSiteService();
+
+export default hostedSiteService;
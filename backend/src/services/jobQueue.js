@@ -0,0 +1,230 @@
+import crypto from 'crypto';
+import analysisService from './analysisService.js';
+import { RateLimitError } from '../errors.js';
+import { envNumber } from '../utils/env.js';
+import { runWithContext } from '../utils/requestContext.js';
+
+// Pause before retrying when a rate limit reports no reset time
+const DEFAULT_RATE_LIMIT_PAUSE_MS = 60 * 1000;
+
+// Times a URL is put back in the queue after hitting a rate limit
+const MAX_RATE_LIMIT_ATTEMPTS = 5;
+
+// Finished jobs kept for polling
+const MAX_FINISHED_JOBS = 200;
+
+const FINISHED_ITEM_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Batch analysis jobs. URLs of every job share one worker pool of
+// ANALYSIS_JOB_CONCURRENCY analyses (default 3). When a host's rate limit runs
+// out, the whole queue pauses until it resets and the URL is retried, rather
+// than failing the rest of the batch. Jobs live in memory and run independently
+// of the request that created them.
+class JobQueue {
+  constructor({
+    concurrency = envNumber('ANALYSIS_JOB_CONCURRENCY', 3),
+    ttlMs = envNumber('JOB_TTL_HOURS', 24) * 60 * 60 * 1000
+  } = {}) {
+    this.concurrency = concurrency;
+    this.ttlMs = ttlMs;
+    this.jobs = new Map();
+    this.pending = [];
+    this.active = 0;
+    this.pausedUntil = null;
+    this.resumeTimer = null;
+  }
+
+  // Queue a batch; the creator's viewer (if signed in) is used for its analyses
+  create(urls, { forceRefresh = false, scoreProfile, viewer = null } = {}) {
+    this.prune();
+
+    const now = new Date();
+    const job = {
+      id: crypto.randomUUID(),
+      viewer,
+      forceRefresh,
+      scoreProfile,
+      status: 'queued',
+      createdAt: now,
+      updatedAt: now,
+      finishedAt: null,
+      items: urls.map(url => ({
+        url,
+        status: 'queued',
+        attempts: 0,
+        startedAt: null,
+        finishedAt: null,
+        result: null,
+        error: null
+      }))
+    };
+
+    this.jobs.set(job.id, job);
+    job.items.forEach(item => this.pending.push({ job, item }));
+    console.log(`📦 Queued batch job ${job.id} with ${urls.length} repositories`);
+
+    this.drain();
+    return job;
+  }
+
+  // Jobs created by a signed-in viewer are only visible to them
+  get(id, viewer = null) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+    if (job.viewer && job.viewer.id !== viewer?.id) return null;
+    return job;
+  }
+
+  // Cancel queued URLs; running analyses finish but the job ends as cancelled
+  cancel(job) {
+    if (job.finishedAt) return job;
+
+    job.status = 'cancelled';
+    job.items
+      .filter(item => item.status === 'queued')
+      .forEach(item => {
+        item.status = 'cancelled';
+        item.finishedAt = new Date();
+      });
+    this.pending = this.pending.filter(entry => entry.job !== job);
+    this.finishIfDone(job);
+
+    console.log(`🛑 Cancelled batch job ${job.id}`);
+    return job;
+  }
+
+  // Cancel and drop a viewer's jobs, e.g. when they sign out
+  forgetViewer(viewerId) {
+    Array.from(this.jobs.values())
+      .filter(job => job.viewer?.id === viewerId)
+      .forEach(job => {
+        this.cancel(job);
+        this.jobs.delete(job.id);
+      });
+  }
+
+  // Start queued analyses up to the concurrency limit unless paused
+  drain() {
+    if (this.pausedUntil) return;
+
+    while (this.active < this.concurrency && this.pending.length > 0) {
+      const { job, item } = this.pending.shift();
+      this.active++;
+      this.run(job, item).finally(() => {
+        this.active--;
+        this.drain();
+      });
+    }
+  }
+
+  async run(job, item) {
+    item.status = 'running';
+    item.attempts++;
+    item.startedAt = item.startedAt || new Date();
+    if (job.status === 'queued') job.status = 'running';
+    job.updatedAt = new Date();
+
+    // Analyses run outside the creating request, so restore its viewer
+    await runWithContext({ viewer: job.viewer }, async () => {
+      try {
+        const result = await analysisService.analyze(item.url, {
+          forceRefresh: job.forceRefresh,
+          scoreProfile: job.scoreProfile
+        });
+        item.status = 'completed';
+        item.result = result;
+      } catch (error) {
+        if (error instanceof RateLimitError && item.attempts < MAX_RATE_LIMIT_ATTEMPTS && job.status !== 'cancelled') {
+          // Back to the front of the queue once the limit resets
+          item.status = 'queued';
+          this.pending.unshift({ job, item });
+          this.pause(error.resetAt);
+          return;
+        }
+
+        console.warn(`Batch job ${job.id} failed for ${item.url}:`, error.message);
+        const { status, body } = analysisService.describeError(error);
+        item.status = 'failed';
+        item.error = { status, ...body };
+      }
+      item.finishedAt = new Date();
+    });
+
+    job.updatedAt = new Date();
+    this.finishIfDone(job);
+  }
+
+  // Hold every queued analysis until the rate limit resets
+  pause(resetAt) {
+    const until = resetAt && resetAt.getTime() > Date.now()
+      ? resetAt
+      : new Date(Date.now() + DEFAULT_RATE_LIMIT_PAUSE_MS);
+    if (this.pausedUntil && this.pausedUntil >= until) return;
+
+    console.warn(`⏸️  Batch queue paused by rate limiting until ${until.toISOString()}`);
+    this.pausedUntil = until;
+    clearTimeout(this.resumeTimer);
+    this.resumeTimer = setTimeout(() => {
+      this.pausedUntil = null;
+      this.drain();
+    }, until.getTime() - Date.now());
+    this.resumeTimer.unref();
+  }
+
+  finishIfDone(job) {
+    if (job.finishedAt || !job.items.every(item => FINISHED_ITEM_STATUSES.includes(item.status))) return;
+
+    job.finishedAt = new Date();
+    if (job.status !== 'cancelled') job.status = 'completed';
+    const failed = job.items.filter(item => item.status === 'failed').length;
+    console.log(`✅ Batch job ${job.id} ${job.status} (${failed} failed)`);
+  }
+
+  // Drop expired finished jobs, and the oldest ones beyond the retention limit
+  prune() {
+    const now = Date.now();
+    const finished = Array.from(this.jobs.values()).filter(job => job.finishedAt);
+
+    finished
+      .filter((job, index) => now - job.finishedAt.getTime() > this.ttlMs
+        || index < finished.length - MAX_FINISHED_JOBS)
+      .forEach(job => this.jobs.delete(job.id));
+  }
+
+  // Job status for the API; full analyses only on request since batches get large
+  describe(job, { includeData = false } = {}) {
+    const counts = { queued: 0, running: 0, completed: 0, failed: 0, cancelled: 0 };
+    job.items.forEach(item => counts[item.status]++);
+
+    return {
+      id: job.id,
+      status: job.status,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      finishedAt: job.finishedAt,
+      pausedUntil: !job.finishedAt ? this.pausedUntil : null,
+      progress: { total: job.items.length, ...counts },
+      items: job.items.map(item => ({
+        url: item.url,
+        status: item.status,
+        attempts: item.attempts,
+        startedAt: item.startedAt,
+        finishedAt: item.finishedAt,
+        result: item.result && {
+          fullName: item.result.data.repository.fullName,
+          cached: item.result.cached,
+          analysisTime: item.result.analysisTime,
+          score: item.result.data.analysis.score,
+          category: item.result.data.analysis.category,
+          ...(includeData ? { data: item.result.data } : {})
+        },
+        error: item.error
+      }))
+    };
+  }
+}
+
+// Create singleton instance
+const jobQueue = new JobQueue();
+
+export default jobQueue;
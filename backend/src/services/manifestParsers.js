@@ -0,0 +1,310 @@
+import * as cheerio from 'cheerio';
+import { parse as parseToml } from 'smol-toml';
+import { parse as parseYaml } from 'yaml';
+
+// Dependency -> [category, technology], per ecosystem. A key also matches
+// dependencies nested under it (`org.springframework.boot` matches
+// `org.springframework.boot:spring-boot-starter-web`, `github.com/labstack/echo`
+// matches `github.com/labstack/echo/v4`).
+const DEPENDENCY_TECHNOLOGIES = {
+  node: {
+    'react': ['frontend', 'React'],
+    'vue': ['frontend', 'Vue.js'],
+    '@angular/core': ['frontend', 'Angular'],
+    'svelte': ['frontend', 'Svelte'],
+    'express': ['backend', 'Express.js'],
+    'fastify': ['backend', 'Fastify'],
+    'koa': ['backend', 'Koa.js'],
+    '@nestjs/core': ['backend', 'NestJS'],
+    'nestjs': ['backend', 'NestJS'],
+    'mongoose': ['database', 'MongoDB'],
+    'mysql2': ['database', 'MySQL'],
+    'pg': ['database', 'PostgreSQL'],
+    'sqlite3': ['database', 'SQLite'],
+    'redis': ['database', 'Redis']
+  },
+  python: {
+    'django': ['backend', 'Django'],
+    'flask': ['backend', 'Flask'],
+    'fastapi': ['backend', 'FastAPI'],
+    'tornado': ['backend', 'Tornado'],
+    'sqlalchemy': ['database', 'SQLAlchemy'],
+    'psycopg2': ['database', 'PostgreSQL'],
+    'psycopg2-binary': ['database', 'PostgreSQL'],
+    'psycopg': ['database', 'PostgreSQL'],
+    'asyncpg': ['database', 'PostgreSQL'],
+    'mysqlclient': ['database', 'MySQL'],
+    'pymysql': ['database', 'MySQL'],
+    'pymongo': ['database', 'MongoDB'],
+    'motor': ['database', 'MongoDB'],
+    'redis': ['database', 'Redis'],
+    'celery': ['tools', 'Celery'],
+    'pytest': ['tools', 'pytest']
+  },
+  ruby: {
+    'rails': ['backend', 'Ruby on Rails'],
+    'sinatra': ['backend', 'Sinatra'],
+    'pg': ['database', 'PostgreSQL'],
+    'mysql2': ['database', 'MySQL'],
+    'sqlite3': ['database', 'SQLite'],
+    'mongoid': ['database', 'MongoDB'],
+    'redis': ['database', 'Redis'],
+    'sidekiq': ['tools', 'Sidekiq'],
+    'rspec': ['tools', 'RSpec'],
+    'rspec-rails': ['tools', 'RSpec']
+  },
+  go: {
+    'github.com/gin-gonic/gin': ['backend', 'Gin'],
+    'github.com/labstack/echo': ['backend', 'Echo'],
+    'github.com/gofiber/fiber': ['backend', 'Fiber'],
+    'github.com/gorilla/mux': ['backend', 'Gorilla Mux'],
+    'github.com/go-chi/chi': ['backend', 'Chi'],
+    'gorm.io/gorm': ['database', 'GORM'],
+    'github.com/lib/pq': ['database', 'PostgreSQL'],
+    'github.com/jackc/pgx': ['database', 'PostgreSQL'],
+    'github.com/go-sql-driver/mysql': ['database', 'MySQL'],
+    'github.com/mattn/go-sqlite3': ['database', 'SQLite'],
+    'go.mongodb.org/mongo-driver': ['database', 'MongoDB'],
+    'github.com/redis/go-redis': ['database', 'Redis'],
+    'github.com/go-redis/redis': ['database', 'Redis']
+  },
+  rust: {
+    'actix-web': ['backend', 'Actix'],
+    'axum': ['backend', 'Axum'],
+    'rocket': ['backend', 'Rocket'],
+    'warp': ['backend', 'Warp'],
+    'yew': ['frontend', 'Yew'],
+    'leptos': ['frontend', 'Leptos'],
+    'tauri': ['frameworks', 'Tauri'],
+    'diesel': ['database', 'Diesel'],
+    'sqlx': ['database', 'SQLx'],
+    'sea-orm': ['database', 'SeaORM'],
+    'tokio-postgres': ['database', 'PostgreSQL'],
+    'mongodb': ['database', 'MongoDB'],
+    'redis': ['database', 'Redis']
+  },
+  java: {
+    'org.springframework.boot': ['backend', 'Spring Boot'],
+    'io.quarkus': ['backend', 'Quarkus'],
+    'io.micronaut': ['backend', 'Micronaut'],
+    'org.hibernate': ['database', 'Hibernate'],
+    'org.hibernate.orm': ['database', 'Hibernate'],
+    'org.postgresql': ['database', 'PostgreSQL'],
+    'mysql': ['database', 'MySQL'],
+    'com.mysql': ['database', 'MySQL'],
+    'org.mongodb': ['database', 'MongoDB'],
+    'redis.clients': ['database', 'Redis'],
+    'com.h2database': ['database', 'H2']
+  },
+  php: {
+    'laravel/framework': ['backend', 'Laravel'],
+    'symfony/framework-bundle': ['backend', 'Symfony'],
+    'symfony/symfony': ['backend', 'Symfony'],
+    'slim/slim': ['backend', 'Slim'],
+    'doctrine/orm': ['database', 'Doctrine'],
+    'mongodb/mongodb': ['database', 'MongoDB'],
+    'predis/predis': ['database', 'Redis'],
+    'phpunit/phpunit': ['tools', 'PHPUnit']
+  },
+  dart: {
+    'flutter': ['frontend', 'Flutter'],
+    'firebase_core': ['database', 'Firebase'],
+    'cloud_firestore': ['database', 'Firebase'],
+    'sqflite': ['database', 'SQLite']
+  }
+};
+
+// PEP 503 normalized Python package name
+const normalizePythonName = (name) => name.toLowerCase().replace(/[-_.]+/g, '-');
+
+// Requirement specifier ("Django>=4.2; python_version>'3.8'") -> "django"
+const pythonRequirementName = (requirement) => {
+  const match = requirement.trim().match(/^([A-Za-z0-9][A-Za-z0-9._-]*)/);
+  return match ? normalizePythonName(match[1]) : null;
+};
+
+const keysOf = (...tables) => tables.flatMap(table =>
+  table && typeof table === 'object' && !Array.isArray(table) ? Object.keys(table) : []
+);
+
+function parsePackageJson(text) {
+  const pkg = JSON.parse(text);
+  return {
+    ecosystem: 'node',
+    name: pkg.name || null,
+    // Peer dependencies are what a library works with, not what it uses
+    dependencies: keysOf(pkg.dependencies, pkg.devDependencies),
+    workspaces: pkg.workspaces || null
+  };
+}
+
+function parseRequirements(text) {
+  const dependencies = text.split('\n')
+    .map(line => line.replace(/(^|\s)#.*$/, '').trim())
+    // Skip options and includes such as -r, -e and --index-url
+    .filter(line => line && !line.startsWith('-'))
+    .map(pythonRequirementName);
+
+  return { ecosystem: 'python', name: null, dependencies };
+}
+
+function parsePyproject(text) {
+  const { project = {}, tool = {} } = parseToml(text);
+  const poetry = tool.poetry || {};
+  const optional = Object.values(project['optional-dependencies'] || {}).flat();
+  const groups = Object.values(poetry.group || {}).map(group => group.dependencies);
+
+  const dependencies = [
+    ...[...(project.dependencies || []), ...optional].map(pythonRequirementName),
+    ...keysOf(poetry.dependencies, poetry['dev-dependencies'], ...groups)
+      .filter(name => name !== 'python')
+      .map(normalizePythonName)
+  ];
+
+  return { ecosystem: 'python', name: project.name || poetry.name || null, dependencies };
+}
+
+function parsePipfile(text) {
+  const pipfile = parseToml(text);
+  return {
+    ecosystem: 'python',
+    name: null,
+    dependencies: keysOf(pipfile.packages, pipfile['dev-packages']).map(normalizePythonName)
+  };
+}
+
+function parseGemfile(text) {
+  const dependencies = [...text.matchAll(/^\s*gem\s+['"]([^'"]+)['"]/gm)].map(match => match[1]);
+  return { ecosystem: 'ruby', name: null, dependencies };
+}
+
+function parseGoMod(text) {
+  let name = null;
+  let inRequire = false;
+  const dependencies = [];
+
+  text.split('\n').forEach(rawLine => {
+    const line = rawLine.replace(/\/\/.*$/, '').trim();
+    if (!line) return;
+
+    if (inRequire) {
+      if (line === ')') inRequire = false;
+      else dependencies.push(line.split(/\s+/)[0]);
+    } else if (line.startsWith('module ')) {
+      name = line.slice('module '.length).trim();
+    } else if (line === 'require (') {
+      inRequire = true;
+    } else if (line.startsWith('require ')) {
+      dependencies.push(line.split(/\s+/)[1]);
+    }
+  });
+
+  return { ecosystem: 'go', name, dependencies };
+}
+
+function parseCargo(text) {
+  const cargo = parseToml(text);
+  const targets = Object.values(cargo.target || {});
+
+  return {
+    ecosystem: 'rust',
+    name: cargo.package?.name || null,
+    dependencies: keysOf(
+      cargo.dependencies, cargo['dev-dependencies'], cargo['build-dependencies'],
+      cargo.workspace?.dependencies,
+      ...targets.map(target => target.dependencies)
+    )
+  };
+}
+
+function parsePom(text) {
+  const $ = cheerio.load(text, { xmlMode: true });
+  const coordinates = (element) => {
+    const groupId = $(element).children('groupId').text().trim();
+    const artifactId = $(element).children('artifactId').text().trim();
+    return groupId && artifactId ? `${groupId}:${artifactId}` : null;
+  };
+
+  const dependencies = [
+    ...$('project > parent').toArray(),
+    ...$('dependency').toArray(),
+    ...$('plugin').toArray()
+  ].map(coordinates);
+
+  return {
+    ecosystem: 'java',
+    name: $('project > artifactId').first().text().trim() || null,
+    dependencies
+  };
+}
+
+function parseGradle(text) {
+  const configurations = 'implementation|api|compile|compileOnly|runtimeOnly|testImplementation|annotationProcessor|kapt|classpath';
+  const declared = new RegExp(`\\b(?:${configurations})\\s*\\(?\\s*['"]([^:'"\\s]+):([^:'"\\s]+)`, 'g');
+  const plugins = /\bid\s*\(?\s*['"]([^'"]+)['"]/g;
+
+  const dependencies = [
+    ...[...text.matchAll(declared)].map(match => `${match[1]}:${match[2]}`),
+    ...[...text.matchAll(plugins)].map(match => match[1])
+  ];
+
+  return { ecosystem: 'java', name: null, dependencies };
+}
+
+function parseComposer(text) {
+  const composer = JSON.parse(text);
+  return {
+    ecosystem: 'php',
+    name: composer.name || null,
+    dependencies: keysOf(composer.require, composer['require-dev'])
+  };
+}
+
+function parsePubspec(text) {
+  const pubspec = parseYaml(text) || {};
+  return {
+    ecosystem: 'dart',
+    name: pubspec.name || null,
+    dependencies: keysOf(pubspec.dependencies, pubspec.dev_dependencies)
+  };
+}
+
+// Manifest file name -> parser
+const PARSERS = {
+  'package.json': parsePackageJson,
+  'requirements.txt': parseRequirements,
+  'pyproject.toml': parsePyproject,
+  'Pipfile': parsePipfile,
+  'Gemfile': parseGemfile,
+  'go.mod': parseGoMod,
+  'Cargo.toml': parseCargo,
+  'pom.xml': parsePom,
+  'build.gradle': parseGradle,
+  'build.gradle.kts': parseGradle,
+  'composer.json': parseComposer,
+  'pubspec.yaml': parsePubspec
+};
+
+export const MANIFEST_FILES = Object.keys(PARSERS);
+
+// Parse a manifest into its ecosystem, package name and dependency names
+export function parseManifest(fileName, text) {
+  const parser = PARSERS[fileName];
+  if (!parser) return null;
+
+  const manifest = parser(text);
+  return {
+    ...manifest,
+    dependencies: [...new Set(manifest.dependencies.filter(Boolean))]
+  };
+}
+
+// [category, technology] pairs for a parsed manifest's dependencies
+export function technologiesFor({ ecosystem, dependencies }) {
+  const known = Object.entries(DEPENDENCY_TECHNOLOGIES[ecosystem] || {});
+
+  return dependencies.flatMap(dependency => known
+    .filter(([key]) => dependency === key || dependency.startsWith(`${key}:`) || dependency.startsWith(`${key}/`))
+    .map(([, technology]) => technology)
+  );
+}
@@ -0,0 +1,85 @@
+import crypto from 'crypto';
+import axios from 'axios';
+
+// `repo` is the only OAuth scope that grants read access to private repositories
+const OAUTH_SCOPES = ['repo', 'read:user'];
+
+// GitHub OAuth web flow. Configured with GITHUB_OAUTH_CLIENT_ID,
+// GITHUB_OAUTH_CLIENT_SECRET and GITHUB_OAUTH_CALLBACK_URL, read lazily
+// so dotenv has already run.
+class OAuthService {
+  constructor({ webUrl = 'https://github.com', apiUrl = 'https://api.github.com' } = {}) {
+    this.webUrl = webUrl;
+    this.apiUrl = apiUrl;
+  }
+
+  get config() {
+    const port = process.env.PORT || 5000;
+    return {
+      clientId: process.env.GITHUB_OAUTH_CLIENT_ID,
+      clientSecret: process.env.GITHUB_OAUTH_CLIENT_SECRET,
+      callbackUrl: process.env.GITHUB_OAUTH_CALLBACK_URL
+        || `http://localhost:${port}/api/auth/github/callback`
+    };
+  }
+
+  get enabled() {
+    const { clientId, clientSecret } = this.config;
+    return Boolean(clientId && clientSecret);
+  }
+
+  // Unguessable value tying the callback to the session that started the flow
+  createState() {
+    return crypto.randomBytes(16).toString('hex');
+  }
+
+  authorizeUrl(state) {
+    const { clientId, callbackUrl } = this.config;
+    const params = new URLSearchParams({
+      client_id: clientId,
+      redirect_uri: callbackUrl,
+      scope: OAUTH_SCOPES.join(' '),
+      state,
+      allow_signup: 'false'
+    });
+    return `${this.webUrl}/login/oauth/authorize?${params}`;
+  }
+
+  // Exchange the callback code for an access token
+  async exchangeCode(code) {
+    const { clientId, clientSecret, callbackUrl } = this.config;
+    const response = await axios.post(`${this.webUrl}/login/oauth/access_token`, {
+      client_id: clientId,
+      client_secret: clientSecret,
+      code,
+      redirect_uri: callbackUrl
+    }, {
+      headers: { Accept: 'application/json' },
+      timeout: 10000
+    });
+
+    // GitHub reports exchange failures with a 200 and an `error` field
+    if (!response.data.access_token) {
+      throw new Error(`OAuth exchange failed: ${response.data.error_description || response.data.error || 'no token returned'}`);
+    }
+    return { token: response.data.access_token, scopes: (response.data.scope || '').split(',').filter(Boolean) };
+  }
+
+  // Profile of the token's owner
+  async getUser(token) {
+    const response = await axios.get(`${this.apiUrl}/user`, {
+      headers: {
+        Accept: 'application/vnd.github.v3+json',
+        Authorization: `token ${token}`,
+        'User-Agent': 'RepoSite-Portfolio-Generator'
+      },
+      timeout: 10000
+    });
+    return response.data;
+  }
+}
+
+// Create singleton instance
+const oauthService = new OAuthService();
+
+export default oauthService;
@@ -0,0 +1,133 @@
+import GitHubService from './githubService.js';
+import analysisService from './analysisService.js';
+import projectScorer from './projectScorer.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { mergeTechStacks } from './techStackDetector.js';
+
+// GitHub user and organization names
+export const LOGIN_PATTERN = /^[a-z\d](?:[a-z\d-]{0,38})$/i;
+
+// Repositories analyzed in parallel while building a portfolio
+const ANALYSIS_CONCURRENCY = 3;
+
+class PortfolioService {
+  // Build a combined portfolio from a user's or organization's public repositories
+  async buildPortfolio(login, { includeForks = false, includeArchived = false, limit = 6 } = {}) {
+    console.log(`👤 Building portfolio for: ${login}`);
+
+    const [user, repositories] = await Promise.all([
+      GitHubService.getUser(login),
+      GitHubService.listRepositories(login)
+    ]);
+
+    const candidates = repositories.filter(repo =>
+      (includeForks || !repo.fork) && (includeArchived || !repo.archived)
+    );
+
+    // Pre-rank from listing data so only the most promising repositories are fully analyzed
+    const selected = candidates
+      .map(repo => ({
+        repo,
+        score: projectScorer.score({ repository: GitHubService.normalizeRepository(repo) }).score
+      }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ repo }) => repo);
+
+    const analyses = await mapWithConcurrency(selected, ANALYSIS_CONCURRENCY, repo =>
+      analysisService.analyze(repo.html_url)
+    );
+
+    const analyzed = [];
+    const failed = [];
+    analyses.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        analyzed.push(result.value.data);
+      } else {
+        console.warn(`Failed to analyze ${selected[index].full_name}:`, result.reason.message);
+        failed.push({ fullName: selected[index].full_name, error: result.reason.message });
+      }
+    });
+
+    const projects = analyzed
+      .map(data => this.toProjectCard(data))
+      .sort((a, b) => b.score - a.score || b.stars - a.stars);
+
+    return {
+      profile: {
+        login: user.login,
+        name: user.name,
+        type: user.type,
+        bio: user.bio,
+        avatar: user.avatar_url,
+        url: user.html_url,
+        blog: user.blog || null,
+        company: user.company,
+        location: user.location,
+        followers: user.followers,
+        publicRepos: user.public_repos
+      },
+      totals: {
+        repositories: candidates.length,
+        analyzed: analyzed.length,
+        stars: candidates.reduce((sum, repo) => sum + repo.stargazers_count, 0),
+        forks: candidates.reduce((sum, repo) => sum + repo.forks_count, 0)
+      },
+      languages: this.aggregateLanguages(analyzed),
+      techStack: mergeTechStacks(analyzed.map(data => data.techStack)),
+      projects,
+      failed,
+      options: { includeForks, includeArchived, limit },
+      generatedAt: new Date().toISOString()
+    };
+  }
+
+  // Summarize one analysis as a project card
+  toProjectCard(data) {
+    const { repository, analysis } = data;
+    return {
+      name: repository.name,
+      fullName: repository.fullName,
+      description: repository.description,
+      url: repository.url,
+      homepage: repository.homepage,
+      language: repository.language,
+      topics: repository.topics,
+      stars: repository.stars,
+      forks: repository.forks,
+      updatedAt: repository.updatedAt,
+      score: analysis.score,
+      category: analysis.category,
+      complexity: analysis.complexity,
+      techStack: data.techStack
+    };
+  }
+
+  // Combine language byte counts across repositories into one breakdown
+  aggregateLanguages(analyses) {
+    const totals = {};
+    analyses.forEach(data => {
+      Object.entries(data.languages?.raw || {}).forEach(([name, bytes]) => {
+        totals[name] = (totals[name] || 0) + bytes;
+      });
+    });
+
+    const total = Object.values(totals).reduce((sum, bytes) => sum + bytes, 0);
+    const stats = Object.entries(totals).map(([name, bytes]) => ({
+      name,
+      bytes,
+      percentage: ((bytes / total) * 100).toFixed(1)
+    })).sort((a, b) => b.bytes - a.bytes);
+
+    return {
+      raw: totals,
+      stats,
+      primary: stats[0]?.name || 'Unknown'
+    };
+  }
+}
+
+// Create singleton instance
+const portfolioService = new PortfolioService();
+
+export default portfolioService;
@@ -0,0 +1,333 @@
+import fs from 'fs';
+import Joi from 'joi';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Frameworks whose builds deploy to static hosting as-is
+const DEPLOYABLE_FRAMEWORKS = ['React', 'Vue.js', 'Angular', 'Next.js', 'Nuxt.js', 'Gatsby'];
+
+// Complexity points at which a project counts as Moderate and Complex
+const COMPLEXITY_THRESHOLDS = { Moderate: 30, Complex: 60 };
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// Share of a factor's points reached at `count` out of `target`
+const ratio = (count, target) => Math.min(count / target, 1);
+
+// Factors a scoring profile can weigh. Each returns the share (0-1) of the
+// factor's points a repository earns and the reason why. `data` is an
+// analysis; listing-only repositories lack readme, practices and most analytics.
+const FACTORS = {
+  stars: {
+    label: 'Stars',
+    evaluate: ({ repository }) => ({
+      share: ratio(repository.stars || 0, 400),
+      reason: `${plural(repository.stars || 0, 'star')}; full points at 400`
+    })
+  },
+  forks: {
+    label: 'Forks',
+    evaluate: ({ repository }) => ({
+      share: ratio(repository.forks || 0, 100),
+      reason: `${plural(repository.forks || 0, 'fork')}; full points at 100`
+    })
+  },
+  activity: {
+    label: 'Recent activity',
+    evaluate: ({ repository, generatedAt }) => {
+      const days = Math.max((Date.parse(generatedAt || new Date()) - Date.parse(repository.updatedAt)) / DAY_MS, 0);
+      if (Number.isNaN(days)) return { share: 0, reason: 'Last update unknown' };
+      const wholeDays = Math.floor(days);
+      return {
+        share: Math.max(1 - days / 140, 0),
+        reason: `Updated ${wholeDays === 0 ? 'today' : `${plural(wholeDays, 'day')} ago`}; points run out after 20 weeks`
+      };
+    }
+  },
+  contributors: {
+    label: 'Contributors',
+    evaluate: ({ analytics }) => ({
+      share: ratio(analytics?.contributorCount || 0, 5),
+      reason: `${plural(analytics?.contributorCount || 0, 'contributor')}; full points at 5`
+    })
+  },
+  description: {
+    label: 'Description',
+    evaluate: ({ repository }) => repository.description
+      ? { share: 1, reason: 'Has a description' }
+      : { share: 0, reason: 'No repository description' }
+  },
+  homepage: {
+    label: 'Homepage',
+    evaluate: ({ repository }) => repository.homepage
+      ? { share: 1, reason: `Links to ${repository.homepage}` }
+      : { share: 0, reason: 'No homepage or live demo link' }
+  },
+  readme: {
+    label: 'README',
+    evaluate: ({ readme }) => {
+      if (!readme) return { share: 0, reason: 'No README' };
+      const parsed = readme.parsed || {};
+      const hasInstallation = Boolean(parsed.installation?.steps?.length || parsed.installation?.code?.length);
+      const hasUsage = Boolean(parsed.usage?.length);
+      const missing = [!hasInstallation && 'installation', !hasUsage && 'usage'].filter(Boolean);
+      return {
+        share: 0.4 + (hasInstallation ? 0.3 : 0) + (hasUsage ? 0.3 : 0),
+        reason: missing.length
+          ? `README without ${missing.join(' or ')} instructions`
+          : 'README with installation and usage instructions'
+      };
+    }
+  },
+  tests: {
+    label: 'Tests',
+    evaluate: ({ practices }) => practices?.tests
+      ? { share: 1, reason: 'Test files found' }
+      : { share: 0, reason: 'No test files found' }
+  },
+  ci: {
+    label: 'Continuous integration',
+    evaluate: ({ practices }) => practices?.ci?.length
+      ? { share: 1, reason: `Configured with ${practices.ci.join(', ')}` }
+      : { share: 0, reason: 'No CI configuration found' }
+  },
+  license: {
+    label: 'License',
+    evaluate: ({ repository, practices }) => {
+      const license = repository.license || practices?.licenseFile;
+      return license
+        ? { share: 1, reason: `Licensed: ${license}` }
+        : { share: 0, reason: 'No license' };
+    }
+  },
+  documentation: {
+    label: 'Project documentation',
+    evaluate: ({ practices }) => {
+      const found = [
+        practices?.docs && 'docs directory',
+        practices?.contributing && 'contributing guide',
+        practices?.changelog && 'changelog'
+      ].filter(Boolean);
+      return {
+        share: found.length / 3,
+        reason: found.length ? `Has a ${found.join(', ')}` : 'No docs directory, contributing guide or changelog'
+      };
+    }
+  },
+  releases: {
+    label: 'Releases',
+    evaluate: ({ analytics }) => ({
+      share: ratio(analytics?.releaseCount || 0, 3),
+      reason: `${plural(analytics?.releaseCount || 0, 'release')}; full points at 3`
+    })
+  }
+};
+
+// Weights are the points each factor is worth; scores are scaled to 0-100
+const BUILT_IN_PROFILES = {
+  popularity: {
+    label: 'Open-source popularity',
+    description: 'Stars, forks, contributors and recent activity',
+    weights: { stars: 40, forks: 20, activity: 20, contributors: 10, description: 5, homepage: 5 }
+  },
+  quality: {
+    label: 'Portfolio quality',
+    description: 'Documentation, tests, CI, license and upkeep',
+    weights: {
+      readme: 20,
+      tests: 20,
+      ci: 15,
+      license: 15,
+      documentation: 10,
+      activity: 10,
+      description: 5,
+      homepage: 5
+    }
+  }
+};
+
+const profileSchema = Joi.object({
+  label: Joi.string().required(),
+  description: Joi.string().allow('').default(''),
+  weights: Joi.object()
+    .pattern(Joi.string().valid(...Object.keys(FACTORS)), Joi.number().min(0))
+    .min(1)
+    .required()
+});
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Project score, complexity and deployability with the factors behind them.
+// The score is weighed by a profile: SCORE_PROFILE selects the default
+// (popularity), and SCORE_PROFILES_FILE may add or override profiles in a
+// JSON file of { name: { label, description, weights } }.
+class ProjectScorer {
+  constructor() {
+    this.loadedProfiles = null;
+  }
+
+  get profiles() {
+    if (!this.loadedProfiles) this.loadedProfiles = this.loadProfiles();
+    return this.loadedProfiles;
+  }
+
+  get defaultProfile() {
+    const name = process.env.SCORE_PROFILE || 'popularity';
+    if (!this.profiles[name]) throw new Error(`Unknown SCORE_PROFILE: ${name}`);
+    return name;
+  }
+
+  loadProfiles() {
+    const file = process.env.SCORE_PROFILES_FILE;
+    if (!file) return BUILT_IN_PROFILES;
+
+    const custom = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const profiles = { ...BUILT_IN_PROFILES };
+    Object.entries(custom).forEach(([name, definition]) => {
+      const { error, value } = profileSchema.validate(definition);
+      if (error) throw new Error(`Invalid score profile "${name}" in ${file}: ${error.message}`);
+      if (Object.values(value.weights).every(weight => weight === 0)) {
+        throw new Error(`Invalid score profile "${name}" in ${file}: weights add up to 0`);
+      }
+      profiles[name] = value;
+    });
+
+    console.log(`📏 Loaded score profiles: ${Object.keys(custom).join(', ')}`);
+    return profiles;
+  }
+
+  hasProfile(name) {
+    return Boolean(this.profiles[name]);
+  }
+
+  // Profiles for the API, without their factor implementations
+  listProfiles() {
+    return Object.entries(this.profiles).map(([name, profile]) => ({
+      name,
+      label: profile.label,
+      description: profile.description,
+      weights: profile.weights
+    }));
+  }
+
+  // 0-100 score of an analysis under a profile, with points per factor
+  score(data, profileName = this.defaultProfile) {
+    const profile = this.profiles[profileName];
+    const factors = Object.entries(profile.weights).map(([id, maxPoints]) => {
+      const { share, reason } = FACTORS[id].evaluate(data);
+      return { id, label: FACTORS[id].label, points: share * maxPoints, maxPoints, reason };
+    });
+    const points = factors.reduce((sum, factor) => sum + factor.points, 0);
+    const maxPoints = factors.reduce((sum, factor) => sum + factor.maxPoints, 0);
+
+    return {
+      profile: profileName,
+      label: profile.label,
+      score: Math.round((points / maxPoints) * 100),
+      points: round(points),
+      maxPoints,
+      factors: factors.map(factor => ({ ...factor, points: round(factor.points) }))
+    };
+  }
+
+  // Languages and technologies add up to a complexity level
+  complexity(languages, techStack) {
+    const languageCount = languages.stats.length;
+    const technologyCount = Object.values(techStack).flat().length;
+    // Points beyond the Complex threshold can't change the level
+    const cap = COMPLEXITY_THRESHOLDS.Complex;
+    const factors = [
+      {
+        id: 'languages',
+        label: 'Languages',
+        points: Math.min(languageCount * 10, cap),
+        maxPoints: cap,
+        reason: `${plural(languageCount, 'language')} at 10 points each`
+      },
+      {
+        id: 'technologies',
+        label: 'Technologies',
+        points: Math.min(technologyCount * 5, cap),
+        maxPoints: cap,
+        reason: `${technologyCount} detected ${technologyCount === 1 ? 'technology' : 'technologies'} at 5 points each`
+      }
+    ];
+    const points = factors.reduce((sum, factor) => sum + factor.points, 0);
+    const level = points >= COMPLEXITY_THRESHOLDS.Complex
+      ? 'Complex'
+      : points >= COMPLEXITY_THRESHOLDS.Moderate ? 'Moderate' : 'Simple';
+
+    return { level, points, thresholds: COMPLEXITY_THRESHOLDS, factors };
+  }
+
+  // The strongest deployment path sets the level: 2 points is High, 1 Medium
+  deployability(techStack) {
+    const framework = DEPLOYABLE_FRAMEWORKS.find(name =>
+      techStack.frontend?.includes(name) || techStack.frameworks?.includes(name)
+    );
+    const hasDocker = Boolean(techStack.tools?.includes('Docker'));
+    const backend = techStack.backend || [];
+    const factors = [
+      {
+        id: 'staticFramework',
+        label: 'Static hosting',
+        points: framework ? 2 : 0,
+        maxPoints: 2,
+        reason: framework ? `${framework} builds deploy to static hosting` : 'No framework with a static build'
+      },
+      {
+        id: 'docker',
+        label: 'Container',
+        points: hasDocker ? 2 : 0,
+        maxPoints: 2,
+        reason: hasDocker ? 'Dockerfile found' : 'No Dockerfile'
+      },
+      {
+        id: 'backend',
+        label: 'Server runtime',
+        points: backend.length > 0 ? 1 : 0,
+        maxPoints: 1,
+        reason: backend.length > 0 ? `Runs on ${backend.join(', ')}` : 'No server runtime detected'
+      }
+    ];
+    const points = Math.max(...factors.map(factor => factor.points));
+
+    return { level: ['Low', 'Medium', 'High'][points], points, maxPoints: 2, factors };
+  }
+
+  // Score, complexity and deployability of an analysis (everything but `analysis`)
+  assess(data, profileName = this.defaultProfile) {
+    const score = this.score(data, profileName);
+    const complexity = this.complexity(data.languages, data.techStack);
+    const deployability = this.deployability(data.techStack);
+
+    return {
+      complexity: complexity.level,
+      deployability: deployability.level,
+      score: score.score,
+      scoreProfile: profileName,
+      breakdown: { score, complexity, deployability }
+    };
+  }
+
+  // The same analysis scored under another profile
+  rescore(data, profileName) {
+    if (data.analysis.scoreProfile === profileName) return data;
+
+    const score = this.score(data, profileName);
+    return {
+      ...data,
+      analysis: {
+        ...data.analysis,
+        score: score.score,
+        scoreProfile: profileName,
+        breakdown: { ...data.analysis.breakdown, score }
+      }
+    };
+  }
+}
+
+// Create singleton instance
+const projectScorer = new ProjectScorer();
+
+export default projectScorer;
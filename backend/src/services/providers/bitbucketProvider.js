@@ -0,0 +1,195 @@
+import RepositoryProvider, { MAX_TREE_PAGES, RELEASE_TIMELINE_LENGTH } from './repositoryProvider.js';
+import { RateLimitError } from '../../errors.js';
+import { encodeRepositoryPath } from '../../utils/repositoryPath.js';
+
+// Directory depth listed by the recursive source endpoint
+const TREE_MAX_DEPTH = 10;
+
+// Bitbucket Cloud (REST API 2.0)
+class BitbucketProvider extends RepositoryProvider {
+  constructor({ token = null } = {}) {
+    super({ name: 'bitbucket', label: 'Bitbucket', webUrl: 'https://bitbucket.org' });
+    this.client = this.createClient({
+      baseURL: 'https://api.bitbucket.org/2.0',
+      headers: token ? { Authorization: `Bearer ${token}` } : {}
+    });
+  }
+
+  // Repository payload, shared by metadata, language and branch lookups
+  fetchRepository(owner, repo) {
+    return this.remember(`${owner}/${repo}`, async () => {
+      const response = await this.client.get(`/repositories/${owner}/${repo}`);
+      return response.data;
+    });
+  }
+
+  async defaultBranch(owner, repo) {
+    const data = await this.fetchRepository(owner, repo);
+    return data.mainbranch?.name || 'master';
+  }
+
+  async getRepository(owner, repo) {
+    try {
+      return this.normalizeRepository(await this.fetchRepository(owner, repo));
+    } catch (error) {
+      if (error instanceof RateLimitError) throw error;
+      if (error.response?.status === 404) {
+        throw new Error('Repository not found');
+      }
+      if ([401, 403].includes(error.response?.status)) {
+        throw new Error('Repository access forbidden');
+      }
+      throw new Error(`Failed to fetch repository: ${error.message}`);
+    }
+  }
+
+  // Bitbucket has no stars or watchers, so those count as zero
+  normalizeRepository(data) {
+    const [workspace, slug] = data.full_name.split('/');
+    return {
+      id: data.uuid,
+      name: slug || data.name,
+      fullName: data.full_name,
+      owner: {
+        login: data.workspace?.slug || workspace,
+        avatar: data.owner?.links?.avatar?.href || null,
+        type: data.owner?.type === 'user' ? 'User' : 'Organization'
+      },
+      description: data.description || null,
+      url: data.links?.html?.href,
+      cloneUrl: data.links?.clone?.find(link => link.name === 'https')?.href || null,
+      homepage: data.website || null,
+      defaultBranch: data.mainbranch?.name || null,
+      topics: [],
+      language: data.language ? data.language.charAt(0).toUpperCase() + data.language.slice(1) : null,
+      size: Math.round((data.size || 0) / 1024),
+      stars: 0,
+      forks: 0,
+      watchers: 0,
+      openIssues: 0,
+      createdAt: data.created_on,
+      updatedAt: data.updated_on,
+      pushedAt: data.updated_on,
+      license: null,
+      isPrivate: Boolean(data.is_private),
+      isFork: Boolean(data.parent),
+      archived: false
+    };
+  }
+
+  async getReadme(owner, repo) {
+    try {
+      return await this.findReadme(owner, repo);
+    } catch (error) {
+      if (error instanceof RateLimitError) throw error;
+      throw new Error(`Failed to fetch README: ${error.message}`);
+    }
+  }
+
+  // Bitbucket only records a single primary language per repository
+  async getLanguages(owner, repo) {
+    try {
+      const { language } = this.normalizeRepository(await this.fetchRepository(owner, repo));
+      return this.summarizeLanguages(language ? { [language]: 1 } : {});
+    } catch (error) {
+      if (error instanceof RateLimitError) throw error;
+      throw new Error(`Failed to fetch languages: ${error.message}`);
+    }
+  }
+
+  // Follow `next` links of a paginated listing
+  async listSource(owner, repo, path, params) {
+    const branch = await this.defaultBranch(owner, repo);
+    const values = [];
+    let url = `/repositories/${owner}/${repo}/src/${encodeURIComponent(branch)}/${path ? `${encodeRepositoryPath(path)}/` : ''}`;
+    let pages = 0;
+
+    while (url && pages < MAX_TREE_PAGES) {
+      const response = await this.client.get(url, pages === 0 ? { params: { pagelen: 100, ...params } } : {});
+      values.push(...response.data.values);
+      url = response.data.next || null;
+      pages++;
+    }
+
+    return { values, truncated: Boolean(url) };
+  }
+
+  async getTree(owner, repo) {
+    try {
+      const { values, truncated } = await this.listSource(owner, repo, '', { max_depth: TREE_MAX_DEPTH });
+      if (truncated) {
+        console.warn(`Tree for ${owner}/${repo} is truncated; detection uses the partial listing`);
+      }
+      return values.map(item => ({
+        path: item.path,
+        type: item.type === 'commit_directory' ? 'tree' : 'blob'
+      }));
+    } catch (error) {
+      if (error instanceof RateLimitError) throw error;
+      console.warn(`Failed to fetch tree for ${owner}/${repo}:`, error.message);
+      return null;
+    }
+  }
+
+  async getContents(owner, repo, path = '') {
+    try {
+      const { values } = await this.listSource(owner, repo, path, {});
+      return values.map(item => ({
+        name: item.path.split('/').pop(),
+        path: item.path,
+        type: item.type === 'commit_directory' ? 'dir' : 'file'
+      }));
+    } catch (error) {
+      if (error instanceof RateLimitError) throw error;
+      console.warn(`Failed to fetch contents at ${path}:`, error.message);
+      return [];
+    }
+  }
+
+  async getFileContent(owner, repo, path) {
+    try {
+      const branch = await this.defaultBranch(owner, repo);
+      const response = await this.client.get(
+        `/repositories/${owner}/${repo}/src/${encodeURIComponent(branch)}/${encodeRepositoryPath(path)}`,
+        { responseType: 'arraybuffer' }
+      );
+      return Buffer.from(response.data);
+    } catch (error) {
+      if (error instanceof RateLimitError) throw error;
+      console.warn(`Failed to fetch file ${path}:`, error.message);
+      return null;
+    }
+  }
+
+  // Bitbucket exposes no commit or contributor totals: commits are counted
+  // from the first page (a lower bound) and tags stand in for releases
+  async getAnalytics(owner, repo) {
+    const [commits, tags] = await Promise.allSettled([
+      this.client.get(`/repositories/${owner}/${repo}/commits`, { params: { pagelen: 100 } }),
+      this.client.get(`/repositories/${owner}/${repo}/refs/tags`, {
+        params: { pagelen: RELEASE_TIMELINE_LENGTH, sort: '-target.date' }
+      })
+    ]);
+
+    this.throwIfFailed([commits, tags]);
+
+    return this.withReleases({
+      ...this.emptyAnalytics(),
+      commitCount: commits.status === 'fulfilled' ? commits.value.data.values.length : 0,
+      releaseCount: tags.status === 'fulfilled' ? tags.value.data.size || 0 : 0
+    }, tags.status === 'fulfilled'
+      ? tags.value.data.values.map(tag => this.toRelease({
+        tag: tag.name,
+        publishedAt: tag.target?.date,
+        url: tag.links?.html?.href,
+        notes: tag.message
+      }))
+      : []);
+  }
+
+  rawFileUrl(owner, repo, branch, repoPath) {
+    return `${this.webUrl}/${owner}/${repo}/raw/${encodeURIComponent(branch || 'HEAD')}/${encodeRepositoryPath(repoPath)}`;
+  }
+}
+
+export default BitbucketProvider;
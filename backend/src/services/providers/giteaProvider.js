@@ -0,0 +1,183 @@
+import RepositoryProvider, { MAX_TREE_PAGES, RELEASE_TIMELINE_LENGTH } from './repositoryProvider.js';
+import { RateLimitError } from '../../errors.js';
+import { encodeRepositoryPath } from '../../utils/repositoryPath.js';
+
+// Gitea and Forgejo instances, such as Codeberg (REST API v1)
+class GiteaProvider extends RepositoryProvider {
+  constructor({ webUrl, token = null, label = 'Gitea' }) {
+    super({ name: 'gitea', label, webUrl });
+    this.client = this.createClient({
+      baseURL: `${this.webUrl}/api/v1`,
+      headers: token ? { Authorization: `token ${token}` } : {}
+    });
+  }
+
+  // Repository payload, shared by metadata and branch lookups
+  fetchRepository(owner, repo) {
+    return this.remember(`${owner}/${repo}`, async () => {
+      const response = await this.client.get(`/repos/${owner}/${repo}`);
+      return response.data;
+    });
+  }
+
+  async getRepository(owner, repo) {
+    try {
+      return this.normalizeRepository(await this.fetchRepository(owner, repo));
+    } catch (error) {
+      if (error instanceof RateLimitError) throw error;
+      if (error.response?.status === 404) {
+        throw new Error('Repository not found');
+      }
+      if ([401, 403].includes(error.response?.status)) {
+        throw new Error('Repository access forbidden');
+      }
+      throw new Error(`Failed to fetch repository: ${error.message}`);
+    }
+  }
+
+  normalizeRepository(data) {
+    return {
+      id: data.id,
+      name: data.name,
+      fullName: data.full_name,
+      owner: {
+        login: data.owner.login,
+        avatar: data.owner.avatar_url,
+        // The repository payload doesn't distinguish organizations from users
+        type: 'User'
+      },
+      description: data.description || null,
+      url: data.html_url,
+      cloneUrl: data.clone_url,
+      homepage: data.website || null,
+      defaultBranch: data.default_branch,
+      topics: data.topics || [],
+      language: data.language || null,
+      size: data.size,
+      stars: data.stars_count || 0,
+      forks: data.forks_count || 0,
+      watchers: data.watchers_count || 0,
+      openIssues: data.open_issues_count || 0,
+      createdAt: data.created_at,
+      updatedAt: data.updated_at,
+      pushedAt: data.updated_at,
+      license: data.licenses?.[0] || null,
+      isPrivate: Boolean(data.private),
+      isFork: Boolean(data.fork),
+      archived: Boolean(data.archived)
+    };
+  }
+
+  async getReadme(owner, repo) {
+    try {
+      return await this.findReadme(owner, repo);
+    } catch (error) {
+      if (error instanceof RateLimitError) throw error;
+      throw new Error(`Failed to fetch README: ${error.message}`);
+    }
+  }
+
+  async getLanguages(owner, repo) {
+    try {
+      const response = await this.client.get(`/repos/${owner}/${repo}/languages`);
+      return this.summarizeLanguages(response.data);
+    } catch (error) {
+      if (error instanceof RateLimitError) throw error;
+      throw new Error(`Failed to fetch languages: ${error.message}`);
+    }
+  }
+
+  async getTree(owner, repo) {
+    try {
+      const { default_branch: branch } = await this.fetchRepository(owner, repo);
+      const entries = [];
+      let page = 1;
+      let total = Infinity;
+
+      while (entries.length < total && page <= MAX_TREE_PAGES) {
+        const response = await this.client.get(`/repos/${owner}/${repo}/git/trees/${encodeURIComponent(branch)}`, {
+          params: { recursive: true, per_page: 1000, page }
+        });
+        const tree = response.data.tree || [];
+        entries.push(...tree.map(item => ({ path: item.path, type: item.type })));
+        total = response.data.total_count ?? entries.length;
+        if (tree.length === 0) break;
+        page++;
+      }
+
+      if (entries.length < total) {
+        console.warn(`Tree for ${owner}/${repo} is truncated; detection uses the partial listing`);
+      }
+      return entries;
+    } catch (error) {
+      if (error instanceof RateLimitError) throw error;
+      console.warn(`Failed to fetch tree for ${owner}/${repo}:`, error.message);
+      return null;
+    }
+  }
+
+  async getContents(owner, repo, path = '') {
+    try {
+      const response = await this.client.get(`/repos/${owner}/${repo}/contents/${encodeRepositoryPath(path)}`);
+      return Array.isArray(response.data) ? response.data : [];
+    } catch (error) {
+      if (error instanceof RateLimitError) throw error;
+      console.warn(`Failed to fetch contents at ${path}:`, error.message);
+      return [];
+    }
+  }
+
+  async getFileContent(owner, repo, path) {
+    try {
+      const response = await this.client.get(`/repos/${owner}/${repo}/raw/${encodeRepositoryPath(path)}`, {
+        responseType: 'arraybuffer'
+      });
+      return Buffer.from(response.data);
+    } catch (error) {
+      if (error instanceof RateLimitError) throw error;
+      console.warn(`Failed to fetch file ${path}:`, error.message);
+      return null;
+    }
+  }
+
+  // Gitea has no contributors or commit statistics endpoints
+  async getAnalytics(owner, repo) {
+    const count = (result) => result.status === 'fulfilled'
+      ? parseInt(result.value.headers['x-total-count']) || result.value.data.length
+      : 0;
+
+    const [commits, releases] = await Promise.allSettled([
+      this.client.get(`/repos/${owner}/${repo}/commits`, {
+        params: { limit: 1, stat: false, verification: false, files: false }
+      }),
+      this.client.get(`/repos/${owner}/${repo}/releases`, {
+        params: { limit: RELEASE_TIMELINE_LENGTH, draft: false }
+      })
+    ]);
+
+    this.throwIfFailed([commits, releases]);
+
+    return this.withReleases({
+      ...this.emptyAnalytics(),
+      commitCount: count(commits),
+      releaseCount: count(releases)
+    }, releases.status === 'fulfilled'
+      ? releases.value.data.map(release => this.toRelease({
+        tag: release.tag_name,
+        name: release.name,
+        publishedAt: release.published_at || release.created_at,
+        url: release.html_url,
+        notes: release.body,
+        prerelease: release.prerelease
+      }))
+      : []);
+  }
+
+  rawFileUrl(owner, repo, branch, repoPath) {
+    // Without a branch, the legacy raw route serves the default branch
+    const ref = branch ? `branch/${encodeURIComponent(branch)}/` : '';
+    return `${this.webUrl}/${owner}/${repo}/raw/${ref}${encodeRepositoryPath(repoPath)}`;
+  }
+}
+
+export default GiteaProvider;
@@ -0,0 +1,214 @@
+import RepositoryProvider, { MAX_TREE_PAGES, TOP_CONTRIBUTORS, RELEASE_TIMELINE_LENGTH } from './repositoryProvider.js';
+import { RateLimitError } from '../../errors.js';
+import { encodeRepositoryPath } from '../../utils/repositoryPath.js';
+
+// GitLab.com and self-managed GitLab (REST API v4)
+class GitLabProvider extends RepositoryProvider {
+  constructor({ webUrl = 'https://gitlab.com', token = null } = {}) {
+    super({ name: 'gitlab', label: 'GitLab', webUrl });
+    this.client = this.createClient({
+      baseURL: `${this.webUrl}/api/v4`,
+      headers: token ? { 'PRIVATE-TOKEN': token } : {}
+    });
+  }
+
+  // Projects may sit in nested groups: group/subgroup/project
+  parsePath(segments) {
+    const end = segments.indexOf('-');
+    const projectSegments = end === -1 ? segments : segments.slice(0, end);
+    if (projectSegments.length < 2) throw new Error('Invalid repository URL format');
+
+    return {
+      owner: projectSegments.slice(0, -1).join('/'),
+      repo: projectSegments[projectSegments.length - 1].replace(/\.git$/, '')
+    };
+  }
+
+  projectPath(owner, repo) {
+    return `/projects/${encodeURIComponent(`${owner}/${repo}`)}`;
+  }
+
+  // Avatars of self-managed instances are often relative to the instance
+  absoluteUrl(url) {
+    if (!url) return null;
+    return url.startsWith('/') ? `${this.webUrl}${url}` : url;
+  }
+
+  async getRepository(owner, repo) {
+    try {
+      const response = await this.client.get(this.projectPath(owner, repo), {
+        params: { license: true, statistics: true }
+      });
+      return this.normalizeRepository(response.data);
+    } catch (error) {
+      if (error instanceof RateLimitError) throw error;
+      if (error.response?.status === 404) {
+        throw new Error('Repository not found');
+      }
+      if ([401, 403].includes(error.response?.status)) {
+        throw new Error('Repository access forbidden');
+      }
+      throw new Error(`Failed to fetch repository: ${error.message}`);
+    }
+  }
+
+  normalizeRepository(project) {
+    return {
+      id: project.id,
+      name: project.path,
+      fullName: project.path_with_namespace,
+      owner: {
+        login: project.namespace?.full_path,
+        avatar: this.absoluteUrl(project.namespace?.avatar_url || project.avatar_url),
+        type: project.namespace?.kind === 'group' ? 'Organization' : 'User'
+      },
+      description: project.description,
+      url: project.web_url,
+      cloneUrl: project.http_url_to_repo,
+      homepage: null,
+      defaultBranch: project.default_branch,
+      topics: project.topics || project.tag_list || [],
+      language: null,
+      // GitHub reports size in KB
+      size: project.statistics ? Math.round(project.statistics.repository_size / 1024) : 0,
+      stars: project.star_count || 0,
+      forks: project.forks_count || 0,
+      watchers: project.star_count || 0,
+      openIssues: project.open_issues_count || 0,
+      createdAt: project.created_at,
+      updatedAt: project.last_activity_at,
+      pushedAt: project.last_activity_at,
+      license: project.license?.name || null,
+      isPrivate: project.visibility !== 'public',
+      isFork: Boolean(project.forked_from_project),
+      archived: Boolean(project.archived)
+    };
+  }
+
+  async getReadme(owner, repo) {
+    try {
+      return await this.findReadme(owner, repo);
+    } catch (error) {
+      if (error instanceof RateLimitError) throw error;
+      throw new Error(`Failed to fetch README: ${error.message}`);
+    }
+  }
+
+  // GitLab reports language percentages rather than byte counts
+  async getLanguages(owner, repo) {
+    try {
+      const response = await this.client.get(`${this.projectPath(owner, repo)}/languages`);
+      return this.summarizeLanguages(response.data);
+    } catch (error) {
+      if (error instanceof RateLimitError) throw error;
+      throw new Error(`Failed to fetch languages: ${error.message}`);
+    }
+  }
+
+  async getTree(owner, repo) {
+    try {
+      const entries = [];
+      let page = 1;
+
+      while (page && page <= MAX_TREE_PAGES) {
+        const response = await this.client.get(`${this.projectPath(owner, repo)}/repository/tree`, {
+          params: { recursive: true, per_page: 100, page }
+        });
+        entries.push(...response.data.map(item => ({ path: item.path, type: item.type })));
+        page = parseInt(response.headers['x-next-page']) || null;
+      }
+
+      if (page) {
+        console.warn(`Tree for ${owner}/${repo} is truncated; detection uses the partial listing`);
+      }
+      return entries;
+    } catch (error) {
+      if (error instanceof RateLimitError) throw error;
+      console.warn(`Failed to fetch tree for ${owner}/${repo}:`, error.message);
+      return null;
+    }
+  }
+
+  async getContents(owner, repo, path = '') {
+    try {
+      const response = await this.client.get(`${this.projectPath(owner, repo)}/repository/tree`, {
+        params: { path: path || undefined, per_page: 100 }
+      });
+      return response.data.map(item => ({
+        name: item.name,
+        path: item.path,
+        type: item.type === 'tree' ? 'dir' : 'file'
+      }));
+    } catch (error) {
+      if (error instanceof RateLimitError) throw error;
+      console.warn(`Failed to fetch contents at ${path}:`, error.message);
+      return [];
+    }
+  }
+
+  async getFileContent(owner, repo, path) {
+    try {
+      const response = await this.client.get(
+        `${this.projectPath(owner, repo)}/repository/files/${encodeURIComponent(path)}/raw`,
+        { params: { ref: 'HEAD' }, responseType: 'arraybuffer' }
+      );
+      return Buffer.from(response.data);
+    } catch (error) {
+      if (error instanceof RateLimitError) throw error;
+      console.warn(`Failed to fetch file ${path}:`, error.message);
+      return null;
+    }
+  }
+
+  async getAnalytics(owner, repo) {
+    const project = this.projectPath(owner, repo);
+    // X-Total is omitted for very large collections; fall back to the page we got
+    const count = (result) => result.status === 'fulfilled'
+      ? parseInt(result.value.headers['x-total']) || result.value.data.length
+      : 0;
+
+    const [commits, contributors, topContributors, releases] = await Promise.allSettled([
+      this.client.get(`${project}/repository/commits`, { params: { per_page: 1 } }),
+      this.client.get(`${project}/repository/contributors`, { params: { per_page: 1 } }),
+      this.client.get(`${project}/repository/contributors`, {
+        params: { per_page: TOP_CONTRIBUTORS, order_by: 'commits', sort: 'desc' }
+      }),
+      this.client.get(`${project}/releases`, { params: { per_page: RELEASE_TIMELINE_LENGTH } })
+    ]);
+
+    this.throwIfFailed([commits, contributors, topContributors, releases]);
+
+    // GitLab has no weekly commit statistics, and contributors are commit
+    // authors without accounts, so there are no avatars or profile links
+    return this.withReleases({
+      ...this.emptyAnalytics(),
+      commitCount: count(commits),
+      contributorCount: count(contributors),
+      releaseCount: count(releases),
+      topContributors: topContributors.status === 'fulfilled'
+        ? topContributors.value.data.map(contributor => ({
+          login: null,
+          name: contributor.name,
+          avatar: null,
+          commits: contributor.commits,
+          url: null
+        }))
+        : []
+    }, releases.status === 'fulfilled'
+      ? releases.value.data.map(release => this.toRelease({
+        tag: release.tag_name,
+        name: release.name,
+        publishedAt: release.released_at,
+        url: release._links?.self,
+        notes: release.description,
+        prerelease: release.upcoming_release
+      }))
+      : []);
+  }
+
+  rawFileUrl(owner, repo, branch, repoPath) {
+    return `${this.webUrl}/${owner}/${repo}/-/raw/${branch || 'HEAD'}/${encodeRepositoryPath(repoPath)}`;
+  }
+}
+
+export default GitLabProvider;
@@ -0,0 +1,83 @@
+import GitHubService, { GitHubService as GitHubProvider } from '../githubService.js';
+import GitLabProvider from './gitlabProvider.js';
+import BitbucketProvider from './bitbucketProvider.js';
+import GiteaProvider from './giteaProvider.js';
+import { splitRepositoryUrl } from './repositoryProvider.js';
+
+export { splitRepositoryUrl };
+
+// Picks the repository provider for a URL from its host. Providers are built
+// lazily from the environment so dotenv has already run:
+//   GITHUB_ENTERPRISE_URL / GITHUB_ENTERPRISE_TOKEN  GitHub Enterprise Server
+//   GITLAB_URL / GITLAB_TOKEN                        self-managed GitLab (gitlab.com is always available)
+//   BITBUCKET_TOKEN                                  Bitbucket Cloud
+//   GITEA_URL / GITEA_TOKEN                          Gitea or Forgejo (codeberg.org is always available)
+class ProviderRegistry {
+  constructor() {
+    this.providers = null;
+  }
+
+  load() {
+    if (this.providers) return this.providers;
+
+    const env = process.env;
+    const providers = [GitHubService];
+
+    if (env.GITHUB_ENTERPRISE_URL) {
+      const webUrl = env.GITHUB_ENTERPRISE_URL.replace(/\/$/, '');
+      providers.push(new GitHubProvider({
+        name: 'github-enterprise',
+        label: 'GitHub Enterprise',
+        webUrl,
+        apiUrl: env.GITHUB_ENTERPRISE_API_URL || `${webUrl}/api/v3`,
+        tokens: [env.GITHUB_ENTERPRISE_TOKEN]
+      }));
+    }
+
+    const gitlabUrl = env.GITLAB_URL || 'https://gitlab.com';
+    providers.push(new GitLabProvider({ webUrl: gitlabUrl, token: env.GITLAB_TOKEN }));
+    if (new URL(gitlabUrl).host !== 'gitlab.com') {
+      providers.push(new GitLabProvider());
+    }
+
+    providers.push(new BitbucketProvider({ token: env.BITBUCKET_TOKEN }));
+
+    if (env.GITEA_URL) {
+      providers.push(new GiteaProvider({ webUrl: env.GITEA_URL, token: env.GITEA_TOKEN }));
+    }
+    if (!env.GITEA_URL || new URL(env.GITEA_URL).host !== 'codeberg.org') {
+      providers.push(new GiteaProvider({ webUrl: 'https://codeberg.org', label: 'Codeberg' }));
+    }
+
+    this.providers = providers;
+    return providers;
+  }
+
+  forHost(host) {
+    return this.load().find(provider => provider.matches(host)) || null;
+  }
+
+  // Provider for a repository URL; throws for malformed URLs and unknown hosts
+  forUrl(url) {
+    const { host } = splitRepositoryUrl(url);
+    const provider = this.forHost(host);
+    if (!provider) {
+      throw new Error(`Invalid repository URL: unsupported host ${host}`);
+    }
+    return provider;
+  }
+
+  // Configured hosts, for clients validating URLs
+  list() {
+    return this.load().map(provider => ({
+      name: provider.name,
+      label: provider.label,
+      hosts: provider.hosts
+    }));
+  }
+}
+
+// Create singleton instance
+const providerRegistry = new ProviderRegistry();
+
+export default providerRegistry;
@@ -0,0 +1,351 @@
+import path from 'path';
+import axios from 'axios';
+import { marked } from 'marked';
+import { RateLimitError } from '../../errors.js';
+import { sanitizeHtml } from '../../utils/html.js';
+import { mapWithConcurrency } from '../../utils/concurrency.js';
+import { detectFromFiles, listFiles, selectManifests, RUNTIMES } from '../techStackDetector.js';
+import { parseManifest } from '../manifestParsers.js';
+import { parseReadme } from '../readmeParser.js';
+import projectScorer from '../projectScorer.js';
+
+// Manifests fetched in parallel during tech stack detection
+const MANIFEST_CONCURRENCY = 4;
+
+// Pages fetched when a host only offers a paginated tree listing
+export const MAX_TREE_PAGES = 20;
+
+// How long per-repository lookups (e.g. the default branch) are reused
+const MEMO_TTL_MS = 60 * 1000;
+const MAX_MEMO_ENTRIES = 200;
+
+const README_PATTERN = /^readme(\.(md|markdown|mdown|txt|rst))?$/i;
+
+// Analytics list sizes and release notes length
+export const TOP_CONTRIBUTORS = 10;
+export const RELEASE_TIMELINE_LENGTH = 10;
+const MAX_RELEASE_NOTES = 1000;
+
+// Split an HTTPS or SSH clone URL into its host and path segments
+export function splitRepositoryUrl(url) {
+  const ssh = url.match(/^git@([^:/]+):(.+)$/);
+  if (ssh) {
+    return { host: ssh[1].toLowerCase(), segments: ssh[2].split('/').filter(Boolean) };
+  }
+
+  try {
+    const parsed = new URL(url);
+    if (!['http:', 'https:'].includes(parsed.protocol)) throw new Error();
+    return { host: parsed.host.toLowerCase(), segments: parsed.pathname.split('/').filter(Boolean) };
+  } catch {
+    throw new Error('Invalid repository URL format');
+  }
+}
+
+// Base class for repository hosts. It owns the analysis pipeline; subclasses
+// implement the host-specific fetches: getRepository, getReadme,
+// getLanguages, getTree, getContents, getFileContent, getAnalytics and
+// rawFileUrl. All of them return the shapes GitHub's implementation does.
+class RepositoryProvider {
+  constructor({ name, label, webUrl }) {
+    this.name = name;
+    this.label = label;
+    this.webUrl = webUrl.replace(/\/$/, '');
+    this.host = new URL(this.webUrl).host.toLowerCase();
+    this.hosts = [this.host];
+    this.memo = new Map();
+  }
+
+  matches(host) {
+    return this.hosts.includes(host);
+  }
+
+  // HTTP client that turns 429 responses into RateLimitError
+  createClient({ baseURL, headers = {} }) {
+    const client = axios.create({ baseURL, timeout: 10000, headers });
+    client.interceptors.response.use(null, (error) => {
+      if (error.response?.status === 429) {
+        const { headers: responseHeaders } = error.response;
+        const retryAfter = parseInt(responseHeaders['retry-after']);
+        const reset = parseInt(responseHeaders['ratelimit-reset'] || responseHeaders['x-ratelimit-reset']);
+        const resetAt = !Number.isNaN(retryAfter)
+          ? new Date(Date.now() + retryAfter * 1000)
+          : !Number.isNaN(reset) ? new Date(reset * 1000) : null;
+        throw new RateLimitError(`${this.label} API rate limit exceeded`, { resetAt });
+      }
+      throw error;
+    });
+    return client;
+  }
+
+  // Reuse a lookup for the same key for a short while
+  remember(key, loader) {
+    const now = Date.now();
+    const entry = this.memo.get(key);
+    if (entry && entry.expiresAt > now) return entry.promise;
+
+    if (this.memo.size >= MAX_MEMO_ENTRIES) {
+      this.memo.delete(this.memo.keys().next().value);
+    }
+    const promise = loader();
+    this.memo.set(key, { promise, expiresAt: now + MEMO_TTL_MS });
+    promise.catch(() => this.memo.delete(key));
+    return promise;
+  }
+
+  // Owner and repository name from URL path segments
+  parsePath(segments) {
+    if (segments.length < 2) throw new Error('Invalid repository URL format');
+    return { owner: segments[0], repo: segments[1].replace(/\.git$/, '') };
+  }
+
+  parseUrl(url) {
+    return this.parsePath(splitRepositoryUrl(url).segments);
+  }
+
+  // README payload with sanitized HTML
+  renderReadme(content, { filename, path: readmePath }) {
+    return {
+      content,
+      html: sanitizeHtml(marked(content)),
+      filename,
+      path: readmePath
+    };
+  }
+
+  // Find and fetch the README from the repository root
+  async findReadme(owner, repo) {
+    const files = (await this.getContents(owner, repo)).filter(item => item.type === 'file');
+    const readme = files.find(item => /\.(md|markdown)$/i.test(item.name) && README_PATTERN.test(item.name))
+      || files.find(item => README_PATTERN.test(item.name));
+    if (!readme) return null;
+
+    const content = await this.getFileContent(owner, repo, readme.path);
+    if (!content) return null;
+    return this.renderReadme(content.toString('utf8'), { filename: readme.name, path: readme.path });
+  }
+
+  // Language breakdown from a name -> weight map (bytes, or percentages on some hosts)
+  summarizeLanguages(languages) {
+    const total = Object.values(languages).reduce((sum, bytes) => sum + bytes, 0);
+    const languageStats = Object.entries(languages).map(([name, bytes]) => ({
+      name,
+      bytes,
+      percentage: ((bytes / total) * 100).toFixed(1)
+    })).sort((a, b) => b.bytes - a.bytes);
+
+    return {
+      raw: languages,
+      stats: languageStats,
+      primary: languageStats[0]?.name || 'Unknown'
+    };
+  }
+
+  // Detect tech stack per package from every manifest in the repository,
+  // plus the merged summary and any monorepo tooling
+  async detectTechStack(owner, repo) {
+    let entries = await this.getTree(owner, repo);
+
+    // Fall back to root-level files when the tree is unavailable
+    if (!entries) {
+      const contents = await this.getContents(owner, repo);
+      entries = contents.map(item => ({ path: item.name, type: item.type === 'file' ? 'blob' : 'tree' }));
+    }
+
+    const files = listFiles(entries);
+    const fetched = await mapWithConcurrency(selectManifests(files), MANIFEST_CONCURRENCY, async (file) => {
+      const content = await this.getFileContent(owner, repo, file);
+      if (!content) return [file, null];
+
+      try {
+        return [file, parseManifest(path.posix.basename(file), content.toString('utf8'))];
+      } catch (error) {
+        console.warn(`Failed to parse ${file}:`, error.message);
+        return [file, null];
+      }
+    });
+
+    const manifests = {};
+    fetched.forEach(result => {
+      // getFileContent only rethrows rate limit errors
+      if (result.status === 'rejected') throw result.reason;
+      const [file, manifest] = result.value;
+      manifests[file] = manifest;
+    });
+
+    return detectFromFiles(files, manifests);
+  }
+
+  // Settled requests behind one analysis step: a rate limit error, or every
+  // request failing, fails the step; otherwise it goes on with what succeeded
+  throwIfFailed(results) {
+    const rateLimited = results.find(result => result.reason instanceof RateLimitError);
+    if (rateLimited) throw rateLimited.reason;
+    if (results.every(result => result.status === 'rejected')) throw results[0].reason;
+  }
+
+  // Analytics with nothing known yet. Every host fills in what it can:
+  //   commitActivity  { status: ready | computing | unavailable, weeks: [{ week, commits }] }
+  //   topContributors [{ login, name, avatar, commits, url }], most commits first
+  //   releases        [{ tag, name, publishedAt, url, notes, prerelease }], newest first
+  emptyAnalytics() {
+    return {
+      commitCount: 0,
+      contributorCount: 0,
+      releaseCount: 0,
+      commitActivity: { status: 'unavailable', weeks: [] },
+      topContributors: [],
+      releases: [],
+      lastReleaseAt: null
+    };
+  }
+
+  // Release timeline entry with notes trimmed to a summary
+  toRelease({ tag, name, publishedAt, url, notes, prerelease = false }) {
+    const text = (notes || '').trim();
+    return {
+      tag,
+      name: name || tag,
+      publishedAt: publishedAt || null,
+      url: url || null,
+      notes: text.length > MAX_RELEASE_NOTES ? `${text.slice(0, MAX_RELEASE_NOTES).trimEnd()}…` : text,
+      prerelease: Boolean(prerelease)
+    };
+  }
+
+  // Sort releases newest first and derive the last release date
+  withReleases(analytics, releases) {
+    const timeline = [...releases]
+      .sort((a, b) => (Date.parse(b.publishedAt) || 0) - (Date.parse(a.publishedAt) || 0))
+      .slice(0, RELEASE_TIMELINE_LENGTH);
+    return {
+      ...analytics,
+      releases: timeline,
+      lastReleaseAt: timeline.find(release => !release.prerelease)?.publishedAt || timeline[0]?.publishedAt || null
+    };
+  }
+
+  // Wrap a sub-fetch so its start, completion and failure are reported
+  trackStep(step, promise, onProgress) {
+    if (!onProgress) return promise;
+
+    onProgress({ step, status: 'started' });
+    return promise.then(
+      (value) => {
+        onProgress({ step, status: 'completed', empty: value == null });
+        return value;
+      },
+      (error) => {
+        onProgress({ step, status: 'failed', error: error.message });
+        throw error;
+      }
+    );
+  }
+
+  // Main analysis method
+  async analyzeRepository(url, { onProgress } = {}) {
+    const { owner, repo } = this.parseUrl(url);
+
+    console.log(`🔍 Analyzing ${this.label} repository: ${owner}/${repo}`);
+
+    try {
+      // Fetch all repository data in parallel
+      const [repository, readme, languages, techStack, analytics] = await Promise.allSettled([
+        this.trackStep('getRepository', this.getRepository(owner, repo), onProgress),
+        this.trackStep('getReadme', this.getReadme(owner, repo), onProgress),
+        this.trackStep('getLanguages', this.getLanguages(owner, repo), onProgress),
+        this.trackStep('detectTechStack', this.detectTechStack(owner, repo), onProgress),
+        this.trackStep('getAnalytics', this.getAnalytics(owner, repo), onProgress)
+      ]);
+
+      if (repository.status === 'rejected') {
+        throw repository.reason;
+      }
+
+      // Don't cache a degraded analysis because of rate limiting
+      const rateLimited = [readme, languages, techStack, analytics]
+        .find(result => result.reason instanceof RateLimitError);
+      if (rateLimited) {
+        throw rateLimited.reason;
+      }
+
+      // The progress stream reports these steps as failed; the analysis goes on without them
+      if (languages.status === 'rejected') {
+        console.warn(`Failed to fetch languages for ${owner}/${repo}:`, languages.reason.message);
+      }
+      if (techStack.status === 'rejected') {
+        console.warn(`Failed to detect tech stack for ${owner}/${repo}:`, techStack.reason.message);
+      }
+      if (analytics.status === 'rejected') {
+        console.warn(`Failed to get analytics for ${owner}/${repo}:`, analytics.reason.message);
+      }
+
+      const languageData = languages.status === 'fulfilled' ? languages.value : { raw: {}, stats: [], primary: 'Unknown' };
+      const repoData = {
+        ...repository.value,
+        // Some hosts only report languages separately
+        language: repository.value.language
+          || (languageData.primary !== 'Unknown' ? languageData.primary : null),
+        provider: this.name,
+        host: this.host
+      };
+      const readmeData = readme.status === 'fulfilled' && readme.value
+        ? {
+          ...readme.value,
+          parsed: parseReadme(readme.value.content, {
+            path: readme.value.path,
+            rawUrl: (repoPath) => this.rawFileUrl(owner, repo, repoData.defaultBranch, repoPath)
+          })
+        }
+        : null;
+      const { techStack: techStackData, workspace: workspaceData, practices: practicesData } = techStack.status === 'fulfilled'
+        ? techStack.value
+        // Practices are unknown rather than absent
+        : { ...detectFromFiles([]), practices: null };
+      const analyticsData = analytics.status === 'fulfilled' ? analytics.value : this.emptyAnalytics();
+
+      const result = {
+        repository: repoData,
+        readme: readmeData,
+        languages: languageData,
+        techStack: techStackData,
+        workspace: workspaceData,
+        practices: practicesData,
+        analytics: analyticsData,
+        features: readmeData ? readmeData.parsed.features : [],
+        generatedAt: new Date().toISOString()
+      };
+      result.analysis = {
+        category: this.categorizeProject(repoData, techStackData),
+        ...projectScorer.assess(result)
+      };
+
+      console.log(`✅ Analysis completed for ${owner}/${repo}`);
+      return result;
+
+    } catch (error) {
+      console.error(`❌ Analysis failed for ${owner}/${repo}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Helper methods for analysis
+  categorizeProject(repo, techStack) {
+    const frontend = techStack.frontend || [];
+    const backend = techStack.backend || [];
+    const tools = techStack.tools || [];
+    // A bare runtime (e.g. Node.js from a frontend's package.json) is not a backend
+    const backendFrameworks = backend.filter(tech => !RUNTIMES.includes(tech));
+
+    if (frontend.length > 0 && backendFrameworks.length > 0) return 'Full-Stack Application';
+    if (frontend.length > 0) return 'Frontend Application';
+    if (backend.length > 0) return 'Backend Service';
+    if (tools.includes('Docker')) return 'DevOps/Infrastructure';
+    if (repo.language === 'Python') return 'Python Project';
+    if (repo.language === 'JavaScript') return 'JavaScript Project';
+
+    return 'General Project';
+  }
+}
+
+export default RepositoryProvider;
@@ -0,0 +1,201 @@
+import { marked } from 'marked';
+import * as cheerio from 'cheerio';
+import { resolveRepositoryPath } from '../utils/repositoryPath.js';
+import { safeUrl } from '../utils/html.js';
+
+// Heading text that marks each structured section
+const SECTION_PATTERNS = {
+  features: /feature|functionalit|capabilit|what it does|highlight/,
+  installation: /install|getting started|set ?up|quick ?start|prerequisite/,
+  usage: /usage|example|how to use|running/,
+  license: /licen[cs]e/,
+  contributing: /contribut/
+};
+
+// Hosts and paths that serve status badges rather than screenshots
+const BADGE_HOSTS = /(^|\.)(shields\.io|badgen\.net|badge\.fury\.io|travis-ci\.(org|com)|codecov\.io|coveralls\.io|circleci\.com|netlify\.com|snyk\.io|codeclimate\.com|sonarcloud\.io|readthedocs\.org)$/i;
+const BADGE_PATHS = /\/badges?(\/|\.svg|$)/i;
+
+const MAX_FEATURES = 20;
+const MAX_MEDIA = 20;
+
+// marked escapes inline text; undo it for the plain-text model
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'" };
+const decodeEntities = (text) => text.replace(/&(amp|lt|gt|quot|#39);/g, entity => ENTITIES[entity]);
+
+// Flatten inline tokens to text, dropping images and raw HTML
+function plainText(tokens = []) {
+  return tokens.map(token => {
+    if (token.type === 'image' || token.type === 'html') return '';
+    if (token.type === 'br') return ' ';
+    if (token.tokens) return plainText(token.tokens);
+    return decodeEntities(token.text || '');
+  }).join('').replace(/\s+/g, ' ').trim();
+}
+
+function sectionKind(title) {
+  const lowerTitle = title.toLowerCase();
+  return Object.keys(SECTION_PATTERNS).find(kind => SECTION_PATTERNS[kind].test(lowerTitle)) || null;
+}
+
+function isBadge(src) {
+  try {
+    const url = new URL(src);
+    return BADGE_HOSTS.test(url.hostname) || BADGE_PATHS.test(url.pathname);
+  } catch {
+    return false;
+  }
+}
+
+function mediaType(src, isVideo) {
+  if (isVideo || /\.(mp4|webm|mov)(\?|$)/i.test(src)) return 'video';
+  if (/\.gif(\?|$)/i.test(src)) return 'gif';
+  return 'image';
+}
+
+// Images and videos embedded as raw HTML (<img>, <video>, <source>)
+function htmlMedia(html, href) {
+  const $ = cheerio.load(html, null, false);
+  return [
+    ...$('img[src]').toArray().map(element => ({
+      alt: $(element).attr('alt') || '',
+      src: $(element).attr('src'),
+      href: $(element).closest('a').attr('href') || href
+    })),
+    ...$('video[src], video source[src]').toArray().map(element => ({
+      alt: '',
+      src: $(element).attr('src'),
+      href: null,
+      video: true
+    }))
+  ];
+}
+
+// Every image in a token tree, with the link wrapping it if any
+function collectImages(tokens = [], images = [], href = null) {
+  tokens.forEach(token => {
+    if (token.type === 'image') {
+      images.push({ alt: decodeEntities(token.text || ''), src: token.href, href });
+    } else if (token.type === 'html') {
+      images.push(...htmlMedia(token.text, href));
+    }
+
+    const linkHref = token.type === 'link' ? token.href : href;
+    if (token.tokens) collectImages(token.tokens, images, linkHref);
+    if (token.items) token.items.forEach(item => collectImages(item.tokens, images, href));
+    if (token.type === 'table') {
+      [token.header, ...token.rows].flat().forEach(cell => collectImages(cell.tokens, images, href));
+    }
+  });
+  return images;
+}
+
+// List item text without any nested sub-list
+const listItemText = (item) => plainText(item.tokens.filter(token => token.type !== 'list'));
+
+// Bold-only paragraphs ("**Features**") are used as headings in many READMEs
+const isPseudoHeading = (token) => token.type === 'paragraph'
+  && token.tokens?.length === 1 && token.tokens[0].type === 'strong';
+
+// Parse README markdown into title, tagline, badges, features, installation,
+// usage, media, license and contributing. Relative URLs are resolved against
+// the README's location in the repository and turned into absolute URLs by
+// `rawUrl(repoPath)`.
+export function parseReadme(markdown, { path: readmePath, rawUrl } = {}) {
+  const resolveUrl = (url) => {
+    if (!safeUrl(url)) return null;
+    const repoPath = rawUrl ? resolveRepositoryPath(readmePath, url) : null;
+    return repoPath ? rawUrl(repoPath) : url;
+  };
+
+  const model = {
+    title: null,
+    tagline: null,
+    badges: [],
+    features: [],
+    installation: { steps: [], code: [] },
+    usage: [],
+    media: [],
+    license: null,
+    contributing: null,
+    sections: []
+  };
+  const license = [];
+  const contributing = [];
+  const images = [];
+  let active = null;
+  let seenSection = false;
+
+  marked.lexer(markdown || '').forEach(token => {
+    if (token.type === 'heading' || isPseudoHeading(token)) {
+      const title = plainText(token.tokens);
+      const depth = token.type === 'heading' ? token.depth : 6;
+
+      if (depth === 1 && !model.title && !seenSection) {
+        model.title = title;
+        return;
+      }
+
+      // Sub-headings of a recognized section stay part of it
+      const kind = sectionKind(title);
+      if (kind) active = { kind, depth };
+      else if (!active || depth <= active.depth) active = null;
+
+      if (token.type === 'heading') model.sections.push({ title, depth });
+      seenSection = true;
+      return;
+    }
+
+    collectImages([token], images);
+
+    if (!seenSection && token.type === 'paragraph' && !model.tagline) {
+      model.tagline = plainText(token.tokens) || null;
+    }
+
+    switch (active?.kind) {
+      case 'features':
+        if (token.type === 'list') {
+          model.features.push(...token.items.map(listItemText).filter(Boolean));
+        }
+        break;
+      case 'installation':
+        if (token.type === 'list') {
+          model.installation.steps.push(...token.items.map(listItemText).filter(Boolean));
+        } else if (token.type === 'code') {
+          model.installation.code.push({ lang: token.lang?.split(/\s/)[0] || null, code: token.text });
+        }
+        break;
+      case 'usage':
+        if (token.type === 'code') {
+          model.usage.push({ lang: token.lang?.split(/\s/)[0] || null, code: token.text });
+        }
+        break;
+      case 'license':
+        if (token.type === 'paragraph') license.push(plainText(token.tokens));
+        break;
+      case 'contributing':
+        if (token.type === 'paragraph') contributing.push(plainText(token.tokens));
+        break;
+    }
+  });
+
+  const seen = new Set();
+  images.forEach(({ alt, src, href, video }) => {
+    const url = resolveUrl(src);
+    if (!url || seen.has(url)) return;
+    seen.add(url);
+
+    const item = { alt, src: url, href: resolveUrl(href) };
+    if (isBadge(url)) {
+      model.badges.push(item);
+    } else if (model.media.length < MAX_MEDIA) {
+      model.media.push({ ...item, type: mediaType(url, video) });
+    }
+  });
+
+  model.features = model.features.slice(0, MAX_FEATURES);
+  model.license = license.filter(Boolean).join('\n\n') || null;
+  model.contributing = contributing.filter(Boolean).join('\n\n') || null;
+
+  return model;
+}
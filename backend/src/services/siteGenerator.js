@@ -0,0 +1,287 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import JSZip from 'jszip';
+import * as cheerio from 'cheerio';
+import { Resvg } from '@resvg/resvg-js';
+import providerRegistry from './providers/index.js';
+import badgeRenderer from './badgeRenderer.js';
+import { escapeHtml, sanitizeHtml } from '../utils/html.js';
+import { resolveRepositoryPath } from '../utils/repositoryPath.js';
+import { sections, sectionStyles, portfolioSections, portfolioStyles, helpers } from '../templates/sections.js';
+
+// Fonts for social preview images, bundled so the PNG bytes don't depend on
+// the fonts installed on the machine
+const FONTS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '../fonts');
+const SOCIAL_PREVIEW_FONT = {
+  fontFiles: ['DejaVuSans.ttf', 'DejaVuSans-Bold.ttf'].map(file => path.join(FONTS_DIR, file)),
+  loadSystemFonts: false,
+  defaultFontFamily: 'DejaVu Sans'
+};
+
+// Fixed timestamp for archive entries so identical analyses produce identical bytes
+const BUNDLE_DATE = new Date(Date.UTC(1980, 0, 1));
+
+// Search engines cut descriptions at around this many characters
+const MAX_META_DESCRIPTION = 160;
+
+const SOCIAL_PREVIEW = { path: 'social-preview.png', width: 1200, height: 630 };
+
+// Text for a <script> element, which ends at the first "</script"
+const escapeScriptJson = (value) => JSON.stringify(value, null, 2).replace(/</g, '\\u003c');
+
+class SiteGenerator {
+  // Simple monogram favicon derived from the repository name
+  renderFavicon(data) {
+    const initial = escapeHtml((data.repository.name || 'R').charAt(0).toUpperCase());
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 64 64">
+  <defs>
+    <linearGradient id="g" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0%" stop-color="#667eea"/>
+      <stop offset="100%" stop-color="#764ba2"/>
+    </linearGradient>
+  </defs>
+  <rect width="64" height="64" rx="14" fill="url(#g)"/>
+  <text x="32" y="44" font-family="Inter, Arial, sans-serif" font-size="36" font-weight="700" fill="#fff" text-anchor="middle">${initial}</text>
+</svg>
+`;
+  }
+
+  // README HTML with relative images pointing at the host's raw file URLs.
+  // Images are linked rather than copied, so a site depends only on its analysis.
+  renderReadmeHtml(data) {
+    const readme = data.readme;
+    if (!readme?.html) return null;
+
+    const provider = providerRegistry.forUrl(data.repository.url);
+    const { owner, repo } = provider.parseUrl(data.repository.url);
+    const branch = data.repository.defaultBranch;
+    // Cached analyses may predate sanitization, so clean again before publishing
+    const $ = cheerio.load(sanitizeHtml(readme.html), null, false);
+
+    $('img[src]').each((index, element) => {
+      const repoPath = resolveRepositoryPath(readme.path, $(element).attr('src'));
+      if (repoPath) $(element).attr('src', provider.rawFileUrl(owner, repo, branch, repoPath));
+    });
+
+    return $.html();
+  }
+
+  // Site URLs are directories, so relative links resolve inside them
+  normalizeSiteUrl(url) {
+    return url.endsWith('/') ? url : `${url}/`;
+  }
+
+  // Page description for search results and link previews
+  describe(data) {
+    const { repository } = data;
+    const description = (repository.description || `${repository.fullName}: a ${data.analysis.category} project`).trim();
+    return description.length > MAX_META_DESCRIPTION
+      ? `${description.slice(0, MAX_META_DESCRIPTION - 1).trimEnd()}…`
+      : description;
+  }
+
+  // schema.org SoftwareSourceCode describing the repository
+  renderStructuredData(data, { siteUrl = null, image = null } = {}) {
+    const { repository } = data;
+    const ownerUrl = repository.url.replace(/\/[^/]+\/?$/, '');
+    const structuredData = {
+      '@context': 'https://schema.org',
+      '@type': 'SoftwareSourceCode',
+      name: repository.name,
+      description: repository.description || undefined,
+      codeRepository: repository.url,
+      url: siteUrl || repository.homepage || repository.url,
+      programmingLanguage: repository.language || undefined,
+      license: repository.license || undefined,
+      author: repository.owner?.login
+        ? {
+          '@type': repository.owner.type === 'Organization' ? 'Organization' : 'Person',
+          name: repository.owner.login,
+          url: ownerUrl
+        }
+        : undefined,
+      dateCreated: repository.createdAt || undefined,
+      dateModified: repository.updatedAt || undefined,
+      keywords: repository.topics?.length ? repository.topics.join(', ') : undefined,
+      image: image || undefined
+    };
+
+    return `<script type="application/ld+json">\n${escapeScriptJson(structuredData)}\n    </script>`;
+  }
+
+  // Description, canonical URL, Open Graph and Twitter card tags.
+  // Crawlers need absolute URLs, so without `siteUrl` the canonical link is
+  // left out and the image is relative to the page.
+  renderMetaTags(data, { siteUrl = null, image = null } = {}) {
+    const { repository } = data;
+    const title = escapeHtml(`${repository.name} - Generated by RepoSite`);
+    const description = escapeHtml(this.describe(data));
+    const tags = [
+      `<meta name="description" content="${description}">`,
+      siteUrl && `<link rel="canonical" href="${escapeHtml(siteUrl)}">`,
+      '<meta property="og:type" content="website">',
+      '<meta property="og:site_name" content="RepoSite">',
+      `<meta property="og:title" content="${title}">`,
+      `<meta property="og:description" content="${description}">`,
+      siteUrl && `<meta property="og:url" content="${escapeHtml(siteUrl)}">`,
+      image && `<meta property="og:image" content="${escapeHtml(image)}">`,
+      image && `<meta property="og:image:width" content="${SOCIAL_PREVIEW.width}">`,
+      image && `<meta property="og:image:height" content="${SOCIAL_PREVIEW.height}">`,
+      image && `<meta property="og:image:alt" content="${escapeHtml(repository.fullName)}">`,
+      `<meta name="twitter:card" content="${image ? 'summary_large_image' : 'summary'}">`,
+      `<meta name="twitter:title" content="${title}">`,
+      `<meta name="twitter:description" content="${description}">`,
+      image && `<meta name="twitter:image" content="${escapeHtml(image)}">`
+    ];
+
+    return tags.filter(Boolean).join('\n    ');
+  }
+
+  // Render the portfolio page with the sections and styles of a theme.
+  // `siteUrl` is the absolute URL the site will be published at, if known.
+  renderPage(data, { theme, readmeHtml = null, inlineStyles = false, siteUrl = null }) {
+    const context = { ...helpers, readmeHtml, theme };
+    const body = theme.sections
+      .map(name => (theme.renderers[name] || sections[name])(data, context))
+      .filter(Boolean)
+      .join('\n\n        ');
+
+    const head = inlineStyles
+      ? `<style>\n${this.renderStyles(theme)}</style>`
+      : '<link rel="icon" href="favicon.svg" type="image/svg+xml">\n    <link rel="stylesheet" href="styles.css">';
+    // The preview is a single page without the generated image
+    let image = null;
+    if (!inlineStyles) image = siteUrl ? new URL(SOCIAL_PREVIEW.path, siteUrl).href : SOCIAL_PREVIEW.path;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(data.repository.name)} - Generated by RepoSite</title>
+    ${this.renderMetaTags(data, { siteUrl, image })}
+    ${this.renderStructuredData(data, { siteUrl, image })}
+    ${head}
+</head>
+<body class="theme-${theme.name}">
+    <div class="container">
+        ${body}
+    </div>
+
+    <footer class="footer">
+        <p>Generated by <strong>RepoSite</strong> - Portfolio as a Service</p>
+        <p>Bringing GitHub repositories to life, one website at a time ✨</p>
+    </footer>
+</body>
+</html>
+`;
+  }
+
+  // Render a whole-user portfolio page using a theme's styles
+  renderPortfolioPage(portfolio, { theme }) {
+    const body = Object.values(portfolioSections)
+      .map(render => render(portfolio))
+      .filter(Boolean)
+      .join('\n\n        ');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(portfolio.profile.name || portfolio.profile.login)} - Portfolio by RepoSite</title>
+    <style>\n${theme.styles}${portfolioStyles}</style>
+</head>
+<body class="theme-${theme.name} portfolio">
+    <div class="container">
+        ${body}
+    </div>
+
+    <footer class="footer">
+        <p>Generated by <strong>RepoSite</strong> - Portfolio as a Service</p>
+    </footer>
+</body>
+</html>
+`;
+  }
+
+  // Stylesheet of a site: the theme's styles plus the shared section styles
+  renderStyles(theme) {
+    return theme.styles + sectionStyles;
+  }
+
+  // Single self-contained page for previewing in the browser
+  renderPreview(data, { theme, siteUrl = null }) {
+    return this.renderPage(data, { theme, readmeHtml: this.renderReadmeHtml(data), inlineStyles: true, siteUrl });
+  }
+
+  // Open Graph image of the site as PNG. Rendering is deterministic, so
+  // bundles stay byte-identical.
+  renderSocialPreview(data) {
+    const svg = badgeRenderer.renderSocialPreview(data);
+    const resvg = new Resvg(svg, { font: SOCIAL_PREVIEW_FONT });
+    return resvg.render().asPng();
+  }
+
+  // Crawl rules, pointing at the sitemap when the site URL is known
+  renderRobots({ siteUrl = null } = {}) {
+    const lines = ['User-agent: *', 'Allow: /'];
+    if (siteUrl) lines.push('', `Sitemap: ${new URL('sitemap.xml', siteUrl).href}`);
+    return `${lines.join('\n')}\n`;
+  }
+
+  // Sitemap of the site's pages; needs absolute URLs
+  renderSitemap(data, { siteUrl, pages = ['index.html'] }) {
+    const lastmod = (data.generatedAt ? new Date(data.generatedAt) : BUNDLE_DATE).toISOString().slice(0, 10);
+    const urls = pages.map(page => {
+      const loc = page === 'index.html' ? siteUrl : new URL(page, siteUrl).href;
+      return `  <url>
+    <loc>${escapeHtml(loc)}</loc>
+    <lastmod>${lastmod}</lastmod>
+  </url>`;
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.join('\n')}
+</urlset>
+`;
+  }
+
+  // Build every file of the static site, sorted by path
+  generateFiles(data, { theme, siteUrl = null }) {
+    const files = [
+      { path: 'index.html', content: this.renderPage(data, { theme, readmeHtml: this.renderReadmeHtml(data), siteUrl }) },
+      { path: 'styles.css', content: this.renderStyles(theme) },
+      { path: 'favicon.svg', content: this.renderFavicon(data) },
+      { path: SOCIAL_PREVIEW.path, content: this.renderSocialPreview(data) },
+      { path: 'robots.txt', content: this.renderRobots({ siteUrl }) }
+    ];
+    if (siteUrl) {
+      files.push({ path: 'sitemap.xml', content: this.renderSitemap(data, { siteUrl }) });
+    }
+
+    return files.sort((a, b) => a.path.localeCompare(b.path, 'en'));
+  }
+
+  // Package the static site as a deterministic zip archive
+  async generateBundle(data, { theme, siteUrl = null }) {
+    const files = this.generateFiles(data, { theme, siteUrl });
+    const zip = new JSZip();
+
+    files.forEach(file => {
+      zip.file(file.path, file.content, { date: BUNDLE_DATE, createFolders: false });
+    });
+
+    return zip.generateAsync({
+      type: 'nodebuffer',
+      compression: 'DEFLATE',
+      compressionOptions: { level: 9 }
+    });
+  }
+}
+
+// Create singleton instance
+const siteGenerator = new SiteGenerator();
+
+export default siteGenerator;
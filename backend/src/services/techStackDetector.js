@@ -0,0 +1,249 @@
+import path from 'path';
+import { MANIFEST_FILES, technologiesFor } from './manifestParsers.js';
+
+// Package managers and config files
+export const PACKAGE_FILES = {
+  'package.json': 'Node.js',
+  'requirements.txt': 'Python',
+  'pyproject.toml': 'Python',
+  'Pipfile': 'Python',
+  'Gemfile': 'Ruby',
+  'pom.xml': 'Java',
+  'build.gradle': 'Java',
+  'build.gradle.kts': 'Java',
+  'Cargo.toml': 'Rust',
+  'go.mod': 'Go',
+  'composer.json': 'PHP',
+  'pubspec.yaml': 'Dart/Flutter'
+};
+
+// Framework detection files
+const FRAMEWORK_FILES = {
+  'angular.json': 'Angular',
+  'nuxt.config.js': 'Nuxt.js',
+  'nuxt.config.ts': 'Nuxt.js',
+  'next.config.js': 'Next.js',
+  'next.config.mjs': 'Next.js',
+  'next.config.ts': 'Next.js',
+  'gatsby-config.js': 'Gatsby',
+  'gatsby-config.ts': 'Gatsby',
+  'vue.config.js': 'Vue.js',
+  'svelte.config.js': 'Svelte',
+  'astro.config.mjs': 'Astro',
+  'astro.config.ts': 'Astro'
+};
+
+// Tool detection
+const TOOL_FILES = {
+  'Dockerfile': 'Docker',
+  'docker-compose.yml': 'Docker Compose',
+  'docker-compose.yaml': 'Docker Compose',
+  'webpack.config.js': 'Webpack',
+  'vite.config.js': 'Vite',
+  'vite.config.ts': 'Vite',
+  'vite.config.mjs': 'Vite',
+  'tailwind.config.js': 'Tailwind CSS',
+  'tailwind.config.ts': 'Tailwind CSS',
+  'tailwind.config.cjs': 'Tailwind CSS',
+  'postcss.config.js': 'PostCSS',
+  'postcss.config.cjs': 'PostCSS',
+  '.eslintrc': 'ESLint',
+  '.eslintrc.js': 'ESLint',
+  '.eslintrc.cjs': 'ESLint',
+  '.eslintrc.json': 'ESLint',
+  'eslint.config.js': 'ESLint',
+  'tsconfig.json': 'TypeScript'
+};
+
+// Root-level files that mark a monorepo tool
+const WORKSPACE_FILES = {
+  'pnpm-workspace.yaml': 'pnpm workspaces',
+  'lerna.json': 'Lerna',
+  'nx.json': 'Nx',
+  'turbo.json': 'Turborepo'
+};
+
+// Continuous integration configuration, by path pattern
+const CI_FILES = [
+  [/^\.github\/workflows\/[^/]+\.ya?ml$/, 'GitHub Actions'],
+  [/^\.gitlab-ci\.ya?ml$/, 'GitLab CI'],
+  [/^\.circleci\/config\.ya?ml$/, 'CircleCI'],
+  [/^\.travis\.ya?ml$/, 'Travis CI'],
+  [/^Jenkinsfile$/, 'Jenkins'],
+  [/^azure-pipelines\.ya?ml$/, 'Azure Pipelines'],
+  [/^bitbucket-pipelines\.ya?ml$/, 'Bitbucket Pipelines'],
+  [/^\.(drone|woodpecker)\.ya?ml$/, 'Drone'],
+  [/^\.gitea\/workflows\/[^/]+\.ya?ml$/, 'Gitea Actions']
+];
+
+// Test directories and the naming conventions of common test runners
+const TEST_PATTERNS = [
+  /(^|\/)(tests?|__tests__|specs?)\//i,
+  /\.(test|spec)\.[cm]?[jt]sx?$/,
+  /(^|\/)test_[^/]+\.py$/,
+  /_test\.(go|py)$/,
+  /(Test|Tests|Spec)\.(java|kt|cs|swift)$/,
+  /_spec\.rb$/
+];
+
+const LICENSE_PATTERN = /^(licen[cs]e|copying)(\.[a-z]+)?$/i;
+const DOCS_PATTERN = /^(docs?|documentation)\//i;
+const CONTRIBUTING_PATTERN = /^(\.github\/)?contributing(\.[a-z]+)?$/i;
+const CHANGELOG_PATTERN = /^(changelog|changes|history)(\.[a-z]+)?$/i;
+
+// Directories holding vendored or generated code rather than project packages
+const IGNORED_DIRECTORIES = new Set([
+  'node_modules', 'bower_components', 'vendor', 'dist', 'build', 'target',
+  '.git', '.venv', 'venv', '__pycache__'
+]);
+
+// Upper bound on manifests read per repository, shallowest first
+export const MAX_MANIFESTS = 40;
+
+// Language runtimes inferred from a manifest name alone, not backend frameworks
+export const RUNTIMES = [...new Set(Object.values(PACKAGE_FILES))];
+
+export function emptyTechStack() {
+  return {
+    frontend: [],
+    backend: [],
+    database: [],
+    tools: [],
+    frameworks: []
+  };
+}
+
+function isIgnored(filePath) {
+  return filePath.split('/').some(segment => IGNORED_DIRECTORIES.has(segment));
+}
+
+function depth(filePath) {
+  return filePath.split('/').length;
+}
+
+// Union of several tech stacks, per category
+export function mergeTechStacks(stacks) {
+  const merged = emptyTechStack();
+  stacks.forEach(stack => {
+    Object.entries(stack || {}).forEach(([category, technologies]) => {
+      if (!Array.isArray(technologies)) return;
+      merged[category] = [...new Set([...(merged[category] || []), ...technologies])];
+    });
+  });
+  return merged;
+}
+
+// Blob paths from a git tree, minus vendored and generated directories
+export function listFiles(entries) {
+  return entries
+    .filter(entry => entry.type === 'blob' && !isIgnored(entry.path))
+    .map(entry => entry.path);
+}
+
+// Manifests whose contents are worth fetching, shallowest first
+export function selectManifests(files) {
+  return files
+    .filter(file => MANIFEST_FILES.includes(path.posix.basename(file)))
+    .sort((a, b) => depth(a) - depth(b) || a.localeCompare(b))
+    .slice(0, MAX_MANIFESTS);
+}
+
+// Monorepo tools configured at the repository root
+function detectWorkspaceTools(files, rootManifest) {
+  const tools = [];
+
+  if (rootManifest?.workspaces) {
+    tools.push(files.includes('yarn.lock') ? 'Yarn workspaces' : 'npm workspaces');
+  }
+  Object.entries(WORKSPACE_FILES).forEach(([file, tool]) => {
+    if (files.includes(file)) tools.push(tool);
+  });
+
+  return tools;
+}
+
+// Engineering practices visible in a repository's file list
+export function detectPractices(files) {
+  const ci = [...new Set(CI_FILES
+    .filter(([pattern]) => files.some(file => pattern.test(file)))
+    .map(([, name]) => name))];
+
+  return {
+    tests: files.some(file => TEST_PATTERNS.some(pattern => pattern.test(file))),
+    ci,
+    licenseFile: files.find(file => LICENSE_PATTERN.test(file)) || null,
+    docs: files.some(file => DOCS_PATTERN.test(file)),
+    contributing: files.some(file => CONTRIBUTING_PATTERN.test(file)),
+    changelog: files.some(file => CHANGELOG_PATTERN.test(file))
+  };
+}
+
+// Build per-package and merged tech stacks from a repository's file list.
+// `manifests` maps a manifest path to its parsed contents (see manifestParsers.js).
+export function detectFromFiles(files, manifests = {}) {
+  // Every directory holding a manifest is a package
+  const packageDirs = [...new Set(
+    files
+      .filter(file => PACKAGE_FILES[path.posix.basename(file)])
+      .map(file => path.posix.dirname(file))
+  )].sort((a, b) => (a === '.' ? 0 : depth(a)) - (b === '.' ? 0 : depth(b)) || a.localeCompare(b));
+
+  const packages = new Map(packageDirs.map(dir => [dir, {
+    path: dir,
+    name: null,
+    manifests: [],
+    techStack: emptyTechStack()
+  }]));
+  // Files outside any package (e.g. a root Dockerfile in a repo without a root manifest)
+  const shared = emptyTechStack();
+
+  // Attribute a file to the closest package directory containing it
+  const owningPackage = (file) => {
+    let dir = path.posix.dirname(file);
+    while (true) {
+      if (packages.has(dir)) return packages.get(dir);
+      if (dir === '.') return null;
+      dir = path.posix.dirname(dir);
+    }
+  };
+
+  files.forEach(file => {
+    const name = path.posix.basename(file);
+    const target = owningPackage(file);
+    const techStack = target ? target.techStack : shared;
+
+    if (PACKAGE_FILES[name] && target && path.posix.dirname(file) === target.path) {
+      target.manifests.push(name);
+      techStack.backend.push(PACKAGE_FILES[name]);
+    }
+    if (FRAMEWORK_FILES[name]) techStack.frameworks.push(FRAMEWORK_FILES[name]);
+    if (TOOL_FILES[name]) techStack.tools.push(TOOL_FILES[name]);
+  });
+
+  Object.entries(manifests).forEach(([file, manifest]) => {
+    const target = packages.get(path.posix.dirname(file));
+    if (!target || !manifest) return;
+    target.name = target.name || manifest.name || null;
+    technologiesFor(manifest).forEach(([category, technology]) => {
+      target.techStack[category].push(technology);
+    });
+  });
+
+  const packageList = [...packages.values()].map(pkg => ({
+    ...pkg,
+    manifests: [...new Set(pkg.manifests)].sort(),
+    techStack: mergeTechStacks([pkg.techStack])
+  }));
+
+  const tools = detectWorkspaceTools(files, manifests['package.json']);
+
+  return {
+    techStack: mergeTechStacks([shared, ...packageList.map(pkg => pkg.techStack)]),
+    workspace: {
+      isMonorepo: tools.length > 0 || packageList.length > 1,
+      tools,
+      packages: packageList
+    },
+    practices: detectPractices(files)
+  };
+}
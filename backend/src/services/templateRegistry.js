@@ -0,0 +1,136 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import Joi from 'joi';
+import { sections } from '../templates/sections.js';
+
+const BUILT_IN_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '../templates');
+
+export const DEFAULT_THEME = 'classic';
+
+// Shape of a template definition exported from `<template>/index.js`
+const themeSchema = Joi.object({
+  name: Joi.string().pattern(/^[a-z0-9-]+$/).required(),
+  label: Joi.string().required(),
+  description: Joi.string().allow('').default(''),
+  sections: Joi.array().items(Joi.string()).min(1).required(),
+  requires: Joi.array().items(Joi.string()).default([]),
+  styles: Joi.string().allow('').default(''),
+  renderers: Joi.object().pattern(Joi.string(), Joi.function()).default({})
+});
+
+class TemplateRegistry {
+  constructor() {
+    this.themes = new Map();
+    this.loading = null;
+  }
+
+  // Load built-in templates, then custom ones from TEMPLATES_DIR (once)
+  load() {
+    if (!this.loading) {
+      this.loading = (async () => {
+        await this.loadDirectory(BUILT_IN_DIR);
+        if (process.env.TEMPLATES_DIR) {
+          await this.loadDirectory(path.resolve(process.env.TEMPLATES_DIR));
+        }
+      })();
+    }
+    return this.loading;
+  }
+
+  // Register every template subdirectory; custom templates may replace built-ins by name
+  async loadDirectory(dir) {
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      console.warn(`⚠️  Unable to read template directory ${dir}:`, error.message);
+      return;
+    }
+
+    const directories = entries
+      .filter(entry => entry.isDirectory())
+      .map(entry => entry.name)
+      .sort();
+
+    for (const name of directories) {
+      try {
+        const theme = this.register(await this.loadTemplate(path.join(dir, name)));
+        console.log(`🎨 Loaded template: ${theme.name}`);
+      } catch (error) {
+        console.warn(`⚠️  Skipping template ${name}:`, error.message);
+      }
+    }
+  }
+
+  // Import a template directory: index.js plus an optional styles.css
+  async loadTemplate(templateDir) {
+    const module = await import(pathToFileURL(path.join(templateDir, 'index.js')).href);
+    const definition = { ...module.default };
+
+    if (!definition.styles) {
+      definition.styles = await fs.readFile(path.join(templateDir, 'styles.css'), 'utf8')
+        .catch(() => '');
+    }
+
+    return definition;
+  }
+
+  // Validate and add a template definition
+  register(definition) {
+    const { error, value } = themeSchema.validate(definition);
+    if (error) {
+      throw new Error(`Invalid template definition: ${error.message}`);
+    }
+
+    const unknownSections = value.sections.filter(name => !sections[name] && !value.renderers[name]);
+    if (unknownSections.length > 0) {
+      throw new Error(`Unknown sections: ${unknownSections.join(', ')}`);
+    }
+
+    this.themes.set(value.name, value);
+    return value;
+  }
+
+  // Get a template by name
+  async get(name = DEFAULT_THEME) {
+    await this.load();
+    return this.themes.get(name) || null;
+  }
+
+  // List templates without their styles and renderers
+  async list() {
+    await this.load();
+    return Array.from(this.themes.values()).map(theme => ({
+      name: theme.name,
+      label: theme.label,
+      description: theme.description,
+      sections: theme.sections,
+      requires: theme.requires,
+      isDefault: theme.name === DEFAULT_THEME
+    }));
+  }
+
+  // Analysis fields (dot paths) a template requires that are missing or empty
+  missingRequirements(theme, data) {
+    return theme.requires.filter(field => {
+      const value = field.split('.').reduce((current, key) => current?.[key], data);
+      return value == null || value === '' || (Array.isArray(value) && value.length === 0);
+    });
+  }
+
+  // Theme with the growth section added after the stats (or the hero)
+  withGrowthSection(theme) {
+    if (theme.sections.includes('growth')) return theme;
+
+    const anchor = ['stats', 'hero'].map(name => theme.sections.indexOf(name)).find(index => index !== -1) ?? -1;
+    const sections = [...theme.sections];
+    sections.splice(anchor + 1, 0, 'growth');
+    return { ...theme, sections };
+  }
+}
+
+// Create singleton instance
+const templateRegistry = new TemplateRegistry();
+
+export default templateRegistry;
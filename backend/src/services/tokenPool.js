@@ -0,0 +1,96 @@
+import { RateLimitError } from '../errors.js';
+
+// Rotates between GitHub tokens, skipping ones whose rate limit is exhausted.
+// With no tokens configured the pool holds a single anonymous (null) token.
+class TokenPool {
+  // `configured` overrides the environment, e.g. for a GitHub Enterprise instance;
+  // `label` names the provider in rate limit errors
+  constructor(configured = null, { label = 'GitHub' } = {}) {
+    this.configured = configured;
+    this.label = label;
+    this.tokens = null;
+  }
+
+  // Read GITHUB_API_TOKENS (comma-separated) and GITHUB_API_TOKEN lazily, after dotenv has run
+  load() {
+    if (this.tokens) return this.tokens;
+
+    const configured = (this.configured || [
+      ...(process.env.GITHUB_API_TOKENS || '').split(','),
+      process.env.GITHUB_API_TOKEN || ''
+    ]).map(token => (token || '').trim()).filter(Boolean);
+
+    const unique = [...new Set(configured)];
+    this.tokens = (unique.length > 0 ? unique : [null]).map(token => ({
+      token,
+      remaining: null,
+      reset: null,
+      exhaustedUntil: null
+    }));
+    return this.tokens;
+  }
+
+  get size() {
+    return this.load().length;
+  }
+
+  get authenticated() {
+    return this.load()[0].token !== null;
+  }
+
+  // Pick the available token with the most remaining quota, or throw if all are exhausted
+  acquire() {
+    const now = Date.now();
+    const available = this.load().filter(entry => !entry.exhaustedUntil || entry.exhaustedUntil.getTime() <= now);
+
+    if (available.length === 0) {
+      const resetAt = new Date(Math.min(...this.tokens.map(entry => entry.exhaustedUntil.getTime())));
+      throw new RateLimitError(`${this.label} API rate limit exhausted for all tokens`, { resetAt });
+    }
+
+    available.forEach(entry => {
+      if (entry.exhaustedUntil) entry.exhaustedUntil = null;
+    });
+
+    return available.reduce((best, entry) =>
+      (entry.remaining ?? Infinity) > (best.remaining ?? Infinity) ? entry : best
+    ).token;
+  }
+
+  find(token) {
+    return this.load().find(entry => entry.token === token);
+  }
+
+  // Record quota from X-RateLimit-* response headers
+  update(token, headers = {}) {
+    const entry = this.find(token);
+    if (!entry || headers['x-ratelimit-remaining'] === undefined) return;
+    if (headers['x-ratelimit-resource'] && headers['x-ratelimit-resource'] !== 'core') return;
+
+    entry.remaining = parseInt(headers['x-ratelimit-remaining']);
+    entry.reset = new Date(parseInt(headers['x-ratelimit-reset']) * 1000);
+    if (entry.remaining === 0) entry.exhaustedUntil = entry.reset;
+  }
+
+  // Take a token out of rotation until its limit resets
+  markExhausted(token, resetAt) {
+    const entry = this.find(token);
+    if (!entry) return;
+
+    entry.remaining = 0;
+    entry.exhaustedUntil = resetAt || new Date(Date.now() + 60 * 1000);
+  }
+
+  // Per-token status, labelled by position so no part of a token is exposed
+  status() {
+    const now = Date.now();
+    return this.load().map((entry, index) => ({
+      token: entry.token ? `token #${index + 1}` : 'anonymous',
+      remaining: entry.remaining,
+      reset: entry.reset,
+      exhausted: Boolean(entry.exhaustedUntil && entry.exhaustedUntil.getTime() > now)
+    }));
+  }
+}
+
+export default TokenPool;
@@ -0,0 +1,8 @@
+// The original RepoSite look: gradient backdrop with frosted cards
+export default {
+  name: 'classic',
+  label: 'Classic',
+  description: 'Gradient backdrop with frosted-glass cards',
+  sections: ['hero', 'stats', 'techStack', 'features', 'activity', 'contributors', 'releases', 'readme', 'projectInfo', 'links'],
+  requires: ['repository', 'analysis']
+};
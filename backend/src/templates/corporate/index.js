@@ -0,0 +1,8 @@
+// Conservative product page with a banner header and summary cards
+export default {
+  name: 'corporate',
+  label: 'Corporate',
+  description: 'Professional product page with banner header and summary cards',
+  sections: ['hero', 'stats', 'screenshots', 'features', 'installation', 'usage', 'techStack', 'activity', 'releases', 'contributors', 'projectInfo', 'links'],
+  requires: ['repository', 'analysis']
+};
@@ -0,0 +1,8 @@
+// Terminal-inspired dark theme that leads with the code and stack
+export default {
+  name: 'developer-dark',
+  label: 'Developer Dark',
+  description: 'Dark, monospace theme that leads with the tech stack and README',
+  sections: ['hero', 'stats', 'techStack', 'readme', 'features', 'activity', 'contributors', 'releases', 'projectInfo', 'links'],
+  requires: ['repository', 'analysis', 'techStack']
+};
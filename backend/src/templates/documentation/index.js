@@ -0,0 +1,8 @@
+// Docs-site layout that renders the full README as the main content
+export default {
+  name: 'documentation',
+  label: 'Documentation',
+  description: 'Documentation-style page built around the full README',
+  sections: ['hero', 'links', 'readme', 'techStack', 'releases', 'projectInfo'],
+  requires: ['repository', 'analysis', 'readme.html']
+};
@@ -0,0 +1,8 @@
+// Typography-first single column with no decoration
+export default {
+  name: 'minimal',
+  label: 'Minimal',
+  description: 'Clean single column focused on typography',
+  sections: ['hero', 'features', 'installation', 'usage', 'techStack', 'links'],
+  requires: ['repository']
+};
@@ -0,0 +1,352 @@
+import { escapeHtml, escapeUrl, safeUrl } from '../utils/html.js';
+
+// Helpers passed to every section renderer, including custom template renderers
+export const helpers = {
+  escapeHtml,
+  escapeUrl,
+  safeUrl,
+  formatNumber: (value) => (value || 0).toLocaleString('en-US'),
+  formatDate: (value) => new Date(value).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    timeZone: 'UTC'
+  }),
+  capitalize: (value) => value.charAt(0).toUpperCase() + value.slice(1)
+};
+
+// Inline SVG line chart of a series, scaled to its own range
+function sparkline(values, label, { width = 300, height = 48 } = {}) {
+  if (values.length < 2) return '';
+  const min = Math.min(...values);
+  const range = Math.max(...values) - min || 1;
+  const points = values.map((value, index) => {
+    const x = (index / (values.length - 1)) * width;
+    const y = height - 2 - ((value - min) / range) * (height - 4);
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  });
+
+  return `<svg class="sparkline" viewBox="0 0 ${width} ${height}" width="100%" height="${height}" preserveAspectRatio="none" role="img" aria-label="${escapeHtml(label)}">
+                <polyline points="${points.join(' ')}" fill="none" stroke="currentColor" stroke-width="2" vector-effect="non-scaling-stroke"/>
+            </svg>`;
+}
+
+// Inline SVG bar chart, one bar per value, scaled to the largest
+function barChart(values, label, { width = 520, height = 80 } = {}) {
+  if (values.length === 0) return '';
+  const max = Math.max(...values) || 1;
+  const slot = width / values.length;
+  const bars = values.map((value, index) => {
+    const barHeight = (value / max) * (height - 2);
+    return `<rect x="${(index * slot).toFixed(1)}" y="${(height - barHeight).toFixed(1)}" width="${Math.max(slot - 2, 1).toFixed(1)}" height="${barHeight.toFixed(1)}"/>`;
+  });
+
+  return `<svg class="bar-chart" viewBox="0 0 ${width} ${height}" width="100%" height="${height}" preserveAspectRatio="none" role="img" aria-label="${escapeHtml(label)}">
+                <g fill="currentColor">${bars.join('')}</g>
+            </svg>`;
+}
+
+// "3 days ago" style distance between two dates
+function timeSince(from, to) {
+  const days = Math.max(Math.floor((Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000)), 0);
+  if (days === 0) return 'today';
+  if (days < 60) return `${days} day${days === 1 ? '' : 's'} ago`;
+  if (days < 730) return `${Math.floor(days / 30)} months ago`;
+  return `${Math.floor(days / 365)} years ago`;
+}
+
+// Built-in section renderers, keyed by the names themes list in `sections`
+export const sections = {
+  hero(data) {
+    const { repository } = data;
+    return `<header class="hero">
+            <h1>${escapeHtml(repository.name)}</h1>
+            <p class="description">${escapeHtml(repository.description || 'An amazing project built with modern technologies')}</p>
+        </header>`;
+  },
+
+  stats(data) {
+    const { repository, analysis } = data;
+    const stats = [
+      [helpers.formatNumber(repository.stars), 'Stars'],
+      [helpers.formatNumber(repository.forks), 'Forks'],
+      [escapeHtml(repository.language || 'Multi'), 'Language'],
+      [analysis.score, 'Quality Score']
+    ];
+
+    return `<section class="stats">
+            ${stats.map(([value, label]) => `<div class="stat">
+                <div class="stat-value">${value}</div>
+                <div class="stat-label">${label}</div>
+            </div>`).join('\n            ')}
+        </section>`;
+  },
+
+  techStack(data) {
+    const categories = Object.entries(data.techStack || {})
+      .filter(([, technologies]) => technologies.length > 0);
+    if (categories.length === 0) return '';
+
+    return `<section class="section tech-stack">
+            <h2>Technology Stack</h2>
+            ${categories.map(([category, technologies]) => `<div class="tech-category">
+                <h4>${escapeHtml(helpers.capitalize(category))}</h4>
+                <div class="tech-tags">
+                    ${technologies.map(tech => `<span class="tech-tag">${escapeHtml(tech)}</span>`).join('')}
+                </div>
+            </div>`).join('\n            ')}
+        </section>`;
+  },
+
+  features(data) {
+    if (!data.features?.length) return '';
+
+    return `<section class="section features">
+            <h2>Features</h2>
+            <ul class="feature-list">
+                ${data.features.map(feature => `<li>${escapeHtml(feature)}</li>`).join('')}
+            </ul>
+        </section>`;
+  },
+
+  screenshots(data) {
+    const media = (data.readme?.parsed?.media || []).filter(item => item.type !== 'video').slice(0, 6);
+    if (media.length === 0) return '';
+
+    return `<section class="section screenshots">
+            <h2>Screenshots</h2>
+            <div class="screenshot-grid">
+                ${media.map(item => `<figure class="screenshot">
+                    <img src="${escapeUrl(item.src)}" alt="${escapeHtml(item.alt)}" loading="lazy">
+                    ${item.alt ? `<figcaption>${escapeHtml(item.alt)}</figcaption>` : ''}
+                </figure>`).join('')}
+            </div>
+        </section>`;
+  },
+
+  installation(data) {
+    const { steps = [], code = [] } = data.readme?.parsed?.installation || {};
+    if (steps.length === 0 && code.length === 0) return '';
+
+    return `<section class="section installation">
+            <h2>Installation</h2>
+            ${steps.length ? `<ol class="install-steps">
+                ${steps.map(step => `<li>${escapeHtml(step)}</li>`).join('')}
+            </ol>` : ''}
+            ${code.map(block => `<pre class="code-block"><code${block.lang ? ` class="language-${escapeHtml(block.lang)}"` : ''}>${escapeHtml(block.code)}</code></pre>`).join('\n            ')}
+        </section>`;
+  },
+
+  usage(data) {
+    const usage = data.readme?.parsed?.usage || [];
+    if (usage.length === 0) return '';
+
+    return `<section class="section usage">
+            <h2>Usage</h2>
+            ${usage.slice(0, 3).map(block => `<pre class="code-block"><code${block.lang ? ` class="language-${escapeHtml(block.lang)}"` : ''}>${escapeHtml(block.code)}</code></pre>`).join('\n            ')}
+        </section>`;
+  },
+
+  // Only rendered when the site request attached a history with two or more snapshots
+  growth(data) {
+    if (!data.history) return '';
+    const { diff, series } = data.history;
+    const signed = (value) => `${value > 0 ? '+' : ''}${helpers.formatNumber(value)}`;
+    const stats = [
+      [signed(diff.stars.change), 'Stars'],
+      [signed(diff.forks.change), 'Forks'],
+      [signed(diff.score.change), 'Quality Score']
+    ];
+    const added = [
+      ...diff.languages.added,
+      ...diff.techStack.added.map(item => item.technology)
+    ];
+
+    return `<section class="section growth">
+            <h2>Growth</h2>
+            <p>Since ${helpers.formatDate(diff.from.takenAt)}</p>
+            <div class="stats">
+                ${stats.map(([value, label]) => `<div class="stat">
+                    <div class="stat-value">${value}</div>
+                    <div class="stat-label">${label}</div>
+                </div>`).join('\n                ')}
+            </div>
+            ${sparkline(series.map(point => point.stars), 'Stars over time')}
+            ${added.length ? `<p><strong>Added:</strong> ${added.map(escapeHtml).join(', ')}</p>` : ''}
+        </section>`;
+  },
+
+  // Weekly commits over the last year; hosts without statistics skip it
+  activity(data) {
+    const weeks = data.analytics?.commitActivity?.weeks || [];
+    if (weeks.length === 0) return '';
+    const total = weeks.reduce((sum, week) => sum + week.commits, 0);
+
+    return `<section class="section activity">
+            <h2>Commit Activity</h2>
+            <p>${helpers.formatNumber(total)} commits in the last ${weeks.length} weeks</p>
+            ${barChart(weeks.map(week => week.commits), 'Commits per week')}
+        </section>`;
+  },
+
+  contributors(data) {
+    const contributors = data.analytics?.topContributors || [];
+    if (contributors.length === 0) return '';
+
+    const items = contributors.map(contributor => {
+      const name = escapeHtml(contributor.login || contributor.name);
+      const avatar = safeUrl(contributor.avatar)
+        ? `<img class="contributor-avatar" src="${escapeUrl(contributor.avatar)}" alt="" width="40" height="40" loading="lazy">`
+        : '';
+      const label = safeUrl(contributor.url)
+        ? `<a href="${escapeUrl(contributor.url)}" target="_blank" rel="noopener">${name}</a>`
+        : name;
+      return `<li>${avatar}<span>${label}</span><span class="contributor-commits">${helpers.formatNumber(contributor.commits)} commits</span></li>`;
+    });
+
+    return `<section class="section contributors">
+            <h2>Top Contributors</h2>
+            <ul class="contributor-list">
+                ${items.join('\n                ')}
+            </ul>
+        </section>`;
+  },
+
+  // Time since the last release is measured from when the analysis ran
+  releases(data) {
+    const { releases = [], lastReleaseAt } = data.analytics || {};
+    if (releases.length === 0) return '';
+
+    return `<section class="section releases">
+            <h2>Releases</h2>
+            ${lastReleaseAt ? `<p>Last release ${timeSince(lastReleaseAt, data.generatedAt || lastReleaseAt)}</p>` : ''}
+            <ol class="release-timeline">
+                ${releases.map(release => `<li>
+                    <h3>${safeUrl(release.url) ? `<a href="${escapeUrl(release.url)}" target="_blank" rel="noopener">${escapeHtml(release.name)}</a>` : escapeHtml(release.name)}${release.prerelease ? ' <span class="release-tag">pre-release</span>' : ''}</h3>
+                    <p class="release-meta">${escapeHtml(release.tag)}${release.publishedAt ? ` · ${helpers.formatDate(release.publishedAt)}` : ''}</p>
+                    ${release.notes ? `<p class="release-notes">${escapeHtml(release.notes)}</p>` : ''}
+                </li>`).join('\n                ')}
+            </ol>
+        </section>`;
+  },
+
+  readme(data, { readmeHtml }) {
+    if (!readmeHtml) return '';
+
+    return `<section class="section readme">
+            ${readmeHtml}
+        </section>`;
+  },
+
+  projectInfo(data) {
+    const { repository, analysis } = data;
+    return `<section class="section project-info">
+            <h2>Project Information</h2>
+            <p><strong>Category:</strong> ${escapeHtml(analysis.category)}</p>
+            <p><strong>Complexity:</strong> ${escapeHtml(analysis.complexity)}</p>
+            <p><strong>Deployability:</strong> ${escapeHtml(analysis.deployability)}</p>
+            <p><strong>Last Updated:</strong> ${helpers.formatDate(repository.updatedAt)}</p>
+        </section>`;
+  },
+
+  links(data) {
+    const { repository } = data;
+    return `<nav class="links">
+            <a href="${escapeUrl(repository.url)}" target="_blank" rel="noopener" class="btn btn-primary">View Source Code</a>
+            ${safeUrl(repository.homepage) ? `<a href="${escapeUrl(repository.homepage)}" target="_blank" rel="noopener" class="btn btn-secondary">Live Demo</a>` : ''}
+        </nav>`;
+  }
+};
+
+// Section renderers for whole-user portfolio pages, in render order
+export const portfolioSections = {
+  profile(portfolio) {
+    const { profile } = portfolio;
+    return `<header class="hero profile">
+            <img class="avatar" src="${escapeUrl(profile.avatar)}" alt="${escapeHtml(profile.login)}" width="96" height="96">
+            <h1>${escapeHtml(profile.name || profile.login)}</h1>
+            <p class="description">${escapeHtml(profile.bio || `Open-source projects by ${profile.login}`)}</p>
+        </header>`;
+  },
+
+  totals(portfolio) {
+    const { totals } = portfolio;
+    const stats = [
+      [helpers.formatNumber(totals.repositories), 'Repositories'],
+      [helpers.formatNumber(totals.stars), 'Stars'],
+      [helpers.formatNumber(totals.forks), 'Forks'],
+      [escapeHtml(portfolio.languages.primary), 'Top Language']
+    ];
+
+    return `<section class="stats">
+            ${stats.map(([value, label]) => `<div class="stat">
+                <div class="stat-value">${value}</div>
+                <div class="stat-label">${label}</div>
+            </div>`).join('\n            ')}
+        </section>`;
+  },
+
+  languages(portfolio) {
+    const stats = portfolio.languages.stats.slice(0, 8);
+    if (stats.length === 0) return '';
+
+    return `<section class="section languages">
+            <h2>Languages</h2>
+            ${stats.map(language => `<div class="language-row">
+                <span class="language-name">${escapeHtml(language.name)}</span>
+                <span class="language-bar"><span style="width: ${Number(language.percentage)}%"></span></span>
+                <span class="language-percentage">${Number(language.percentage)}%</span>
+            </div>`).join('\n            ')}
+        </section>`;
+  },
+
+  techStack(portfolio) {
+    return sections.techStack(portfolio);
+  },
+
+  projects(portfolio) {
+    if (portfolio.projects.length === 0) return '';
+
+    return `<section class="section projects">
+            <h2>Projects</h2>
+            <div class="project-grid">
+                ${portfolio.projects.map(project => `<article class="project-card">
+                    <h3><a href="${escapeUrl(project.url)}" target="_blank" rel="noopener">${escapeHtml(project.name)}</a></h3>
+                    <p>${escapeHtml(project.description || project.category)}</p>
+                    <p class="project-meta">${escapeHtml(project.language || 'Multi')} · ★ ${helpers.formatNumber(project.stars)} · Score ${project.score}</p>
+                </article>`).join('\n                ')}
+            </div>
+        </section>`;
+  }
+};
+
+// Layout rules for portfolio-only elements, appended to the theme's stylesheet
+export const portfolioStyles = `
+.profile .avatar { border-radius: 50%; margin-bottom: 16px; }
+.language-row { display: grid; grid-template-columns: 140px 1fr 60px; gap: 12px; align-items: center; margin-bottom: 8px; }
+.language-bar { display: block; height: 8px; border-radius: 4px; background: rgba(127,127,127,0.2); overflow: hidden; }
+.language-bar span { display: block; height: 100%; background: currentColor; opacity: 0.6; }
+.language-percentage { text-align: right; font-size: 0.9em; opacity: 0.8; }
+.project-grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(260px, 1fr)); gap: 16px; }
+.project-card { border: 1px solid rgba(127,127,127,0.25); border-radius: 8px; padding: 16px; }
+.project-card h3 { margin-bottom: 8px; }
+.project-card a { color: inherit; }
+.project-meta { margin-top: 8px; font-size: 0.85em; opacity: 0.75; }
+`;
+
+// Layout rules for the charts and timelines of repository sections, appended to the theme's stylesheet
+export const sectionStyles = `
+.bar-chart { display: block; margin-top: 12px; opacity: 0.7; }
+.contributor-list { list-style: none; padding: 0; display: grid; grid-template-columns: repeat(auto-fill, minmax(220px, 1fr)); gap: 12px; }
+.contributor-list li { display: flex; align-items: center; gap: 10px; }
+.contributor-list a { color: inherit; }
+.contributor-avatar { border-radius: 50%; }
+.contributor-commits { margin-left: auto; font-size: 0.85em; opacity: 0.75; }
+.release-timeline { list-style: none; padding: 0; border-left: 2px solid rgba(127,127,127,0.3); }
+.release-timeline li { position: relative; padding: 0 0 16px 20px; }
+.release-timeline li::before { content: ''; position: absolute; left: -6px; top: 6px; width: 10px; height: 10px; border-radius: 50%; background: currentColor; }
+.release-timeline a { color: inherit; }
+.release-meta { font-size: 0.85em; opacity: 0.75; }
+.release-notes { margin-top: 6px; white-space: pre-line; font-size: 0.9em; }
+.release-tag { font-size: 0.7em; padding: 2px 6px; border: 1px solid currentColor; border-radius: 4px; vertical-align: middle; }
+`;
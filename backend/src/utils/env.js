@@ -0,0 +1,8 @@
+// Read a positive number from the environment, falling back to a default.
+// With `allowZero`, 0 is accepted too (e.g. to switch a feature off).
+export function envNumber(name, fallback, { allowZero = false } = {}) {
+  const raw = process.env[name];
+  const value = Number(raw);
+  if (raw === undefined || raw.trim() === '' || !Number.isFinite(value)) return fallback;
+  return value > 0 || (allowZero && value === 0) ? value : fallback;
+}
@@ -0,0 +1,170 @@
+import * as cheerio from 'cheerio';
+
+// URL schemes allowed in links and images; everything else (javascript:, data:, vbscript:, ...) is dropped
+const SAFE_URL_SCHEMES = ['http', 'https', 'mailto'];
+
+// Elements kept by the sanitizer, with the attributes each may carry
+const GLOBAL_ATTRIBUTES = ['align', 'title', 'dir', 'lang'];
+const ALLOWED_TAGS = {
+  a: ['href', 'name'],
+  abbr: [],
+  b: [],
+  blockquote: ['cite'],
+  br: [],
+  center: [],
+  code: ['class'],
+  dd: [],
+  del: [],
+  details: ['open'],
+  div: [],
+  dl: [],
+  dt: [],
+  em: [],
+  figcaption: [],
+  figure: [],
+  h1: [],
+  h2: [],
+  h3: [],
+  h4: [],
+  h5: [],
+  h6: [],
+  hr: [],
+  i: [],
+  img: ['src', 'alt', 'width', 'height'],
+  input: ['type', 'checked', 'disabled'],
+  ins: [],
+  kbd: [],
+  li: [],
+  mark: [],
+  ol: ['start'],
+  p: [],
+  picture: [],
+  pre: [],
+  s: [],
+  small: [],
+  source: ['srcset', 'media', 'type'],
+  span: [],
+  strong: [],
+  sub: [],
+  summary: [],
+  sup: [],
+  table: [],
+  tbody: [],
+  td: ['colspan', 'rowspan'],
+  tfoot: [],
+  th: ['colspan', 'rowspan'],
+  thead: [],
+  tr: [],
+  u: [],
+  ul: [],
+  video: ['src', 'poster', 'controls', 'muted', 'loop', 'playsinline', 'width', 'height']
+};
+
+// Disallowed elements whose content is dropped too, rather than kept as text
+const DROPPED_TAGS = new Set([
+  'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+  'noscript', 'noembed', 'noframes', 'template', 'textarea', 'select', 'option',
+  'title', 'head', 'meta', 'link', 'base', 'form', 'button', 'svg', 'math',
+  'xmp', 'plaintext', 'listing'
+]);
+
+const URL_ATTRIBUTES = new Set(['href', 'src', 'poster', 'cite']);
+
+// Escape text for use in HTML content and attributes
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Return the URL if its scheme is safe to link to (or it is relative), otherwise ''
+export function safeUrl(value) {
+  const url = String(value ?? '').trim();
+  // Browsers ignore control characters and whitespace inside a scheme ("java\nscript:")
+  const normalized = url.replace(/[\u0000- \u007f-\u009f]/g, '');
+  const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/i);
+
+  if (scheme && !SAFE_URL_SCHEMES.includes(scheme[1].toLowerCase())) return '';
+  return url;
+}
+
+// safeUrl, escaped for an attribute value
+export function escapeUrl(value) {
+  return escapeHtml(safeUrl(value));
+}
+
+// Filter each candidate of a srcset, keeping its width/density descriptor
+function safeSrcset(value) {
+  return value.split(',')
+    .map(candidate => candidate.trim().split(/\s+/))
+    .filter(([url]) => url && safeUrl(url))
+    .map(parts => parts.join(' '))
+    .join(', ');
+}
+
+function sanitizeAttributes($, element) {
+  const tag = element.tagName.toLowerCase();
+  const allowed = [...GLOBAL_ATTRIBUTES, ...ALLOWED_TAGS[tag]];
+
+  Object.entries(element.attribs).forEach(([name, value]) => {
+    const attribute = name.toLowerCase();
+    let clean = allowed.includes(attribute) ? value : null;
+
+    if (clean !== null && URL_ATTRIBUTES.has(attribute)) clean = safeUrl(clean) || null;
+    if (clean !== null && attribute === 'srcset') clean = safeSrcset(clean) || null;
+    // Only syntax-highlighting hints survive as classes
+    if (clean !== null && attribute === 'class') clean = /^language-[\w+#-]+$/.test(clean) ? clean : null;
+
+    if (clean === null) $(element).removeAttr(name);
+    else if (clean !== value) $(element).attr(name, clean);
+  });
+
+  // Task-list checkboxes are the only inputs, and never editable
+  if (tag === 'input') {
+    if ($(element).attr('type') !== 'checkbox') {
+      $(element).remove();
+      return;
+    }
+    $(element).attr('disabled', '');
+  }
+  if (tag === 'a' && $(element).attr('href')) {
+    $(element).attr('rel', 'nofollow noopener noreferrer');
+  }
+}
+
+// Walk children depth-first, removing, unwrapping or cleaning each node
+function sanitizeChildren($, parent) {
+  $(parent).contents().toArray().forEach(node => {
+    if (node.type === 'text') return;
+    if (node.type !== 'tag') {
+      // Comments, CDATA, processing instructions and directives
+      $(node).remove();
+      return;
+    }
+
+    const tag = node.tagName.toLowerCase();
+    if (DROPPED_TAGS.has(tag)) {
+      $(node).remove();
+      return;
+    }
+
+    sanitizeChildren($, node);
+
+    if (ALLOWED_TAGS[tag]) {
+      sanitizeAttributes($, node);
+    } else {
+      // Unknown elements are unwrapped so their text survives
+      $(node).replaceWith($(node).contents());
+    }
+  });
+}
+
+// Allowlist-based HTML sanitizer for untrusted markup such as rendered READMEs
+export function sanitizeHtml(html) {
+  const $ = cheerio.load(String(html ?? ''), null, false);
+  sanitizeChildren($, $.root());
+  return $.html();
+}
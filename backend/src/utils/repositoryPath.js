@@ -0,0 +1,26 @@
+import path from 'path';
+
+// Resolve a README-relative link to a repository path, or null if it points elsewhere
+export function resolveRepositoryPath(readmePath, src) {
+  if (!src || /^([a-z][a-z0-9+.-]*:|\/\/|#)/i.test(src)) return null;
+
+  let cleanSrc;
+  try {
+    cleanSrc = decodeURI(src.split(/[?#]/)[0]);
+  } catch {
+    return null;
+  }
+
+  const baseDir = path.posix.dirname(readmePath || 'README.md');
+  const resolved = cleanSrc.startsWith('/')
+    ? path.posix.normalize(cleanSrc.slice(1))
+    : path.posix.normalize(path.posix.join(baseDir, cleanSrc));
+
+  if (!resolved || resolved === '.' || resolved.startsWith('..')) return null;
+  return resolved;
+}
+
+// Percent-encode each segment of a repository path for use in a URL
+export function encodeRepositoryPath(repoPath) {
+  return repoPath.split('/').map(encodeURIComponent).join('/');
+}
@@ -0,0 +1,25 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Per-request state that deep callers (like API clients) need without it being
+// threaded through every call: the signed-in viewer and their host tokens.
+const storage = new AsyncLocalStorage();
+
+// Run `fn` with `context` visible to everything it awaits
+export function runWithContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+export function getRequestContext() {
+  return storage.getStore() || {};
+}
+
+// Signed-in viewer ({ id, login, provider, token }), or null for anonymous requests
+export function getViewer() {
+  return getRequestContext().viewer || null;
+}
+
+// Viewer's token for a provider, when they signed in with it
+export function getViewerToken(providerName) {
+  const viewer = getViewer();
+  return viewer?.provider === providerName ? viewer.token : null;
+}
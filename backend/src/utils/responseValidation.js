@@ -0,0 +1,62 @@
+import Ajv2020 from 'ajv/dist/2020.js';
+
+// Escape a JSON pointer segment, then make it safe in a URI fragment
+const pointerSegment = (segment) => encodeURIComponent(String(segment).replace(/~/g, '~0').replace(/\//g, '~1'));
+
+// Express route path to an OpenAPI path template: /history/:owner/:repo -> /history/{owner}/{repo}
+const toTemplate = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+// Middleware checking JSON responses against an OpenAPI document. Responses
+// are sent unchanged; mismatches are logged with the operation and the failing
+// fields. `prefixes` are the mount paths stripped to find the documented path.
+export function createResponseValidator(document, { prefixes, log = console.error } = {}) {
+  const ajv = new Ajv2020({ strict: false, allErrors: true, validateFormats: false });
+  ajv.addSchema(document, 'openapi.json');
+  const validators = new Map();
+
+  // Compiled schema of a documented JSON response, or null if it has none
+  const validatorFor = (path, method, status) => {
+    const responses = document.paths[path]?.[method]?.responses;
+    if (!responses) return null;
+    const code = responses[status] ? status : 'default';
+    if (!responses[code]?.content?.['application/json']) return null;
+
+    const key = `${method} ${path} ${code}`;
+    if (!validators.has(key)) {
+      const pointer = ['paths', path, method, 'responses', code, 'content', 'application/json', 'schema']
+        .map(pointerSegment)
+        .join('/');
+      validators.set(key, ajv.compile({ $ref: `openapi.json#/${pointer}` }));
+    }
+    return validators.get(key);
+  };
+
+  return (req, res, next) => {
+    const json = res.json.bind(res);
+
+    res.json = (body) => {
+      // Only route handlers are documented; 404s and middleware errors have no route
+      if (req.route) {
+        const prefix = prefixes.find(candidate => req.baseUrl.startsWith(candidate)) || '';
+        const path = toTemplate(req.baseUrl.slice(prefix.length) + req.route.path).replace(/(.)\/$/, '$1');
+        const method = req.method.toLowerCase();
+        const status = String(res.statusCode);
+
+        if (!document.paths[path]?.[method]) {
+          log(`⚠️  Undocumented API operation: ${method.toUpperCase()} ${path}`);
+        } else {
+          const validate = validatorFor(path, method, status);
+          if (!validate) {
+            log(`⚠️  Undocumented ${status} response of ${method.toUpperCase()} ${path}`);
+          } else if (!validate(JSON.parse(JSON.stringify(body)))) {
+            const problems = validate.errors.map(error => `${error.instancePath || '/'} ${error.message}`);
+            log(`⚠️  ${status} response of ${method.toUpperCase()} ${path} does not match the API schema:\n   ${problems.join('\n   ')}`);
+          }
+        }
+      }
+      return json(body);
+    };
+
+    next();
+  };
+}
@@ -0,0 +1,34 @@
+import crypto from 'crypto';
+import session from 'express-session';
+import { runWithContext } from './requestContext.js';
+import { envNumber } from './env.js';
+
+export const SESSION_COOKIE = 'reposite.sid';
+
+// Server-side sessions holding the signed-in viewer and their token.
+// Without SESSION_SECRET a random one is used, so sessions end on restart.
+export function createSessionMiddleware() {
+  let secret = process.env.SESSION_SECRET;
+  if (!secret) {
+    console.warn('⚠️  SESSION_SECRET is not set; sign-ins will not survive a restart');
+    secret = crypto.randomBytes(32).toString('hex');
+  }
+
+  return session({
+    name: SESSION_COOKIE,
+    secret,
+    resave: false,
+    saveUninitialized: false,
+    cookie: {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: 'auto',
+      maxAge: envNumber('SESSION_TTL_HOURS', 24 * 7) * 60 * 60 * 1000
+    }
+  });
+}
+
+// Expose the session's viewer to services through the request context
+export function viewerContext(req, res, next) {
+  runWithContext({ viewer: req.session?.viewer || null }, next);
+}
@@ -0,0 +1,111 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as delay } from 'timers/promises';
+import analysisService from '../src/services/analysisService.js';
+import cacheService from '../src/services/cacheService.js';
+import historyService from '../src/services/historyService.js';
+import providerRegistry from '../src/services/providers/index.js';
+
+// Analysis as a provider returns it, already scored under the default profile
+function analysis(url, description) {
+  return {
+    generatedAt: new Date().toISOString(),
+    repository: { id: 1, fullName: url.split('/').slice(-2).join('/'), url, description, isPrivate: false },
+    analysis: { score: 40, scoreProfile: 'popularity' }
+  };
+}
+
+// A provider whose analyses finish when the test releases them
+function holdProvider(t) {
+  const releases = [];
+  const provider = {
+    analyzeRepository: mock.fn((url, { onProgress }) => {
+      onProgress({ stage: 'repository' });
+      return new Promise(resolve => {
+        releases.push(description => resolve(analysis(url, description)));
+      });
+    })
+  };
+
+  const forUrl = mock.method(providerRegistry, 'forUrl', () => provider);
+  const record = mock.method(historyService, 'record', () => {});
+  ['log', 'warn'].forEach(level => {
+    const method = mock.method(console, level, () => {});
+    t.after(() => method.mock.restore());
+  });
+  t.after(() => {
+    forUrl.mock.restore();
+    record.mock.restore();
+  });
+
+  return {
+    provider,
+    release: async (description) => {
+      releases.shift()(description);
+      await delay(0);
+    }
+  };
+}
+
+test('concurrent requests for a repository share one analysis', async (t) => {
+  const url = 'https://github.com/octo/shared';
+  const { provider, release } = holdProvider(t);
+  t.after(() => cacheService.delete(url));
+
+  const firstEvents = [];
+  const secondEvents = [];
+  const first = analysisService.analyze(url, { onProgress: event => firstEvents.push(event) });
+  const second = analysisService.analyze('https://GitHub.com/octo/shared.git', {
+    onProgress: event => secondEvents.push(event)
+  });
+  await release('fresh');
+
+  const [firstResult, secondResult] = await Promise.all([first, second]);
+  assert.equal(provider.analyzeRepository.mock.callCount(), 1);
+  assert.equal(firstResult.coalesced, undefined);
+  assert.equal(secondResult.coalesced, true);
+  assert.equal(secondResult.data, firstResult.data);
+  // The joiner gets the progress sent before it joined
+  assert.deepEqual(secondEvents, firstEvents);
+  assert.equal(analysisService.inFlight.size, 0);
+
+  const cached = await analysisService.analyze(url);
+  assert.equal(cached.cached, true);
+  assert.equal(cached.stale, false);
+});
+
+test('an expired analysis is served stale while it refreshes', async (t) => {
+  const url = 'https://github.com/octo/stale';
+  const { provider, release } = holdProvider(t);
+  t.after(() => cacheService.delete(url));
+
+  const entry = cacheService.upsertCache(url, analysis(url, 'old'));
+  entry.expiresAt = new Date(Date.now() - 1000);
+
+  const stale = await analysisService.analyze(url);
+  assert.equal(stale.cached, true);
+  assert.equal(stale.stale, true);
+  assert.equal(stale.data.repository.description, 'old');
+  assert.equal(provider.analyzeRepository.mock.callCount(), 1);
+
+  // Requests during the refresh keep getting the stale copy without starting another run
+  const again = await analysisService.analyze(url);
+  assert.equal(again.stale, true);
+  assert.equal(provider.analyzeRepository.mock.callCount(), 1);
+
+  await release('new');
+  const fresh = await analysisService.analyze(url);
+  assert.equal(fresh.stale, false);
+  assert.equal(fresh.data.repository.description, 'new');
+});
+
+test('entries past the stale window are dropped', (t) => {
+  const url = 'https://github.com/octo/expired';
+  t.after(() => cacheService.delete(url));
+
+  const entry = cacheService.upsertCache(url, analysis(url, 'old'));
+  entry.expiresAt = new Date(Date.now() - cacheService.staleMs - 1000);
+
+  assert.equal(cacheService.findValidCache(url), null);
+  assert.equal(cacheService.cache.get(url), undefined);
+});
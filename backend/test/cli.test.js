@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { mkdtempSync, readdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { EXIT_CODES, run } from '../src/cli/index.js';
+
+const CLI = fileURLToPath(new URL('../bin/reposite.js', import.meta.url));
+
+// Run the CLI in `cwd` with a file cache there, so nothing reaches the network or the real cache
+function reposite(args, cwd) {
+  const result = spawnSync(process.execPath, [CLI, ...args, '--cache', path.join(cwd, 'cache.json')], {
+    cwd,
+    encoding: 'utf8',
+    timeout: 30000,
+    env: { ...process.env, GITHUB_API_TOKEN: '', GITHUB_API_TOKENS: '' }
+  });
+  return { code: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+// Cache file holding one fresh analysis, in the file store's format
+function writeCachedAnalysis(cwd, url) {
+  const now = new Date();
+  const data = {
+    generatedAt: now.toISOString(),
+    repository: {
+      id: 1,
+      name: 'tool',
+      fullName: 'octo/tool',
+      url,
+      defaultBranch: 'main',
+      description: 'A command-line tool',
+      owner: { login: 'octo', type: 'User', avatar: null },
+      language: 'JavaScript',
+      topics: ['cli'],
+      stars: 42,
+      forks: 3,
+      watchers: 42,
+      isPrivate: false
+    },
+    languages: { stats: [{ name: 'JavaScript', percentage: '100.0' }], primary: 'JavaScript' },
+    techStack: { frontend: [], backend: ['Node.js'], database: [], tools: [], frameworks: [] },
+    features: ['Fast'],
+    readme: null,
+    analysis: { category: 'CLI Tool', score: 40, complexity: 'Simple', deployability: 'Medium' }
+  };
+  const entry = {
+    repositoryUrl: url,
+    data,
+    createdAt: now,
+    updatedAt: now,
+    expiresAt: new Date(now.getTime() + 60 * 60 * 1000),
+    accessCount: 1,
+    lastAccessed: now,
+    size: 0
+  };
+  writeFileSync(path.join(cwd, 'cache.json'), JSON.stringify({ version: 1, entries: { [url]: entry } }));
+}
+
+test('usage errors and invalid URLs have their own exit codes', (t) => {
+  const cwd = mkdtempSync(path.join(tmpdir(), 'reposite-cli-'));
+  t.after(() => rmSync(cwd, { recursive: true, force: true }));
+
+  assert.equal(reposite([], cwd).code, EXIT_CODES.usage);
+  assert.equal(reposite(['deploy', 'https://github.com/octo/tool'], cwd).code, EXIT_CODES.usage);
+  assert.equal(reposite(['build'], cwd).code, EXIT_CODES.usage);
+  assert.equal(reposite(['analyze', 'https://github.com/octo/tool', '--unknown'], cwd).code, EXIT_CODES.usage);
+
+  const notUrl = reposite(['analyze', 'octo/tool'], cwd);
+  assert.equal(notUrl.code, EXIT_CODES.invalidUrl);
+  assert.match(notUrl.stderr, /Not a repository URL/);
+
+  // Unsupported hosts are rejected before any request is made
+  assert.equal(reposite(['analyze', 'https://example.com/octo/tool'], cwd).code, EXIT_CODES.invalidUrl);
+});
+
+test('analyze --json prints the cached analysis on stdout only', (t) => {
+  const cwd = mkdtempSync(path.join(tmpdir(), 'reposite-cli-'));
+  t.after(() => rmSync(cwd, { recursive: true, force: true }));
+  writeCachedAnalysis(cwd, 'https://github.com/octo/tool');
+
+  const { code, stdout } = reposite(['analyze', 'https://github.com/Octo/tool.git', '--json'], cwd);
+  assert.equal(code, EXIT_CODES.ok);
+  const result = JSON.parse(stdout);
+  assert.equal(result.cached, true);
+  assert.equal(result.data.repository.fullName, 'octo/tool');
+});
+
+test('build writes the site from the cached analysis', (t) => {
+  const cwd = mkdtempSync(path.join(tmpdir(), 'reposite-cli-'));
+  t.after(() => rmSync(cwd, { recursive: true, force: true }));
+  writeCachedAnalysis(cwd, 'https://github.com/octo/tool');
+
+  const unknownTheme = reposite(['build', 'https://github.com/octo/tool', '--theme', 'missing'], cwd);
+  assert.equal(unknownTheme.code, EXIT_CODES.usage);
+
+  const { code } = reposite(['build', 'https://github.com/octo/tool', '--theme', 'minimal', '--out', 'public', '--site-url', 'https://octo.dev/tool'], cwd);
+  assert.equal(code, EXIT_CODES.ok);
+
+  const files = readdirSync(path.join(cwd, 'public')).sort();
+  assert.deepEqual(files, ['favicon.svg', 'index.html', 'robots.txt', 'sitemap.xml', 'social-preview.png', 'styles.css']);
+  assert.match(readFileSync(path.join(cwd, 'public', 'index.html'), 'utf8'), /A command-line tool/);
+});
+
+test('run() gives the console back after a command', async (t) => {
+  const cwd = mkdtempSync(path.join(tmpdir(), 'reposite-cli-'));
+  const env = { ...process.env };
+  t.after(() => {
+    process.env = env;
+    rmSync(cwd, { recursive: true, force: true });
+  });
+  t.mock.method(process.stderr, 'write', () => true);
+  const { log, error } = console;
+
+  const code = await run(['analyze', 'octo/tool', '--cache', path.join(cwd, 'cache.json')]);
+  assert.equal(code, EXIT_CODES.invalidUrl);
+  assert.equal(console.log, log);
+  assert.equal(console.error, error);
+});
@@ -0,0 +1,124 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import embedRoutes from '../src/routes/embed.js';
+import cacheService from '../src/services/cacheService.js';
+import badgeRenderer from '../src/services/badgeRenderer.js';
+
+const REPOSITORY_URL = 'https://github.com/octo/badge';
+
+const analysis = {
+  generatedAt: new Date().toISOString(),
+  repository: {
+    id: 2,
+    fullName: 'octo/badge',
+    url: REPOSITORY_URL,
+    description: 'Badges for <script>alert(1)</script> & cards',
+    stars: 1234,
+    forks: 56,
+    isPrivate: false
+  },
+  languages: {
+    stats: [
+      { name: 'TypeScript', percentage: '70.0' },
+      { name: 'Elm', percentage: '30.0' }
+    ],
+    primary: 'TypeScript'
+  },
+  analysis: { category: 'Web App', complexity: 'Moderate', score: 85 }
+};
+
+let server;
+let origin;
+
+const get = async (path) => {
+  const response = await fetch(`${origin}${path}`);
+  return { status: response.status, headers: response.headers, body: await response.text() };
+};
+
+before(async () => {
+  server = express().use('/api/v1', embedRoutes).listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  cacheService.delete(REPOSITORY_URL);
+});
+
+test('badges of unanalyzed repositories are short-lived placeholders', async () => {
+  const badge = await get('/api/v1/badge/octo/unknown.svg');
+
+  assert.equal(badge.status, 200);
+  assert.equal(badge.headers.get('content-type'), 'image/svg+xml; charset=utf-8');
+  assert.equal(badge.headers.get('cache-control'), 'public, max-age=300');
+  assert.equal(badge.headers.get('cross-origin-resource-policy'), 'cross-origin');
+  assert.equal(badge.headers.get('last-modified'), null);
+  assert.match(badge.body, /aria-label="RepoSite score: not analyzed"/);
+  assert.match(badge.body, /fill="#9f9f9f"/);
+
+  const card = await get('/api/v1/card/octo/unknown.svg?locale=ja');
+  assert.equal(card.headers.get('cache-control'), 'public, max-age=300');
+  assert.match(card.body, /<title>octo\/unknown<\/title>/);
+  assert.match(card.body, /RepoSiteでまだ分析されていません/);
+});
+
+test('badges of analyzed repositories show each metric and are cached longer', async () => {
+  const entry = cacheService.upsertCache(REPOSITORY_URL, analysis);
+
+  const score = await get('/api/v1/badge/Octo/Badge.svg');
+  assert.equal(score.headers.get('cache-control'), 'public, max-age=3600, stale-while-revalidate=86400');
+  assert.equal(score.headers.get('last-modified'), entry.updatedAt.toUTCString());
+  assert.match(score.body, /aria-label="RepoSite score: 85"/);
+  assert.match(score.body, /fill="#4c1"/);
+
+  const category = await get('/api/v1/badge/octo/badge.svg?metric=category&theme=dark');
+  assert.match(category.body, /aria-label="RepoSite: Web App"/);
+  assert.match(category.body, /<rect width="\d+" height="20" fill="#30363d"\/>/);
+
+  const complexity = await get('/api/v1/badge/octo/badge.svg?metric=complexity&locale=ja');
+  assert.match(complexity.body, /aria-label="複雑度: Moderate"/);
+
+  const invalid = await get('/api/v1/badge/octo/badge.svg?metric=stars');
+  assert.equal(invalid.status, 400);
+  assert.equal(JSON.parse(invalid.body).error, 'Validation Error');
+});
+
+test('cards show the analysis with its markup escaped', async () => {
+  cacheService.upsertCache(REPOSITORY_URL, analysis);
+
+  const card = await get('/api/v1/card/octo/badge.svg?theme=dark&locale=ja');
+  assert.equal(card.status, 200);
+  assert.equal(card.headers.get('cache-control'), 'public, max-age=3600, stale-while-revalidate=86400');
+  assert.match(card.body, /fill="#0d1117"/);
+  assert.ok(!card.body.includes('<script>'));
+  assert.match(card.body, /Badges for &lt;script&gt;alert\(1\)&lt;\/script&gt; &amp; cards/);
+  assert.match(card.body, /★ 1,234 スター/);
+  assert.match(card.body, /スコア 85/);
+  // Known languages get their own color, others a fallback
+  assert.match(card.body, /<rect x="0.0" width="280.0" height="8" fill="#3178c6"\/>/);
+  assert.match(card.body, /<rect x="280.0" width="120.0" height="8" fill="#ec4899"\/>/);
+  assert.match(card.body, /TypeScript 70%/);
+
+  assert.equal((await get('/api/v1/card/octo/badge.svg?host=gitlab.com')).headers.get('cache-control'),
+    'public, max-age=300');
+});
+
+test('long text is shortened to fit', () => {
+  const card = badgeRenderer.renderCard({
+    ...analysis,
+    repository: { ...analysis.repository, description: 'word '.repeat(80) }
+  });
+  const lines = card.match(/<text x="0" y="\d+" font-size="12"[^>]*>[^<]*<\/text>/g);
+  assert.equal(lines.length, 2);
+  assert.match(lines[1], /…<\/text>$/);
+
+  const preview = badgeRenderer.renderSocialPreview({
+    ...analysis,
+    repository: { ...analysis.repository, fullName: `octo/${'long-name-'.repeat(10)}` }
+  });
+  assert.match(preview, /^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" width="1200" height="630"/);
+  assert.match(preview, /font-size="64" font-weight="bold">octo\/long-name-[^<]*…<\/text>/);
+  assert.match(preview, /1,234 stars  ·  56 forks  ·  score 85/);
+});
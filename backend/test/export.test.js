@@ -0,0 +1,169 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Ajv2020 from 'ajv/dist/2020.js';
+import exportService from '../src/services/exportService.js';
+import { analysisExportSchema, EXPORT_SCHEMA_VERSION } from '../src/schemas/analysisExport.js';
+
+// Analysis whose homepage was set to a script URL on the host
+const analysis = {
+  generatedAt: '2026-10-01T08:00:00.000Z',
+  repository: {
+    name: 'tool',
+    fullName: 'octo/tool',
+    description: 'A command-line tool',
+    url: 'https://github.com/octo/tool',
+    homepage: 'javascript:alert(document.domain)',
+    owner: { login: 'octo', type: 'User' },
+    language: 'JavaScript',
+    topics: [],
+    stars: 42,
+    forks: 3,
+    createdAt: '2024-01-15T00:00:00Z'
+  },
+  analysis: { category: 'CLI Tool', score: 40, complexity: 'Simple', deployability: 'Medium' },
+  languages: { stats: [{ name: 'JavaScript', percentage: '100.0' }] },
+  techStack: { backend: ['Node.js'] },
+  features: ['Fast']
+};
+
+test('exports drop links with unsafe schemes', () => {
+  for (const format of ['markdown', 'json-resume', 'resume-html']) {
+    const { body } = exportService.export(analysis, format);
+    assert.ok(!/javascript:/i.test(body), `${format} kept the javascript: homepage:\n${body}`);
+  }
+
+  const markdown = exportService.export(analysis, 'markdown').body;
+  assert.match(markdown, /^### \[octo\/tool\]\(https:\/\/github\.com\/octo\/tool\)$/m);
+  assert.ok(!markdown.includes('Live demo'));
+
+  const resume = JSON.parse(exportService.export(analysis, 'json-resume').body);
+  assert.equal(resume.url, 'https://github.com/octo/tool');
+
+  const html = exportService.export(analysis, 'resume-html').body;
+  assert.match(html, /<a class="url" href="https:\/\/github\.com\/octo\/tool">tool<\/a>/);
+
+  // Nothing is left to link to when the repository URL is rejected too
+  const unlinked = exportService.export({ ...analysis, repository: { ...analysis.repository, url: 'data:text/html,x' } }, 'resume-html').body;
+  assert.match(unlinked, /<h3>tool<\/h3>/);
+});
+
+test('Markdown links keep URLs with parentheses intact', () => {
+  const { body } = exportService.export({
+    ...analysis,
+    repository: { ...analysis.repository, homepage: 'https://example.com/docs_(v2) page' }
+  }, 'markdown');
+  assert.match(body, /\[Live demo\]\(https:\/\/example\.com\/docs_%28v2%29%20page\)/);
+});
+
+// Organization project with activity, a license and a scored breakdown
+const project = {
+  ...analysis,
+  repository: {
+    ...analysis.repository,
+    name: 'kit',
+    fullName: 'acme/kit',
+    description: 'UI kit with *stars* and <b>tags</b>',
+    url: 'https://github.com/acme/kit',
+    homepage: 'https://kit.acme.dev',
+    owner: { login: 'acme', type: 'Organization' },
+    language: 'TypeScript',
+    license: 'MIT',
+    topics: ['ui', 'react'],
+    stars: 1520,
+    forks: 88
+  },
+  analysis: {
+    ...analysis.analysis,
+    category: 'Library',
+    score: 72,
+    scoreProfile: 'quality',
+    breakdown: { score: { factors: [{ id: 'tests', label: 'Tests', points: 20, maxPoints: 20, reason: 'Test files found' }] } }
+  },
+  languages: { stats: [{ name: 'TypeScript', percentage: '90.5' }, { name: 'CSS', percentage: '9.5' }] },
+  techStack: { frontend: ['React'], tools: ['Vite', 'TypeScript'] },
+  workspace: {
+    isMonorepo: true,
+    packages: [{ path: 'packages/core', name: '@acme/core', techStack: { frontend: ['React'], tools: [] } }]
+  },
+  features: ['Themeable', 'Accessible'],
+  analytics: { commitCount: 900, contributorCount: 14, releaseCount: 6, topContributors: [], releases: [] }
+};
+
+test('the JSON export follows the published export schema', () => {
+  const { type, body } = exportService.export(project, 'json', { schemaUrl: 'https://reposite.dev/schema.json' });
+  const document = JSON.parse(body);
+  const validate = new Ajv2020({ strict: false, allErrors: true, validateFormats: false }).compile(analysisExportSchema);
+
+  assert.equal(type, 'application/json; charset=utf-8');
+  assert.ok(validate(document), JSON.stringify(validate.errors));
+  assert.equal(document.$schema, 'https://reposite.dev/schema.json');
+  assert.equal(document.schemaVersion, EXPORT_SCHEMA_VERSION);
+  assert.equal(document.repository.host, 'github.com');
+  assert.deepEqual(document.languages, [{ name: 'TypeScript', percentage: 90.5 }, { name: 'CSS', percentage: 9.5 }]);
+  assert.deepEqual(document.packages, [{ path: 'packages/core', name: '@acme/core', technologies: ['React'] }]);
+  assert.equal(document.analysis.scoreFactors[0].id, 'tests');
+  assert.equal(document.activity.contributorCount, 14);
+
+  // Listing-only analyses have no activity
+  const listed = JSON.parse(exportService.export(analysis, 'json').body);
+  assert.ok(validate(listed), JSON.stringify(validate.errors));
+  assert.equal(listed.activity, null);
+  assert.equal(listed.$schema, undefined);
+});
+
+test('the Markdown export is a project section with escaped text', () => {
+  const { type, body } = exportService.export(project, 'markdown');
+
+  assert.equal(type, 'text/markdown; charset=utf-8');
+  assert.equal(body, `### [acme/kit](https://github.com/acme/kit)
+
+UI kit with \\*stars\\* and \\<b\\>tags\\</b\\>
+
+**TypeScript** · ★ 1,520 · ⑂ 88 · MIT
+
+Library · score 72/100 · Simple complexity · Medium deployability
+
+**Tech stack:** \`React\` \`Vite\` \`TypeScript\`
+
+- Themeable
+- Accessible
+
+**Topics:** \`ui\` \`react\`
+
+[Live demo](https://kit.acme.dev)
+`);
+});
+
+test('the JSON Resume export is a projects[] entry', () => {
+  const { body } = exportService.export(project, 'json-resume');
+
+  assert.deepEqual(JSON.parse(body), {
+    name: 'kit',
+    description: 'UI kit with *stars* and <b>tags</b>',
+    highlights: ['Themeable', 'Accessible', '1,520 stars, 88 forks, 14 contributors, 6 releases'],
+    keywords: ['TypeScript', 'CSS', 'React', 'Vite', 'ui'],
+    startDate: '2024-01-15',
+    url: 'https://kit.acme.dev',
+    entity: 'acme',
+    type: 'Library'
+  });
+
+  // A user's project without a description is described by its category
+  const plain = JSON.parse(exportService.export({ ...analysis, repository: { ...analysis.repository, description: null } }, 'json-resume').body);
+  assert.equal(plain.description, 'CLI Tool built with JavaScript');
+  assert.equal(plain.entity, undefined);
+  assert.deepEqual(plain.highlights, ['Fast', '42 stars, 3 forks']);
+});
+
+test('the résumé HTML export escapes the project and prints its link', () => {
+  const { type, body } = exportService.export(project, 'resume-html');
+
+  assert.equal(type, 'text/html; charset=utf-8');
+  assert.match(body, /<h3><a class="url" href="https:\/\/kit\.acme\.dev">kit<\/a><\/h3>/);
+  assert.match(body, /<span class="dates">Jan 2024 – present<\/span>/);
+  assert.match(body, /<p class="meta">Library · acme\/kit<\/p>/);
+  assert.match(body, /<p>UI kit with \*stars\* and &lt;b&gt;tags&lt;\/b&gt;<\/p>/);
+  assert.match(body, /<li>1,520 stars, 88 forks, 14 contributors, 6 releases<\/li>/);
+  assert.match(body, /<strong>Technologies:<\/strong> TypeScript, CSS, React, Vite, ui<\/p>/);
+  assert.match(body, /@media print/);
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { FileStore } from '../src/services/cacheStores/index.js';
+
+const entry = (value, updatedAt) => ({ value, updatedAt: new Date(updatedAt) });
+
+test('stores sharing a file keep each other\'s writes', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-store-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'cache.json');
+  // Two processes' stores, flushed by hand instead of on their timers
+  const first = new FileStore({ filePath, writeDelayMs: 60000 });
+  const second = new FileStore({ filePath, writeDelayMs: 60000 });
+
+  first.set('a', entry('first', '2026-01-01'));
+  second.set('b', entry('second', '2026-01-01'));
+  first.flush();
+  second.flush();
+
+  // Both sides change c; the older change is written last
+  second.set('c', entry('newer', '2026-01-03'));
+  first.set('c', entry('older', '2026-01-02'));
+  first.delete('a');
+  second.flush();
+  first.flush();
+
+  const reader = new FileStore({ filePath });
+  assert.deepEqual(Array.from(reader.keys()).sort(), ['b', 'c']);
+  assert.equal(reader.get('c').value, 'newer');
+  assert.ok(reader.get('c').updatedAt instanceof Date);
+  assert.equal(first.get('c').value, 'newer');
+  assert.equal(second.get('a'), undefined);
+
+  // Clearing drops what was written before it, not what is set afterwards
+  first.clear();
+  first.set('d', entry('after clear', '2026-01-01'));
+  first.flush();
+  assert.deepEqual(Array.from(new FileStore({ filePath }).keys()), ['d']);
+  assert.deepEqual(fs.readdirSync(dir), ['cache.json']);
+});
@@ -0,0 +1,184 @@
+import { test, before, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import defaultGitHub, { GitHubService } from '../src/services/githubService.js';
+import portfolioService from '../src/services/portfolioService.js';
+
+// Recorded responses of the reposite-fixtures/* repositories, served without network access
+const github = new GitHubService({
+  tokens: [],
+  fixtures: { mode: 'replay', dir: fileURLToPath(new URL('./fixtures/github', import.meta.url)) }
+});
+
+const analyze = (name) => github.analyzeRepository(`https://github.com/reposite-fixtures/${name}`);
+
+before(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+test('a repository without a README is still analyzed from its manifests', async () => {
+  const data = await analyze('no-readme');
+
+  assert.equal(data.readme, null);
+  assert.deepEqual(data.features, []);
+  assert.deepEqual(data.techStack.backend, ['Node.js', 'Express.js']);
+  assert.equal(data.analysis.category, 'Backend Service');
+});
+
+test('an empty repository yields an empty analysis instead of failing', async () => {
+  const data = await analyze('empty');
+
+  assert.equal(data.repository.size, 0);
+  assert.deepEqual(data.languages, { raw: {}, stats: [], primary: 'Unknown' });
+  assert.ok(Object.values(data.techStack).every(technologies => technologies.length === 0));
+  assert.equal(data.readme, null);
+  assert.equal(data.analytics.commitCount, 0);
+  assert.equal(data.analytics.contributorCount, 0);
+  assert.deepEqual(data.analytics.commitActivity, { status: 'ready', weeks: [] });
+  assert.equal(data.analysis.category, 'General Project');
+});
+
+test('archived repositories and forks keep their flags and history', async () => {
+  const archived = await analyze('archived');
+  assert.equal(archived.repository.archived, true);
+  assert.equal(archived.analytics.releaseCount, 3);
+  assert.equal(archived.analytics.lastReleaseAt, '2021-06-30T16:50:00Z');
+  assert.deepEqual(archived.techStack.backend, ['Python', 'Flask']);
+
+  const fork = await analyze('fork');
+  assert.equal(fork.repository.isFork, true);
+  assert.equal(fork.analytics.contributorCount, 3);
+  assert.deepEqual(fork.analytics.releases, []);
+});
+
+test('analytics that cannot be fetched are reported as a failed step', async (t) => {
+  const replay = github.transport.request.bind(github.transport);
+  const transport = mock.method(github.transport, 'request', (config) => (
+    /\/(commits|contributors|releases|stats)\b/.test(config.url)
+      ? Promise.reject(new Error('connect ECONNREFUSED'))
+      : replay(config)
+  ));
+  t.after(() => transport.mock.restore());
+
+  const events = [];
+  const data = await github.analyzeRepository('https://github.com/reposite-fixtures/no-readme', {
+    onProgress: event => events.push(event)
+  });
+
+  assert.deepEqual(events.find(event => event.step === 'getAnalytics' && event.status !== 'started'), {
+    step: 'getAnalytics',
+    status: 'failed',
+    error: 'connect ECONNREFUSED'
+  });
+  assert.equal(events.find(event => event.step === 'detectTechStack' && event.status !== 'started').status, 'completed');
+  assert.deepEqual(data.analytics, github.emptyAnalytics());
+  assert.deepEqual(data.techStack.backend, ['Node.js', 'Express.js']);
+});
+
+test('a monorepo is analyzed package by package', async () => {
+  const data = await analyze('monorepo');
+
+  assert.equal(data.workspace.isMonorepo, true);
+  assert.deepEqual(data.workspace.tools, ['npm workspaces', 'Turborepo']);
+  assert.deepEqual(data.workspace.packages.map(pkg => pkg.path), ['.', 'apps/api', 'apps/web', 'packages/ui']);
+  assert.equal(data.analysis.category, 'Full-Stack Application');
+});
+
+test('a huge language list is sorted and percentages add up', async () => {
+  const data = await analyze('polyglot');
+
+  assert.equal(data.languages.stats.length, 42);
+  assert.equal(data.languages.primary, 'C++');
+  const bytes = data.languages.stats.map(language => language.bytes);
+  assert.deepEqual(bytes, [...bytes].sort((a, b) => b - a));
+  const total = data.languages.stats.reduce((sum, language) => sum + Number(language.percentage), 0);
+  assert.ok(Math.abs(total - 100) < 1, `percentages add up to ${total}`);
+
+  // Counts come from pagination; lists are capped
+  assert.equal(data.analytics.contributorCount, 12);
+  assert.equal(data.analytics.topContributors.length, 10);
+  assert.equal(data.analytics.releaseCount, 12);
+});
+
+test('a missing repository is reported as not found', async () => {
+  await assert.rejects(analyze('missing'), { message: 'Repository not found' });
+});
+
+test('exhausted tokens are reported with the provider\'s name', () => {
+  const enterprise = new GitHubService({ name: 'github-enterprise', label: 'GitHub Enterprise', tokens: ['token'] });
+  enterprise.tokenPool.markExhausted('token', new Date(Date.now() + 60000));
+  assert.throws(() => enterprise.tokenPool.acquire(), { message: 'GitHub Enterprise API rate limit exhausted for all tokens' });
+});
+
+test('token status names tokens by position without revealing them', () => {
+  const pool = new GitHubService({ tokens: ['ghp_first1234', 'ghp_second5678'] }).tokenPool;
+  pool.markExhausted('ghp_second5678');
+
+  const status = pool.status();
+  assert.deepEqual(status.map(({ token, exhausted }) => ({ token, exhausted })), [
+    { token: 'token #1', exhausted: false },
+    { token: 'token #2', exhausted: true }
+  ]);
+  assert.ok(!JSON.stringify(status).includes('1234'));
+});
+
+test('an unknown login is reported as not found', async (t) => {
+  await assert.rejects(github.listRepositories('reposite-ghost'), { message: 'User not found' });
+
+  // Portfolios list repositories alongside the profile; either lookup may fail first
+  const transport = mock.method(defaultGitHub.transport, 'request', config => github.transport.request(config));
+  t.after(() => transport.mock.restore());
+  await assert.rejects(portfolioService.buildPortfolio('reposite-ghost'), { message: 'User not found' });
+});
+
+test('replay fails requests that were never recorded', async () => {
+  await assert.rejects(github.getRepository('reposite-fixtures', 'unrecorded'), /No recorded response for GET \/repos\/reposite-fixtures\/unrecorded/);
+});
+
+test('record mode saves responses, but no credentials, for replay', async (t) => {
+  const dir = mkdtempSync(path.join(tmpdir(), 'reposite-fixtures-'));
+  const server = http.createServer((req, res) => {
+    if (req.url.startsWith('/api/v3/repos/octo/tool/readme')) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ message: 'Not Found' }));
+    }
+    res.writeHead(200, {
+      'Content-Type': 'application/json',
+      Link: '<http://localhost/x?page=7>; rel="last"',
+      'Set-Cookie': 'session=private'
+    });
+    res.end(JSON.stringify([{ login: 'octo', contributions: 12 }]));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    server.close();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const apiUrl = `http://127.0.0.1:${server.address().port}/api/v3`;
+  const options = { name: 'github-enterprise', webUrl: 'http://127.0.0.1', apiUrl };
+  const recorder = new GitHubService({ ...options, tokens: ['secret-token'], fixtures: { mode: 'record', dir } });
+  const live = await recorder.client.get('/repos/octo/tool/contributors', { params: { per_page: 1, anon: true } });
+  assert.equal(await recorder.getReadme('octo', 'tool'), null);
+
+  const file = path.join(dir, new URL(apiUrl).host, 'repos/octo/tool.json');
+  const written = readFileSync(file, 'utf8');
+  assert.ok(!written.includes('secret-token'));
+  assert.ok(!written.includes('session=private'));
+  assert.deepEqual(Object.keys(JSON.parse(written)), [
+    'GET /repos/octo/tool/contributors?anon=true&per_page=1',
+    'GET /repos/octo/tool/readme'
+  ]);
+
+  const player = new GitHubService({ ...options, tokens: [], fixtures: { mode: 'replay', dir } });
+  const replayed = await player.client.get('/repos/octo/tool/contributors', { params: { anon: true, per_page: 1 } });
+  assert.deepEqual(replayed.data, live.data);
+  assert.equal(replayed.headers.link, '<http://localhost/x?page=7>; rel="last"');
+  assert.equal(await player.getReadme('octo', 'tool'), null);
+});
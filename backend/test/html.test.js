@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { marked } from 'marked';
+import * as cheerio from 'cheerio';
+import { escapeHtml, safeUrl, sanitizeHtml } from '../src/utils/html.js';
+import { sections } from '../src/templates/sections.js';
+
+const payloads = JSON.parse(readFileSync(new URL('./fixtures/xss-payloads.json', import.meta.url), 'utf8'));
+
+const FORBIDDEN_TAGS = ['script', 'style', 'iframe', 'object', 'embed', 'svg', 'math', 'meta', 'base', 'form', 'template', 'noscript'];
+const URL_ATTRIBUTES = ['href', 'src', 'poster', 'cite', 'srcset'];
+
+// Fail if the markup could execute script once parsed by a browser
+function assertInert(html, label) {
+  const $ = cheerio.load(html, null, false);
+
+  FORBIDDEN_TAGS.forEach(tag => {
+    assert.equal($(tag).length, 0, `${label}: <${tag}> survived in ${html}`);
+  });
+
+  $('*').each((_, element) => {
+    Object.entries(element.attribs).forEach(([name, value]) => {
+      assert.ok(!/^on/i.test(name), `${label}: event handler ${name} survived in ${html}`);
+      assert.notEqual(name.toLowerCase(), 'style', `${label}: style attribute survived in ${html}`);
+      if (URL_ATTRIBUTES.includes(name.toLowerCase())) {
+        const normalized = value.replace(/[\u0000- \u007f-\u009f]/g, '').toLowerCase();
+        assert.ok(!/(^|,)(javascript|vbscript|data):/.test(normalized), `${label}: unsafe URL in ${name}="${value}"`);
+      }
+    });
+  });
+}
+
+test('sanitizeHtml neutralizes the XSS corpus', () => {
+  payloads.forEach(({ name, payload }) => {
+    assertInert(sanitizeHtml(payload), name);
+  });
+});
+
+test('sanitizeHtml neutralizes the XSS corpus rendered through marked', () => {
+  payloads.forEach(({ name, payload }) => {
+    assertInert(sanitizeHtml(marked(payload)), `${name} (markdown)`);
+  });
+});
+
+test('sanitizeHtml output is stable when sanitized again', () => {
+  payloads.forEach(({ name, payload }) => {
+    const once = sanitizeHtml(payload);
+    assert.equal(sanitizeHtml(once), once, name);
+  });
+});
+
+test('sanitizeHtml keeps ordinary README markup', () => {
+  const html = sanitizeHtml(marked([
+    '# Title',
+    '',
+    'Some **bold** text with a [link](https://example.com) and ![logo](docs/logo.png).',
+    '',
+    '- [x] done',
+    '',
+    '```js',
+    'const a = 1 < 2;',
+    '```',
+    '',
+    '| a | b |',
+    '|---|---|',
+    '| 1 | 2 |'
+  ].join('\n')));
+
+  assert.match(html, /<h1>Title<\/h1>/);
+  assert.match(html, /<strong>bold<\/strong>/);
+  assert.match(html, /<a href="https:\/\/example.com" rel="nofollow noopener noreferrer">link<\/a>/);
+  assert.match(html, /<img src="docs\/logo.png" alt="logo">/);
+  assert.match(html, /<input checked="" disabled="" type="checkbox">/);
+  assert.match(html, /<code class="language-js">const a = 1 &lt; 2;/);
+  assert.match(html, /<td>1<\/td>/);
+});
+
+test('sanitizeHtml unwraps unknown elements but keeps their text', () => {
+  assert.equal(sanitizeHtml('<font color="red">warning</font>'), 'warning');
+});
+
+test('safeUrl allows web and relative URLs only', () => {
+  assert.equal(safeUrl('https://example.com/a'), 'https://example.com/a');
+  assert.equal(safeUrl('mailto:me@example.com'), 'mailto:me@example.com');
+  assert.equal(safeUrl('docs/page.md'), 'docs/page.md');
+  assert.equal(safeUrl('#usage'), '#usage');
+  assert.equal(safeUrl('javascript:alert(1)'), '');
+  assert.equal(safeUrl(' JAVA\tSCRIPT:alert(1)'), '');
+  assert.equal(safeUrl('data:text/html,<script>alert(1)</script>'), '');
+  assert.equal(safeUrl(null), '');
+});
+
+test('escapeHtml escapes text and attribute delimiters', () => {
+  assert.equal(escapeHtml(`<a href="x" title='y'>&</a>`), '&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&lt;/a&gt;');
+  assert.equal(escapeHtml(undefined), '');
+});
+
+test('site sections escape repository fields and drop unsafe links', () => {
+  const data = {
+    repository: {
+      name: '<script>alert(1)</script>',
+      description: '"><img src=x onerror=alert(1)>',
+      url: 'javascript:alert(1)',
+      homepage: 'javascript:alert(1)'
+    },
+    techStack: { frontend: ['<svg onload=alert(1)>'] },
+    features: ['<iframe src="javascript:alert(1)">'],
+    readme: {
+      parsed: {
+        media: [{ alt: '" onerror="alert(1)', src: 'https://example.com/shot.png', type: 'image' }]
+      }
+    }
+  };
+
+  const html = ['hero', 'techStack', 'features', 'screenshots', 'links']
+    .map(name => sections[name](data, {}))
+    .join('\n');
+
+  assertInert(html, 'sections');
+  assert.ok(!html.includes('Live Demo'), 'unsafe homepage should not be linked');
+  assert.match(html, /&lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+});
@@ -0,0 +1,155 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as delay } from 'timers/promises';
+import jobQueue from '../src/services/jobQueue.js';
+import analysisService from '../src/services/analysisService.js';
+import { RateLimitError } from '../src/errors.js';
+
+// Analysis result as analysisService.analyze returns it
+function result(url) {
+  const name = url.split('/').slice(-2).join('/');
+  return {
+    data: {
+      repository: { fullName: name },
+      analysis: { score: 50, category: 'Library' }
+    },
+    cached: false,
+    analysisTime: 5
+  };
+}
+
+// Analyses that finish when the test releases them, by URL
+function holdAnalyses(t) {
+  const waiting = new Map();
+  let running = 0;
+  let peak = 0;
+
+  const analyze = mock.method(analysisService, 'analyze', (url) => {
+    running++;
+    peak = Math.max(peak, running);
+    return new Promise((resolve, reject) => {
+      waiting.set(url, { resolve, reject });
+    }).finally(() => { running--; });
+  });
+  t.after(() => analyze.mock.restore());
+
+  return {
+    analyze,
+    get peak() { return peak; },
+    started: () => Array.from(waiting.keys()),
+    finish(url, error) {
+      const { resolve, reject } = waiting.get(url);
+      waiting.delete(url);
+      if (error) reject(error);
+      else resolve(result(url));
+      return delay(0);
+    }
+  };
+}
+
+function quiet(t) {
+  ['log', 'warn'].forEach(level => {
+    const method = mock.method(console, level, () => {});
+    t.after(() => method.mock.restore());
+  });
+}
+
+test('a batch runs within the concurrency limit and reports each URL', async (t) => {
+  quiet(t);
+  const analyses = holdAnalyses(t);
+  const concurrency = jobQueue.concurrency;
+  jobQueue.concurrency = 2;
+  t.after(() => { jobQueue.concurrency = concurrency; });
+
+  const urls = ['https://github.com/a/one', 'https://github.com/a/two', 'https://github.com/a/three'];
+  const job = jobQueue.create(urls, { scoreProfile: 'quality' });
+  await delay(0);
+
+  assert.deepEqual(analyses.started(), urls.slice(0, 2));
+  assert.deepEqual(analyses.analyze.mock.calls[0].arguments[1], { forceRefresh: false, scoreProfile: 'quality' });
+  assert.deepEqual(jobQueue.describe(job).progress,
+    { total: 3, queued: 1, running: 2, completed: 0, failed: 0, cancelled: 0 });
+
+  await analyses.finish(urls[0]);
+  await analyses.finish(urls[1], new Error('Repository not found'));
+  await analyses.finish(urls[2]);
+
+  const status = jobQueue.describe(job);
+  assert.equal(analyses.peak, 2);
+  assert.equal(status.status, 'completed');
+  assert.ok(status.finishedAt);
+  assert.deepEqual(status.items.map(item => item.status), ['completed', 'failed', 'completed']);
+  assert.deepEqual(status.items[0].result,
+    { fullName: 'a/one', cached: false, analysisTime: 5, score: 50, category: 'Library' });
+  assert.deepEqual(status.items[1].error, {
+    status: 404,
+    error: 'Repository not found',
+    message: 'The specified repository does not exist or is not public'
+  });
+  assert.equal(jobQueue.describe(job, { includeData: true }).items[2].result.data.repository.fullName, 'a/three');
+});
+
+test('cancelling a job drops its queued URLs and lets running ones finish', async (t) => {
+  quiet(t);
+  const analyses = holdAnalyses(t);
+  const concurrency = jobQueue.concurrency;
+  jobQueue.concurrency = 1;
+  t.after(() => { jobQueue.concurrency = concurrency; });
+
+  const urls = ['https://github.com/b/one', 'https://github.com/b/two'];
+  const job = jobQueue.create(urls);
+  await delay(0);
+
+  jobQueue.cancel(job);
+  assert.equal(job.status, 'cancelled');
+  assert.equal(job.finishedAt, null);
+
+  await analyses.finish(urls[0]);
+  assert.deepEqual(analyses.started(), []);
+  assert.deepEqual(job.items.map(item => item.status), ['completed', 'cancelled']);
+  assert.equal(job.status, 'cancelled');
+  assert.ok(job.finishedAt);
+});
+
+test('a rate limit pauses the queue and retries the URL', async (t) => {
+  quiet(t);
+  const analyses = holdAnalyses(t);
+  t.after(() => {
+    clearTimeout(jobQueue.resumeTimer);
+    jobQueue.pausedUntil = null;
+  });
+
+  const url = 'https://github.com/c/one';
+  const job = jobQueue.create([url]);
+  await delay(0);
+
+  const resetAt = new Date(Date.now() + 50);
+  await analyses.finish(url, new RateLimitError('GitHub API rate limit exhausted for all tokens', { resetAt }));
+  assert.equal(job.items[0].status, 'queued');
+  assert.equal(jobQueue.describe(job).pausedUntil, resetAt);
+  assert.deepEqual(analyses.started(), []);
+
+  await delay(80);
+  assert.deepEqual(analyses.started(), [url]);
+  await analyses.finish(url);
+  assert.equal(job.items[0].status, 'completed');
+  assert.equal(job.items[0].attempts, 2);
+  assert.equal(jobQueue.describe(job).pausedUntil, null);
+});
+
+test('jobs of a signed-in viewer are only visible to them', (t) => {
+  quiet(t);
+  holdAnalyses(t);
+  const concurrency = jobQueue.concurrency;
+  jobQueue.concurrency = 0;
+  t.after(() => { jobQueue.concurrency = concurrency; });
+
+  const job = jobQueue.create(['https://github.com/d/one'], { viewer: { id: 7 } });
+  assert.equal(jobQueue.get(job.id, { id: 7 }), job);
+  assert.equal(jobQueue.get(job.id, { id: 8 }), null);
+  assert.equal(jobQueue.get(job.id), null);
+
+  jobQueue.forgetViewer(7);
+  assert.equal(jobQueue.jobs.has(job.id), false);
+  assert.equal(job.items[0].status, 'cancelled');
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseManifest, technologiesFor } from '../src/services/manifestParsers.js';
+import { detectFromFiles } from '../src/services/techStackDetector.js';
+
+const technologies = (fileName, text) => technologiesFor(parseManifest(fileName, text)).map(([, technology]) => technology);
+
+test('peer dependencies are not reported as used', () => {
+  const manifest = parseManifest('package.json', JSON.stringify({
+    name: 'react-widget',
+    dependencies: { clsx: '^2.0.0' },
+    devDependencies: { vitest: '^1.0.0' },
+    peerDependencies: { react: '>=18' }
+  }));
+  assert.deepEqual(manifest.dependencies, ['clsx', 'vitest']);
+
+  const { techStack } = detectFromFiles(['package.json'], { 'package.json': manifest });
+  assert.deepEqual(techStack.frontend, []);
+});
+
+test('Python manifests name their frameworks and databases', () => {
+  assert.deepEqual(technologies('requirements.txt', [
+    '-r base.txt',
+    'Django>=4.2  # web framework',
+    'psycopg2-binary==2.9.9; python_version > "3.8"'
+  ].join('\n')), ['Django', 'PostgreSQL']);
+
+  assert.deepEqual(technologies('pyproject.toml', [
+    '[tool.poetry.dependencies]',
+    'python = "^3.11"',
+    'FastAPI = "^0.110"',
+    '[tool.poetry.group.db.dependencies]',
+    'SQLAlchemy = "^2.0"'
+  ].join('\n')), ['FastAPI', 'SQLAlchemy']);
+});
+
+test('Go, Rust and Java dependencies match by module prefix', () => {
+  assert.deepEqual(technologies('go.mod', [
+    'module example.com/api',
+    'require (',
+    '  github.com/gin-gonic/gin v1.9.1 // indirect',
+    ')'
+  ].join('\n')), ['Gin']);
+
+  assert.deepEqual(technologies('Cargo.toml', [
+    '[package]',
+    'name = "server"',
+    '[dependencies]',
+    'actix-web = "4"',
+    '[target.\'cfg(unix)\'.dependencies]',
+    'diesel = "2"'
+  ].join('\n')), ['Actix', 'Diesel']);
+
+  const pom = `<project>
+  <parent><groupId>org.springframework.boot</groupId><artifactId>spring-boot-starter-parent</artifactId></parent>
+  <artifactId>shop</artifactId>
+</project>`;
+  assert.equal(parseManifest('pom.xml', pom).name, 'shop');
+  assert.deepEqual(technologies('pom.xml', pom), ['Spring Boot']);
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { openApiDocument } from '../src/schemas/openapi.js';
+import express from 'express';
+import apiRoutes, { mounts, legacyApi } from '../src/routes/api.js';
+import cacheService from '../src/services/cacheService.js';
+
+// Documented path and method of every route, e.g. "get /repository/history/{owner}/{repo}"
+function routeOperations() {
+  return mounts.flatMap(([mountPath, router]) => router.stack
+    .filter(layer => layer.route)
+    .flatMap(layer => Object.keys(layer.route.methods)
+      .map(method => `${method} ${mountPath}${layer.route.path.replace(/:(\w+)/g, '{$1}')}`)))
+    .concat('get /openapi.json');
+}
+
+test('every API route is documented and every documented operation exists', () => {
+  const documented = Object.entries(openApiDocument.paths)
+    .flatMap(([path, operations]) => Object.keys(operations).map(method => `${method} ${path}`));
+
+  assert.deepEqual(routeOperations().sort(), documented.sort());
+});
+
+test('openapi.json matches the OpenAPI document; run `npm run openapi` after changing it', () => {
+  const written = JSON.parse(readFileSync(new URL('../openapi.json', import.meta.url), 'utf8'));
+  assert.deepEqual(written, JSON.parse(JSON.stringify(openApiDocument)));
+});
+
+test('the legacy /api mount keeps the response shapes from before /api/v1', async (t) => {
+  cacheService.upsertCache('https://github.com/octo/legacy-tool', {
+    repository: { name: 'legacy-tool', fullName: 'octo/legacy-tool', description: 'Old clients', stars: 1, topics: [] }
+  });
+  const server = express().use('/api/v1', apiRoutes).use('/api', legacyApi, apiRoutes).listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  t.after(() => server.close());
+  const get = async (path) => {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`);
+    return { headers: response.headers, body: await response.json() };
+  };
+
+  const current = await get('/api/v1/cache/search?q=legacy');
+  assert.equal(current.headers.get('deprecation'), null);
+  assert.equal(current.body.results, undefined);
+  assert.equal(current.body.repositories[0].repositoryUrl, 'https://github.com/octo/legacy-tool');
+
+  const legacy = await get('/api/cache/search?q=legacy');
+  assert.equal(legacy.headers.get('deprecation'), 'true');
+  assert.equal(legacy.body.repositories, undefined);
+  assert.equal(legacy.body.results[0].url, 'https://github.com/octo/legacy-tool');
+
+  const recent = await get('/api/repository/recent');
+  assert.equal(recent.body.repositories[0].createdAt, recent.body.repositories[0].analyzedAt);
+  assert.equal(typeof (await get('/api/cache/stats')).body.cache.hitRate, 'string');
+  assert.equal(typeof (await get('/api/v1/cache/stats')).body.cache.hitRate, 'number');
+});
@@ -0,0 +1,143 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import projectScorer from '../src/services/projectScorer.js';
+
+const GENERATED_AT = '2026-03-01T00:00:00.000Z';
+const daysBefore = (days) => new Date(Date.parse(GENERATED_AT) - days * 24 * 60 * 60 * 1000).toISOString();
+
+const languages = {
+  stats: ['JavaScript', 'TypeScript', 'CSS'].map(name => ({ name, percentage: '33.3' })),
+  primary: 'JavaScript'
+};
+const techStack = { frontend: ['React'], backend: ['Node.js'], database: [], tools: ['Docker'], frameworks: [] };
+
+// Widely used, but with nothing a portfolio reviewer looks for
+const popular = {
+  generatedAt: GENERATED_AT,
+  repository: { stars: 800, forks: 50, updatedAt: daysBefore(14), description: 'Popular library' },
+  analytics: { contributorCount: 12, releaseCount: 0 },
+  readme: null,
+  practices: null,
+  languages,
+  techStack
+};
+
+// Small, but documented, tested and licensed
+const tidy = {
+  generatedAt: GENERATED_AT,
+  repository: {
+    stars: 3,
+    forks: 0,
+    updatedAt: GENERATED_AT,
+    description: 'Tidy tool',
+    homepage: 'https://tidy.dev',
+    license: 'MIT'
+  },
+  analytics: { contributorCount: 1, releaseCount: 2 },
+  readme: { parsed: { installation: { steps: ['npm install tidy'] }, usage: ['tidy .'] } },
+  practices: { tests: true, ci: ['GitHub Actions'], docs: true, contributing: false, changelog: true },
+  languages,
+  techStack
+};
+
+const factor = (score, id) => score.factors.find(entry => entry.id === id);
+
+test('the profiles rank popular and well-kept projects differently', () => {
+  assert.equal(projectScorer.score(popular, 'popularity').score, 83);
+  assert.equal(projectScorer.score(popular, 'quality').score, 14);
+  assert.equal(projectScorer.score(tidy, 'popularity').score, 32);
+  assert.equal(projectScorer.score(tidy, 'quality').score, 97);
+});
+
+test('a score lists the points and reason of each factor', () => {
+  const score = projectScorer.score(tidy, 'quality');
+
+  assert.equal(score.profile, 'quality');
+  assert.equal(score.label, 'Portfolio quality');
+  assert.equal(score.maxPoints, 100);
+  assert.equal(score.points, 96.7);
+  assert.deepEqual(score.factors.map(entry => entry.id),
+    ['readme', 'tests', 'ci', 'license', 'documentation', 'activity', 'description', 'homepage']);
+  assert.deepEqual(factor(score, 'documentation'), {
+    id: 'documentation',
+    label: 'Project documentation',
+    points: 6.7,
+    maxPoints: 10,
+    reason: 'Has a docs directory, changelog'
+  });
+  assert.equal(factor(score, 'ci').reason, 'Configured with GitHub Actions');
+  assert.equal(factor(score, 'license').reason, 'Licensed: MIT');
+  assert.equal(factor(score, 'activity').reason, 'Updated today; points run out after 20 weeks');
+
+  const popularity = projectScorer.score(popular, 'popularity');
+  assert.equal(factor(popularity, 'activity').points, 18);
+  assert.equal(factor(popularity, 'activity').reason, 'Updated 14 days ago; points run out after 20 weeks');
+  assert.equal(factor(popularity, 'stars').reason, '800 stars; full points at 400');
+  assert.equal(factor(popularity, 'homepage').reason, 'No homepage or live demo link');
+});
+
+test('complexity and deployability explain their levels', () => {
+  const assessment = projectScorer.assess(tidy, 'quality');
+  const { complexity, deployability } = assessment.breakdown;
+
+  assert.equal(assessment.scoreProfile, 'quality');
+  assert.equal(assessment.score, 97);
+  assert.equal(assessment.complexity, 'Moderate');
+  assert.equal(assessment.deployability, 'High');
+  assert.equal(complexity.level, 'Moderate');
+  assert.equal(complexity.points, 45);
+  assert.deepEqual(complexity.factors.map(entry => entry.reason),
+    ['3 languages at 10 points each', '3 detected technologies at 5 points each']);
+  assert.equal(deployability.level, 'High');
+  assert.deepEqual(deployability.factors.map(entry => entry.points), [2, 2, 1]);
+  assert.equal(deployability.factors[0].reason, 'React builds deploy to static hosting');
+});
+
+test('rescoring swaps the score and keeps the rest of the analysis', () => {
+  const data = { ...tidy, analysis: { category: 'CLI Tool', ...projectScorer.assess(tidy, 'popularity') } };
+
+  assert.equal(projectScorer.rescore(data, 'popularity'), data);
+
+  const rescored = projectScorer.rescore(data, 'quality');
+  assert.equal(rescored.analysis.score, 97);
+  assert.equal(rescored.analysis.scoreProfile, 'quality');
+  assert.equal(rescored.analysis.category, 'CLI Tool');
+  assert.equal(rescored.analysis.breakdown.score.profile, 'quality');
+  assert.equal(rescored.analysis.breakdown.complexity, data.analysis.breakdown.complexity);
+  assert.equal(data.analysis.score, 32);
+});
+
+test('SCORE_PROFILES_FILE adds profiles and rejects invalid ones', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'score-profiles-'));
+  const file = path.join(dir, 'profiles.json');
+  const log = mock.method(console, 'log', () => {});
+  t.after(() => {
+    log.mock.restore();
+    delete process.env.SCORE_PROFILES_FILE;
+    projectScorer.loadedProfiles = null;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  process.env.SCORE_PROFILES_FILE = file;
+
+  const load = (profiles) => {
+    fs.writeFileSync(file, JSON.stringify(profiles));
+    projectScorer.loadedProfiles = null;
+    return projectScorer.profiles;
+  };
+
+  load({ releases: { label: 'Release cadence', weights: { releases: 3, tests: 1 } } });
+  assert.ok(projectScorer.hasProfile('popularity'));
+  assert.deepEqual(projectScorer.listProfiles().at(-1),
+    { name: 'releases', label: 'Release cadence', description: '', weights: { releases: 3, tests: 1 } });
+  const score = projectScorer.score(tidy, 'releases');
+  assert.equal(score.maxPoints, 4);
+  assert.equal(score.score, 75);
+
+  assert.throws(() => load({ empty: { label: 'Empty', weights: { stars: 0 } } }),
+    /Invalid score profile "empty" in .*: weights add up to 0/);
+  assert.throws(() => load({ typo: { label: 'Typo', weights: { starz: 1 } } }),
+    /Invalid score profile "typo"/);
+});
@@ -0,0 +1,85 @@
+import { test, before, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { AxiosError } from 'axios';
+import providerRegistry from '../src/services/providers/index.js';
+import GitLabProvider from '../src/services/providers/gitlabProvider.js';
+import { RateLimitError } from '../src/errors.js';
+
+before(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+// Answer a provider's requests from a path -> [status, data, headers] table
+function serve(provider, routes) {
+  provider.client.defaults.adapter = async (config) => {
+    const [status, data, headers = {}] = routes[config.url] || [404, { message: '404 Not Found' }];
+    const response = { status, data, headers, config, statusText: '', request: null };
+    if (status >= 400) {
+      throw new AxiosError(`Request failed with status code ${status}`, 'ERR_BAD_RESPONSE', config, null, response);
+    }
+    return response;
+  };
+}
+
+test('repository URLs are routed to their host\'s provider', () => {
+  assert.equal(providerRegistry.forUrl('https://github.com/octo/tool').name, 'github');
+  assert.equal(providerRegistry.forUrl('git@gitlab.com:group/sub/app.git').name, 'gitlab');
+  assert.equal(providerRegistry.forUrl('https://bitbucket.org/team/app').name, 'bitbucket');
+  assert.equal(providerRegistry.forUrl('https://codeberg.org/user/app').label, 'Codeberg');
+  assert.throws(() => providerRegistry.forUrl('https://example.com/octo/tool'), /unsupported host example\.com/);
+
+  const gitlab = providerRegistry.forUrl('https://gitlab.com/group/sub/app');
+  assert.deepEqual(gitlab.parseUrl('https://gitlab.com/group/sub/app/-/tree/main'), { owner: 'group/sub', repo: 'app' });
+});
+
+test('GitLab projects are analyzed into the common result shape', async () => {
+  const gitlab = new GitLabProvider();
+  const project = '/projects/group%2Fapp';
+  serve(gitlab, {
+    [project]: [200, {
+      id: 7,
+      path: 'app',
+      path_with_namespace: 'group/app',
+      namespace: { full_path: 'group', kind: 'group' },
+      description: 'A Django app',
+      web_url: 'https://gitlab.com/group/app',
+      default_branch: 'main',
+      star_count: 12,
+      forks_count: 2,
+      visibility: 'public',
+      statistics: { repository_size: 2048 }
+    }],
+    [`${project}/languages`]: [200, { Python: 80.5, HTML: 19.5 }],
+    [`${project}/repository/tree`]: [200, [{ name: 'requirements.txt', path: 'requirements.txt', type: 'blob' }]],
+    [`${project}/repository/files/requirements.txt/raw`]: [200, Buffer.from('django>=4.2\n')],
+    [`${project}/repository/commits`]: [200, [{}], { 'x-total': '240' }],
+    [`${project}/repository/contributors`]: [200, [{ name: 'Ada', commits: 200 }], { 'x-total': '3' }],
+    [`${project}/releases`]: [200, []]
+  });
+
+  const data = await gitlab.analyzeRepository('https://gitlab.com/group/app');
+  assert.equal(data.repository.fullName, 'group/app');
+  assert.equal(data.repository.owner.type, 'Organization');
+  assert.equal(data.repository.language, 'Python');
+  assert.equal(data.repository.provider, 'gitlab');
+  assert.deepEqual(data.techStack.backend, ['Python', 'Django']);
+  assert.equal(data.analytics.commitCount, 240);
+  assert.equal(data.analytics.contributorCount, 3);
+  assert.deepEqual(data.analytics.topContributors.map(contributor => contributor.name), ['Ada']);
+  assert.equal(data.readme, null);
+});
+
+test('provider errors are reported in the common form', async () => {
+  const gitlab = new GitLabProvider();
+  serve(gitlab, { '/projects/group%2Fbusy': [429, {}, { 'retry-after': '30' }] });
+
+  await assert.rejects(gitlab.getRepository('group', 'missing'), { message: 'Repository not found' });
+  await assert.rejects(gitlab.getRepository('group', 'busy'), (error) => {
+    assert.ok(error instanceof RateLimitError);
+    assert.equal(error.message, 'GitLab API rate limit exceeded');
+    assert.ok(error.retryAfter > 0 && error.retryAfter <= 30);
+    return true;
+  });
+});
@@ -0,0 +1,48 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import siteGenerator from '../src/services/siteGenerator.js';
+import templateRegistry, { DEFAULT_THEME } from '../src/services/templateRegistry.js';
+import providerRegistry from '../src/services/providers/index.js';
+
+// Analysis whose README shows an image from the repository
+const analysis = {
+  generatedAt: '2026-10-01T08:00:00.000Z',
+  repository: {
+    name: 'tool',
+    fullName: 'octo/tool',
+    description: 'A command-line tool',
+    url: 'https://github.com/octo/tool',
+    defaultBranch: 'main',
+    owner: { login: 'octo', type: 'User' },
+    language: 'JavaScript',
+    topics: [],
+    stars: 42,
+    forks: 3
+  },
+  readme: {
+    content: '![Screenshot](docs/screenshot.png)',
+    html: '<p><img src="docs/screenshot.png" alt="Screenshot"></p>',
+    path: 'README.md'
+  },
+  analysis: { category: 'CLI Tool', score: 40, complexity: 'Simple', deployability: 'Medium' },
+  languages: { stats: [{ name: 'JavaScript', percentage: '100.0' }], primary: 'JavaScript' },
+  techStack: { frontend: [], backend: ['Node.js'], database: [], tools: [], frameworks: [] },
+  features: ['Fast']
+};
+
+test('bundles are built from the analysis alone', async (t) => {
+  const github = providerRegistry.forUrl(analysis.repository.url);
+  const fetches = mock.method(github, 'getFileContent', async () => Buffer.from('changed'));
+  t.after(() => fetches.mock.restore());
+  const theme = await templateRegistry.get(DEFAULT_THEME);
+
+  const files = siteGenerator.generateFiles(analysis, { theme });
+  assert.deepEqual(files.map(file => file.path), ['favicon.svg', 'index.html', 'robots.txt', 'social-preview.png', 'styles.css']);
+  const page = files.find(file => file.path === 'index.html').content;
+  assert.ok(page.includes('src="https://raw.githubusercontent.com/octo/tool/main/docs/screenshot.png"'));
+
+  const first = await siteGenerator.generateBundle(analysis, { theme });
+  const second = await siteGenerator.generateBundle(analysis, { theme });
+  assert.ok(first.equals(second));
+  assert.equal(fetches.mock.callCount(), 0);
+});
@@ -0,0 +1,219 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { setTimeout as delay } from 'timers/promises';
+import express from 'express';
+import hostedSiteRoutes from '../src/routes/sites.js';
+import siteRoutes from '../src/routes/site.js';
+import providerRegistry from '../src/services/providers/index.js';
+import cacheService from '../src/services/cacheService.js';
+import analysisService from '../src/services/analysisService.js';
+import hostedSiteService from '../src/services/hostedSiteService.js';
+import { RateLimitError } from '../src/errors.js';
+
+const REPOSITORY_URL = 'https://github.com/octo/tool';
+
+// Public analysis in the shared cache, as the analyze endpoint leaves it
+function cacheAnalysis(description) {
+  return cacheService.upsertCache(REPOSITORY_URL, {
+    generatedAt: new Date().toISOString(),
+    repository: {
+      id: 1,
+      name: 'tool',
+      fullName: 'octo/tool',
+      url: REPOSITORY_URL,
+      defaultBranch: 'main',
+      description,
+      owner: { login: 'octo', type: 'User', avatar: null },
+      language: 'JavaScript',
+      topics: ['cli'],
+      stars: 42,
+      forks: 3,
+      watchers: 42,
+      isPrivate: false
+    },
+    languages: { stats: [{ name: 'JavaScript', percentage: '100.0' }], primary: 'JavaScript' },
+    techStack: { frontend: [], backend: ['Node.js'], database: [], tools: [], frameworks: [] },
+    features: ['Fast'],
+    readme: null,
+    analysis: { category: 'CLI Tool', score: 40, complexity: 'Simple', deployability: 'Medium' }
+  });
+}
+
+let server;
+let origin;
+// Signed-in viewer of requests to the test server
+let viewer = null;
+
+// Node's http client, since fetch marks conditional requests "Cache-Control: no-cache"
+function request(method, path, { headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(`${origin}${path}`, { method, headers }, (res) => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+const get = (path, headers = {}) => request('GET', path, { headers });
+
+const publish = (site) => request('PUT', '/api/v1/site/hosted', {
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify({ url: REPOSITORY_URL, ...site })
+});
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  server = express()
+    .use(express.json())
+    .use((req, res, next) => {
+      req.session = { viewer };
+      next();
+    })
+    .use('/api/v1/site', siteRoutes)
+    .use(hostedSiteRoutes)
+    .listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+test('a published site is served at a stable URL with validators', async () => {
+  const { data } = cacheAnalysis('A command-line tool');
+  assert.equal((await get('/sites/octo/tool/')).status, 404);
+  hostedSiteService.publish(REPOSITORY_URL, data, { theme: 'minimal' });
+
+  const redirect = await get('/sites/Octo/tool');
+  assert.equal(redirect.status, 301);
+  assert.equal(redirect.headers.location, '/sites/Octo/tool/');
+
+  const page = await get('/sites/Octo/tool/');
+  assert.equal(page.status, 200);
+  assert.match(page.headers['content-type'], /^text\/html/);
+  assert.match(page.headers['cache-control'], /^public, max-age=300/);
+  assert.match(page.body, /A command-line tool/);
+  assert.match(page.body, /<body class="theme-minimal">/);
+  assert.ok(page.body.includes(`<link rel="canonical" href="${origin}/sites/octo/tool/">`));
+
+  const styles = await get('/sites/octo/tool/styles.css');
+  assert.match(styles.headers['content-type'], /^text\/css/);
+  assert.equal((await get('/sites/octo/tool/package.json')).status, 404);
+
+  const revalidated = await get('/sites/octo/tool/', { 'If-None-Match': page.headers.etag });
+  assert.equal(revalidated.status, 304);
+});
+
+test('pages are rendered again when the analysis refreshes', async () => {
+  const { data } = cacheAnalysis('A command-line tool');
+  hostedSiteService.publish(REPOSITORY_URL, data, { theme: 'minimal' });
+  const before = await get('/sites/octo/tool/');
+
+  await delay(5);
+  cacheAnalysis('A faster command-line tool');
+  const after = await get('/sites/octo/tool/', { 'If-None-Match': before.headers.etag });
+  assert.equal(after.status, 200);
+  assert.notEqual(after.headers.etag, before.headers.etag);
+  assert.match(after.body, /A faster command-line tool/);
+});
+
+test('page views never wait for an analysis and refresh it at most once in a while', async (t) => {
+  const { data } = cacheAnalysis('A command-line tool');
+  hostedSiteService.publish(REPOSITORY_URL, data, { theme: 'minimal' });
+  hostedSiteService.refreshedAt.clear();
+  // The analysis has left the cache
+  cacheService.delete(REPOSITORY_URL);
+
+  const runShared = mock.method(analysisService, 'runShared', async () => {
+    await delay(50);
+    throw new Error('Repository not found');
+  });
+  t.after(() => runShared.mock.restore());
+  mock.method(console, 'warn', () => {});
+
+  const page = await get('/sites/octo/tool/');
+  assert.equal(page.status, 200);
+  assert.match(page.body, /A command-line tool/);
+  assert.equal((await get('/sites/octo/tool/')).status, 200);
+  assert.equal(runShared.mock.callCount(), 1);
+
+  // The background refresh found the repository gone
+  await delay(60);
+  assert.equal((await get('/sites/octo/tool/')).status, 404);
+  assert.equal(runShared.mock.callCount(), 1);
+});
+
+test('a custom slug serves the page with its overrides', async () => {
+  const { data } = cacheAnalysis('A command-line tool');
+  hostedSiteService.publish(REPOSITORY_URL, data, {
+    theme: 'minimal',
+    slug: 'octo-tool',
+    overrides: { description: 'My favourite side project', homepage: '' }
+  });
+
+  const page = await get('/p/octo-tool/');
+  assert.equal(page.status, 200);
+  assert.match(page.body, /My favourite side project/);
+  assert.ok(page.body.includes(`<link rel="canonical" href="${origin}/p/octo-tool/">`));
+
+  // The repository address keeps working and points at the slug
+  assert.ok((await get('/sites/octo/tool/')).body.includes(`href="${origin}/p/octo-tool/"`));
+
+  hostedSiteService.unpublish(REPOSITORY_URL);
+  assert.equal((await get('/p/octo-tool/')).status, 404);
+});
+
+test('only signed-in people who can push to a repository publish its site', async (t) => {
+  mock.method(console, 'error', () => {});
+  cacheAnalysis('A command-line tool');
+  hostedSiteService.unpublish(REPOSITORY_URL);
+
+  // Hosting is off without GitHub sign-in
+  assert.equal((await publish({ slug: 'octo-tool' })).status, 501);
+
+  process.env.GITHUB_OAUTH_CLIENT_ID = 'client';
+  process.env.GITHUB_OAUTH_CLIENT_SECRET = 'secret';
+  t.after(() => {
+    delete process.env.GITHUB_OAUTH_CLIENT_ID;
+    delete process.env.GITHUB_OAUTH_CLIENT_SECRET;
+    viewer = null;
+  });
+  assert.equal((await publish({ slug: 'octo-tool' })).status, 401);
+
+  const github = providerRegistry.forUrl(REPOSITORY_URL);
+  const permissions = mock.method(github, 'getPermissions', async () => ({ pull: true, push: false, admin: false }));
+  t.after(() => permissions.mock.restore());
+  viewer = { id: 'github:2', login: 'someone', provider: 'github', token: 'token' };
+  assert.equal((await publish({ slug: 'octo-tool' })).status, 403);
+  assert.equal(hostedSiteService.findBySlug('octo-tool'), null);
+
+  // Failed permission lookups keep their status
+  permissions.mock.mockImplementationOnce(async () => {
+    throw new RateLimitError('GitHub API rate limit exhausted for all tokens', { resetAt: new Date(Date.now() + 60000) });
+  });
+  const rateLimited = await publish({ slug: 'octo-tool' });
+  assert.equal(rateLimited.status, 503);
+  assert.ok(Number(rateLimited.headers['retry-after']) > 0);
+  permissions.mock.mockImplementationOnce(async () => { throw new Error('Repository not found'); });
+  assert.equal((await publish({ slug: 'octo-tool' })).status, 404);
+
+  // Sign-in is with GitHub, so other hosts' repositories are not hosted
+  const { data } = cacheAnalysis('A command-line tool');
+  cacheService.upsertCache('https://gitlab.com/octo/tool', { ...data, repository: { ...data.repository, url: 'https://gitlab.com/octo/tool' } });
+  assert.equal((await publish({ url: 'https://gitlab.com/octo/tool', slug: 'octo-tool' })).status, 400);
+
+  permissions.mock.mockImplementation(async () => ({ pull: true, push: true, admin: false }));
+  const published = await publish({ slug: 'octo-tool' });
+  assert.equal(published.status, 201);
+  assert.equal(JSON.parse(published.body).url, `${origin}/p/octo-tool/`);
+  assert.deepEqual(permissions.mock.calls.at(-1).arguments, ['octo', 'tool']);
+
+  viewer = null;
+  const unpublished = await request('DELETE', `/api/v1/site/hosted?url=${encodeURIComponent(REPOSITORY_URL)}`);
+  assert.equal(unpublished.status, 401);
+  assert.ok(hostedSiteService.findBySlug('octo-tool'));
+});
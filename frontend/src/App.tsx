@@ -1,89 +1,67 @@
-import React, { useState, useEffect } from 'react';
-import { Moon, Sun, Globe, Github, Linkedin, ExternalLink, Loader, CheckCircle, AlertCircle, Star, GitFork, Eye } from 'lucide-react';
+import { useState, useEffect, useCallback } from 'react';
+import { Moon, Sun, Globe, Github, Linkedin, ExternalLink, Download, Loader, CheckCircle, AlertCircle, Star, GitFork, Eye, Lock, LogOut } from 'lucide-react';
 import { clsx } from 'clsx';
+import type { components } from './api/schema';
 
-// Types
-interface Repository {
-  id: number;
-  name: string;
-  fullName: string;
-  description: string;
-  url: string;
-  homepage: string;
-  language: string;
-  stars: number;
-  forks: number;
-  watchers: number;
-  topics: string[];
-  createdAt: string;
-  updatedAt: string;
-  owner: {
-    login: string;
-    avatar: string;
-  };
-}
-
-interface AnalysisData {
-  repository: Repository;
-  readme: {
-    content: string;
-    html: string;
-  } | null;
-  languages: {
-    stats: { name: string; percentage: string }[];
-    primary: string;
-  };
-  techStack: {
-    frontend: string[];
-    backend: string[];
-    database: string[];
-    tools: string[];
-    frameworks: string[];
-  };
-  features: string[];
-  analysis: {
-    complexity: string;
-    category: string;
-    deployability: string;
-    score: number;
-  };
-  generatedAt: string;
-}
+// Types, generated from the backend's OpenAPI document (npm run generate:api)
+type Schemas = components['schemas'];
+type Repository = Schemas['Repository'];
+type Analytics = Schemas['Analytics'];
+type BreakdownFactor = Schemas['BreakdownFactor'];
+type Analysis = Schemas['Analysis'];
+type ScoreProfileOption = Schemas['ScoreProfile'];
+type AnalysisData = Schemas['AnalysisData'];
+type AnalysisResponse = Schemas['AnalysisResponse'];
+type ErrorResponse = Schemas['Error'];
+type RateLimitStatus = Schemas['RateLimitStatus'];
+type AuthSession = Schemas['AuthSession'];
+type MetricChange = Schemas['MetricChange'];
+type HistorySnapshot = Schemas['HistorySnapshot'];
+type HistoryDiff = Schemas['HistoryDiff'];
+type ThemeOption = Schemas['Theme'];
+type AnalysisStep = Schemas['AnalysisStep'];
+type AnalysisStreamEvent = Schemas['AnalysisStreamEvent'];
+type HostedSite = Schemas['HostedSite'];
 
-interface AnalysisResponse {
-  data: AnalysisData;
-  cached: boolean;
-  cacheAge?: number;
-  analysisTime?: number;
-  accessCount?: number;
-}
+const API_BASE = '/api/v1';
 
 // Translations
 const translations = {
   en: {
     title: 'RepoSite',
     subtitle: 'Portfolio as a Service',
-    heading: 'Bring Your GitHub Repository to Life',
-    description: 'Transform your GitHub repositories into beautiful, professional websites instantly',
-    placeholder: 'Enter GitHub repository URL (e.g., https://github.com/user/repo)',
+    heading: 'Bring Your Repository to Life',
+    description: 'Transform your GitHub, GitLab, Bitbucket and Gitea repositories into beautiful, professional websites instantly',
+    placeholder: 'Enter repository URL (e.g., https://github.com/user/repo or https://gitlab.com/group/repo)',
     generateButton: 'Generate My Website',
     tryAnother: 'Try Another Repository',
     
     // Status messages
-    connecting: 'Connecting to GitHub API...',
-    fetching: 'Fetching repository data for',
-    analyzing: 'Analyzing code and identifying framework...',
-    parsing: 'Parsing README.md for project description...',
-    building: 'Building project website from template...',
-    populating: 'Populating content: project name, description, and tech stack...',
-    deploying: 'Deploying to the web...',
-    finalizing: 'Finalizing... Almost there!',
+    connecting: 'Connecting to the repository host...',
+    steps: {
+      getRepository: 'Fetching repository metadata',
+      getReadme: 'Parsing README for project description',
+      getLanguages: 'Measuring language breakdown',
+      detectTechStack: 'Analyzing code and identifying frameworks',
+      getAnalytics: 'Collecting commit and contributor analytics',
+    },
+    stepsFailed: {
+      getRepository: 'Repository metadata unavailable',
+      getReadme: 'README unavailable',
+      getLanguages: 'Languages unavailable',
+      detectTechStack: 'Tech stack unavailable',
+      getAnalytics: 'Analytics unavailable',
+    },
+    noReadme: 'No README found',
     
     // Success/Error
     success: 'Website Generated Successfully!',
     viewWebsite: 'View Generated Website',
+    downloadWebsite: 'Download Site',
+    theme: 'Website Theme',
+    siteFailed: 'Failed to generate website',
     error: 'Analysis Failed',
-    invalidUrl: 'Please enter a valid GitHub repository URL',
+    invalidUrl: 'Please enter a valid GitHub, GitLab, Bitbucket or Gitea repository URL',
     
     // Repository info
     stars: 'Stars',
@@ -96,36 +74,97 @@ const translations = {
     score: 'Project Score',
     features: 'Features',
     techStack: 'Tech Stack',
+    packages: 'Packages',
+    trend: 'Trend',
+    trendSince: 'Since {date} ({count} analyses)',
+    added: 'Added',
+    removed: 'Removed',
+    includeGrowth: 'Include a growth section',
+    siteUrl: 'Site URL (optional)',
+    siteUrlHint: 'Where you will publish the site. Used for the canonical link, social preview and sitemap.',
+    whyScore: 'Why this score?',
+    embed: 'Add to your README',
+    embedHint: 'A badge and a card that link back to this page, rendered from the latest analysis.',
+    copy: 'Copy',
+    copied: 'Copied!',
+    export: 'Export',
+    exportHint: 'Reuse this analysis elsewhere.',
+    exportFormats: {
+      markdown: 'Markdown for a profile README',
+      'json-resume': 'JSON Resume project',
+      'resume-html': 'Printable résumé entry',
+      json: 'JSON (documented schema)',
+    },
+    hostedSite: 'Stable link',
+    hostedSiteHint: 'Host the site at a permanent address for your CV. It updates itself whenever the analysis refreshes.',
+    slug: 'Custom address (optional)',
+    descriptionOverride: 'Description to show instead of the repository\'s',
+    publishSite: 'Publish',
+    updateSite: 'Update',
+    unpublishSite: 'Unpublish',
+    publishFailed: 'Failed to publish the site',
+    scoreProfile: 'Scoring profile',
+    scorePoints: '{points} of {maxPoints} points',
+    activity: 'Commit Activity',
+    activitySummary: '{count} commits in the last {weeks} weeks',
+    activityComputing: 'Commit statistics are still being computed. Analyze again later to see them.',
+    topContributors: 'Top Contributors',
+    commits: '{count} commits',
+    releases: 'Releases',
+    lastRelease: 'Last release {time}',
+    prerelease: 'Pre-release',
     cached: 'Cached Result',
     analysisTime: 'Analysis Time',
     
+    // Rate limit
+    rateLimitLow: 'GitHub API quota is running low: {remaining} of {limit} requests left. Resets at {reset}.',
+    rateLimitExhausted: 'GitHub API quota is exhausted. Analyses will fail until {reset}.',
+    
+    // Sign-in
+    signIn: 'Sign in with GitHub',
+    signOut: 'Sign out',
+    signInHint: 'Sign in with GitHub to analyze your private repositories. Their results are only visible to you.',
+    signInFailed: 'GitHub sign-in failed. Please try again.',
+    privateRepository: 'Private',
+    
     // Footer
     madeWith: 'Made with ❤️ by RepoSite Team',
   },
   ja: {
     title: 'RepoSite',
     subtitle: 'ポートフォリオ・アズ・ア・サービス',
-    heading: 'あなたのGitHubリポジトリに命を吹き込む',
-    description: 'GitHubリポジトリを美しいプロフェッショナルなウェブサイトに瞬時に変換',
-    placeholder: 'GitHubリポジトリのURLを入力 (例: https://github.com/user/repo)',
+    heading: 'あなたのリポジトリに命を吹き込む',
+    description: 'GitHub・GitLab・Bitbucket・Giteaのリポジトリを美しいプロフェッショナルなウェブサイトに瞬時に変換',
+    placeholder: 'リポジトリのURLを入力 (例: https://github.com/user/repo、https://gitlab.com/group/repo)',
     generateButton: 'ウェブサイトを生成',
     tryAnother: '別のリポジトリを試す',
     
     // Status messages
-    connecting: 'GitHub APIに接続中...',
-    fetching: 'リポジトリデータを取得中',
-    analyzing: 'コードを分析してフレームワークを特定中...',
-    parsing: 'README.mdを解析してプロジェクト説明を取得中...',
-    building: 'テンプレートからプロジェクトウェブサイトを構築中...',
-    populating: 'コンテンツを挿入中：プロジェクト名、説明、技術スタック...',
-    deploying: 'ウェブにデプロイ中...',
-    finalizing: '最終処理中... もうすぐ完了！',
+    connecting: 'リポジトリホストに接続中...',
+    steps: {
+      getRepository: 'リポジトリ情報を取得中',
+      getReadme: 'READMEを解析してプロジェクト説明を取得中',
+      getLanguages: '言語構成を計測中',
+      detectTechStack: 'コードを分析してフレームワークを特定中',
+      getAnalytics: 'コミットとコントリビューターの統計を収集中',
+    },
+    stepsFailed: {
+      getRepository: 'リポジトリ情報を取得できません',
+      getReadme: 'READMEを取得できません',
+      getLanguages: '言語情報を取得できません',
+      detectTechStack: '技術スタックを取得できません',
+      getAnalytics: '統計情報を取得できません',
+    },
+    noReadme: 'READMEが見つかりません',
     
     // Success/Error
     success: 'ウェブサイトの生成が完了しました！',
     viewWebsite: '生成されたウェブサイトを表示',
+    downloadWebsite: 'サイトをダウンロード',
+    theme: 'ウェブサイトのテーマ',
+    siteFailed: 'ウェブサイトの生成に失敗しました',
     error: '分析に失敗しました',
-    invalidUrl: '有効なGitHubリポジトリのURLを入力してください',
+    invalidUrl: '有効なGitHub・GitLab・Bitbucket・GiteaリポジトリのURLを入力してください',
     
     // Repository info
     stars: 'スター',
@@ -138,9 +177,59 @@ const translations = {
     score: 'プロジェクト評価',
     features: '機能',
     techStack: '技術スタック',
+    packages: 'パッケージ',
+    trend: '推移',
+    trendSince: '{date}以降（{count}回の分析）',
+    added: '追加',
+    removed: '削除',
+    includeGrowth: '成長セクションを含める',
+    siteUrl: 'サイトURL（任意）',
+    siteUrlHint: 'サイトの公開先です。正規URL、SNSプレビュー、サイトマップに使われます。',
+    whyScore: 'スコアの内訳',
+    embed: 'READMEに追加',
+    embedHint: '最新の分析結果から描画され、このページにリンクするバッジとカードです。',
+    copy: 'コピー',
+    copied: 'コピーしました！',
+    export: 'エクスポート',
+    exportHint: 'この分析結果を他の場所で再利用できます。',
+    exportFormats: {
+      markdown: 'プロフィールREADME用Markdown',
+      'json-resume': 'JSON Resumeのプロジェクト',
+      'resume-html': '印刷用の職務経歴書エントリ',
+      json: 'JSON（スキーマ付き）',
+    },
+    hostedSite: '固定リンク',
+    hostedSiteHint: '履歴書に載せられる固定アドレスでサイトを公開します。分析が更新されるとサイトも自動で更新されます。',
+    slug: 'カスタムアドレス（任意）',
+    descriptionOverride: 'リポジトリの説明の代わりに表示する説明',
+    publishSite: '公開',
+    updateSite: '更新',
+    unpublishSite: '公開停止',
+    publishFailed: 'サイトの公開に失敗しました',
+    scoreProfile: '評価プロファイル',
+    scorePoints: '{maxPoints}点中{points}点',
+    activity: 'コミット活動',
+    activitySummary: '過去{weeks}週間で{count}件のコミット',
+    activityComputing: 'コミット統計を計算中です。しばらくしてから再度分析してください。',
+    topContributors: '主なコントリビューター',
+    commits: '{count}件のコミット',
+    releases: 'リリース',
+    lastRelease: '最終リリース：{time}',
+    prerelease: 'プレリリース',
     cached: 'キャッシュ結果',
     analysisTime: '分析時間',
     
+    // Rate limit
+    rateLimitLow: 'GitHub APIの残りリクエスト数が少なくなっています：{limit}件中残り{remaining}件。{reset}にリセットされます。',
+    rateLimitExhausted: 'GitHub APIの上限に達しました。{reset}まで分析できません。',
+    
+    // Sign-in
+    signIn: 'GitHubでサインイン',
+    signOut: 'サインアウト',
+    signInHint: 'GitHubでサインインすると非公開リポジトリを分析できます。結果はあなたにだけ表示されます。',
+    signInFailed: 'GitHubへのサインインに失敗しました。もう一度お試しください。',
+    privateRepository: '非公開',
+    
     // Footer
     madeWith: 'RepoSiteチームが❤️を込めて制作',
   }
@@ -148,6 +237,14 @@ const translations = {
 
 type Language = keyof typeof translations;
 
+// Requests a single analysis can use; warn when fewer than this many remain
+const RATE_LIMIT_WARNING_THRESHOLD = 15;
+
+// Replace {placeholders} in a translated string
+function format(template: string, values: Record<string, string | number>): string {
+  return template.replace(/\{(\w+)\}/g, (match, key) => String(values[key] ?? match));
+}
+
 // Hook for theme management
 function useTheme() {
   const [theme, setTheme] = useState<'light' | 'dark'>(() => {
@@ -175,32 +272,601 @@ function useTheme() {
 }
 
 // Status messages component
-function StatusMessage({ message, isActive }: { message: string; isActive: boolean }) {
+function StatusMessage({ message, status }: { message: string; status: AnalysisStep['status'] }) {
   return (
     <div className={clsx(
       'flex items-center space-x-3 py-2 px-4 rounded-lg transition-all duration-300',
-      isActive ? 'bg-primary-50 dark:bg-primary-900/20 text-primary-700 dark:text-primary-300' : 'text-gray-500'
+      status === 'started' && 'bg-primary-50 dark:bg-primary-900/20 text-primary-700 dark:text-primary-300',
+      status === 'completed' && 'text-gray-500',
+      status === 'failed' && 'text-yellow-700 dark:text-yellow-300'
     )}>
-      {isActive ? (
-        <Loader className="w-4 h-4 animate-spin text-primary-600" />
-      ) : (
-        <CheckCircle className="w-4 h-4 text-green-500" />
-      )}
+      {status === 'started' && <Loader className="w-4 h-4 animate-spin text-primary-600" />}
+      {status === 'completed' && <CheckCircle className="w-4 h-4 text-green-500" />}
+      {status === 'failed' && <AlertCircle className="w-4 h-4 text-yellow-500" />}
       <span className="text-sm font-medium">{message}</span>
     </div>
   );
 }
 
+// Read an NDJSON analysis stream, invoking the callback for each event
+async function readAnalysisStream(response: Response, onEvent: (event: AnalysisStreamEvent) => void) {
+  if (!response.body) {
+    throw new Error('Streaming is not supported by this browser');
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop() ?? '';
+    lines.filter(line => line.trim()).forEach(line => onEvent(JSON.parse(line)));
+  }
+
+  if (buffer.trim()) {
+    onEvent(JSON.parse(buffer));
+  }
+}
+
+// Request a generated site from the backend for a previously analyzed repository
+async function requestSite(endpoint: 'preview' | 'generate', url: string, theme: string, includeGrowth = false, siteUrl = ''): Promise<Response> {
+  const response = await fetch(`${API_BASE}/site/${endpoint}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ url, theme, includeGrowth, siteUrl: siteUrl.trim() || undefined }),
+  });
+
+  if (!response.ok) {
+    const result: ErrorResponse = await response.json();
+    throw new Error(result.message || result.error);
+  }
+
+  return response;
+}
+
+// Small line chart of a series, scaled to its own range
+function Sparkline({ values }: { values: number[] }) {
+  const width = 200;
+  const height = 40;
+  const min = Math.min(...values);
+  const range = Math.max(...values) - min || 1;
+  const points = values
+    .map((value, index) => `${(index / (values.length - 1)) * width},${height - 2 - ((value - min) / range) * (height - 4)}`)
+    .join(' ');
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-10 text-primary-500" preserveAspectRatio="none">
+      <polyline points={points} fill="none" stroke="currentColor" strokeWidth="2" vectorEffect="non-scaling-stroke" />
+    </svg>
+  );
+}
+
+// Changes since the first recorded analysis of a repository
+function TrendView({ snapshots, diff, t }: { snapshots: HistorySnapshot[]; diff: HistoryDiff; t: typeof translations[Language] }) {
+  const signed = (value: number) => `${value > 0 ? '+' : ''}${value.toLocaleString()}`;
+  const metrics: [string, MetricChange][] = [[t.stars, diff.stars], [t.forks, diff.forks], [t.score, diff.score]];
+  const added = [...diff.languages.added, ...diff.techStack.added.map(item => item.technology)];
+  const removed = [...diff.languages.removed, ...diff.techStack.removed.map(item => item.technology)];
+
+  return (
+    <div className="mb-6">
+      <h4 className="text-sm font-semibold text-gray-900 dark:text-white mb-1">{t.trend}</h4>
+      <p className="text-xs text-gray-500 mb-3">
+        {format(t.trendSince, { date: new Date(diff.from.takenAt).toLocaleDateString(), count: snapshots.length })}
+      </p>
+      <div className="grid grid-cols-3 gap-4 mb-3">
+        {metrics.map(([label, metric]) => (
+          <div key={label} className="text-center">
+            <div className={clsx('text-lg font-semibold', metric.change > 0 ? 'text-green-600 dark:text-green-400' : metric.change < 0 ? 'text-red-600 dark:text-red-400' : 'text-gray-900 dark:text-white')}>
+              {signed(metric.change)}
+            </div>
+            <div className="text-xs text-gray-500">{label}</div>
+          </div>
+        ))}
+      </div>
+      <Sparkline values={snapshots.map(snapshot => snapshot.stars)} />
+      {added.length > 0 && (
+        <p className="mt-2 text-xs text-gray-600 dark:text-gray-400">{t.added}: {added.join(', ')}</p>
+      )}
+      {removed.length > 0 && (
+        <p className="mt-1 text-xs text-gray-600 dark:text-gray-400">{t.removed}: {removed.join(', ')}</p>
+      )}
+    </div>
+  );
+}
+
+// Points earned per factor, as bars with the reason for each
+function FactorList({ factors, t }: { factors: BreakdownFactor[]; t: typeof translations[Language] }) {
+  return (
+    <ul className="space-y-2">
+      {factors.map(factor => (
+        <li key={factor.id} className="text-sm">
+          <div className="flex justify-between">
+            <span className="text-gray-900 dark:text-white">{factor.label}</span>
+            <span className="text-xs text-gray-500">
+              {format(t.scorePoints, { points: factor.points, maxPoints: factor.maxPoints })}
+            </span>
+          </div>
+          <div className="h-1.5 rounded-full bg-gray-200 dark:bg-gray-600 overflow-hidden">
+            <div
+              className="h-full bg-primary-500"
+              style={{ width: `${factor.maxPoints ? (factor.points / factor.maxPoints) * 100 : 0}%` }}
+            />
+          </div>
+          <p className="text-xs text-gray-500 mt-0.5">{factor.reason}</p>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+// How the score, complexity and deployability were reached, with a profile picker
+function BreakdownView({ analysis, profiles, onProfileChange, t }: {
+  analysis: Analysis;
+  profiles: ScoreProfileOption[];
+  onProfileChange: (profile: string) => void;
+  t: typeof translations[Language];
+}) {
+  const { breakdown } = analysis;
+  if (!breakdown) return null;
+
+  return (
+    <div className="mb-6 p-4 bg-gray-50 dark:bg-gray-700 rounded-lg space-y-4">
+      {profiles.length > 1 && (
+        <div>
+          <label htmlFor="score-profile" className="block text-xs font-semibold text-gray-900 dark:text-white mb-1">
+            {t.scoreProfile}
+          </label>
+          <select
+            id="score-profile"
+            value={breakdown.score.profile}
+            onChange={(e) => onProfileChange(e.target.value)}
+            className="w-full px-3 py-1.5 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-sm text-gray-900 dark:text-white"
+          >
+            {profiles.map(profile => (
+              <option key={profile.name} value={profile.name}>
+                {profile.label}{profile.description && ` — ${profile.description}`}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+      <div>
+        <h4 className="text-sm font-semibold text-gray-900 dark:text-white mb-2">
+          {t.score}: {breakdown.score.score} ({breakdown.score.label})
+        </h4>
+        <FactorList factors={breakdown.score.factors} t={t} />
+      </div>
+      {breakdown.complexity && (
+        <div>
+          <h4 className="text-sm font-semibold text-gray-900 dark:text-white mb-2">
+            {t.complexity}: {breakdown.complexity.level}
+          </h4>
+          <FactorList factors={breakdown.complexity.factors} t={t} />
+        </div>
+      )}
+      {breakdown.deployability && (
+        <div>
+          <h4 className="text-sm font-semibold text-gray-900 dark:text-white mb-2">
+            {t.deployability}: {breakdown.deployability.level}
+          </h4>
+          <FactorList factors={breakdown.deployability.factors} t={t} />
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Markdown for the SVG badge and card, linking back to this app with the repository prefilled
+function EmbedSnippet({ repository, lang }: { repository: Repository; lang: Language }) {
+  const t = translations[lang];
+  const [copied, setCopied] = useState(false);
+  const [owner, repo, ...rest] = repository.fullName.split('/');
+  // Embeds read the public cache of owner/repo paths only
+  if (repository.isPrivate || rest.length > 0) return null;
+
+  const origin = window.location.origin;
+  const query = new URLSearchParams({
+    ...(repository.host && repository.host !== 'github.com' ? { host: repository.host } : {}),
+    ...(lang !== 'en' ? { locale: lang } : {}),
+  }).toString();
+  const suffix = query ? `?${query}` : '';
+  const link = `${origin}/?url=${encodeURIComponent(repository.url)}`;
+  const markdown = [
+    `[![RepoSite](${origin}${API_BASE}/badge/${owner}/${repo}.svg${suffix})](${link})`,
+    `[![${repository.fullName}](${origin}${API_BASE}/card/${owner}/${repo}.svg${suffix})](${link})`,
+  ].join('\n');
+
+  const copy = async () => {
+    await navigator.clipboard.writeText(markdown).catch(() => undefined);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  return (
+    <div className="mb-6">
+      <h4 className="text-sm font-semibold text-gray-900 dark:text-white mb-1">{t.embed}</h4>
+      <p className="text-xs text-gray-500 mb-2">{t.embedHint}</p>
+      <div className="flex items-start space-x-2">
+        <pre className="flex-1 overflow-x-auto p-2 rounded-md bg-gray-100 dark:bg-gray-700 text-xs text-gray-800 dark:text-gray-200">{markdown}</pre>
+        <button onClick={copy} className="btn-secondary text-xs">{copied ? t.copied : t.copy}</button>
+      </div>
+    </div>
+  );
+}
+
+// Links to the analysis in each export format, scored like the view
+function ExportLinks({ repository, scoreProfile, lang }: { repository: Repository; scoreProfile?: string; lang: Language }) {
+  const t = translations[lang];
+  const [owner, repo, ...rest] = repository.fullName.split('/');
+  // Exports are addressed by owner/repo
+  if (rest.length > 0) return null;
+
+  const formats = Object.keys(t.exportFormats) as (keyof typeof t.exportFormats)[];
+  const exportUrl = (format: string) => `${API_BASE}/repository/export/${owner}/${repo}?${new URLSearchParams({
+    format,
+    ...(repository.host && repository.host !== 'github.com' ? { host: repository.host } : {}),
+    ...(scoreProfile ? { scoreProfile } : {}),
+  })}`;
+
+  return (
+    <div className="mb-6">
+      <h4 className="text-sm font-semibold text-gray-900 dark:text-white mb-1">{t.export}</h4>
+      <p className="text-xs text-gray-500 mb-2">{t.exportHint}</p>
+      <div className="flex flex-wrap gap-2">
+        {formats.map(format => (
+          <a key={format} href={exportUrl(format)} target="_blank" rel="noopener noreferrer" className="btn-secondary text-xs">
+            {t.exportFormats[format]}
+          </a>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Stable link to the site the backend hosts, re-rendered from each new analysis
+function HostedSiteLink({ url, repository, theme, includeGrowth, site, onChange, lang }: {
+  url: string;
+  repository: Repository;
+  theme: string;
+  includeGrowth: boolean;
+  site: HostedSite | null;
+  onChange: (site: HostedSite | null) => void;
+  lang: Language;
+}) {
+  const t = translations[lang];
+  const [slug, setSlug] = useState('');
+  const [description, setDescription] = useState('');
+  const [error, setError] = useState<string | null>(null);
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    setSlug(site?.slug ?? '');
+    setDescription(site?.overrides.description ?? '');
+  }, [site]);
+
+  // Hosted sites are public pages
+  if (repository.isPrivate) return null;
+
+  const request = async (method: 'PUT' | 'DELETE') => {
+    setError(null);
+
+    try {
+      const response = method === 'PUT'
+        ? await fetch(`${API_BASE}/site/hosted`, {
+          method,
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            url,
+            theme,
+            includeGrowth,
+            slug: slug.trim() || null,
+            overrides: { ...site?.overrides, description: description.trim() },
+          }),
+        })
+        : await fetch(`${API_BASE}/site/hosted?${new URLSearchParams({ url })}`, { method });
+      const result = await response.json();
+      if (!response.ok) {
+        const failure: ErrorResponse = result;
+        throw new Error(failure.message || [failure.details ?? []].flat().join(', ') || failure.error);
+      }
+      onChange(method === 'PUT' ? result : null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : t.publishFailed);
+    }
+  };
+
+  const copy = async () => {
+    if (!site) return;
+    await navigator.clipboard.writeText(site.url).catch(() => undefined);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  return (
+    <div className="mt-6">
+      <h4 className="text-sm font-semibold text-gray-900 dark:text-white mb-1">{t.hostedSite}</h4>
+      <p className="text-xs text-gray-500 mb-2">{t.hostedSiteHint}</p>
+      {site && (
+        <div className="flex items-start space-x-2 mb-2">
+          <a
+            href={site.url}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="flex-1 p-2 rounded-md bg-gray-100 dark:bg-gray-700 text-xs text-primary-600 dark:text-primary-400 break-all"
+          >
+            {site.url}
+          </a>
+          <button onClick={copy} className="btn-secondary text-xs">{copied ? t.copied : t.copy}</button>
+        </div>
+      )}
+      <div className="grid gap-2 sm:grid-cols-2 mb-2">
+        <input
+          type="text"
+          value={slug}
+          onChange={(e) => setSlug(e.target.value)}
+          placeholder={t.slug}
+          aria-label={t.slug}
+          className="px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-white"
+        />
+        <input
+          type="text"
+          value={description}
+          onChange={(e) => setDescription(e.target.value)}
+          placeholder={t.descriptionOverride}
+          aria-label={t.descriptionOverride}
+          className="px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-white"
+        />
+      </div>
+      <div className="flex flex-wrap gap-2">
+        <button onClick={() => request('PUT')} className="btn-secondary text-xs flex items-center space-x-1">
+          <Globe className="w-3 h-3" />
+          <span>{site ? t.updateSite : t.publishSite}</span>
+        </button>
+        {site && (
+          <button onClick={() => request('DELETE')} className="btn-secondary text-xs">{t.unpublishSite}</button>
+        )}
+      </div>
+      {error && (
+        <p className="mt-2 text-sm text-red-600 dark:text-red-300 flex items-center space-x-2">
+          <AlertCircle className="w-4 h-4" />
+          <span>{error}</span>
+        </p>
+      )}
+    </div>
+  );
+}
+
+// "3 days ago" in the display language
+function formatTimeSince(date: string, lang: Language): string {
+  const days = Math.round((Date.parse(date) - Date.now()) / (24 * 60 * 60 * 1000));
+  const relative = new Intl.RelativeTimeFormat(lang, { numeric: 'auto' });
+  if (Math.abs(days) < 60) return relative.format(days, 'day');
+  if (Math.abs(days) < 730) return relative.format(Math.round(days / 30), 'month');
+  return relative.format(Math.round(days / 365), 'year');
+}
+
+// Weekly commit bars, top contributors and the release timeline
+function ActivityView({ analytics, lang }: { analytics: Analytics; lang: Language }) {
+  const t = translations[lang];
+  const { commitActivity, topContributors = [], releases = [], lastReleaseAt } = analytics;
+  const weeks = commitActivity?.weeks || [];
+  const maxCommits = Math.max(...weeks.map(week => week.commits), 1);
+
+  return (
+    <>
+      {(weeks.length > 0 || commitActivity?.status === 'computing') && (
+        <div className="mb-6">
+          <h4 className="text-sm font-semibold text-gray-900 dark:text-white mb-1">{t.activity}</h4>
+          {weeks.length > 0 ? (
+            <>
+              <p className="text-xs text-gray-500 mb-3">
+                {format(t.activitySummary, {
+                  count: weeks.reduce((sum, week) => sum + week.commits, 0).toLocaleString(),
+                  weeks: weeks.length
+                })}
+              </p>
+              <div className="flex items-end h-16 gap-px">
+                {weeks.map(week => (
+                  <div
+                    key={week.week}
+                    title={`${new Date(week.week).toLocaleDateString()}: ${week.commits}`}
+                    className="flex-1 bg-primary-500 rounded-t-sm"
+                    style={{ height: `${(week.commits / maxCommits) * 100}%` }}
+                  />
+                ))}
+              </div>
+            </>
+          ) : (
+            <p className="text-xs text-gray-500">{t.activityComputing}</p>
+          )}
+        </div>
+      )}
+
+      {topContributors.length > 0 && (
+        <div className="mb-6">
+          <h4 className="text-sm font-semibold text-gray-900 dark:text-white mb-3">{t.topContributors}</h4>
+          <ul className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+            {topContributors.map(contributor => (
+              <li key={contributor.login || contributor.name} className="flex items-center space-x-2 text-sm">
+                {contributor.avatar && (
+                  <img src={contributor.avatar} alt="" className="w-6 h-6 rounded-full" loading="lazy" />
+                )}
+                {contributor.url ? (
+                  <a href={contributor.url} target="_blank" rel="noopener noreferrer" className="text-gray-900 dark:text-white hover:underline">
+                    {contributor.login || contributor.name}
+                  </a>
+                ) : (
+                  <span className="text-gray-900 dark:text-white">{contributor.login || contributor.name}</span>
+                )}
+                <span className="ml-auto text-xs text-gray-500">
+                  {format(t.commits, { count: contributor.commits.toLocaleString() })}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {releases.length > 0 && (
+        <div className="mb-6">
+          <h4 className="text-sm font-semibold text-gray-900 dark:text-white mb-1">{t.releases}</h4>
+          {lastReleaseAt && (
+            <p className="text-xs text-gray-500 mb-3">
+              {format(t.lastRelease, { time: formatTimeSince(lastReleaseAt, lang) })}
+            </p>
+          )}
+          <ol className="border-l-2 border-gray-200 dark:border-gray-600 space-y-3">
+            {releases.slice(0, 5).map(release => (
+              <li key={release.tag} className="pl-4">
+                <div className="flex items-center space-x-2 text-sm">
+                  {release.url ? (
+                    <a href={release.url} target="_blank" rel="noopener noreferrer" className="font-medium text-gray-900 dark:text-white hover:underline">
+                      {release.name}
+                    </a>
+                  ) : (
+                    <span className="font-medium text-gray-900 dark:text-white">{release.name}</span>
+                  )}
+                  {release.prerelease && (
+                    <span className="px-1.5 py-0.5 rounded text-xs bg-yellow-100 text-yellow-800 dark:bg-yellow-800 dark:text-yellow-100">
+                      {t.prerelease}
+                    </span>
+                  )}
+                </div>
+                <p className="text-xs text-gray-500">
+                  {release.tag}
+                  {release.publishedAt && ` · ${new Date(release.publishedAt).toLocaleDateString()}`}
+                </p>
+                {release.notes && (
+                  <p className="mt-1 text-xs text-gray-600 dark:text-gray-400 line-clamp-2">{release.notes}</p>
+                )}
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+    </>
+  );
+}
+
 // Repository analysis result component
-function AnalysisResult({ data }: { data: AnalysisData }) {
+function AnalysisResult({ data, url }: { data: AnalysisData; url: string }) {
   const [lang] = useState<Language>('en'); // Could be made dynamic
+  const [siteError, setSiteError] = useState<string | null>(null);
+  const [themes, setThemes] = useState<ThemeOption[]>([]);
+  const [theme, setTheme] = useState('classic');
+  const [history, setHistory] = useState<{ snapshots: HistorySnapshot[]; diff: HistoryDiff } | null>(null);
+  const [includeGrowth, setIncludeGrowth] = useState(false);
+  const [siteUrl, setSiteUrl] = useState('');
+  const [analysis, setAnalysis] = useState(data.analysis);
+  const [profiles, setProfiles] = useState<ScoreProfileOption[]>([]);
+  const [showBreakdown, setShowBreakdown] = useState(false);
+  const [hostedSite, setHostedSite] = useState<HostedSite | null>(null);
   const t = translations[lang];
 
-  const openGeneratedWebsite = () => {
-    const websiteHtml = generateWebsiteHTML(data);
-    const blob = new Blob([websiteHtml], { type: 'text/html' });
-    const url = URL.createObjectURL(blob);
-    window.open(url, '_blank');
+  useEffect(() => setAnalysis(data.analysis), [data.analysis]);
+
+  useEffect(() => {
+    if (data.repository.isPrivate) return;
+    fetch(`${API_BASE}/site/hosted?${new URLSearchParams({ url })}`)
+      .then(response => (response.ok ? response.json() : null))
+      .then((result: HostedSite | null) => setHostedSite(result))
+      .catch(() => setHostedSite(null));
+  }, [url, data.repository.isPrivate]);
+
+  useEffect(() => {
+    fetch(`${API_BASE}/repository/score-profiles`)
+      .then(response => response.json())
+      .then((result: { profiles: ScoreProfileOption[] }) => setProfiles(result.profiles))
+      .catch(() => setProfiles([]));
+  }, []);
+
+  // Re-scoring is served from the cached analysis
+  const changeScoreProfile = async (scoreProfile: string) => {
+    try {
+      const response = await fetch(`${API_BASE}/repository/analyze`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ url, scoreProfile })
+      });
+      if (!response.ok) return;
+      const result: AnalysisResponse = await response.json();
+      setAnalysis(result.data.analysis);
+    } catch {
+      // Keep the current score
+    }
+  };
+
+  useEffect(() => {
+    // History is recorded for public repositories addressable as owner/repo
+    const [owner, repo, ...rest] = data.repository.fullName.split('/');
+    if (data.repository.isPrivate || rest.length > 0) return;
+
+    const path = `${API_BASE}/repository/history/${owner}/${repo}`;
+    const query = `?host=${encodeURIComponent(data.repository.host || 'github.com')}`;
+    Promise.all([fetch(path + query), fetch(`${path}/diff${query}`)])
+      .then(async ([snapshots, diff]) => {
+        if (!snapshots.ok || !diff.ok) return;
+        const result: { snapshots: HistorySnapshot[] } = await snapshots.json();
+        if (result.snapshots.length > 1) setHistory({ snapshots: result.snapshots, diff: await diff.json() });
+      })
+      .catch(() => setHistory(null));
+  }, [data.repository.fullName, data.repository.host, data.repository.isPrivate]);
+
+  useEffect(() => {
+    fetch(`${API_BASE}/site/themes`)
+      .then(response => response.json())
+      .then((result: { themes: ThemeOption[]; defaultTheme: string }) => {
+        setThemes(result.themes);
+        setTheme(result.defaultTheme);
+      })
+      .catch(() => setThemes([]));
+  }, []);
+
+  const openGeneratedWebsite = async () => {
+    // The hosted site has a link worth keeping, unless its settings differ
+    if (hostedSite && hostedSite.theme === theme && hostedSite.includeGrowth === includeGrowth) {
+      window.open(hostedSite.url, '_blank', 'noopener');
+      return;
+    }
+
+    // Open the tab synchronously so popup blockers allow it
+    const preview = window.open('', '_blank');
+    setSiteError(null);
+
+    try {
+      const response = await requestSite('preview', url, theme, includeGrowth, siteUrl);
+      const blob = new Blob([await response.text()], { type: 'text/html' });
+      if (preview) preview.location.href = URL.createObjectURL(blob);
+    } catch (err) {
+      preview?.close();
+      setSiteError(err instanceof Error ? err.message : t.siteFailed);
+    }
+  };
+
+  const downloadWebsite = async () => {
+    setSiteError(null);
+
+    try {
+      const response = await requestSite('generate', url, theme, includeGrowth, siteUrl);
+      const filename = response.headers.get('Content-Disposition')?.match(/filename="(.+)"/)?.[1]
+        || `${data.repository.name}-site.zip`;
+
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(await response.blob());
+      link.download = filename;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    } catch (err) {
+      setSiteError(err instanceof Error ? err.message : t.siteFailed);
+    }
   };
 
   return (
@@ -208,7 +874,7 @@ function AnalysisResult({ data }: { data: AnalysisData }) {
       <div className="flex items-center justify-between mb-6">
         <div className="flex items-center space-x-4">
           <img 
-            src={data.repository.owner.avatar} 
+            src={data.repository.owner.avatar ?? undefined} 
             alt={data.repository.owner.login}
             className="w-12 h-12 rounded-full"
           />
@@ -222,6 +888,12 @@ function AnalysisResult({ data }: { data: AnalysisData }) {
           </div>
         </div>
         <div className="flex items-center space-x-2">
+          {data.repository.isPrivate && (
+            <span className="inline-flex items-center space-x-1 px-2.5 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-100">
+              <Lock className="w-3 h-3" />
+              <span>{t.privateRepository}</span>
+            </span>
+          )}
           <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800 dark:bg-green-800 dark:text-green-100">
             {t.success}
           </span>
@@ -263,14 +935,31 @@ function AnalysisResult({ data }: { data: AnalysisData }) {
           </div>
           <div className="text-xs text-gray-500">{t.watchers}</div>
         </div>
-        <div className="text-center p-3 bg-gray-50 dark:bg-gray-700 rounded-lg">
+        <button
+          type="button"
+          onClick={() => setShowBreakdown(!showBreakdown)}
+          disabled={!analysis.breakdown}
+          aria-expanded={showBreakdown}
+          className="text-center p-3 bg-gray-50 dark:bg-gray-700 rounded-lg enabled:hover:ring-2 enabled:hover:ring-primary-300"
+        >
           <div className="text-lg font-semibold text-gray-900 dark:text-white">
-            {data.analysis.score}
+            {analysis.score}
           </div>
           <div className="text-xs text-gray-500">{t.score}</div>
-        </div>
+          {analysis.breakdown && (
+            <div className="text-xs text-primary-600 dark:text-primary-400 mt-1">{t.whyScore}</div>
+          )}
+        </button>
       </div>
 
+      {showBreakdown && (
+        <BreakdownView analysis={analysis} profiles={profiles} onProfileChange={changeScoreProfile} t={t} />
+      )}
+
+      {history && <TrendView snapshots={history.snapshots} diff={history.diff} t={t} />}
+
+      {data.analytics && <ActivityView analytics={data.analytics} lang={lang} />}
+
       {/* Tech Stack */}
       {Object.values(data.techStack).some(arr => arr.length > 0) && (
         <div className="mb-6">
@@ -294,6 +983,31 @@ function AnalysisResult({ data }: { data: AnalysisData }) {
         </div>
       )}
 
+      {/* Workspace packages */}
+      {data.workspace?.isMonorepo && data.workspace.packages.length > 0 && (
+        <div className="mb-6">
+          <h4 className="text-sm font-semibold text-gray-900 dark:text-white mb-3">
+            {t.packages}
+            {data.workspace.tools.length > 0 && (
+              <span className="ml-2 text-xs font-normal text-gray-500">{data.workspace.tools.join(', ')}</span>
+            )}
+          </h4>
+          <ul className="space-y-2">
+            {data.workspace.packages.map(pkg => (
+              <li key={pkg.path} className="flex flex-wrap items-center gap-2 text-sm">
+                <code className="text-xs text-gray-700 dark:text-gray-300">{pkg.path}</code>
+                {pkg.name && <span className="text-xs text-gray-500">{pkg.name}</span>}
+                {Object.values(pkg.techStack).flat().map(tech => (
+                  <span key={tech} className="inline-flex items-center px-2 py-0.5 rounded-md text-xs bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-200">
+                    {tech}
+                  </span>
+                ))}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {/* Features */}
       {data.features.length > 0 && (
         <div className="mb-6">
@@ -309,6 +1023,57 @@ function AnalysisResult({ data }: { data: AnalysisData }) {
         </div>
       )}
 
+      <EmbedSnippet repository={data.repository} lang={lang} />
+
+      <ExportLinks repository={data.repository} scoreProfile={analysis.scoreProfile} lang={lang} />
+
+      {themes.length > 0 && (
+        <div className="mb-4">
+          <label htmlFor="site-theme" className="block text-sm font-semibold text-gray-900 dark:text-white mb-2">
+            {t.theme}
+          </label>
+          <select
+            id="site-theme"
+            value={theme}
+            onChange={(e) => setTheme(e.target.value)}
+            className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-white"
+          >
+            {themes.map(option => (
+              <option key={option.name} value={option.name}>
+                {option.label} — {option.description}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {history && (
+        <label className="mb-4 flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+          <input
+            type="checkbox"
+            checked={includeGrowth}
+            onChange={(e) => setIncludeGrowth(e.target.checked)}
+            className="rounded border-gray-300 dark:border-gray-600"
+          />
+          <span>{t.includeGrowth}</span>
+        </label>
+      )}
+
+      <div className="mb-4">
+        <label htmlFor="site-url" className="block text-sm font-semibold text-gray-900 dark:text-white mb-2">
+          {t.siteUrl}
+        </label>
+        <input
+          id="site-url"
+          type="url"
+          value={siteUrl}
+          onChange={(e) => setSiteUrl(e.target.value)}
+          placeholder={`https://${data.repository.owner.login.toLowerCase()}.github.io/${data.repository.name}/`}
+          className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-white"
+        />
+        <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">{t.siteUrlHint}</p>
+      </div>
+
       <div className="flex space-x-3">
         <button
           onClick={openGeneratedWebsite}
@@ -317,6 +1082,13 @@ function AnalysisResult({ data }: { data: AnalysisData }) {
           <ExternalLink className="w-4 h-4" />
           <span>{t.viewWebsite}</span>
         </button>
+        <button
+          onClick={downloadWebsite}
+          className="btn-secondary flex items-center justify-center space-x-2"
+        >
+          <Download className="w-4 h-4" />
+          <span>{t.downloadWebsite}</span>
+        </button>
         <a
           href={data.repository.url}
           target="_blank"
@@ -327,269 +1099,99 @@ function AnalysisResult({ data }: { data: AnalysisData }) {
           <span>GitHub</span>
         </a>
       </div>
-    </div>
-  );
-}
-
-// Generate website HTML
-function generateWebsiteHTML(data: AnalysisData): string {
-  const techStackItems = Object.entries(data.techStack)
-    .filter(([, technologies]) => technologies.length > 0)
-    .map(([category, technologies]) => 
-      `<div class="tech-category">
-        <h4>${category.charAt(0).toUpperCase() + category.slice(1)}</h4>
-        <div class="tech-tags">
-          ${technologies.map(tech => `<span class="tech-tag">${tech}</span>`).join('')}
-        </div>
-      </div>`
-    ).join('');
-
-  const featuresHtml = data.features.length > 0 
-    ? `<section class="features">
-        <h2>Features</h2>
-        <ul class="feature-list">
-          ${data.features.map(feature => `<li>${feature}</li>`).join('')}
-        </ul>
-      </section>`
-    : '';
-
-  return `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${data.repository.name} - Generated by RepoSite</title>
-    <style>
-        * { margin: 0; padding: 0; box-sizing: border-box; }
-        body { 
-            font-family: 'Inter', -apple-system, BlinkMacSystemFont, sans-serif; 
-            line-height: 1.6; 
-            color: #333; 
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            min-height: 100vh;
-        }
-        .container { max-width: 1200px; margin: 0 auto; padding: 20px; }
-        .hero { 
-            background: rgba(255,255,255,0.95); 
-            border-radius: 20px; 
-            padding: 60px 40px; 
-            margin-bottom: 40px;
-            backdrop-filter: blur(10px);
-            box-shadow: 0 20px 40px rgba(0,0,0,0.1);
-        }
-        .hero h1 { 
-            font-size: 3rem; 
-            font-weight: 700; 
-            margin-bottom: 20px; 
-            background: linear-gradient(135deg, #667eea, #764ba2);
-            -webkit-background-clip: text;
-            -webkit-text-fill-color: transparent;
-        }
-        .description { 
-            font-size: 1.2rem; 
-            color: #666; 
-            margin-bottom: 30px; 
-        }
-        .stats { 
-            display: grid; 
-            grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); 
-            gap: 20px; 
-            margin-bottom: 40px; 
-        }
-        .stat { 
-            background: white; 
-            padding: 20px; 
-            border-radius: 15px; 
-            text-align: center;
-            box-shadow: 0 5px 15px rgba(0,0,0,0.08);
-        }
-        .stat-value { 
-            font-size: 2rem; 
-            font-weight: 700; 
-            color: #667eea; 
-        }
-        .stat-label { 
-            color: #666; 
-            font-size: 0.9rem; 
-        }
-        .section { 
-            background: rgba(255,255,255,0.95); 
-            border-radius: 20px; 
-            padding: 40px; 
-            margin-bottom: 30px;
-            backdrop-filter: blur(10px);
-            box-shadow: 0 10px 30px rgba(0,0,0,0.08);
-        }
-        .section h2 { 
-            font-size: 2rem; 
-            margin-bottom: 25px; 
-            color: #333; 
-        }
-        .tech-stack { 
-            display: grid; 
-            gap: 20px; 
-        }
-        .tech-category h4 { 
-            color: #667eea; 
-            margin-bottom: 10px; 
-            font-weight: 600;
-        }
-        .tech-tags { 
-            display: flex; 
-            flex-wrap: wrap; 
-            gap: 8px; 
-        }
-        .tech-tag { 
-            background: linear-gradient(135deg, #667eea, #764ba2); 
-            color: white; 
-            padding: 8px 16px; 
-            border-radius: 25px; 
-            font-size: 0.9rem;
-            font-weight: 500;
-        }
-        .feature-list { 
-            list-style: none; 
-        }
-        .feature-list li { 
-            padding: 10px 0; 
-            border-bottom: 1px solid #eee; 
-            position: relative;
-            padding-left: 25px;
-        }
-        .feature-list li::before {
-            content: "✓";
-            position: absolute;
-            left: 0;
-            color: #667eea;
-            font-weight: bold;
-        }
-        .links { 
-            display: flex; 
-            gap: 20px; 
-            justify-content: center;
-            margin-top: 40px;
-        }
-        .btn { 
-            padding: 15px 30px; 
-            border-radius: 10px; 
-            text-decoration: none; 
-            font-weight: 600;
-            transition: all 0.3s ease;
-        }
-        .btn-primary { 
-            background: linear-gradient(135deg, #667eea, #764ba2); 
-            color: white; 
-        }
-        .btn-secondary { 
-            background: rgba(102, 126, 234, 0.1); 
-            color: #667eea; 
-            border: 2px solid #667eea;
-        }
-        .btn:hover { 
-            transform: translateY(-2px); 
-            box-shadow: 0 10px 25px rgba(0,0,0,0.15);
-        }
-        .footer { 
-            text-align: center; 
-            padding: 40px; 
-            color: rgba(255,255,255,0.8);
-        }
-        @media (max-width: 768px) {
-            .hero { padding: 40px 20px; }
-            .hero h1 { font-size: 2rem; }
-            .section { padding: 20px; }
-            .links { flex-direction: column; align-items: center; }
-        }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="hero">
-            <h1>${data.repository.name}</h1>
-            <p class="description">${data.repository.description || 'An amazing project built with modern technologies'}</p>
-            
-            <div class="stats">
-                <div class="stat">
-                    <div class="stat-value">${data.repository.stars.toLocaleString()}</div>
-                    <div class="stat-label">Stars</div>
-                </div>
-                <div class="stat">
-                    <div class="stat-value">${data.repository.forks.toLocaleString()}</div>
-                    <div class="stat-label">Forks</div>
-                </div>
-                <div class="stat">
-                    <div class="stat-value">${data.repository.language || 'Multi'}</div>
-                    <div class="stat-label">Language</div>
-                </div>
-                <div class="stat">
-                    <div class="stat-value">${data.analysis.score}</div>
-                    <div class="stat-label">Quality Score</div>
-                </div>
-            </div>
-        </div>
-
-        ${techStackItems ? `<div class="section">
-            <h2>Technology Stack</h2>
-            <div class="tech-stack">${techStackItems}</div>
-        </div>` : ''}
 
-        ${featuresHtml}
-
-        <div class="section">
-            <h2>Project Information</h2>
-            <p><strong>Category:</strong> ${data.analysis.category}</p>
-            <p><strong>Complexity:</strong> ${data.analysis.complexity}</p>
-            <p><strong>Deployability:</strong> ${data.analysis.deployability}</p>
-            <p><strong>Last Updated:</strong> ${new Date(data.repository.updatedAt).toLocaleDateString()}</p>
-        </div>
-
-        <div class="links">
-            <a href="${data.repository.url}" target="_blank" class="btn btn-primary">View Source Code</a>
-            ${data.repository.homepage ? `<a href="${data.repository.homepage}" target="_blank" class="btn btn-secondary">Live Demo</a>` : ''}
-        </div>
-    </div>
+      {siteError && (
+        <p className="mt-4 text-sm text-red-600 dark:text-red-300 flex items-center space-x-2">
+          <AlertCircle className="w-4 h-4" />
+          <span>{siteError}</span>
+        </p>
+      )}
 
-    <div class="footer">
-        <p>Generated by <strong>RepoSite</strong> - Portfolio as a Service</p>
-        <p>Bringing GitHub repositories to life, one website at a time ✨</p>
+      {/* Publishers sign in with GitHub, so only github.com repositories are hosted */}
+      {(data.repository.host || 'github.com') === 'github.com' && (
+        <HostedSiteLink
+          url={url}
+          repository={data.repository}
+          theme={theme}
+          includeGrowth={includeGrowth}
+          site={hostedSite}
+          onChange={setHostedSite}
+          lang={lang}
+        />
+      )}
     </div>
-</body>
-</html>`;
+  );
 }
 
+// The backend decides whether the host is supported; this only checks the shape
+const validateRepositoryUrl = (url: string): boolean => {
+  const patterns = [
+    /^https?:\/\/[\w.-]+(:\d+)?(\/[\w.-]+){2,}\/?$/,
+    /^git@[\w.-]+:[\w.-]+(\/[\w.-]+)+$/
+  ];
+  return patterns.some(pattern => pattern.test(url.trim()));
+};
+
 // Main App Component
 function App() {
   const { theme, toggleTheme } = useTheme();
   const [lang, setLang] = useState<Language>('en');
   const [repoUrl, setRepoUrl] = useState('');
   const [isAnalyzing, setIsAnalyzing] = useState(false);
-  const [currentStep, setCurrentStep] = useState(0);
+  const [steps, setSteps] = useState<AnalysisStep[]>([]);
   const [analysisData, setAnalysisData] = useState<AnalysisData | null>(null);
   const [error, setError] = useState<string | null>(null);
+  const [rateLimit, setRateLimit] = useState<RateLimitStatus | null>(null);
+  const [session, setSession] = useState<AuthSession | null>(null);
 
   const t = translations[lang];
 
-  const analysisSteps = [
-    t.connecting,
-    `${t.fetching}...`,
-    t.analyzing,
-    t.parsing,
-    t.building,
-    t.populating,
-    t.deploying,
-    t.finalizing
-  ];
+  useEffect(() => {
+    fetch(`${API_BASE}/auth/session`)
+      .then(response => response.json())
+      .then((status: AuthSession) => setSession(status))
+      .catch(() => setSession(null));
+
+    // The OAuth callback redirects back here with ?authError=... on failure
+    const params = new URLSearchParams(window.location.search);
+    if (params.has('authError')) {
+      setError(translations.en.signInFailed);
+      window.history.replaceState(null, '', window.location.pathname);
+    }
+  }, []);
 
-  const validateGitHubUrl = (url: string): boolean => {
-    const patterns = [
-      /^https?:\/\/github\.com\/[\w\.-]+\/[\w\.-]+\/?$/,
-      /^https?:\/\/github\.com\/[\w\.-]+\/[\w\.-]+\.git$/
-    ];
-    return patterns.some(pattern => pattern.test(url.trim()));
+  const signOut = async () => {
+    await fetch(`${API_BASE}/auth/logout`, { method: 'POST' }).catch(() => undefined);
+    setSession(prev => prev && { ...prev, authenticated: false, user: null });
+    setAnalysisData(null);
   };
 
-  const analyzeRepository = async () => {
-    if (!validateGitHubUrl(repoUrl)) {
+  const refreshRateLimit = useCallback(() => {
+    fetch(`${API_BASE}/github/rate-limit`)
+      .then(response => response.json())
+      .then((status: RateLimitStatus) => setRateLimit(status))
+      .catch(() => setRateLimit(null));
+  }, []);
+
+  useEffect(refreshRateLimit, [refreshRateLimit]);
+
+  const coreLimit = rateLimit?.resources.core;
+  const rateLimitWarning = coreLimit && coreLimit.remaining < RATE_LIMIT_WARNING_THRESHOLD
+    ? format(coreLimit.remaining === 0 ? t.rateLimitExhausted : t.rateLimitLow, {
+      remaining: coreLimit.remaining,
+      limit: coreLimit.limit,
+      reset: new Date(coreLimit.reset).toLocaleTimeString(lang),
+    })
+    : null;
+
+  const describeStep = (step: AnalysisStep): string => {
+    if (step.status === 'failed') return t.stepsFailed[step.step];
+    if (step.step === 'getReadme' && step.status === 'completed' && step.empty) return t.noReadme;
+    return t.steps[step.step];
+  };
+
+  const analyzeRepository = useCallback(async (url = repoUrl) => {
+    if (!validateRepositoryUrl(url)) {
       setError(t.invalidUrl);
       return;
     }
@@ -597,51 +1199,68 @@ function App() {
     setIsAnalyzing(true);
     setError(null);
     setAnalysisData(null);
-    setCurrentStep(0);
+    setSteps([]);
 
     try {
-      // Simulate step progression
-      const stepInterval = setInterval(() => {
-        setCurrentStep(prev => {
-          if (prev < analysisSteps.length - 1) {
-            return prev + 1;
-          } else {
-            clearInterval(stepInterval);
-            return prev;
-          }
-        });
-      }, 1500);
-
-      const response = await fetch('/api/repository/analyze', {
+      const response = await fetch(`${API_BASE}/repository/analyze/stream`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ url: repoUrl.trim() }),
+        body: JSON.stringify({ url: url.trim() }),
       });
 
-      const result: AnalysisResponse = await response.json();
-
       if (!response.ok) {
-        throw new Error(result.error || 'Analysis failed');
+        const result: ErrorResponse = await response.json();
+        throw new Error([result.details ?? []].flat().join(', ') || result.error || 'Analysis failed');
       }
 
-      clearInterval(stepInterval);
+      let result = null as AnalysisResponse | null;
+      let streamError = null as string | null;
+
+      await readAnalysisStream(response, (event) => {
+        if (event.event === 'step') {
+          const { step, status, empty, error: stepError } = event;
+          const update: AnalysisStep = { step, status, empty, error: stepError };
+          setSteps(prev => prev.some(existing => existing.step === step)
+            ? prev.map(existing => existing.step === step ? update : existing)
+            : [...prev, update]);
+        } else if (event.event === 'result') {
+          result = event;
+        } else {
+          streamError = event.message || event.error;
+        }
+      });
+
+      if (streamError) throw new Error(streamError);
+      if (!result) throw new Error('Analysis failed');
+
       setAnalysisData(result.data);
     } catch (err) {
       setError(err instanceof Error ? err.message : 'An unexpected error occurred');
     } finally {
       setIsAnalyzing(false);
-      setCurrentStep(0);
+      setSteps([]);
+      refreshRateLimit();
     }
-  };
+  }, [repoUrl, t, refreshRateLimit]);
+
+  // Badges and cards link here with ?url=... to show that repository
+  useEffect(() => {
+    const linkedUrl = new URLSearchParams(window.location.search).get('url');
+    if (!linkedUrl) return;
+
+    setRepoUrl(linkedUrl);
+    window.history.replaceState(null, '', window.location.pathname);
+    analyzeRepository(linkedUrl);
+  }, [analyzeRepository]);
 
   const resetForm = () => {
     setRepoUrl('');
     setAnalysisData(null);
     setError(null);
     setIsAnalyzing(false);
-    setCurrentStep(0);
+    setSteps([]);
   };
 
   return (
@@ -660,6 +1279,28 @@ function App() {
           </div>
           
           <div className="flex items-center space-x-4">
+            {session?.authenticated && session.user ? (
+              <div className="flex items-center space-x-2">
+                <img src={session.user.avatar} alt={session.user.login} className="w-8 h-8 rounded-full" />
+                <span className="text-sm font-medium text-gray-700 dark:text-gray-300">{session.user.login}</span>
+                <button
+                  onClick={signOut}
+                  title={t.signOut}
+                  className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors"
+                >
+                  <LogOut className="w-4 h-4" />
+                </button>
+              </div>
+            ) : session?.enabled && (
+              <a
+                href={`${API_BASE}/auth/github/login`}
+                className="btn-secondary flex items-center space-x-2 text-sm"
+              >
+                <Github className="w-4 h-4" />
+                <span>{t.signIn}</span>
+              </a>
+            )}
+
             <button
               onClick={() => setLang(lang === 'en' ? 'ja' : 'en')}
               className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors flex items-center space-x-1"
@@ -689,6 +1330,21 @@ function App() {
               {t.description}
             </p>
 
+            {/* Rate Limit Warning */}
+            {rateLimitWarning && (
+              <div className="max-w-2xl mx-auto mb-6 bg-yellow-50 dark:bg-yellow-900/20 border border-yellow-200 dark:border-yellow-800 rounded-xl p-4 flex items-center space-x-3 text-left">
+                <AlertCircle className="w-5 h-5 flex-shrink-0 text-yellow-500" />
+                <p className="text-sm text-yellow-800 dark:text-yellow-200">{rateLimitWarning}</p>
+              </div>
+            )}
+
+            {session?.enabled && !session.authenticated && (
+              <p className="max-w-2xl mx-auto mb-6 text-sm text-gray-600 dark:text-gray-400 flex items-center justify-center space-x-2">
+                <Lock className="w-4 h-4" />
+                <span>{t.signInHint}</span>
+              </p>
+            )}
+
             {/* Input Section */}
             <div className="glass dark:glass-dark rounded-2xl p-8 mb-8 max-w-2xl mx-auto">
               <div className="space-y-6">
@@ -704,7 +1360,7 @@ function App() {
                 </div>
                 
                 <button
-                  onClick={analyzeRepository}
+                  onClick={() => analyzeRepository()}
                   disabled={isAnalyzing || !repoUrl.trim()}
                   className="btn-primary w-full disabled:opacity-50 disabled:cursor-not-allowed disabled:transform-none"
                 >
@@ -729,11 +1385,14 @@ function App() {
                   </div>
                   
                   <div className="space-y-2">
-                    {analysisSteps.map((step, index) => (
+                    {steps.length === 0 && (
+                      <StatusMessage message={t.connecting} status="started" />
+                    )}
+                    {steps.map(step => (
                       <StatusMessage
-                        key={index}
-                        message={step}
-                        isActive={index === currentStep}
+                        key={step.step}
+                        message={describeStep(step)}
+                        status={step.status}
                       />
                     ))}
                   </div>
@@ -773,7 +1432,7 @@ function App() {
             </div>
 
             {/* Analysis Result */}
-            <AnalysisResult data={analysisData} />
+            <AnalysisResult data={analysisData} url={repoUrl.trim()} />
           </div>
         )}
       </main>
@@ -0,0 +1,2471 @@
+/**
+ * This file was auto-generated by openapi-typescript.
+ * Do not make direct changes to the file.
+ */
+
+export interface paths {
+    "/repository/analyze": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        get?: never;
+        put?: never;
+        /** Analyze a repository, or return its cached analysis */
+        post: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody: {
+                content: {
+                    "application/json": {
+                        /** @description GitHub, GitLab, Bitbucket or Gitea repository URL */
+                        url: string;
+                        /** @default false */
+                        forceRefresh?: boolean;
+                        /** @description Score profile; defaults to SCORE_PROFILE */
+                        scoreProfile?: string;
+                    };
+                };
+            };
+            responses: {
+                /** @description The analysis */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["AnalysisResponse"];
+                    };
+                };
+                /** @description Invalid request */
+                400: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Error"];
+                    };
+                };
+                /** @description The repository is not accessible */
+                403: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Error"];
+                    };
+                };
+                /** @description The repository does not exist or is not visible */
+                404: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Error"];
+                    };
+                };
+                /** @description The analysis failed */
+                500: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Error"];
+                    };
+                };
+                /** @description The host rate limit is exhausted; see `Retry-After` */
+                503: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Error"];
+                    };
+                };
+            };
+        };
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/repository/analyze/stream": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        get?: never;
+        put?: never;
+        /** Analyze a repository, streaming progress as NDJSON */
+        post: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody: paths["/repository/analyze"]["post"]["requestBody"];
+            responses: {
+                /** @description One AnalysisStreamEvent per line: step events, then a result or an error */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/x-ndjson": components["schemas"]["AnalysisStreamEvent"];
+                    };
+                };
+                /** @description Invalid request */
+                400: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Error"];
+                    };
+                };
+            };
+        };
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/repository/analyze/batch": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        get?: never;
+        put?: never;
+        /** Queue up to 100 repositories for analysis */
+        post: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody: {
+                content: {
+                    "application/json": components["schemas"]["BatchRequest"];
+                };
+            };
+            responses: {
+                /** @description The job was queued; poll its statusUrl */
+                202: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["BatchAccepted"];
+                    };
+                };
+                /** @description Invalid request */
+                400: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Error"];
+                    };
+                };
+            };
+        };
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/repository/history/{owner}/{repo}": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** Recorded analysis snapshots of a public repository */
+        get: {
+            parameters: {
+                query?: {
+                    /** @description Repository host */
+                    host?: string;
+                };
+                header?: never;
+                path: {
+                    /** @description Repository owner */
+                    owner: string;
+                    /** @description Repository name */
+                    repo: string;
+                };
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description Snapshots, oldest first */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["History"];
+                    };
+                };
+                /** @description Invalid request */
+                400: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Error"];
+                    };
+                };
+                /** @description No snapshots recorded */
+                404: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Error"];
+                    };
+                };
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/repository/history/{owner}/{repo}/diff": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** Changes between two snapshots */
+        get: {
+            parameters: {
+                query?: {
+                    /** @description Repository host */
+                    host?: string;
+                    /** @description Snapshot id or date; defaults to the oldest */
+                    from?: string;
+                    /** @description Snapshot id or date; defaults to the latest */
+                    to?: string;
+                };
+                header?: never;
+                path: {
+                    /** @description Repository owner */
+                    owner: string;
+                    /** @description Repository name */
+                    repo: string;
+                };
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description The changes */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["HistoryDiff"];
+                    };
+                };
+                /** @description Invalid request */
+                400: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Error"];
+                    };
+                };
+                /** @description No snapshots recorded, or none matches */
+                404: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Error"];
+                    };
+                };
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/repository/export/schema": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** JSON Schema of the json export format */
+        get: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description The JSON Schema */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/schema+json": Record<string, never>;
+                    };
+                };
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/repository/export/{owner}/{repo}": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** Export a cached analysis */
+        get: {
+            parameters: {
+                query?: {
+                    /** @description Repository host */
+                    host?: string;
+                    format?: "json" | "markdown" | "json-resume" | "resume-html";
+                    scoreProfile?: string;
+                };
+                header?: never;
+                path: {
+                    /** @description Repository owner */
+                    owner: string;
+                    /** @description Repository name */
+                    repo: string;
+                };
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description The analysis in the requested format */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["AnalysisExport"] | Record<string, never>;
+                        "text/markdown": string;
+                        "text/html": string;
+                    };
+                };
+                /** @description Invalid request */
+                400: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Error"];
+                    };
+                };
+                /** @description The repository has not been analyzed */
+                404: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Error"];
+                    };
+                };
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/repository/status/{owner}/{repo}": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** Cache status of a GitHub repository */
+        get: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path: {
+                    /** @description Repository owner */
+                    owner: string;
+                    /** @description Repository name */
+                    repo: string;
+                };
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description Cache status */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["CacheStatus"];
+                    };
+                };
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/repository/score-profiles": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** Available score profiles */
+        get: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description Score profiles */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": {
+                            profiles: components["schemas"]["ScoreProfile"][];
+                            defaultProfile: string;
+                        };
+                    };
+                };
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/repository/recent": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** Recently analyzed public repositories */
+        get: {
+            parameters: {
+                query?: {
+                    page?: number;
+                    limit?: number;
+                };
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description Repositories, newest first */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["RepositoryList"];
+                    };
+                };
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/repository/cache/{owner}/{repo}": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        get?: never;
+        put?: never;
+        post?: never;
+        /** Remove the cached analysis of a GitHub repository */
+        delete: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path: {
+                    /** @description Repository owner */
+                    owner: string;
+                    /** @description Repository name */
+                    repo: string;
+                };
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description The entry was removed */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": {
+                            message: string;
+                            clearedEntry: {
+                                fullName?: string;
+                                /** Format: date-time */
+                                lastAnalyzed?: string;
+                            };
+                        };
+                    };
+                };
+                /** @description No cached analysis */
+                404: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Error"];
+                    };
+                };
+            };
+        };
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/cache/stats": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** Cache statistics and the most accessed repositories */
+        get: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description Statistics */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["CacheStats"];
+                    };
+                };
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/cache/search": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** Search cached repositories by name, description, language or topic */
+        get: {
+            parameters: {
+                query?: {
+                    /** @description Search text */
+                    q?: string;
+                    page?: number;
+                    limit?: number;
+                };
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description Matching repositories, most accessed first */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["RepositoryList"];
+                    };
+                };
+                /** @description Invalid request */
+                400: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Error"];
+                    };
+                };
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/cache/cleanup": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        get?: never;
+        put?: never;
+        post?: never;
+        /** Remove expired entries */
+        delete: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description Entries removed */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["CacheCleared"];
+                    };
+                };
+            };
+        };
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/cache/clear": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        get?: never;
+        put?: never;
+        post?: never;
+        /** Remove every entry */
+        delete: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description Entries removed */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["CacheCleared"];
+                    };
+                };
+            };
+        };
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/jobs/{id}": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** Status of a batch job */
+        get: {
+            parameters: {
+                query?: {
+                    /** @description Include each full analysis */
+                    includeData?: boolean;
+                };
+                header?: never;
+                path: {
+                    /** @description Job id */
+                    id: string;
+                };
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description The job */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Job"];
+                    };
+                };
+                /** @description No such job, or it expired */
+                404: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Error"];
+                    };
+                };
+            };
+        };
+        put?: never;
+        post?: never;
+        /** Cancel the queued items of a batch job */
+        delete: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path: {
+                    /** @description Job id */
+                    id: string;
+                };
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description The cancelled job */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Job"];
+                    };
+                };
+                /** @description No such job, or it expired */
+                404: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Error"];
+                    };
+                };
+            };
+        };
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/site/themes": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** Installed site themes */
+        get: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description Themes */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": {
+                            themes: components["schemas"]["Theme"][];
+                            defaultTheme: string;
+                        };
+                    };
+                };
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/site/generate": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        get?: never;
+        put?: never;
+        /** Download the static site of an analyzed repository */
+        post: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody: {
+                content: {
+                    "application/json": components["schemas"]["SiteRequest"];
+                };
+            };
+            responses: {
+                /** @description Zip bundle of the site */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/zip": string;
+                    };
+                };
+                /** @description Invalid request */
+                400: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Error"];
+                    };
+                };
+                /** @description The repository has not been analyzed */
+                404: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Error"];
+                    };
+                };
+                /** @description The theme needs analysis data the repository lacks */
+                422: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Error"];
+                    };
+                };
+            };
+        };
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/site/preview": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        get?: never;
+        put?: never;
+        /** Render the site as one HTML page */
+        post: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody: {
+                content: {
+                    "application/json": components["schemas"]["SiteRequest"];
+                };
+            };
+            responses: {
+                /** @description The page */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "text/html": string;
+                    };
+                };
+                /** @description Invalid request */
+                400: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Error"];
+                    };
+                };
+                /** @description The repository has not been analyzed */
+                404: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Error"];
+                    };
+                };
+                /** @description The theme needs analysis data the repository lacks */
+                422: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Error"];
+                    };
+                };
+            };
+        };
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/site/hosted": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** Settings and addresses of a hosted site */
+        get: {
+            parameters: {
+                query: {
+                    /** @description Repository URL */
+                    url: string;
+                };
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description The site */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["HostedSite"];
+                    };
+                };
+                /** @description Invalid request */
+                400: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Error"];
+                    };
+                };
+                /** @description The repository has no hosted site */
+                404: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Error"];
+                    };
+                };
+            };
+        };
+        /**
+         * Host the site of an analyzed public github.com repository at /sites/{owner}/{repo}/ and /p/{slug}/
+         * @description Pages are rendered from the latest analysis, so they follow the repository. Needs GitHub sign-in: only signed-in people who can push to the repository can publish it.
+         */
+        put: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody: {
+                content: {
+                    "application/json": components["schemas"]["HostedSiteRequest"];
+                };
+            };
+            responses: {
+                /** @description The site settings were updated */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["HostedSite"];
+                    };
+                };
+                /** @description The site was published */
+                201: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["HostedSite"];
+                    };
+                };
+                /** @description Invalid request, or the repository is not on github.com */
+                400: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Error"];
+                    };
+                };
+                /** @description Sign-in is required to publish */
+                401: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Error"];
+                    };
+                };
+                /** @description The repository is private, or the viewer cannot push to it */
+                403: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Error"];
+                    };
+                };
+                /** @description The repository has not been analyzed, or the viewer cannot see it */
+                404: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Error"];
+                    };
+                };
+                /** @description The slug belongs to another site */
+                409: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Error"];
+                    };
+                };
+                /** @description The theme needs analysis data the repository lacks */
+                422: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Error"];
+                    };
+                };
+                /** @description GitHub sign-in, which hosting needs, is not configured */
+                501: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Error"];
+                    };
+                };
+                /** @description The host rate limit is exhausted; see `Retry-After` */
+                503: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Error"];
+                    };
+                };
+            };
+        };
+        post?: never;
+        /** Stop hosting the site of a repository */
+        delete: {
+            parameters: {
+                query: {
+                    /** @description Repository URL */
+                    url: string;
+                };
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description The site was unpublished */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": {
+                            message: string;
+                            site: components["schemas"]["HostedSite"];
+                        };
+                    };
+                };
+                /** @description Invalid request */
+                400: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Error"];
+                    };
+                };
+                /** @description Sign-in is required to unpublish */
+                401: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Error"];
+                    };
+                };
+                /** @description The viewer cannot push to the repository */
+                403: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Error"];
+                    };
+                };
+                /** @description The repository has no hosted site */
+                404: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Error"];
+                    };
+                };
+                /** @description GitHub sign-in, which hosting needs, is not configured */
+                501: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Error"];
+                    };
+                };
+                /** @description The host rate limit is exhausted; see `Retry-After` */
+                503: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Error"];
+                    };
+                };
+            };
+        };
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/user/{login}/portfolio": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** Analyze the top repositories of a GitHub user or organization */
+        get: {
+            parameters: {
+                query?: {
+                    includeForks?: boolean;
+                    includeArchived?: boolean;
+                    /** @description Most repositories analyzed */
+                    limit?: number;
+                    /** @description Site theme */
+                    theme?: string;
+                };
+                header?: never;
+                path: {
+                    /** @description GitHub user or organization */
+                    login: string;
+                };
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description The portfolio */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Portfolio"];
+                    };
+                };
+                /** @description Invalid request */
+                400: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Error"];
+                    };
+                };
+                /** @description No such user */
+                404: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Error"];
+                    };
+                };
+                /** @description The host rate limit is exhausted; see `Retry-After` */
+                503: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Error"];
+                    };
+                };
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/user/{login}/site": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** Render the portfolio as one HTML page */
+        get: {
+            parameters: {
+                query?: {
+                    includeForks?: boolean;
+                    includeArchived?: boolean;
+                    /** @description Most repositories analyzed */
+                    limit?: number;
+                    /** @description Site theme */
+                    theme?: string;
+                };
+                header?: never;
+                path: {
+                    /** @description GitHub user or organization */
+                    login: string;
+                };
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description The page */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "text/html": string;
+                    };
+                };
+                /** @description Invalid request */
+                400: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Error"];
+                    };
+                };
+                /** @description No such user */
+                404: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Error"];
+                    };
+                };
+                /** @description The host rate limit is exhausted; see `Retry-After` */
+                503: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Error"];
+                    };
+                };
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/badge/{owner}/{repo}.svg": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** Shields-style badge of a public analysis */
+        get: {
+            parameters: {
+                query?: {
+                    /** @description Repository host */
+                    host?: string;
+                    metric?: "score" | "category" | "complexity";
+                    theme?: "light" | "dark";
+                    locale?: "en" | "ja";
+                };
+                header?: never;
+                path: {
+                    /** @description Repository owner */
+                    owner: string;
+                    /** @description Repository name */
+                    repo: string;
+                };
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description The badge, or a placeholder */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "image/svg+xml": string;
+                    };
+                };
+                /** @description Invalid request */
+                400: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Error"];
+                    };
+                };
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/card/{owner}/{repo}.svg": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** Summary card of a public analysis */
+        get: {
+            parameters: {
+                query?: {
+                    /** @description Repository host */
+                    host?: string;
+                    theme?: "light" | "dark";
+                    locale?: "en" | "ja";
+                };
+                header?: never;
+                path: {
+                    /** @description Repository owner */
+                    owner: string;
+                    /** @description Repository name */
+                    repo: string;
+                };
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description The card, or a placeholder */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "image/svg+xml": string;
+                    };
+                };
+                /** @description Invalid request */
+                400: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Error"];
+                    };
+                };
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/github/rate-limit": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** GitHub rate limits of the configured tokens */
+        get: {
+            parameters: {
+                query?: {
+                    /** @description Ask GitHub instead of using observed limits */
+                    refresh?: boolean;
+                };
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description Rate limits */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["RateLimitStatus"];
+                    };
+                };
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/auth/session": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** The signed-in viewer, if any */
+        get: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description The session */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["AuthSession"];
+                    };
+                };
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/auth/github/login": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** Start GitHub sign-in */
+        get: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description Redirect to GitHub */
+                302: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content?: never;
+                };
+                /** @description Sign-in is not configured */
+                501: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": components["schemas"]["Error"];
+                    };
+                };
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/auth/github/callback": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** GitHub OAuth callback */
+        get: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description Redirect to the frontend */
+                302: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content?: never;
+                };
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/auth/logout": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        get?: never;
+        put?: never;
+        /** Sign out */
+        post: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description Signed out */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": {
+                            /** @constant */
+                            authenticated: false;
+                        };
+                    };
+                };
+            };
+        };
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/openapi.json": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /** This document */
+        get: {
+            parameters: {
+                query?: never;
+                header?: never;
+                path?: never;
+                cookie?: never;
+            };
+            requestBody?: never;
+            responses: {
+                /** @description OpenAPI document */
+                200: {
+                    headers: {
+                        [name: string]: unknown;
+                    };
+                    content: {
+                        "application/json": Record<string, never>;
+                    };
+                };
+            };
+        };
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+}
+export type webhooks = Record<string, never>;
+export interface components {
+    schemas: {
+        Error: {
+            /** @description Short error title */
+            error: string;
+            /** @description What went wrong and what to do about it */
+            message?: string;
+            /** @description Validation messages */
+            details?: string[] | string;
+            /** @description When a rate limit resets */
+            resetTime?: string;
+            /** @description Analysis fields a theme needs */
+            missing?: string[];
+            /** @description Requested path of an unknown route */
+            path?: string;
+        };
+        Pagination: {
+            page: number;
+            limit: number;
+            total: number;
+            pages: number;
+        };
+        /** @description Technologies by category: frontend, backend, database, tools and frameworks */
+        TechStack: {
+            [key: string]: string[];
+        };
+        Owner: {
+            login: string;
+            avatar?: string | null;
+            /** @description "User" or "Organization" */
+            type?: string;
+        };
+        Repository: {
+            id: number | string;
+            name: string;
+            /** @description Owner and name, e.g. "octocat/hello-world" */
+            fullName: string;
+            owner: components["schemas"]["Owner"];
+            description?: string | null;
+            /** @description Web URL */
+            url: string;
+            cloneUrl?: string | null;
+            homepage?: string | null;
+            defaultBranch?: string | null;
+            topics: string[];
+            language?: string | null;
+            /** @description Size in KB */
+            size?: number;
+            stars: number;
+            forks: number;
+            watchers: number;
+            openIssues?: number;
+            createdAt?: string | null;
+            updatedAt?: string | null;
+            pushedAt?: string | null;
+            license?: string | null;
+            isPrivate?: boolean;
+            isFork?: boolean;
+            archived?: boolean;
+            /** @description Host kind: github, gitlab, bitbucket or gitea */
+            provider?: string;
+            /** @description Host name, e.g. "github.com" */
+            host?: string;
+        };
+        Readme: {
+            /** @description Markdown source */
+            content: string;
+            /** @description Sanitized HTML */
+            html: string;
+            filename?: string;
+            /** @description Path in the repository */
+            path?: string;
+            /** @description Structured README: title, tagline, badges, features, installation, usage, media and sections */
+            parsed?: Record<string, never>;
+        };
+        Languages: {
+            /** @description Bytes per language */
+            raw?: {
+                [key: string]: number;
+            };
+            stats: {
+                name: string;
+                /** @description Share of code with one decimal, e.g. "61.5" */
+                percentage: string;
+                bytes?: number;
+            }[];
+            /** @description Largest language, or "Unknown" */
+            primary: string;
+        };
+        Workspace: {
+            isMonorepo: boolean;
+            /** @description Workspace tools, e.g. "pnpm workspaces" */
+            tools: string[];
+            packages: {
+                path: string;
+                name: string | null;
+                manifests: string[];
+                techStack: components["schemas"]["TechStack"];
+            }[];
+        };
+        Practices: {
+            tests?: boolean;
+            /** @description CI services configured */
+            ci?: string[];
+            licenseFile?: string | null;
+            docs?: boolean;
+            contributing?: boolean;
+            changelog?: boolean;
+        };
+        Contributor: {
+            login: string | null;
+            name: string | null;
+            avatar: string | null;
+            commits: number;
+            url: string | null;
+        };
+        Release: {
+            tag: string;
+            name: string;
+            publishedAt: string | null;
+            url: string | null;
+            /** @description Release notes, shortened */
+            notes: string;
+            prerelease: boolean;
+        };
+        /** @description Empty when the host did not report analytics; analyses cached before activity analytics only carry the counts */
+        Analytics: {
+            commitCount?: number;
+            contributorCount?: number;
+            releaseCount?: number;
+            commitActivity?: {
+                /** @enum {unknown} */
+                status: "ready" | "computing" | "unavailable";
+                weeks: {
+                    /** @description Start of the week */
+                    week: string;
+                    commits: number;
+                }[];
+            };
+            topContributors?: components["schemas"]["Contributor"][];
+            releases?: components["schemas"]["Release"][];
+            lastReleaseAt?: string | null;
+        };
+        BreakdownFactor: {
+            id: string;
+            label: string;
+            points: number;
+            maxPoints: number;
+            reason: string;
+        };
+        ScoreBreakdown: {
+            profile: string;
+            label: string;
+            score: number;
+            points: number;
+            maxPoints: number;
+            factors: components["schemas"]["BreakdownFactor"][];
+        };
+        LevelBreakdown: {
+            level: string;
+            points: number;
+            maxPoints?: number;
+            thresholds?: {
+                [key: string]: number;
+            };
+            factors: components["schemas"]["BreakdownFactor"][];
+        };
+        Analysis: {
+            /** @description Kind of project, e.g. "Full-Stack Application" */
+            category: string;
+            /** @description Simple, Moderate or Complex */
+            complexity: string;
+            /** @description Low, Medium or High */
+            deployability: string;
+            /** @description 0-100 project score */
+            score: number;
+            /** @description Absent from analyses cached before scores were explained */
+            scoreProfile?: string;
+            breakdown?: {
+                score: components["schemas"]["ScoreBreakdown"];
+                complexity?: components["schemas"]["LevelBreakdown"];
+                deployability?: components["schemas"]["LevelBreakdown"];
+            };
+        };
+        AnalysisData: {
+            repository: components["schemas"]["Repository"];
+            readme: components["schemas"]["Readme"] | null;
+            languages: components["schemas"]["Languages"];
+            techStack: components["schemas"]["TechStack"];
+            workspace: components["schemas"]["Workspace"] | null;
+            practices?: components["schemas"]["Practices"] | null;
+            analytics?: components["schemas"]["Analytics"];
+            /** @description Features listed in the README */
+            features: string[];
+            analysis: components["schemas"]["Analysis"];
+            /** Format: date-time */
+            generatedAt: string;
+        };
+        AnalysisResponse: {
+            data: components["schemas"]["AnalysisData"];
+            cached: boolean;
+            /** @description Served from an expired entry while it refreshes */
+            stale?: boolean;
+            /** @description Joined an analysis already in progress */
+            coalesced?: boolean;
+            /** @description Milliseconds since the cached analysis */
+            cacheAge?: number;
+            /** @description Milliseconds the analysis took */
+            analysisTime?: number;
+            accessCount?: number;
+        };
+        AnalysisStep: {
+            /** @enum {unknown} */
+            step: "getRepository" | "getReadme" | "getLanguages" | "detectTechStack" | "getAnalytics";
+            /** @enum {unknown} */
+            status: "started" | "completed" | "failed";
+            /** @description The step completed without data, e.g. no README */
+            empty?: boolean;
+            error?: string;
+        };
+        /** @description One line of the NDJSON analysis stream */
+        AnalysisStreamEvent: ({
+            /** @constant */
+            event: "step";
+        } & components["schemas"]["AnalysisStep"]) | ({
+            /** @constant */
+            event: "result";
+        } & components["schemas"]["AnalysisResponse"]) | ({
+            /** @constant */
+            event: "error";
+            status: number;
+        } & components["schemas"]["Error"]);
+        BatchRequest: {
+            urls: string[];
+            /** @default false */
+            forceRefresh: boolean;
+            scoreProfile?: string;
+        };
+        BatchAccepted: {
+            jobId: string;
+            status: string;
+            total: number;
+            statusUrl: string;
+        };
+        Job: {
+            id: string;
+            /** @enum {unknown} */
+            status: "queued" | "running" | "completed" | "cancelled";
+            /** Format: date-time */
+            createdAt: string;
+            /** Format: date-time */
+            updatedAt?: string;
+            finishedAt?: string | null;
+            pausedUntil?: string | null;
+            progress: {
+                total: number;
+                queued?: number;
+                running?: number;
+                completed?: number;
+                failed?: number;
+                cancelled?: number;
+            };
+            items: {
+                url: string;
+                /** @enum {unknown} */
+                status: "queued" | "running" | "completed" | "failed" | "cancelled";
+                attempts?: number;
+                startedAt?: string | null;
+                finishedAt?: string | null;
+                result?: {
+                    fullName?: string;
+                    cached?: boolean;
+                    analysisTime?: number;
+                    score?: number;
+                    category?: string;
+                    data?: components["schemas"]["AnalysisData"];
+                } | null;
+                error?: ({
+                    status?: number;
+                } & components["schemas"]["Error"]) | null;
+            }[];
+        };
+        RepositorySummary: {
+            repositoryUrl: string;
+            fullName: string;
+            name: string;
+            description?: string | null;
+            language?: string | null;
+            stars: number;
+            topics: string[];
+            /** Format: date-time */
+            analyzedAt: string;
+            accessCount: number;
+        };
+        RepositoryList: {
+            /** @description Search query, for searches */
+            query?: string;
+            repositories: components["schemas"]["RepositorySummary"][];
+            pagination: components["schemas"]["Pagination"];
+        };
+        MetricChange: {
+            from: number;
+            to: number;
+            change: number;
+            percentChange: number | null;
+        };
+        ListChange: {
+            added: string[];
+            removed: string[];
+        };
+        HistorySnapshot: {
+            id: string;
+            /** Format: date-time */
+            takenAt: string;
+            stars: number;
+            forks: number;
+            watchers: number;
+            openIssues: number;
+            score: number;
+            category?: string | null;
+            complexity?: string | null;
+            languages?: {
+                name: string;
+                percentage: number;
+            }[];
+            techStack?: components["schemas"]["TechStack"];
+            features?: string[];
+            analytics?: {
+                commitCount?: number;
+                contributorCount?: number;
+                releaseCount?: number;
+            };
+        };
+        HistoryDiff: {
+            from: {
+                id: string;
+                /** Format: date-time */
+                takenAt: string;
+            };
+            to: {
+                id: string;
+                /** Format: date-time */
+                takenAt: string;
+            };
+            stars: components["schemas"]["MetricChange"];
+            forks: components["schemas"]["MetricChange"];
+            watchers: components["schemas"]["MetricChange"];
+            openIssues: components["schemas"]["MetricChange"];
+            score: components["schemas"]["MetricChange"];
+            languages: {
+                added: string[];
+                removed: string[];
+                /** @description Languages whose share moved by at least a point */
+                changed: {
+                    name: string;
+                    from: number;
+                    to: number;
+                    change: number;
+                }[];
+            };
+            techStack: {
+                added: {
+                    category?: string;
+                    technology?: string;
+                }[];
+                removed: {
+                    category?: string;
+                    technology?: string;
+                }[];
+            };
+            features: components["schemas"]["ListChange"];
+            category: {
+                from?: string | null;
+                to?: string | null;
+            } | null;
+        };
+        History: {
+            repositoryUrl: string;
+            total: number;
+            snapshots: components["schemas"]["HistorySnapshot"][];
+        };
+        CacheStatus: {
+            cached: boolean;
+            lastAnalyzed: string | null;
+            /** Format: date-time */
+            expiresAt?: string;
+            accessCount?: number;
+            isExpired?: boolean;
+        };
+        ScoreProfile: {
+            name: string;
+            label: string;
+            description: string;
+            /** @description Points per factor */
+            weights: {
+                [key: string]: number;
+            };
+        };
+        CacheStats: {
+            cache: {
+                store: string;
+                totalEntries: number;
+                validEntries: number;
+                expiredEntries?: number;
+                staleEntries?: number;
+                totalAccesses?: number;
+                avgAccessCount?: number;
+                oldestEntry?: string | null;
+                newestEntry?: string | null;
+                totalBytes?: number;
+                evictions?: number;
+                /** @description Accesses per entry, as a percentage */
+                hitRate: number;
+                limits?: {
+                    [key: string]: number;
+                };
+            };
+            topAccessed: {
+                fullName?: string;
+                accessCount?: number;
+                stars?: number;
+                language?: string | null;
+                /** Format: date-time */
+                lastAccessed?: string;
+            }[];
+        };
+        CacheCleared: {
+            message: string;
+            deletedEntries: number;
+            /** Format: date-time */
+            cleanupTime?: string;
+            /** Format: date-time */
+            clearTime?: string;
+        };
+        Theme: {
+            name: string;
+            label: string;
+            description: string;
+            /** @description Sections rendered, in order */
+            sections: string[];
+            /** @description Analysis fields (dot paths) the theme needs */
+            requires: string[];
+            isDefault: boolean;
+        };
+        SiteRequest: {
+            /** @description Repository URL */
+            url: string;
+            theme?: string;
+            /** @default false */
+            includeGrowth: boolean;
+            /** @description Where the site will be published */
+            siteUrl?: string;
+        };
+        HostedSiteRequest: {
+            /** @description Repository URL */
+            url: string;
+            theme?: string;
+            /** @default false */
+            includeGrowth: boolean;
+            slug?: string | null;
+            overrides?: components["schemas"]["HostedSiteOverrides"];
+        };
+        /** @description Repository details shown instead of the analyzed ones */
+        HostedSiteOverrides: {
+            name?: string;
+            description?: string;
+            homepage?: string;
+        };
+        HostedSite: {
+            /** @description Normalized repository URL */
+            repositoryUrl: string;
+            fullName: string;
+            theme: string;
+            includeGrowth: boolean;
+            slug: string | null;
+            overrides: components["schemas"]["HostedSiteOverrides"];
+            /** @description Address to share: the slug page when there is one */
+            url: string;
+            /** @description Every address the site is served at */
+            urls: string[];
+            /**
+             * Format: date-time
+             * @description When the site was first published
+             */
+            createdAt: string;
+            /**
+             * Format: date-time
+             * @description When its settings last changed
+             */
+            updatedAt: string;
+        };
+        Portfolio: {
+            profile: {
+                login: string;
+                name?: string | null;
+                type?: string;
+                bio?: string | null;
+                avatar?: string;
+                url?: string;
+                blog?: string | null;
+                company?: string | null;
+                location?: string | null;
+                followers?: number;
+                publicRepos?: number;
+            };
+            totals: {
+                repositories?: number;
+                analyzed?: number;
+                stars?: number;
+                forks?: number;
+            };
+            languages: components["schemas"]["Languages"];
+            techStack: components["schemas"]["TechStack"];
+            projects: {
+                name: string;
+                fullName: string;
+                description?: string | null;
+                url: string;
+                homepage?: string | null;
+                language?: string | null;
+                topics?: string[];
+                stars?: number;
+                forks?: number;
+                updatedAt?: string | null;
+                score: number;
+                category: string;
+                complexity?: string;
+                techStack?: components["schemas"]["TechStack"];
+            }[];
+            failed: {
+                fullName?: string;
+                error?: string;
+            }[];
+            options: {
+                includeForks?: boolean;
+                includeArchived?: boolean;
+                limit?: number;
+            };
+            /** Format: date-time */
+            generatedAt: string;
+        };
+        RateLimitStatus: {
+            authenticated: boolean;
+            /** @description GitHub rate limits by resource, e.g. core and search */
+            resources: {
+                [key: string]: {
+                    limit: number;
+                    remaining: number;
+                    used?: number;
+                    /** Format: date-time */
+                    reset: string;
+                    /** Format: date-time */
+                    observedAt?: string;
+                };
+            };
+            tokens: {
+                /** @description Position in the configured list ("token #1"), or "anonymous" */
+                token?: string;
+                remaining?: number | null;
+                reset?: string | null;
+                exhausted?: boolean;
+            }[];
+            /** @description ETag cache hits and misses */
+            conditionalRequests?: Record<string, never>;
+        };
+        AuthSession: {
+            /** @description Whether GitHub sign-in is configured */
+            enabled: boolean;
+            authenticated: boolean;
+            user: {
+                login: string;
+                name?: string | null;
+                avatar?: string;
+                provider?: string;
+                scopes?: string[];
+            } | null;
+        };
+        /**
+         * RepoSite analysis export
+         * @description Analysis of a repository as shown on RepoSite, schema version 1.0.0. Dates are ISO 8601 strings.
+         */
+        AnalysisExport: {
+            /** @description URL of this schema */
+            $schema?: string;
+            /**
+             * @description Version of this schema the document follows
+             * @constant
+             */
+            schemaVersion: "1.0.0";
+            /**
+             * Format: date-time
+             * @description When the repository was analyzed
+             */
+            generatedAt: string;
+            repository: {
+                /** @description Repository name */
+                name: string;
+                /** @description Owner and name, e.g. "octocat/hello-world" */
+                fullName: string;
+                /** @description Description set on the host */
+                description?: string | null;
+                /**
+                 * Format: uri
+                 * @description Web URL of the repository
+                 */
+                url: string;
+                /** @description Homepage or live demo link */
+                homepage?: string | null;
+                /** @description Host name, e.g. "github.com" */
+                host: string;
+                owner?: {
+                    /** @description User or organization name */
+                    login?: string;
+                    /**
+                     * @description Kind of owner
+                     * @enum {unknown}
+                     */
+                    type?: "User" | "Organization";
+                };
+                /** @description Primary language */
+                language?: string | null;
+                /** @description License name */
+                license?: string | null;
+                /** @description Topics set on the host */
+                topics?: string[];
+                stars?: number;
+                forks?: number;
+                watchers?: number;
+                /** @description Whether the repository is private */
+                isPrivate?: boolean;
+                /** @description When the repository was created */
+                createdAt?: string | null;
+                /** @description When the repository was last updated */
+                updatedAt?: string | null;
+            };
+            analysis: {
+                /** @description Kind of project, e.g. "Full-Stack Application" */
+                category: string;
+                /** @description Project score under the scoring profile */
+                score: number;
+                /** @description Scoring profile the score was computed with */
+                scoreProfile?: string | null;
+                /** @enum {unknown} */
+                complexity: "Simple" | "Moderate" | "Complex";
+                /** @enum {unknown} */
+                deployability: "Low" | "Medium" | "High";
+                /** @description Points behind the score, one entry per factor */
+                scoreFactors?: {
+                    /** @description Factor identifier, e.g. "stars" or "tests" */
+                    id: string;
+                    /** @description Human-readable factor name */
+                    label: string;
+                    /** @description Points earned, rounded to one decimal */
+                    points: number;
+                    /** @description Points the factor is worth in the profile */
+                    maxPoints: number;
+                    /** @description Why the factor earned its points */
+                    reason: string;
+                }[];
+            };
+            /** @description Languages by share of code, largest first */
+            languages: {
+                name: string;
+                percentage: number;
+            }[];
+            /** @description Detected technologies by category */
+            techStack: {
+                /** @description UI frameworks and libraries */
+                frontend?: string[];
+                /** @description Server frameworks and runtimes */
+                backend?: string[];
+                /** @description Databases and ORMs */
+                database?: string[];
+                /** @description Build, test and deployment tools */
+                tools?: string[];
+                /** @description Other frameworks */
+                frameworks?: string[];
+            } & {
+                [key: string]: string[];
+            };
+            /** @description Packages of a monorepo; empty for single-package repositories */
+            packages: {
+                /** @description Package directory */
+                path: string;
+                /** @description Package name from its manifest */
+                name?: string | null;
+                /** @description Technologies detected in the package */
+                technologies?: string[];
+            }[];
+            /** @description Features listed in the README */
+            features: string[];
+            /** @description Contribution history; null when the host did not report it */
+            activity: {
+                commitCount?: number;
+                contributorCount?: number;
+                releaseCount?: number;
+                /** @description When the latest stable release was published */
+                lastReleaseAt?: string | null;
+                topContributors?: {
+                    /** @description Account name, if the host links one */
+                    login?: string | null;
+                    /** @description Display name */
+                    name?: string | null;
+                    commits?: number;
+                    /** @description Profile URL */
+                    url?: string | null;
+                }[];
+                /** @description Recent releases, newest first */
+                releases?: {
+                    tag?: string;
+                    name?: string;
+                    /** @description Publication date */
+                    publishedAt?: string | null;
+                    /** @description Release page */
+                    url?: string | null;
+                    prerelease?: boolean;
+                }[];
+            } | null;
+        };
+    };
+    responses: never;
+    parameters: never;
+    requestBodies: never;
+    headers: never;
+    pathItems: never;
+}
+export type $defs = Record<string, never>;
+export type operations = Record<string, never>;